@@ -13,6 +13,7 @@ const {
   generalLimiter, 
   authLimiter, 
   passwordResetLimiter,
+  publicReviewLimiter,
   securityMiddleware 
 } = require('./config/security');
 
@@ -34,12 +35,21 @@ const subscriptionRoutes = require('./routes/subscription'); // Subscription man
 const subuserAuthRoutes = require('./routes/subuserAuth'); // Subuser authentication
 const subuserRoutes = require('./routes/subusers'); // Subuser management
 const scriptImagesRoutes = require('./routes/scriptImages'); // Script-to-Images functionality
+const publicRoutes = require('./routes/public'); // Unauthenticated review links
+const seriesRoutes = require('./routes/series'); // Multi-episode series
+const ideaRoutes = require('./routes/ideas'); // Idea backlog
+const collectionRoutes = require('./routes/collections'); // Story folders and collections
+const StoryTrashService = require('./services/storyTrashService');
+const { recoverGenerationJobs } = require('./controllers/storyController');
+const { recoverStoryBatches } = require('./controllers/storyBatchController');
 
 // Create Express app
 const app = express();
 
-// Connect to database
-database.connect();
+// Connect to database, then pick up generation jobs and batches a restart left behind
+database.connect()
+  .then(() => Promise.all([recoverGenerationJobs(), recoverStoryBatches()]))
+  .catch(error => console.error('❌ Recovering interrupted generation work failed:', error.message));
 
 // Trust proxy for accurate IP addresses (important for rate limiting)
 app.set('trust proxy', 1);
@@ -153,6 +163,7 @@ app.use('/api/v1/auth/login', authLimiter);
 app.use('/api/v1/auth/register', authLimiter);
 app.use('/api/v1/auth/forgotpassword', passwordResetLimiter);
 app.use('/api/v1/auth/resetpassword', passwordResetLimiter);
+app.use('/api/v1/public', publicReviewLimiter);
 
 // Performance monitoring middleware
 app.use((req, res, next) => {
@@ -257,6 +268,10 @@ app.use('/api/v1/subscription', subscriptionRoutes); // Subscription management
 app.use('/api/v1/subuser', subuserAuthRoutes); // Subuser authentication
 app.use('/api/v1/subusers', subuserRoutes); // Subuser management
 app.use('/api/v1/script-images', scriptImagesRoutes); // Script-to-Images functionality
+app.use('/api/v1/public', publicRoutes); // Public review links (no auth)
+app.use('/api/v1/series', seriesRoutes); // Multi-episode series
+app.use('/api/v1/ideas', ideaRoutes); // Idea backlog
+app.use('/api/v1/collections', collectionRoutes); // Story folders and collections
 
 // Security monitoring endpoint (admin only in production)
 app.get('/api/v1/security/status', (req, res) => {
@@ -333,16 +348,58 @@ app.get('/api/v1/docs', (req, res) => {
         getUserStats: 'GET /api/v1/users/stats'
       },
       stories: {
-        getAllStories: 'GET /api/v1/stories',
+        getAllStories: 'GET /api/v1/stories?collection=:collectionId|none&includeSubcollections=true&sortBy=analysis.score',
         getStory: 'GET /api/v1/stories/:id',
         createStory: 'POST /api/v1/stories',
         updateStory: 'PUT /api/v1/stories/:id',
-        deleteStory: 'DELETE /api/v1/stories/:id',
+        deleteStory: 'DELETE /api/v1/stories/:id (moves to trash)',
+        importStories: 'POST /api/v1/stories/import (multipart files or JSON { files: [{ name, content }] }; json, md, txt)',
+        getTrash: 'GET /api/v1/stories/trash',
+        restoreStory: 'POST /api/v1/stories/trash/:id/restore',
+        purgeStory: 'DELETE /api/v1/stories/trash/:id?dryRun=true',
+        emptyTrash: 'DELETE /api/v1/stories/trash?dryRun=true',
+        purgeExpiredTrash: 'POST /api/v1/stories/trash/purge-expired?dryRun=true (admin)',
         generateStory: 'POST /api/v1/stories/generate',
-        searchStories: 'GET /api/v1/stories/search',
-        exportStory: 'GET /api/v1/stories/export/:id',
+        generateStoryStream: 'POST /api/v1/stories/generate/stream',
+        createGenerationJob: 'POST /api/v1/stories/jobs',
+        getGenerationJob: 'GET /api/v1/stories/jobs/:jobId',
+        cancelGenerationJob: 'DELETE /api/v1/stories/jobs/:jobId',
+        createStoryBatch: 'POST /api/v1/stories/batches',
+        getStoryBatches: 'GET /api/v1/stories/batches',
+        getStoryBatch: 'GET /api/v1/stories/batches/:batchId',
+        retryStoryBatch: 'POST /api/v1/stories/batches/:batchId/retry',
+        cancelStoryBatch: 'POST /api/v1/stories/batches/:batchId/cancel',
+        searchStories: 'GET /api/v1/stories/search?q=&videoStyle=&language=&status=&emotions=&tags=&duration=short|medium|long&collection=:collectionId|none&savedSearch=:id (highlights and facet counts)',
+        getSavedSearches: 'GET /api/v1/stories/saved-searches',
+        createSavedSearch: 'POST /api/v1/stories/saved-searches',
+        updateSavedSearch: 'PUT /api/v1/stories/saved-searches/:id',
+        deleteSavedSearch: 'DELETE /api/v1/stories/saved-searches/:id',
+        exportStory: 'GET /api/v1/stories/export/:id?format=json|txt|srt|bundle',
         duplicateStory: 'POST /api/v1/stories/duplicate/:id',
         generateSummary: 'POST /api/v1/stories/:id/summary',
+        getVersions: 'GET /api/v1/stories/:id/versions',
+        diffVersions: 'GET /api/v1/stories/:id/versions/diff?from=&to=',
+        restoreVersion: 'POST /api/v1/stories/:id/versions/:version/restore',
+        translateStory: 'POST /api/v1/stories/:id/translate',
+        getStoryVariants: 'GET /api/v1/stories/:id/variants',
+        generateStoryVariants: 'POST /api/v1/stories/:id/variants',
+        selectStoryVariant: 'POST /api/v1/stories/:id/variants/:variantId/select',
+        getStoryAnalysis: 'GET /api/v1/stories/:id/analysis (readability, pacing, hook, repetition, loop, stored rubric score)',
+        scoreStoryRubric: 'POST /api/v1/stories/:id/analysis/rubric (AI rubric score against the video style, stored on the story)',
+        getStoryQuiz: 'GET /api/v1/stories/:id/quiz',
+        updateStoryQuiz: 'PUT /api/v1/stories/:id/quiz',
+        shareStory: 'POST /api/v1/stories/:id/share',
+        getCollaborators: 'GET /api/v1/stories/:id/share',
+        revokeAccess: 'DELETE /api/v1/stories/:id/share/:userId',
+        sharedWithMe: 'GET /api/v1/stories/shared-with-me',
+        getVideoStyles: 'GET /api/v1/stories/video-styles',
+        createVideoStyle: 'POST /api/v1/stories/video-styles',
+        getVideoStyle: 'GET /api/v1/stories/video-styles/:styleId',
+        updateVideoStyle: 'PUT /api/v1/stories/video-styles/:styleId',
+        deleteVideoStyle: 'DELETE /api/v1/stories/video-styles/:styleId',
+        createShareLink: 'POST /api/v1/stories/:id/share-link',
+        getShareLinks: 'GET /api/v1/stories/:id/share-links',
+        revokeShareLink: 'DELETE /api/v1/stories/:id/share-links/:linkId',
         getStatus: 'GET /api/v1/stories/status'
       },
       voice: {
@@ -350,6 +407,7 @@ app.get('/api/v1/docs', (req, res) => {
         getVoice: 'GET /api/v1/voice/voices/:id',
         generateSpeech: 'POST /api/v1/voice/generate',
         generateStoryVoice: 'POST /api/v1/voice/story/:storyId',
+        assignSpeakerVoices: 'PUT /api/v1/voice/story/:storyId/speakers',
         cloneVoice: 'POST /api/v1/voice/clone',
         uploadAudio: 'POST /api/v1/voice/upload',
         getSubscription: 'GET /api/v1/voice/subscription'
@@ -357,6 +415,7 @@ app.get('/api/v1/docs', (req, res) => {
       video: {
         generateTimeline: 'POST /api/v1/video/generate-timeline',
         getTimeline: 'GET /api/v1/video/timeline/:storyId',
+        exportTimeline: 'GET /api/v1/video/timeline/:storyId/export?format=fcpxml|edl|otio',
         deleteTimeline: 'DELETE /api/v1/video/timeline/:storyId',
         searchPreview: 'POST /api/v1/video/search-preview',
         getStatus: 'GET /api/v1/video/status'
@@ -374,7 +433,9 @@ app.get('/api/v1/docs', (req, res) => {
         getStoryStats: 'GET /api/v1/analytics/stories',
         getUserActivity: 'GET /api/v1/analytics/activity',
         getUsageMetrics: 'GET /api/v1/analytics/usage',
-        getPopularContent: 'GET /api/v1/analytics/popular'
+        getPopularContent: 'GET /api/v1/analytics/popular',
+        getAiCosts: 'GET /api/v1/analytics/ai-costs?from=&to=',
+        getStoryAiCosts: 'GET /api/v1/analytics/ai-costs/stories/:storyId'
       },
       templates: {
         getTemplates: 'GET /api/v1/templates',
@@ -383,6 +444,37 @@ app.get('/api/v1/docs', (req, res) => {
         updateTemplate: 'PUT /api/v1/templates/:id',
         deleteTemplate: 'DELETE /api/v1/templates/:id',
         useTemplate: 'POST /api/v1/templates/:id/use'
+      },
+      series: {
+        getSeries: 'GET /api/v1/series',
+        createSeries: 'POST /api/v1/series',
+        getSeriesById: 'GET /api/v1/series/:id',
+        updateSeries: 'PUT /api/v1/series/:id',
+        deleteSeries: 'DELETE /api/v1/series/:id',
+        generateNextEpisode: 'POST /api/v1/series/:id/episodes',
+        reorderEpisodes: 'PUT /api/v1/series/:id/episodes/order',
+        regenerateEpisode: 'POST /api/v1/series/:id/episodes/:storyId/regenerate'
+      },
+      ideas: {
+        getIdeas: 'GET /api/v1/ideas',
+        updateIdea: 'PUT /api/v1/ideas/:id',
+        updateIdeaStatuses: 'PUT /api/v1/ideas/status',
+        deleteIdea: 'DELETE /api/v1/ideas/:id'
+      },
+      collections: {
+        getCollections: 'GET /api/v1/collections',
+        createCollection: 'POST /api/v1/collections',
+        getCollection: 'GET /api/v1/collections/:id',
+        updateCollection: 'PUT /api/v1/collections/:id',
+        deleteCollection: 'DELETE /api/v1/collections/:id',
+        moveStories: 'POST /api/v1/collections/move',
+        exportCollection: 'GET /api/v1/collections/:id/export?format=json|txt',
+        shareCollection: 'PUT /api/v1/collections/:id/share',
+        unshareCollection: 'DELETE /api/v1/collections/:id/share/:subuserId'
+      },
+      public: {
+        getReviewStory: 'GET /api/v1/public/stories/:token',
+        addReviewComment: 'POST /api/v1/public/stories/:token/comments'
       }
     }
   });
@@ -448,6 +540,9 @@ const server = app.listen(PORT, '0.0.0.0', () => {
 📚 Documentation: http://localhost:${PORT}/api/v1/docs
 🗄️ Database: ${database.getConnectionState()}
   `);
+
+  // Purge stories that have been in the trash past the retention period
+  new StoryTrashService().startPurgeSchedule();
 });
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,30 @@
+// LLM configuration
+const llmConfig = {
+  // Provider used when none is requested explicitly: openai | openai-compatible | stub
+  provider: process.env.LLM_PROVIDER || 'openai',
+
+  // Base URL and key for OpenAI-compatible servers (LM Studio, vLLM, Ollama, ...)
+  baseUrl: process.env.LLM_BASE_URL || null,
+  apiKey: process.env.LLM_API_KEY || null,
+
+  // Model per call site, overridable per deployment
+  models: {
+    story: process.env.LLM_MODEL_STORY || 'gpt-4.1-nano',
+    metadata: process.env.LLM_MODEL_METADATA || 'gpt-4o-mini',
+    summary: process.env.LLM_MODEL_SUMMARY || 'gpt-4-turbo-preview',
+    ideas: process.env.LLM_MODEL_IDEAS || 'gpt-3.5-turbo',
+    translation: process.env.LLM_MODEL_TRANSLATION || 'gpt-4o-mini',
+    series: process.env.LLM_MODEL_SERIES || 'gpt-4o-mini',
+    variants: process.env.LLM_MODEL_VARIANTS || 'gpt-4o-mini',
+    fitting: process.env.LLM_MODEL_FITTING || 'gpt-4o-mini',
+    dialogue: process.env.LLM_MODEL_DIALOGUE || 'gpt-4o-mini',
+    quiz: process.env.LLM_MODEL_QUIZ || 'gpt-4o-mini',
+    captions: process.env.LLM_MODEL_CAPTIONS || 'gpt-4',
+    scenes: process.env.LLM_MODEL_SCENES || 'gpt-4',
+    transcription: process.env.LLM_MODEL_TRANSCRIPTION || 'whisper-1',
+    image: process.env.LLM_MODEL_IMAGE || 'dall-e-3',
+    analysis: process.env.LLM_MODEL_ANALYSIS || 'gpt-4o-mini'
+  }
+};
+
+module.exports = llmConfig;
@@ -0,0 +1,61 @@
+// AI pricing in USD per provider and model, used to cost every recorded AI call
+// Units: inputPer1M / outputPer1M (tokens), perAudioMinute, perImage (keyed "quality:size"), per1KCharacters.
+// "default" covers models without their own entry; model names also match by prefix (gpt-4o-mini-2024-07-18 -> gpt-4o-mini).
+// Override or extend any entry with AI_PRICING, a JSON object in the same shape (merged per model).
+const pricing = {
+  openai: {
+    'gpt-4.1': { inputPer1M: 2.00, outputPer1M: 8.00 },
+    'gpt-4.1-mini': { inputPer1M: 0.40, outputPer1M: 1.60 },
+    'gpt-4.1-nano': { inputPer1M: 0.10, outputPer1M: 0.40 },
+    'gpt-4o': { inputPer1M: 2.50, outputPer1M: 10.00 },
+    'gpt-4o-mini': { inputPer1M: 0.15, outputPer1M: 0.60 },
+    'gpt-4-turbo': { inputPer1M: 10.00, outputPer1M: 30.00 },
+    'gpt-4': { inputPer1M: 30.00, outputPer1M: 60.00 },
+    'gpt-3.5-turbo': { inputPer1M: 0.50, outputPer1M: 1.50 },
+    'whisper-1': { perAudioMinute: 0.006 },
+    'dall-e-3': {
+      perImage: {
+        'standard:1024x1024': 0.04,
+        'standard:1024x1792': 0.08,
+        'standard:1792x1024': 0.08,
+        'hd:1024x1024': 0.08,
+        'hd:1024x1792': 0.12,
+        'hd:1792x1024': 0.12
+      }
+    },
+    'dall-e-2': {
+      perImage: {
+        'standard:256x256': 0.016,
+        'standard:512x512': 0.018,
+        'standard:1024x1024': 0.02
+      }
+    }
+  },
+
+  // Self-hosted servers cost nothing per call unless configured
+  'openai-compatible': {
+    default: { inputPer1M: 0, outputPer1M: 0, perAudioMinute: 0, perImage: 0 }
+  },
+
+  stub: {
+    default: { inputPer1M: 0, outputPer1M: 0, perAudioMinute: 0, perImage: 0 }
+  },
+
+  // Murf bills by characters on API plans; set this to your plan's rate
+  murf: {
+    default: { per1KCharacters: 0.03 }
+  }
+};
+
+if (process.env.AI_PRICING) {
+  try {
+    const overrides = JSON.parse(process.env.AI_PRICING);
+    Object.entries(overrides).forEach(([provider, models]) => {
+      pricing[provider] = { ...pricing[provider], ...models };
+    });
+  } catch (error) {
+    console.error('❌ AI_PRICING is not valid JSON, using the built-in pricing table:', error.message);
+  }
+}
+
+module.exports = pricing;
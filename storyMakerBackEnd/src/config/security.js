@@ -44,6 +44,13 @@ const passwordResetLimiter = createRateLimiter(
   'Too many password reset attempts, please try again later.'
 );
 
+// Public review link limiter (unauthenticated, may be password protected)
+const publicReviewLimiter = createRateLimiter(
+  15 * 60 * 1000, // 15 minutes
+  60, // limit each IP to 60 public review requests per windowMs
+  'Too many review link requests, please try again later.'
+);
+
 // CORS configuration
 const corsOptions = {
   origin: function (origin, callback) {
@@ -116,6 +123,7 @@ module.exports = {
   generalLimiter,
   authLimiter,
   passwordResetLimiter,
+  publicReviewLimiter,
   corsOptions,
   helmetConfig,
   
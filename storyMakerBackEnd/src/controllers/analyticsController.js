@@ -1,5 +1,7 @@
 const Story = require('../models/Story');
 const User = require('../models/User');
+const Subuser = require('../models/Subuser');
+const AiUsage = require('../models/AiUsage');
 const mongoose = require('mongoose');
 
 /**
@@ -605,11 +607,134 @@ const getPerformanceMetrics = async (req, res) => {
   }
 };
 
+/**
+ * createdAt filter from ?from / ?to query dates, or null when a date is invalid
+ */
+const buildDateRange = ({ from, to }) => {
+  const range = {};
+  if (from) range.$gte = new Date(from);
+  if (to) range.$lte = new Date(to);
+
+  if (Object.values(range).some(date => isNaN(date.getTime()))) {
+    return null;
+  }
+  return Object.keys(range).length > 0 ? { createdAt: range } : {};
+};
+
+/**
+ * @desc    Get AI cost for the account: totals and breakdowns by operation and model
+ * @route   GET /api/v1/analytics/ai-costs
+ * @access  Private (admins may pass ?userId for another account)
+ */
+const getAiCosts = async (req, res) => {
+  try {
+    const dateFilter = buildDateRange(req.query);
+
+    if (!dateFilter) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be valid dates'
+      });
+    }
+
+    const accountId = req.query.userId && req.user.role === 'admin' ? req.query.userId : req.user.id;
+
+    if (!mongoose.Types.ObjectId.isValid(accountId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    // An account's cost includes its subusers; a subuser sees only their own
+    const userIds = req.userType === 'subuser' && accountId === req.user.id
+      ? [accountId]
+      : [accountId, ...await Subuser.find({ ownerId: accountId }).distinct('_id')];
+
+    const rollup = await AiUsage.rollup({
+      userId: { $in: userIds.map(id => new mongoose.Types.ObjectId(id)) },
+      ...dateFilter
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'AI costs retrieved successfully',
+      data: {
+        userId: accountId,
+        from: req.query.from || null,
+        to: req.query.to || null,
+        currency: 'USD',
+        ...rollup
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching AI costs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching AI costs',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @desc    Get AI cost of one story across everyone who worked on it
+ * @route   GET /api/v1/analytics/ai-costs/stories/:storyId
+ * @access  Private (story editors)
+ */
+const getStoryAiCosts = async (req, res) => {
+  try {
+    const dateFilter = buildDateRange(req.query);
+
+    if (!dateFilter) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be valid dates'
+      });
+    }
+
+    const story = mongoose.Types.ObjectId.isValid(req.params.storyId)
+      ? await Story.findAccessible(req.params.storyId, req.user.id, req.userType, 'edit', 'name')
+      : null;
+
+    if (!story) {
+      return res.status(404).json({
+        success: false,
+        message: 'Story not found'
+      });
+    }
+
+    const rollup = await AiUsage.rollup({ storyId: story._id, ...dateFilter });
+
+    res.status(200).json({
+      success: true,
+      message: 'Story AI costs retrieved successfully',
+      data: {
+        storyId: story._id,
+        name: story.name,
+        currency: 'USD',
+        ...rollup
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching story AI costs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching story AI costs',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
 module.exports = {
   getDashboardStats,
   getStoryAnalytics,
   getUserActivity,
   getUsageMetrics,
   getPopularContent,
-  getPerformanceMetrics
+  getPerformanceMetrics,
+  getAiCosts,
+  getStoryAiCosts
 };
@@ -1,9 +1,26 @@
 const CaptionService = require('../services/captionService');
+const QuizService = require('../services/quizService');
 const Story = require('../models/Story');
 const asyncHandler = require('../middleware/asyncHandler');
+const { getProviderForRequest } = require('../services/llmProviders');
 
 // Initialize caption service
 const captionService = new CaptionService();
+const quizService = new QuizService();
+
+// Transcription language codes for story languages (language variants store the name)
+const LANGUAGE_CODES = {
+  english: 'en',
+  spanish: 'es',
+  french: 'fr',
+  german: 'de',
+  italian: 'it',
+  portuguese: 'pt',
+  russian: 'ru',
+  japanese: 'ja',
+  korean: 'ko',
+  chinese: 'zh'
+};
 
 /**
  * @desc    Generate captions from audio file using Whisper AI
@@ -32,7 +49,8 @@ const generateCaptionsFromAudio = asyncHandler(async (req, res, next) => {
     const options = {
       language,
       format,
-      includeTimestamps
+      includeTimestamps,
+      llm: await getProviderForRequest(req, { operation: 'captions' })
     };
 
     const result = await captionService.generateCaptionsFromAudio(audioFilePath, options);
@@ -40,8 +58,9 @@ const generateCaptionsFromAudio = asyncHandler(async (req, res, next) => {
     // If storyId provided, save captions to story
     if (storyId) {
       try {
-        const story = await Story.findOne({ _id: storyId, userId: req.user.id });
+        const story = await Story.findAccessible(storyId, req.user.id, req.userType, 'edit');
         if (story) {
+          await options.llm.setStory(story._id);
           story.captions = {
             ...result,
             source: 'whisper-audio',
@@ -103,7 +122,8 @@ const generateCaptionsFromText = asyncHandler(async (req, res, next) => {
       wordsPerMinute,
       maxWordsPerCaption,
       format,
-      language
+      language,
+      llm: await getProviderForRequest(req, { operation: 'captions' })
     };
 
     let result;
@@ -119,8 +139,9 @@ const generateCaptionsFromText = asyncHandler(async (req, res, next) => {
     // If storyId provided, save captions to story
     if (storyId) {
       try {
-        const story = await Story.findOne({ _id: storyId, userId: req.user.id });
+        const story = await Story.findAccessible(storyId, req.user.id, req.userType, 'edit');
         if (story) {
+          await options.llm.setStory(story._id);
           story.captions = {
             ...result,
             source: useAI ? 'openai-text' : 'story-text',
@@ -166,7 +187,7 @@ const generateCaptionsForStory = asyncHandler(async (req, res, next) => {
   } = req.body;
 
   try {
-    const story = await Story.findOne({ _id: storyId, userId: req.user.id });
+    const story = await Story.findAccessible(storyId, req.user.id, req.userType, 'edit');
 
     if (!story) {
       return res.status(404).json({
@@ -177,7 +198,18 @@ const generateCaptionsForStory = asyncHandler(async (req, res, next) => {
 
     let result;
 
-    if (source === 'audio' || (source === 'auto' && story.audioUrl)) {
+    if (source !== 'audio' && story.quiz && story.quiz.questions.length > 0) {
+      // Quiz captions never cross a question, countdown or reveal boundary; match the timeline's markers when there is one
+      const segments = quizService.buildSegments(story.quiz, story.selectedLanguage, story.videoTimeline?.totalDuration);
+
+      result = captionService.generateCaptionsFromSegments(segments, {
+        format,
+        language: LANGUAGE_CODES[(story.selectedLanguage || '').toLowerCase()] || 'en',
+        ...options
+      });
+      result.source = 'quiz-segments';
+
+    } else if (source === 'audio' || (source === 'auto' && story.audioUrl)) {
       // Generate from audio if available
       if (!story.audioUrl) {
         return res.status(400).json({
@@ -188,8 +220,9 @@ const generateCaptionsForStory = asyncHandler(async (req, res, next) => {
 
       result = await captionService.generateCaptionsFromAudio(story.audioUrl, {
         format,
-        language: 'en',
-        ...options
+        language: LANGUAGE_CODES[(story.selectedLanguage || '').toLowerCase()] || 'en',
+        ...options,
+        llm: await getProviderForRequest(req, { operation: 'captions', storyId: story._id })
       });
       result.source = 'story-audio';
 
@@ -206,7 +239,8 @@ const generateCaptionsForStory = asyncHandler(async (req, res, next) => {
         result = await captionService.generateSmartCaptionsFromText(story.content, {
           format,
           maxDuration: story.duration,
-          ...options
+          ...options,
+          llm: await getProviderForRequest(req, { operation: 'captions', storyId: story._id })
         });
       } else {
         result = await captionService.generateCaptionsFromText(story.content, {
@@ -259,7 +293,7 @@ const getStoryCaptions = asyncHandler(async (req, res, next) => {
   const { format } = req.query;
 
   try {
-    const story = await Story.findOne({ _id: storyId, userId: req.user.id });
+    const story = await Story.findAccessible(storyId, req.user.id, req.userType, 'view');
 
     if (!story) {
       return res.status(404).json({
@@ -314,7 +348,7 @@ const deleteStoryCaptions = asyncHandler(async (req, res, next) => {
   const { storyId } = req.params;
 
   try {
-    const story = await Story.findOne({ _id: storyId, userId: req.user.id });
+    const story = await Story.findAccessible(storyId, req.user.id, req.userType, 'edit');
 
     if (!story) {
       return res.status(404).json({
@@ -349,7 +383,7 @@ const deleteStoryCaptions = asyncHandler(async (req, res, next) => {
  */
 const getCaptionStatus = asyncHandler(async (req, res, next) => {
   try {
-    const status = captionService.getServiceStatus();
+    const status = captionService.getServiceStatus(await getProviderForRequest(req));
 
     res.status(200).json({
       success: true,
@@ -0,0 +1,535 @@
+const Collection = require('../models/Collection');
+const Story = require('../models/Story');
+const Subuser = require('../models/Subuser');
+const { buildStoryExport, exportFileName } = require('../utils/storyExport');
+
+// Fields a request may set on a collection (parentId is handled as a move)
+const EDITABLE_FIELDS = ['name', 'description', 'color'];
+
+/**
+ * Send a 500 response for a collection handler
+ */
+const sendServerError = (res, error, message) => {
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+  });
+};
+
+/**
+ * Find one of the requester's own collections
+ */
+const findOwnCollection = (req, id = req.params.id) => Collection.findOne({ _id: id, userId: req.user.id });
+
+/**
+ * Number of stories filed directly in each collection
+ * @returns {Promise<Map>} collection id -> count
+ */
+const countStories = async (collectionIds) => {
+  const counts = await Story.aggregate([
+    { $match: { collectionId: { $in: collectionIds } } },
+    { $group: { _id: '$collectionId', count: { $sum: 1 } } }
+  ]);
+  return new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+};
+
+/**
+ * Format a collection for responses
+ */
+const formatCollection = (collection, storyCounts, access = 'owner') => ({
+  id: collection._id,
+  name: collection.name,
+  description: collection.description,
+  color: collection.color,
+  parentId: collection.parentId,
+  depth: collection.depth,
+  storyCount: storyCounts.get(collection._id.toString()) || 0,
+  access,
+  ...(access === 'owner' && {
+    sharedWith: collection.sharedWith.map(entry => ({
+      subuserId: entry.subuserId,
+      permission: entry.permission,
+      sharedAt: entry.sharedAt
+    }))
+  }),
+  createdAt: collection.createdAt,
+  updatedAt: collection.updatedAt
+});
+
+/**
+ * @desc    List the requester's collections (flat, with parentId for nesting) and those shared with them
+ * @route   GET /api/v1/collections
+ * @access  Private
+ */
+const getCollections = async (req, res) => {
+  try {
+    const grants = await Collection.getSharedGrants(req.user.id, req.userType);
+
+    const [own, shared] = await Promise.all([
+      Collection.find({ userId: req.user.id }).sort({ name: 1 }),
+      grants.size > 0
+        ? Collection.find({ _id: { $in: [...grants.keys()] } }).sort({ name: 1 })
+        : []
+    ]);
+
+    const storyCounts = await countStories([...own, ...shared].map(collection => collection._id));
+
+    res.status(200).json({
+      success: true,
+      message: 'Collections retrieved successfully',
+      data: {
+        collections: own.map(collection => formatCollection(collection, storyCounts)),
+        sharedWithMe: shared.map(collection => ({
+          ...formatCollection(collection, storyCounts, grants.get(collection._id.toString())),
+          ownerId: collection.userId,
+          // Top of what was shared with the requester, even if the collection itself has a parent
+          isSharedRoot: !collection.parentId || !grants.has(collection.parentId.toString())
+        })),
+        maxDepth: Collection.MAX_DEPTH
+      }
+    });
+  } catch (error) {
+    sendServerError(res, error, 'Error fetching collections');
+  }
+};
+
+/**
+ * @desc    Create a collection, optionally inside another of the requester's collections
+ * @route   POST /api/v1/collections
+ * @access  Private
+ */
+const createCollection = async (req, res) => {
+  try {
+    const { parentId } = req.body;
+
+    let parent = null;
+    if (parentId) {
+      parent = await findOwnCollection(req, parentId);
+
+      if (!parent) {
+        return res.status(404).json({
+          success: false,
+          message: 'Parent collection not found'
+        });
+      }
+
+      if (parent.depth >= Collection.MAX_DEPTH) {
+        return res.status(400).json({
+          success: false,
+          message: `Collections can be nested at most ${Collection.MAX_DEPTH} levels deep`
+        });
+      }
+    }
+
+    const fields = Object.fromEntries(EDITABLE_FIELDS
+      .filter(field => req.body[field] !== undefined)
+      .map(field => [field, req.body[field]]));
+
+    const collection = await Collection.create({
+      ...fields,
+      userId: req.user.id,
+      parentId: parent ? parent._id : null,
+      ancestors: parent ? [...parent.ancestors, parent._id] : []
+    });
+
+    console.log(`📁 Collection "${collection.name}" created for ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Collection created successfully',
+      data: formatCollection(collection, new Map())
+    });
+  } catch (error) {
+    sendServerError(res, error, 'Error creating collection');
+  }
+};
+
+/**
+ * @desc    Get a collection with its path, direct subcollections and story count
+ * @route   GET /api/v1/collections/:id
+ * @access  Private (owner or subusers it is shared with)
+ */
+const getCollection = async (req, res) => {
+  try {
+    const found = await Collection.findAccessible(req.params.id, req.user.id, req.userType);
+
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+
+    const { collection, access } = found;
+    const grants = access === 'owner' ? null : await Collection.getSharedGrants(req.user.id, req.userType);
+
+    const [ancestors, children] = await Promise.all([
+      Collection.find({ _id: { $in: collection.ancestors } }).select('name color'),
+      Collection.find({ parentId: collection._id }).sort({ name: 1 })
+    ]);
+    const storyCounts = await countStories([collection._id, ...children.map(child => child._id)]);
+
+    // Shared viewers only see the part of the path that was shared with them
+    const path = collection.ancestors
+      .map(id => ancestors.find(ancestor => ancestor._id.equals(id)))
+      .filter(ancestor => ancestor && (!grants || grants.has(ancestor._id.toString())))
+      .map(ancestor => ({ id: ancestor._id, name: ancestor.name, color: ancestor.color }));
+
+    res.status(200).json({
+      success: true,
+      message: 'Collection retrieved successfully',
+      data: {
+        ...formatCollection(collection, storyCounts, access),
+        path,
+        children: children.map(child => formatCollection(child, storyCounts, grants ? grants.get(child._id.toString()) : 'owner'))
+      }
+    });
+  } catch (error) {
+    sendServerError(res, error, 'Error fetching collection');
+  }
+};
+
+/**
+ * @desc    Rename, recolor or move a collection (parentId null moves it to the top level)
+ * @route   PUT /api/v1/collections/:id
+ * @access  Private (owner)
+ */
+const updateCollection = async (req, res) => {
+  try {
+    const collection = await findOwnCollection(req);
+
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+
+    EDITABLE_FIELDS
+      .filter(field => req.body[field] !== undefined)
+      .forEach(field => { collection[field] = req.body[field]; });
+
+    const { parentId } = req.body;
+    const currentParent = collection.parentId ? collection.parentId.toString() : null;
+
+    if (parentId !== undefined && (parentId || null) !== currentParent) {
+      const parent = parentId ? await findOwnCollection(req, parentId) : null;
+
+      if (parentId && !parent) {
+        return res.status(404).json({
+          success: false,
+          message: 'Parent collection not found'
+        });
+      }
+
+      // Saves the collection along with the field changes above
+      await collection.moveTo(parent);
+    } else {
+      await collection.save();
+    }
+
+    const storyCounts = await countStories([collection._id]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Collection updated successfully',
+      data: formatCollection(collection, storyCounts)
+    });
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    sendServerError(res, error, 'Error updating collection');
+  }
+};
+
+/**
+ * @desc    Delete a collection; its stories and subcollections move up to its parent
+ * @route   DELETE /api/v1/collections/:id
+ * @access  Private (owner)
+ */
+const deleteCollection = async (req, res) => {
+  try {
+    const collection = await findOwnCollection(req);
+
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+
+    const parentId = collection.parentId || null;
+
+    const [storiesMoved, childrenMoved] = await Promise.all([
+      Story.updateMany({ collectionId: collection._id }, { collectionId: parentId }),
+      Collection.updateMany({ parentId: collection._id }, { parentId })
+    ]);
+    await Collection.updateMany({ ancestors: collection._id }, { $pull: { ancestors: collection._id } });
+    await collection.deleteOne();
+
+    console.log(`🗑️ Collection "${collection.name}" deleted (${storiesMoved.modifiedCount} stories and ${childrenMoved.modifiedCount} subcollections moved up)`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Collection deleted successfully',
+      data: {
+        id: collection._id,
+        movedTo: parentId,
+        storiesMoved: storiesMoved.modifiedCount,
+        subcollectionsMoved: childrenMoved.modifiedCount
+      }
+    });
+  } catch (error) {
+    sendServerError(res, error, 'Error deleting collection');
+  }
+};
+
+/**
+ * @desc    Move stories into a collection, or out of every collection with collectionId null
+ * @route   POST /api/v1/collections/move
+ * @access  Private
+ */
+const moveStories = async (req, res) => {
+  try {
+    const { storyIds, collectionId = null } = req.body;
+
+    let target = null;
+    if (collectionId) {
+      const found = await Collection.findAccessible(collectionId, req.user.id, req.userType, 'edit');
+
+      if (!found) {
+        return res.status(404).json({
+          success: false,
+          message: 'Collection not found'
+        });
+      }
+      target = found.collection;
+    }
+
+    // Stories the requester may refile: their own, those filed in their collections and
+    // (for subusers) those filed in collections shared with them for editing
+    const [ownCollectionIds, sharedIds] = await Promise.all([
+      Collection.find({ userId: req.user.id }).distinct('_id'),
+      Collection.getSharedIds(req.user.id, req.userType, 'edit')
+    ]);
+
+    const candidates = await Story.find({
+      _id: { $in: storyIds },
+      $or: [
+        { userId: req.user.id },
+        { collectionId: { $in: [...ownCollectionIds, ...sharedIds] } }
+      ]
+    }).select('_id userId');
+
+    // Someone else's story may only go into a collection its owner controls, so it cannot be
+    // filed where the owner loses sight of it (and the requester keeps access after a share is revoked)
+    const movable = [];
+    const notAllowed = [];
+    candidates.forEach(story => {
+      if (!target || story.userId.equals(req.user.id) || target.userId.equals(story.userId)) {
+        movable.push(story._id);
+      } else {
+        notAllowed.push(story._id);
+      }
+    });
+
+    const result = await Story.updateMany(
+      { _id: { $in: movable } },
+      { collectionId: target ? target._id : null }
+    );
+
+    const notFound = storyIds.filter(id => !candidates.some(story => story._id.equals(id)));
+
+    res.status(200).json({
+      success: true,
+      message: `${movable.length} stor${movable.length === 1 ? 'y' : 'ies'} moved ${target ? `to "${target.name}"` : 'out of collections'}`,
+      data: {
+        collectionId: target ? target._id : null,
+        moved: movable.length,
+        modified: result.modifiedCount,
+        notFound,
+        notAllowed
+      }
+    });
+  } catch (error) {
+    sendServerError(res, error, 'Error moving stories');
+  }
+};
+
+/**
+ * @desc    Share a collection (and everything below it) with some of the owner's subusers
+ * @route   PUT /api/v1/collections/:id/share
+ * @access  Private (owner, main account)
+ */
+const shareCollection = async (req, res) => {
+  try {
+    const { subuserIds, permission = 'view' } = req.body;
+
+    const collection = await findOwnCollection(req);
+
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+
+    const subusers = await Subuser.find({ _id: { $in: subuserIds }, ownerId: req.user.id }).select('_id');
+
+    if (subusers.length !== new Set(subuserIds).size) {
+      return res.status(400).json({
+        success: false,
+        message: 'Collections can only be shared with your own subusers'
+      });
+    }
+
+    // Sharing again with the same subuser updates their permission
+    subusers.forEach(subuser => {
+      const existing = collection.sharedWith.find(entry => entry.subuserId.equals(subuser._id));
+      if (existing) {
+        existing.permission = permission;
+      } else {
+        collection.sharedWith.push({ subuserId: subuser._id, permission });
+      }
+    });
+    await collection.save();
+
+    console.log(`🤝 Collection "${collection.name}" shared with ${subusers.length} subuser(s) (${permission})`);
+
+    res.status(200).json({
+      success: true,
+      message: `Collection shared with ${subusers.length} subuser${subusers.length === 1 ? '' : 's'}`,
+      data: formatCollection(collection, await countStories([collection._id]))
+    });
+  } catch (error) {
+    sendServerError(res, error, 'Error sharing collection');
+  }
+};
+
+/**
+ * @desc    Stop sharing a collection with a subuser
+ * @route   DELETE /api/v1/collections/:id/share/:subuserId
+ * @access  Private (owner, main account)
+ */
+const unshareCollection = async (req, res) => {
+  try {
+    const collection = await findOwnCollection(req);
+
+    if (!collection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+
+    const before = collection.sharedWith.length;
+    collection.sharedWith = collection.sharedWith.filter(entry => entry.subuserId.toString() !== req.params.subuserId);
+
+    if (collection.sharedWith.length === before) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection is not shared with that subuser'
+      });
+    }
+
+    await collection.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Collection access revoked',
+      data: formatCollection(collection, await countStories([collection._id]))
+    });
+  } catch (error) {
+    sendServerError(res, error, 'Error revoking collection access');
+  }
+};
+
+/**
+ * @desc    Export every story in a collection (subcollections included by default) as one file
+ * @route   GET /api/v1/collections/:id/export?format=json|txt&includeSubcollections=true
+ * @access  Private (owner or subusers it is shared with)
+ */
+const exportCollection = async (req, res) => {
+  try {
+    const { format = 'json', includeSubcollections = 'true' } = req.query;
+
+    const found = await Collection.findAccessible(req.params.id, req.user.id, req.userType);
+
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collection not found'
+      });
+    }
+
+    const { collection } = found;
+    const treeIds = await collection.getTreeIds(includeSubcollections !== 'false');
+
+    const [collections, stories] = await Promise.all([
+      Collection.find({ _id: { $in: treeIds } }).select('name parentId'),
+      Story.find({ collectionId: { $in: treeIds } })
+        .sort({ collectionId: 1, createdAt: 1 })
+        .select('-previousVersions')
+    ]);
+
+    const collectionName = (id) => {
+      const match = collections.find(entry => entry._id.equals(id));
+      return match ? match.name : '';
+    };
+
+    let exportData;
+    let contentType;
+
+    if (format.toLowerCase() === 'txt') {
+      exportData = stories
+        .map(story => `${story.name}\n[${collectionName(story.collectionId)}]\n\n${story.content}`)
+        .join('\n\n----------------------------------------\n\n');
+      contentType = 'text/plain';
+    } else {
+      exportData = JSON.stringify({
+        collection: {
+          id: collection._id,
+          name: collection.name,
+          description: collection.description,
+          color: collection.color
+        },
+        subcollections: collections
+          .filter(entry => !entry._id.equals(collection._id))
+          .map(entry => ({ id: entry._id, name: entry.name, parentId: entry.parentId })),
+        exportedAt: new Date().toISOString(),
+        storyCount: stories.length,
+        stories: stories.map(story => ({
+          ...buildStoryExport(story),
+          collectionId: story.collectionId
+        }))
+      }, null, 2);
+      contentType = 'application/json';
+    }
+
+    console.log(`📦 Exported collection "${collection.name}": ${stories.length} stories as ${format}`);
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${exportFileName(collection.name, contentType === 'text/plain' ? 'txt' : 'json')}"`);
+    res.status(200).send(exportData);
+  } catch (error) {
+    sendServerError(res, error, 'Error exporting collection');
+  }
+};
+
+module.exports = {
+  getCollections,
+  createCollection,
+  getCollection,
+  updateCollection,
+  deleteCollection,
+  moveStories,
+  shareCollection,
+  unshareCollection,
+  exportCollection
+};
@@ -0,0 +1,168 @@
+const mongoose = require('mongoose');
+const Idea = require('../models/Idea');
+
+/**
+ * @desc    List the requester's idea backlog
+ * @route   GET /api/v1/ideas
+ * @access  Private
+ */
+const getIdeas = async (req, res) => {
+  try {
+    const { page = 1, limit = 50, status, niche, videoStyle, search } = req.query;
+
+    const query = { userId: req.user.id };
+    if (status) query.status = status;
+    if (niche) query.niche = niche;
+    if (videoStyle) query.videoStyle = videoStyle;
+    if (search) {
+      query.text = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const limitNum = parseInt(limit);
+
+    const [ideas, totalCount, statusCounts] = await Promise.all([
+      Idea.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limitNum)
+        .populate('storyId', 'name status'),
+      Idea.countDocuments(query),
+      Idea.aggregate([
+        { $match: { userId: new mongoose.Types.ObjectId(req.user.id) } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const totalPages = Math.ceil(totalCount / limitNum);
+
+    res.status(200).json({
+      success: true,
+      message: 'Ideas retrieved successfully',
+      data: {
+        ideas,
+        counts: Object.fromEntries(statusCounts.map(({ _id, count }) => [_id, count])),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount,
+          hasNextPage: parseInt(page) < totalPages,
+          hasPrevPage: parseInt(page) > 1,
+          limit: limitNum
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching ideas:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching ideas',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @desc    Update an idea's text or status
+ * @route   PUT /api/v1/ideas/:id
+ * @access  Private
+ */
+const updateIdea = async (req, res) => {
+  try {
+    const idea = await Idea.findOne({ _id: req.params.id, userId: req.user.id });
+
+    if (!idea) {
+      return res.status(404).json({
+        success: false,
+        message: 'Idea not found'
+      });
+    }
+
+    const { text, status } = req.body;
+    if (text !== undefined) idea.text = text;
+    if (status !== undefined) idea.status = status;
+    await idea.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Idea updated successfully',
+      data: idea
+    });
+  } catch (error) {
+    console.error('Error updating idea:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating idea',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @desc    Set the status of several ideas at once (e.g. shortlist or reject a generated batch)
+ * @route   PUT /api/v1/ideas/status
+ * @access  Private
+ */
+const updateIdeaStatuses = async (req, res) => {
+  try {
+    const { ideaIds, status } = req.body;
+
+    const result = await Idea.updateMany(
+      { _id: { $in: ideaIds }, userId: req.user.id },
+      { status }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `${result.modifiedCount} idea${result.modifiedCount === 1 ? '' : 's'} marked ${status}`,
+      data: {
+        matched: result.matchedCount,
+        modified: result.modifiedCount
+      }
+    });
+  } catch (error) {
+    console.error('Error updating ideas:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating ideas',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @desc    Remove an idea from the backlog
+ * @route   DELETE /api/v1/ideas/:id
+ * @access  Private
+ */
+const deleteIdea = async (req, res) => {
+  try {
+    const idea = await Idea.findOneAndDelete({ _id: req.params.id, userId: req.user.id });
+
+    if (!idea) {
+      return res.status(404).json({
+        success: false,
+        message: 'Idea not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Idea deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting idea:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting idea',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getIdeas,
+  updateIdea,
+  updateIdeaStatuses,
+  deleteIdea
+};
@@ -0,0 +1,186 @@
+const Story = require('../models/Story');
+const SavedSearch = require('../models/SavedSearch');
+const StorySearchService = require('../services/storySearchService');
+
+const storySearchService = new StorySearchService();
+
+/**
+ * Send a 500 response in the repo's usual shape
+ */
+const sendServerError = (res, message, error) => {
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+  });
+};
+
+/**
+ * Number of stories a saved search matches right now, or null when its collection is no longer accessible
+ */
+const countMatches = async (req, params) => {
+  let access = { userId: req.user.id };
+  if (params.collection) {
+    access = await storySearchService.buildCollectionFilter(req.user.id, req.userType, params.collection, params.includeSubcollections === 'true');
+    if (!access) {
+      return null;
+    }
+  }
+
+  const { base, facetFilters } = storySearchService.buildFilters(params);
+  return Story.countDocuments(storySearchService.combine(access, base, facetFilters));
+};
+
+/**
+ * Saved search with its current match count
+ */
+const formatSavedSearch = (search, count) => ({
+  id: search._id,
+  name: search.name,
+  params: search.params,
+  count,
+  unavailable: count === null,
+  lastUsedAt: search.lastUsedAt,
+  createdAt: search.createdAt,
+  updatedAt: search.updatedAt
+});
+
+/**
+ * @desc    List the requester's saved searches with how many stories each matches
+ * @route   GET /api/v1/stories/saved-searches
+ * @access  Private
+ */
+const getSavedSearches = async (req, res) => {
+  try {
+    const searches = await SavedSearch.find({ userId: req.user.id }).sort({ name: 1 });
+    const counts = await Promise.all(searches.map(search => countMatches(req, search.params)));
+
+    res.status(200).json({
+      success: true,
+      message: 'Saved searches retrieved successfully',
+      data: {
+        savedSearches: searches.map((search, index) => formatSavedSearch(search, counts[index])),
+        limit: SavedSearch.MAX_PER_USER
+      }
+    });
+  } catch (error) {
+    sendServerError(res, 'Error fetching saved searches', error);
+  }
+};
+
+/**
+ * @desc    Save a search (name plus the parameters of GET /stories/search)
+ * @route   POST /api/v1/stories/saved-searches
+ * @access  Private
+ */
+const createSavedSearch = async (req, res) => {
+  try {
+    const { name, params = {} } = req.body;
+
+    const existing = await SavedSearch.countDocuments({ userId: req.user.id });
+    if (existing >= SavedSearch.MAX_PER_USER) {
+      return res.status(400).json({
+        success: false,
+        message: `You can keep at most ${SavedSearch.MAX_PER_USER} saved searches`
+      });
+    }
+
+    if (await SavedSearch.exists({ userId: req.user.id, name: name.trim() })) {
+      return res.status(400).json({
+        success: false,
+        message: 'A saved search with this name already exists'
+      });
+    }
+
+    const search = await SavedSearch.create({
+      userId: req.user.id,
+      name,
+      params: storySearchService.pickParams(params)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Search saved successfully',
+      data: formatSavedSearch(search, await countMatches(req, search.params))
+    });
+  } catch (error) {
+    sendServerError(res, 'Error saving search', error);
+  }
+};
+
+/**
+ * @desc    Rename a saved search or replace its parameters
+ * @route   PUT /api/v1/stories/saved-searches/:id
+ * @access  Private
+ */
+const updateSavedSearch = async (req, res) => {
+  try {
+    const search = await SavedSearch.findOne({ _id: req.params.id, userId: req.user.id });
+
+    if (!search) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved search not found'
+      });
+    }
+
+    const { name, params } = req.body;
+
+    if (name !== undefined && name.trim() !== search.name) {
+      if (await SavedSearch.exists({ userId: req.user.id, name: name.trim(), _id: { $ne: search._id } })) {
+        return res.status(400).json({
+          success: false,
+          message: 'A saved search with this name already exists'
+        });
+      }
+      search.name = name;
+    }
+    if (params !== undefined) {
+      search.params = storySearchService.pickParams(params);
+    }
+
+    await search.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Saved search updated successfully',
+      data: formatSavedSearch(search, await countMatches(req, search.params))
+    });
+  } catch (error) {
+    sendServerError(res, 'Error updating saved search', error);
+  }
+};
+
+/**
+ * @desc    Delete a saved search
+ * @route   DELETE /api/v1/stories/saved-searches/:id
+ * @access  Private
+ */
+const deleteSavedSearch = async (req, res) => {
+  try {
+    const search = await SavedSearch.findOneAndDelete({ _id: req.params.id, userId: req.user.id });
+
+    if (!search) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved search not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Saved search deleted successfully',
+      data: { id: search._id }
+    });
+  } catch (error) {
+    sendServerError(res, 'Error deleting saved search', error);
+  }
+};
+
+module.exports = {
+  getSavedSearches,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch
+};
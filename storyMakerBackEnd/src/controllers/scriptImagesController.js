@@ -1,5 +1,8 @@
 const ScriptToImagesService = require('../services/scriptToImagesService');
 const asyncHandler = require('../middleware/asyncHandler');
+const mongoose = require('mongoose');
+const Story = require('../models/Story');
+const { getProviderForUser, getProviderForRequest } = require('../services/llmProviders');
 
 // Initialize script-to-images service
 const scriptToImagesService = new ScriptToImagesService();
@@ -83,6 +86,28 @@ class SSESessionManager {
 // Global session manager instance
 const sseSessionManager = new SSESessionManager();
 
+/**
+ * Save generated images to the story they were generated for, when the requester can edit it
+ * @returns {Promise<boolean>} Whether the images were saved
+ */
+const saveImagesToStory = async (storyId, userId, userType, llm, data) => {
+  if (!storyId || !mongoose.Types.ObjectId.isValid(storyId)) {
+    return false;
+  }
+
+  const story = await Story.findAccessible(storyId, userId, userType, 'edit');
+  if (!story) {
+    console.warn(`⚠️ Script images not saved: story ${storyId} not found or not editable`);
+    return false;
+  }
+
+  await scriptToImagesService.saveStoryImages(story._id, data);
+  if (llm.setStory) {
+    await llm.setStory(story._id);
+  }
+  return true;
+};
+
 /**
  * @desc    Generate images for script timeline (stream to frontend)
  * @route   POST /api/v1/script-images/generate-stream
@@ -90,11 +115,11 @@ const sseSessionManager = new SSESessionManager();
  */
 const generateScriptImagesStream = asyncHandler(async (req, res, next) => {
   // Handle both query parameters (for SSE EventSource) and body parameters (for POST initialization)
-  let script, duration, maxImagesPerMin, projectId, token, audioDuration;
+  let script, duration, maxImagesPerMin, projectId, token, audioDuration, storyId;
   
   if (req.method === 'GET') {
     // SSE EventSource request - extract from query
-    ({ script, duration: durationStr, maxImagesPerMin: maxImagesPerMinStr = '4', projectId, token, audioDuration: audioDurationStr } = req.query);
+    ({ script, duration: durationStr, maxImagesPerMin: maxImagesPerMinStr = '4', projectId, token, audioDuration: audioDurationStr, storyId } = req.query);
     duration = parseFloat(durationStr);
     maxImagesPerMin = parseInt(maxImagesPerMinStr, 10);
     audioDuration = audioDurationStr ? parseFloat(audioDurationStr) : undefined;
@@ -103,7 +128,7 @@ const generateScriptImagesStream = asyncHandler(async (req, res, next) => {
     script = decodeURIComponent(script || '');
   } else {
     // POST request - extract from body
-    ({ script, duration, maxImagesPerMin = 4, projectId, audioDuration } = req.body);
+    ({ script, duration, maxImagesPerMin = 4, projectId, audioDuration, storyId } = req.body);
     token = req.query.token || req.body.token;
   }
 
@@ -238,6 +263,11 @@ const generateScriptImagesStream = asyncHandler(async (req, res, next) => {
   }
 
   try {
+    // Query-token requests carry the decoded JWT ({ userId } or { id, type }) as req.user
+    const llm = await getProviderForUser(req.user.id || req.user.userId, req.userType || req.user.type || 'user', {
+      operation: 'script-images'
+    });
+
     // ✅ PRODUCTION FIX: Mark project as generating to prevent concurrent requests
     sseSessionManager.startGeneration(projectId, {
       userId: req.user.id || req.user.userId,
@@ -343,6 +373,7 @@ const generateScriptImagesStream = asyncHandler(async (req, res, next) => {
       maxImagesPerMin,
       projectId,
       audioDuration, // ✅ Pass audio duration to the service
+      llm,
       onImageGenerated: (imageData, progress) => {
         // Stream each image as it's generated
         res.write(`data: ${JSON.stringify({
@@ -384,10 +415,14 @@ const generateScriptImagesStream = asyncHandler(async (req, res, next) => {
       return;
     }
 
+    // Keep the images with the story they were generated for, so they are part of its export
+    const savedToStory = await saveImagesToStory(storyId, req.user.id || req.user.userId, req.userType || req.user.type || 'user', llm, result.data);
+
     // Send completion message
     res.write(`data: ${JSON.stringify({
       type: 'complete',
       projectId: result.data.projectId,
+      savedToStory,
       totalImages: result.data.totalImages,
       failedImages: result.data.failedImages,
       generatedAt: result.data.generatedAt,
@@ -417,9 +452,19 @@ const generateScriptImagesStream = asyncHandler(async (req, res, next) => {
     }
     
     if (!res.destroyed) {
+      // Failures before the stream opened (e.g. the account lookup) still answer as an SSE error event
+      if (!res.headersSent) {
+        res.writeHead(200, {
+          'Content-Type': 'text/event-stream',
+          'Cache-Control': 'no-cache'
+        });
+      }
+
       res.write(`data: ${JSON.stringify({
         type: 'error',
-        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+        error: error.statusCode && error.statusCode < 500
+          ? error.message
+          : (process.env.NODE_ENV === 'development' ? error.message : 'Internal server error')
       })}\n\n`);
       
       res.end();
@@ -438,7 +483,8 @@ const generateScriptImages = asyncHandler(async (req, res, next) => {
     duration,
     maxImagesPerMin = 4,
     projectId,
-    audioDuration // ✅ Extract audio duration from request
+    audioDuration, // ✅ Extract audio duration from request
+    storyId // Optional story to keep the images with
   } = req.body;
 
   console.log('📝 Script-to-Images generation request:', {
@@ -480,24 +526,29 @@ const generateScriptImages = asyncHandler(async (req, res, next) => {
     // Generate images and stream data to frontend
     console.log(`🎨 Starting image generation for project ${projectId}`);
     
+    const llm = await getProviderForRequest(req, { operation: 'script-images' });
     const result = await scriptToImagesService.generateScriptImages({
       script,
       duration,
       maxImagesPerMin,
       projectId,
-      audioDuration // ✅ Pass audio duration to non-streaming method
+      audioDuration, // ✅ Pass audio duration to non-streaming method
+      llm
     });
 
     if (!result.success) {
       throw new Error('Image generation failed');
     }
 
+    const savedToStory = await saveImagesToStory(storyId, req.user.id, req.userType, llm, result.data);
+
     // Send complete data package to frontend for local storage
     res.status(201).json({
       success: true,
       message: 'Script images generated successfully',
       data: {
         projectId: result.data.projectId,
+        savedToStory,
         totalImages: result.data.totalImages,
         failedImages: result.data.failedImages,
         images: result.data.images, // Contains base64 data for frontend to save
@@ -0,0 +1,466 @@
+const Series = require('../models/Series');
+const Story = require('../models/Story');
+const StoryGenerationService = require('../services/storyGenerationService');
+const SeriesService = require('../services/seriesService');
+const { getProviderForRequest } = require('../services/llmProviders');
+
+const storyGenerationService = new StoryGenerationService();
+const seriesService = new SeriesService(storyGenerationService);
+
+// Fields a request may set on a series
+const EDITABLE_FIELDS = ['name', 'description', 'storyLength', 'language', 'selectedEmotions', 'status'];
+
+/**
+ * Send a generation failure with the status mapped from the provider error
+ */
+const sendGenerationError = (res, error, message) => {
+  const mapped = storyGenerationService.mapError(error);
+
+  res.status(mapped.statusCode).json({
+    success: false,
+    message: mapped.statusCode === 500 ? message : mapped.message,
+    ...(mapped.statusCode === 500 && {
+      error: process.env.NODE_ENV === 'development' ? mapped.message : 'Internal server error'
+    })
+  });
+};
+
+/**
+ * Find one of the requester's series
+ */
+const findOwnSeries = (req) => Series.findOne({ _id: req.params.id, userId: req.user.id });
+
+/**
+ * Format an episode story for series responses
+ */
+const formatEpisode = (story) => ({
+  id: story._id,
+  episodeNumber: story.episodeNumber,
+  name: story.name,
+  headline: story.headline,
+  status: story.status,
+  wordCount: story.wordCount,
+  lengthFit: story.lengthFit,
+  version: story.version,
+  createdAt: story.createdAt
+});
+
+/**
+ * @desc    List the requester's series
+ * @route   GET /api/v1/series
+ * @access  Private
+ */
+const getSeriesList = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+
+    const query = { userId: req.user.id };
+    if (status) query.status = status;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const limitNum = parseInt(limit);
+
+    const [series, totalCount] = await Promise.all([
+      Series.find(query)
+        .sort({ updatedAt: -1 })
+        .skip(skip)
+        .limit(limitNum)
+        .select('-episodes.memoryBefore'),
+      Series.countDocuments(query)
+    ]);
+
+    const totalPages = Math.ceil(totalCount / limitNum);
+
+    res.status(200).json({
+      success: true,
+      message: 'Series retrieved successfully',
+      data: {
+        series,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount,
+          hasNextPage: parseInt(page) < totalPages,
+          hasPrevPage: parseInt(page) > 1,
+          limit: limitNum
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching series:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching series',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @desc    Create a series with its starting characters, facts and premise
+ * @route   POST /api/v1/series
+ * @access  Private
+ */
+const createSeries = async (req, res) => {
+  try {
+    const { videoStyle, characters = [], facts = [], synopsis = '' } = req.body;
+
+    const style = await storyGenerationService.resolveStyle(videoStyle, req.user.id, req.userType);
+    if (!style) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown video style: ${videoStyle}`
+      });
+    }
+
+    const series = new Series({
+      userId: req.user.id,
+      videoStyle,
+      memory: { synopsis, characters, facts }
+    });
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) series[field] = req.body[field];
+    });
+    await series.save();
+
+    console.log(`📺 Series "${series.name}" created (${series._id})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Series created successfully',
+      data: series
+    });
+  } catch (error) {
+    console.error('Error creating series:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating series',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @desc    Get a series with its memory and episodes in order
+ * @route   GET /api/v1/series/:id
+ * @access  Private
+ */
+const getSeries = async (req, res) => {
+  try {
+    const series = await findOwnSeries(req).select('-episodes.memoryBefore');
+
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: 'Series not found'
+      });
+    }
+
+    const stories = await Story.find({ _id: { $in: series.episodes.map(episode => episode.storyId) } })
+      .select('_id episodeNumber name headline status wordCount version createdAt');
+    const storiesById = new Map(stories.map(story => [story._id.toString(), story]));
+
+    const { episodes, ...rest } = series.toJSON();
+
+    res.status(200).json({
+      success: true,
+      message: 'Series retrieved successfully',
+      data: {
+        ...rest,
+        episodes: episodes.map(episode => {
+          const story = storiesById.get(episode.storyId.toString());
+          return {
+            ...(story ? formatEpisode(story) : { id: episode.storyId, missing: true }),
+            recap: episode.recap
+          };
+        })
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching series:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching series',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @desc    Update series details, episode defaults or its current memory
+ * @route   PUT /api/v1/series/:id
+ * @access  Private
+ */
+const updateSeries = async (req, res) => {
+  try {
+    const series = await findOwnSeries(req);
+
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: 'Series not found'
+      });
+    }
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) series[field] = req.body[field];
+    });
+
+    // Manual corrections to what the next episode will build on
+    const { memory } = req.body;
+    if (memory) {
+      ['synopsis', 'characters', 'facts'].forEach(field => {
+        if (memory[field] !== undefined) series.memory[field] = memory[field];
+      });
+    }
+
+    await series.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Series updated successfully',
+      data: series
+    });
+  } catch (error) {
+    console.error('Error updating series:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating series',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @desc    Delete a series (its episode stories are kept as standalone stories)
+ * @route   DELETE /api/v1/series/:id
+ * @access  Private
+ */
+const deleteSeries = async (req, res) => {
+  try {
+    const series = await findOwnSeries(req);
+
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: 'Series not found'
+      });
+    }
+
+    await Story.updateMany({ seriesId: series._id }, { $set: { seriesId: null }, $unset: { episodeNumber: 1 } });
+    await series.deleteOne();
+
+    console.log(`🗑️ Series ${series._id} deleted, ${series.episodes.length} episodes kept as stories`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Series deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting series:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting series',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @desc    Generate the next episode from the series memory
+ * @route   POST /api/v1/series/:id/episodes
+ * @access  Private
+ */
+const generateNextEpisode = async (req, res) => {
+  try {
+    const llm = await getProviderForRequest(req, { operation: 'series-episode' });
+
+    if (!storyGenerationService.isConfigured(llm)) {
+      return res.status(503).json({
+        success: false,
+        message: 'Story generation service is not configured. Please contact administrator.'
+      });
+    }
+
+    const series = await findOwnSeries(req);
+
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: 'Series not found'
+      });
+    }
+
+    if (series.status === 'completed') {
+      return res.status(400).json({
+        success: false,
+        message: 'This series is completed. Set its status back to active to add episodes.'
+      });
+    }
+
+    const claimed = await seriesService.claimGeneration(series);
+
+    if (!claimed) {
+      return res.status(409).json({
+        success: false,
+        message: 'Another part of this series is being generated. Try again once it finishes.'
+      });
+    }
+
+    const { videoIdea, storyLength, final = false } = req.body;
+
+    const result = await seriesService.generateNextEpisode({
+      series: claimed,
+      userId: req.user.id,
+      userType: req.userType,
+      llm,
+      overrides: { videoIdea, storyLength, final }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Part ${result.story.episodeNumber} generated successfully`,
+      data: {
+        episode: { ...formatEpisode(result.story), content: result.story.content },
+        memory: claimed.memory,
+        memoryUpdated: result.memoryUpdated,
+        defaultedFields: result.defaultedFields
+      },
+      usage: result.usage
+    });
+  } catch (error) {
+    console.error('Error generating series episode:', error);
+    sendGenerationError(res, error, 'Error generating episode');
+  }
+};
+
+/**
+ * @desc    Regenerate one episode from the memory it was written from
+ * @route   POST /api/v1/series/:id/episodes/:storyId/regenerate
+ * @access  Private
+ */
+const regenerateEpisode = async (req, res) => {
+  try {
+    const llm = await getProviderForRequest(req, { operation: 'series-episode', storyId: req.params.storyId });
+
+    if (!storyGenerationService.isConfigured(llm)) {
+      return res.status(503).json({
+        success: false,
+        message: 'Story generation service is not configured. Please contact administrator.'
+      });
+    }
+
+    const series = await findOwnSeries(req);
+
+    if (!series || series.getEpisodeIndex(req.params.storyId) === -1) {
+      return res.status(404).json({
+        success: false,
+        message: series ? 'Episode not found in this series' : 'Series not found'
+      });
+    }
+
+    const story = await Story.findOne({ _id: req.params.storyId, userId: req.user.id });
+
+    if (!story) {
+      return res.status(404).json({
+        success: false,
+        message: 'Story not found'
+      });
+    }
+
+    const claimed = await seriesService.claimGeneration(series);
+
+    if (!claimed) {
+      return res.status(409).json({
+        success: false,
+        message: 'Another part of this series is being generated. Try again once it finishes.'
+      });
+    }
+
+    const { videoIdea, storyLength } = req.body;
+
+    const result = await seriesService.regenerateEpisode({
+      series: claimed,
+      story,
+      userId: req.user.id,
+      userType: req.userType,
+      llm,
+      overrides: { videoIdea, storyLength }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Part ${claimed.getEpisodeIndex(story._id) + 1} regenerated as version ${story.version}`,
+      data: {
+        episode: { ...formatEpisode(result.story), content: result.story.content },
+        memoryUpdated: result.memoryUpdated,
+        laterEpisodes: result.laterEpisodes,
+        defaultedFields: result.defaultedFields
+      },
+      usage: result.usage
+    });
+  } catch (error) {
+    console.error('Error regenerating series episode:', error);
+    sendGenerationError(res, error, 'Error regenerating episode');
+  }
+};
+
+/**
+ * @desc    Reorder the episodes of a series
+ * @route   PUT /api/v1/series/:id/episodes/order
+ * @access  Private
+ */
+const reorderEpisodes = async (req, res) => {
+  try {
+    const series = await findOwnSeries(req);
+
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: 'Series not found'
+      });
+    }
+
+    const { storyIds } = req.body;
+    const current = series.episodes.map(episode => episode.storyId.toString()).sort();
+    const requested = [...new Set(storyIds.map(String))].sort();
+
+    if (requested.length !== storyIds.length || current.join() !== requested.join()) {
+      return res.status(400).json({
+        success: false,
+        message: 'storyIds must list every episode of the series exactly once'
+      });
+    }
+
+    await seriesService.reorderEpisodes(series, storyIds);
+
+    res.status(200).json({
+      success: true,
+      message: 'Episodes reordered successfully',
+      data: {
+        episodes: series.episodes.map((episode, index) => ({
+          id: episode.storyId,
+          episodeNumber: index + 1
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Error reordering episodes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error reordering episodes',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getSeriesList,
+  createSeries,
+  getSeries,
+  updateSeries,
+  deleteSeries,
+  generateNextEpisode,
+  regenerateEpisode,
+  reorderEpisodes
+};
@@ -0,0 +1,124 @@
+const Story = require('../models/Story');
+const StoryGenerationService = require('../services/storyGenerationService');
+const ScriptAnalysisService = require('../services/scriptAnalysisService');
+const { getProviderForRequest } = require('../services/llmProviders');
+
+const storyGenerationService = new StoryGenerationService();
+const scriptAnalysisService = new ScriptAnalysisService();
+
+/**
+ * Find the story and run the heuristic report against its video style
+ * @returns {Promise<Object|null>} { story, style, report }, or null after sending a 404/400 response
+ */
+const analyzeAccessibleStory = async (req, res, permission) => {
+  const story = await Story.findAccessible(req.params.id, req.user.id, req.userType, permission);
+
+  if (!story) {
+    res.status(404).json({
+      success: false,
+      message: 'Story not found'
+    });
+    return null;
+  }
+
+  if (!story.content) {
+    res.status(400).json({
+      success: false,
+      message: 'Story has no script to analyze'
+    });
+    return null;
+  }
+
+  const style = await storyGenerationService.resolveStoryStyle(story);
+
+  return { story, style, report: scriptAnalysisService.analyze(story, style) };
+};
+
+/**
+ * Response payload shared by the report and the scoring endpoint
+ */
+const formatAnalysis = ({ story, style, report }, rubric) => ({
+  id: story._id,
+  version: story.version,
+  videoStyle: story.videoStyle || null,
+  style: style ? { id: story.videoStyle, name: style.name } : null,
+  ...report,
+  rubric
+});
+
+/**
+ * Send an analysis error, surfacing provider errors (quota, key, rate limit) with their status
+ */
+const sendAnalysisError = (res, error) => {
+  console.error('Error analyzing story script:', error);
+
+  const mapped = storyGenerationService.mapError(error);
+
+  res.status(mapped.statusCode).json({
+    success: false,
+    message: mapped.statusCode === 500 ? 'Error analyzing story script' : mapped.message,
+    ...(mapped.statusCode === 500 && {
+      error: process.env.NODE_ENV === 'development' ? mapped.message : 'Internal server error'
+    })
+  });
+};
+
+/**
+ * @desc    Script quality report: readability, sentence lengths, spoken duration vs target, hook length,
+ *          repetition, filler words and whether the ending loops back, plus the last stored rubric score
+ * @route   GET /api/v1/stories/:id/analysis
+ * @access  Private
+ */
+const getStoryAnalysis = async (req, res) => {
+  try {
+    const analysis = await analyzeAccessibleStory(req, res, 'view');
+    if (!analysis) return;
+
+    res.status(200).json({
+      success: true,
+      message: 'Script analysis completed',
+      data: formatAnalysis(analysis, scriptAnalysisService.formatRubric(analysis.story))
+    });
+  } catch (error) {
+    sendAnalysisError(res, error);
+  }
+};
+
+/**
+ * @desc    Score the script against its video style with the AI rubric and store the score
+ * @route   POST /api/v1/stories/:id/analysis/rubric
+ * @access  Private
+ */
+const scoreStoryRubric = async (req, res) => {
+  try {
+    const analysis = await analyzeAccessibleStory(req, res, 'edit');
+    if (!analysis) return;
+
+    const { story, style, report } = analysis;
+    const llm = await getProviderForRequest(req, { operation: 'script-analysis', storyId: story._id });
+
+    if (!llm.isConfigured()) {
+      return res.status(503).json({
+        success: false,
+        message: 'Script scoring service is not configured. Please contact administrator.'
+      });
+    }
+
+    const { rubric, usage } = await scriptAnalysisService.scoreRubric({ llm, story, style, report });
+    console.log(`📊 Story ${story._id}: script scored ${rubric.score}/100 for ${story.videoStyle || 'no style'}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Script scored successfully',
+      data: formatAnalysis(analysis, rubric),
+      usage
+    });
+  } catch (error) {
+    sendAnalysisError(res, error);
+  }
+};
+
+module.exports = {
+  getStoryAnalysis,
+  scoreStoryRubric
+};
@@ -0,0 +1,293 @@
+const Story = require('../models/Story');
+const StoryBatch = require('../models/StoryBatch');
+const StoryGenerationService = require('../services/storyGenerationService');
+const StoryBatchService = require('../services/storyBatchService');
+const { getProviderForRequest } = require('../services/llmProviders');
+const { STORY_CREDITS } = require('../middleware/credits');
+
+const storyGenerationService = new StoryGenerationService();
+const storyBatchService = new StoryBatchService(storyGenerationService);
+
+/**
+ * Format a batch with its row counts for list and action responses
+ */
+const formatBatchSummary = (batch) => ({
+  batchId: batch._id,
+  name: batch.name,
+  status: batch.status,
+  counts: batch.counts,
+  createdAt: batch.createdAt,
+  startedAt: batch.startedAt,
+  completedAt: batch.completedAt
+});
+
+/**
+ * Load one of the requester's batches into req.batch
+ * Runs before the credit check on retry, which prices the rows that will run again.
+ */
+const loadStoryBatch = async (req, res, next) => {
+  try {
+    req.batch = await StoryBatch.findOne({ _id: req.params.batchId, userId: req.user.id });
+
+    if (!req.batch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Batch not found'
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Error fetching story batch:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching story batch',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @desc    Queue a batch of story generations from CSV or JSON rows
+ * @route   POST /api/v1/stories/batches
+ * @access  Private
+ */
+const createStoryBatch = async (req, res) => {
+  try {
+    if (!storyGenerationService.isConfigured(await getProviderForRequest(req))) {
+      return res.status(503).json({
+        success: false,
+        message: 'Story generation service is not configured. Please contact administrator.'
+      });
+    }
+
+    // Rows already passed the /generate field rules; check the styles exist for this account
+    const rows = [];
+    const errors = [];
+
+    for (const [index, body] of req.batchRows.entries()) {
+      const params = storyGenerationService.resolveParams(body);
+      const validation = await storyGenerationService.validateParams(params, { userId: req.user.id, userType: req.userType });
+
+      if (validation.isValid) {
+        rows.push(params);
+      } else {
+        errors.push({ row: index + 1, errors: validation.errors.map(message => ({ field: 'videoStyle', message, value: params.videoStyle })) });
+      }
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    const batch = await storyBatchService.enqueue(req.user.id, req.userType, rows, req.body.name);
+
+    console.log(`📦 Story batch ${batch._id} queued with ${rows.length} rows`);
+
+    res.status(202).json({
+      success: true,
+      message: `Story batch queued with ${rows.length} stories`,
+      data: {
+        ...formatBatchSummary(batch),
+        creditsRequired: rows.length * STORY_CREDITS
+      }
+    });
+  } catch (error) {
+    console.error('Error queueing story batch:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error queueing story batch',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @desc    List the requester's story batches
+ * @route   GET /api/v1/stories/batches
+ * @access  Private
+ */
+const getStoryBatches = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+
+    const query = { userId: req.user.id };
+    if (status) query.status = status;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const limitNum = parseInt(limit);
+
+    const [batches, totalCount] = await Promise.all([
+      StoryBatch.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limitNum)
+        .select('-rows.params -rows.usage'),
+      StoryBatch.countDocuments(query)
+    ]);
+
+    const totalPages = Math.ceil(totalCount / limitNum);
+
+    res.status(200).json({
+      success: true,
+      message: 'Story batches retrieved successfully',
+      data: {
+        batches: batches.map(formatBatchSummary),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount,
+          hasNextPage: parseInt(page) < totalPages,
+          hasPrevPage: parseInt(page) > 1,
+          limit: limitNum
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching story batches:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching story batches',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @desc    Get a batch with the result of every row
+ * @route   GET /api/v1/stories/batches/:batchId
+ * @access  Private
+ */
+const getStoryBatch = async (req, res) => {
+  try {
+    const { batch } = req;
+
+    const storyIds = batch.rows.filter(row => row.storyId).map(row => row.storyId);
+    const stories = await Story.find({ _id: { $in: storyIds } }).select('_id name headline status');
+    const storiesById = new Map(stories.map(story => [story._id.toString(), story]));
+
+    res.status(200).json({
+      success: true,
+      message: 'Story batch retrieved successfully',
+      data: {
+        ...formatBatchSummary(batch),
+        rows: batch.rows.map(row => {
+          const story = row.storyId && storiesById.get(row.storyId.toString());
+          return {
+            index: row.index,
+            status: row.status,
+            videoIdea: row.params.videoIdea,
+            videoStyle: row.params.videoStyle,
+            storyName: row.params.storyName,
+            storyId: row.storyId,
+            story: story ? { id: story._id, name: story.name, headline: story.headline, status: story.status } : null,
+            error: row.status === 'failed' ? row.error : null,
+            attempts: row.attempts,
+            usage: row.usage,
+            startedAt: row.startedAt,
+            completedAt: row.completedAt
+          };
+        })
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching story batch:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching story batch',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @desc    Run the failed or cancelled rows of a finished batch again
+ * @route   POST /api/v1/stories/batches/:batchId/retry
+ * @access  Private
+ */
+const retryStoryBatch = async (req, res) => {
+  try {
+    const { batch } = req;
+    const rowCount = batch.getRetryableRows(req.body.rows).length;
+
+    if (rowCount === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No failed or cancelled rows to retry'
+      });
+    }
+
+    const retried = await storyBatchService.retry(batch, req.body.rows);
+
+    if (!retried) {
+      return res.status(409).json({
+        success: false,
+        message: `Batch is still ${batch.status}; wait for it to finish or cancel it first`
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      message: `Retrying ${rowCount} row${rowCount === 1 ? '' : 's'}`,
+      data: formatBatchSummary(retried)
+    });
+  } catch (error) {
+    console.error('Error retrying story batch:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error retrying story batch',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @desc    Cancel a queued or running batch (stories already generated are kept)
+ * @route   POST /api/v1/stories/batches/:batchId/cancel
+ * @access  Private
+ */
+const cancelStoryBatch = async (req, res) => {
+  try {
+    const { batch } = req;
+    const cancelled = await storyBatchService.cancel(batch);
+
+    if (!cancelled) {
+      return res.status(409).json({
+        success: false,
+        message: `Batch has already finished with status '${batch.status}'`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Story batch cancelled',
+      data: formatBatchSummary(cancelled)
+    });
+  } catch (error) {
+    console.error('Error cancelling story batch:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error cancelling story batch',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Requeue or settle the batches a server restart left behind (run once at startup)
+ */
+const recoverStoryBatches = () => storyBatchService.recoverInterrupted();
+
+module.exports = {
+  loadStoryBatch,
+  createStoryBatch,
+  getStoryBatches,
+  getStoryBatch,
+  retryStoryBatch,
+  cancelStoryBatch,
+  recoverStoryBatches
+};
@@ -1,15 +1,70 @@
-const OpenAI = require('openai');
 const mongoose = require('mongoose');
 const Story = require('../models/Story');
-const { fillTemplate, isValidStyle, getAvailableStyles } = require('../templates/videoStyleTemplates');
+const StoryJob = require('../models/StoryJob');
+const Idea = require('../models/Idea');
+const Collection = require('../models/Collection');
+const SavedSearch = require('../models/SavedSearch');
+const StoryGenerationService = require('../services/storyGenerationService');
+const StoryJobService = require('../services/storyJobService');
+const StoryBundleService = require('../services/storyBundleService');
+const StorySearchService = require('../services/storySearchService');
+const { getProviderForRequest, getModel } = require('../services/llmProviders');
+const { diffWords } = require('../utils/wordDiff');
+const { dedupeIdeas } = require('../utils/ideaMatching');
+const { sumUsage } = require('../utils/aiCost');
+const { buildStoryExport, exportFileName } = require('../utils/storyExport');
+
+// Story generation pipeline and background job runner
+const storyGenerationService = new StoryGenerationService();
+const storyJobService = new StoryJobService(storyGenerationService);
+const storyBundleService = new StoryBundleService();
+const storySearchService = new StorySearchService();
 
-// Initialize OpenAI client only if API key is available
-let openai = null;
-if (process.env.OPENAI_API_KEY) {
-  openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY,
-  });
-}
+/**
+ * Build the response payload for a freshly generated story
+ * @param {Object} story - Saved story document
+ * @param {string[]} defaultedFields - Metadata fields that fell back to placeholder values
+ */
+const formatGeneratedStory = (story, defaultedFields = []) => ({
+  id: story._id,
+  name: story.name,
+  style: story.style,
+  videoStyle: story.videoStyle,
+  duration: story.duration,
+  formattedDuration: story.formattedDuration,
+  topic: story.topic,
+  videoIdea: story.videoIdea,
+  genre: story.genre,
+  format: story.format,
+  narrative: story.narrative,
+  ageGroup: story.ageGroup,
+  language: story.language,
+  selectedEmotions: story.selectedEmotions,
+  additionalContext: story.additionalContext,
+  characters: story.characterDetails,
+  setting: story.settingAtmosphere,
+  content: story.content,
+  headline: story.headline,
+  description: story.description,
+  summary: story.summary,
+  detailedSummary: story.detailedSummary,
+  keyScenes: story.keyScenes,
+  tags: story.tags,
+  searchPhrases: story.searchPhrases,
+  suggestions: story.suggestions,
+  dialogue: story.dialogue && story.dialogue.lines.length > 0 ? story.dialogue : null,
+  quiz: story.quiz && story.quiz.questions.length > 0 ? story.quiz : null,
+  metadata: {
+    wordCount: story.wordCount,
+    estimatedReadingTime: story.estimatedReadingTime,
+    lengthFit: story.lengthFit,
+    aspectRatio: story.aspectRatio,
+    createdAt: story.createdAt,
+    generatedBy: story.generatedBy,
+    defaultedFields
+  },
+  status: story.status
+});
 
 /**
  * @desc    Generate story using OpenAI with video style templates
@@ -17,382 +72,309 @@ if (process.env.OPENAI_API_KEY) {
  * @access  Private
  */
 const generateStory = async (req, res) => {
-  const startTime = Date.now(); // Track generation time
-  
   try {
-    // Check if OpenAI is configured
-    if (!openai) {
+    // Use the requester's own API key when their plan allows it
+    const llm = await getProviderForRequest(req, { operation: 'story-generation' });
+
+    if (!storyGenerationService.isConfigured(llm)) {
       return res.status(503).json({
         success: false,
         message: 'Story generation service is not configured. Please contact administrator.'
       });
     }
 
-    const {
-      // New video-centric fields
-      videoIdea,
-      videoStyle, // or storyStyle for backward compatibility
-      storyName,
-      selectedLanguage = 'English',
-      additionalContext = [],
-      selectedEmotions = [],
-      
-      // Legacy fields for backward compatibility
-      storyStyle,
-      language = 'English',
-      
-      // Length
-      storyLength, // in seconds
-      
-      // Optional legacy fields
-      storyTopic,
-      characterDetails,
-      settingAtmosphere,
-      selectedGenre,
-      selectedFormat,
-      selectedNarrative,
-      selectedAgeGroup
-    } = req.body;
-
-    // Determine which style to use (prioritize videoStyle over storyStyle)
-    const finalStyle = videoStyle || storyStyle;
-    const finalLanguage = selectedLanguage || language;
-    const finalVideoIdea = videoIdea || storyTopic;
+    const params = storyGenerationService.resolveParams(req.body);
+    const validation = await storyGenerationService.validateParams(params, { userId: req.user.id, userType: req.userType });
 
-    // Validate required fields
-    if (!finalStyle || !storyName || !storyLength || !finalVideoIdea) {
+    if (!validation.isValid) {
       return res.status(400).json({
         success: false,
-        message: 'Missing required fields: videoStyle (or storyStyle), storyName, storyLength, and videoIdea (or storyTopic) are required'
+        message: validation.errors.join(', ')
       });
     }
 
-    // Validate video style
-    if (!isValidStyle(finalStyle)) {
-      const availableStyles = getAvailableStyles();
-      return res.status(400).json({
-        success: false,
-        message: `Invalid video style. Available styles: ${availableStyles.map(s => s.id).join(', ')}`
-      });
-    }
+    const { story, usage, defaultedFields } = await storyGenerationService.generateStory({
+      userId: req.user.id,
+      userType: req.userType,
+      params,
+      style: validation.style,
+      llm
+    });
 
-    // Convert seconds to human readable format
-    const formatDuration = (seconds) => {
-      const hours = Math.floor(seconds / 3600);
-      const minutes = Math.floor((seconds % 3600) / 60);
-      const secs = seconds % 60;
-      
-      if (hours > 0) {
-        return `${hours}h ${minutes}m`;
-      } else if (minutes > 0) {
-        return `${minutes}m ${secs > 0 ? ` ${secs}s` : ''}`;
-      } else {
-        return `${secs}s`;
-      }
-    };
+    res.status(200).json({
+      success: true,
+      message: 'Story generated and saved successfully',
+      data: formatGeneratedStory(story, defaultedFields),
+      usage
+    });
 
-    // Calculate maximum word count based on duration and speaking speed (150 words per minute)
-    const maxWordCount = Math.floor((storyLength / 60) * 150);
-    const formattedDuration = formatDuration(storyLength);
-
-    // Format emotions array into a readable string
-    const formatEmotions = (emotions) => {
-      if (!emotions || emotions.length === 0) {
-        // Default emotions based on style
-        const defaultEmotions = {
-          redditStorytime: ['Suspense', 'Intrigue', 'Satisfaction', 'Surprise'],
-          didYouKnow: ['Curiosity', 'Wonder', 'Amazement', 'Interest'],
-          motivation: ['Inspiration', 'Hope', 'Empowerment', 'Determination'],
-          quizGame: ['Excitement', 'Challenge', 'Fun', 'Engagement'],
-          memeGoogleSearch: ['Humor', 'Relatability', 'Amusement', 'Recognition'],
-          dialogueSkit: ['Comedy', 'Relatability', 'Entertainment', 'Connection'],
-          newsExplainer: ['Understanding', 'Clarity', 'Awareness', 'Interest'],
-          lifePOV: ['Immersion', 'Emotion', 'Connection', 'Experience']
-        };
-        return (defaultEmotions[finalStyle] || ['Engagement', 'Interest', 'Connection']).join(', ');
-      }
-      return emotions.slice(0, 4).join(', '); // Limit to 4 emotions as per frontend
-    };
+  } catch (error) {
+    console.error('Error generating story:', error);
 
-    // Format additional context into a readable string
-    const formatAdditionalContext = (context) => {
-      if (!context || context.length === 0) {
-        return 'No additional context provided.';
-      }
-      return context.map((item, index) => `${index + 1}. ${item}`).join('\n');
-    };
+    // Handle specific OpenAI errors (402/401/429)
+    const mapped = storyGenerationService.mapError(error);
 
-    // Prepare template data
-    const templateData = {
-      videoIdea: finalVideoIdea,
-      storyName,
-      maxWordCount,
-      formattedDuration,
-      language: finalLanguage,
-      emotions: formatEmotions(selectedEmotions),
-      additionalContext: formatAdditionalContext(additionalContext),
-      
-      // Legacy fields for backward compatibility
-      storyTopic: finalVideoIdea,
-      characterDetails: characterDetails || '',
-      settingAtmosphere: settingAtmosphere || '',
-      selectedGenre: selectedGenre || '',
-      selectedFormat: selectedFormat || '',
-      selectedNarrative: selectedNarrative || '',
-      selectedAgeGroup: selectedAgeGroup || ''
-    };
+    res.status(mapped.statusCode).json({
+      success: false,
+      message: mapped.statusCode === 500 ? 'Error generating story' : mapped.message,
+      ...(mapped.statusCode === 500 && { error: mapped.message })
+    });
+  }
+};
 
-    // Fill the template with user data
-    const filledPrompt = fillTemplate(finalStyle, templateData);
+/**
+ * @desc    Generate story and stream the script text over Server-Sent Events
+ * @route   POST /api/v1/stories/generate/stream
+ * @access  Private
+ */
+const generateStoryStream = async (req, res) => {
+  let llm;
+  let params;
+  let validation;
+  try {
+    llm = await getProviderForRequest(req, { operation: 'story-generation' });
+    params = storyGenerationService.resolveParams(req.body);
+    validation = await storyGenerationService.validateParams(params, { userId: req.user.id, userType: req.userType });
+  } catch (error) {
+    console.error('Error preparing story stream:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error generating story',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
 
-    // Generate the story using OpenAI with gpt-4.1-nano (or fallback to available model)
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4.1-nano", // Using gpt-4o-mini as gpt-4.1-nano may not be available yet
-      messages: [
-        {
-          role: "system",
-          content: "You are a world-class content creator and storyteller who specializes in creating engaging video content across different styles and formats. You adapt your writing style perfectly to match the requested video format while maintaining high quality and audience engagement."
-        },
-        {
-          role: "user",
-          content: filledPrompt
-        }
-      ],
-      max_tokens: 12000,
-      temperature: 0.7,
+  if (!storyGenerationService.isConfigured(llm)) {
+    return res.status(503).json({
+      success: false,
+      message: 'Story generation service is not configured. Please contact administrator.'
     });
+  }
 
-    const generatedStory = completion.choices[0].message.content;
-
-    // Calculate estimated word count and reading time
-    const wordCount = generatedStory.split(' ').length;
-    const estimatedReadingTime = Math.ceil(wordCount / 150); // Average reading speed
-
-    // Generate headline, description, summary using AI
-    const metadataPrompt = `Based on this video story content and style "${finalStyle}", generate:
-
-1. HEADLINE: A compelling, catchy headline optimized for video content (max 60 characters)
-2. DESCRIPTION: A brief description perfect for video platforms (max 200 characters)
-3. SUMMARY: A concise summary of the story (max 100 words)
-4. DETAILED_SUMMARY: A detailed summary for video editing including key scenes, emotions, and visual elements (max 300 words)
-5. TAGS: 5-8 relevant tags optimized for video discovery (comma-separated)
-6. SEARCH_PHRASES: 8-12 search phrases for stock footage that match the story's scenes and mood (comma-separated)
-7. KEY_SCENES: 3-5 key visual scenes that should be highlighted in the video (comma-separated)
-
-Video Style: ${finalStyle}
-Story Content:
-${generatedStory}
-
-Format your response exactly as:
-HEADLINE: [headline here]
-DESCRIPTION: [description here]
-SUMMARY: [summary here]
-DETAILED_SUMMARY: [detailed summary here]
-TAGS: [tag1, tag2, tag3, etc.]
-SEARCH_PHRASES: [phrase1, phrase2, phrase3, etc.]
-KEY_SCENES: [scene1, scene2, scene3, etc.]`;
-
-    const metadataCompletion = await openai.chat.completions.create({
-      model: "gpt-4o-mini",
-      messages: [
-        {
-          role: "system",
-          content: "You are an expert content marketer who creates compelling headlines, descriptions, and metadata for video content across different platforms and styles."
-        },
-        {
-          role: "user",
-          content: metadataPrompt
-        }
-      ],
-      max_tokens: 800,
-      temperature: 0.5,
+  if (!validation.isValid) {
+    return res.status(400).json({
+      success: false,
+      message: validation.errors.join(', ')
     });
+  }
 
-    const metadataText = metadataCompletion.choices[0].message.content;
-    
-    // Parse the metadata response
-    const parseMetadata = (text) => {
-      const lines = text.split('\n');
-      const metadata = {};
-      
-      lines.forEach(line => {
-        if (line.startsWith('HEADLINE:')) {
-          metadata.headline = line.replace('HEADLINE:', '').trim();
-        } else if (line.startsWith('DESCRIPTION:')) {
-          metadata.description = line.replace('DESCRIPTION:', '').trim();
-        } else if (line.startsWith('SUMMARY:')) {
-          metadata.summary = line.replace('SUMMARY:', '').trim();
-        } else if (line.startsWith('DETAILED_SUMMARY:')) {
-          metadata.detailedSummary = line.replace('DETAILED_SUMMARY:', '').trim();
-        } else if (line.startsWith('TAGS:')) {
-          metadata.tags = line.replace('TAGS:', '').trim().split(',').map(tag => tag.trim());
-        } else if (line.startsWith('SEARCH_PHRASES:')) {
-          metadata.searchPhrases = line.replace('SEARCH_PHRASES:', '').trim().split(',').map(phrase => phrase.trim());
-        } else if (line.startsWith('KEY_SCENES:')) {
-          metadata.keyScenes = line.replace('KEY_SCENES:', '').trim().split(',').map(scene => scene.trim());
-        }
-      });
-      
-      return metadata;
-    };
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable nginx buffering for real-time streaming
+  });
 
-    const parsedMetadata = parseMetadata(metadataText);
+  const sendEvent = (payload) => {
+    if (!res.destroyed && !res.writableEnded) {
+      res.write(`data: ${JSON.stringify(payload)}\n\n`);
+      // Push each event through the compression middleware immediately
+      if (typeof res.flush === 'function') {
+        res.flush();
+      }
+    }
+  };
+
+  // Abort the LLM requests when the editor closes the stream early
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      console.log('🔌 Client closed story stream, aborting generation');
+      controller.abort();
+    }
+  });
 
-    // Create story in database
-    const generationTime = Date.now() - startTime;
-    
-    // Determine aspect ratio based on video style
-    const getAspectRatioFromVideoStyle = (videoStyle) => {
-      const aspectRatios = {
-        redditStorytime: 'vertical', // 9:16 for short-form storytelling
-        didYouKnow: 'vertical', // 9:16 for facts and discoveries
-        motivation: 'vertical', // 9:16 for inspirational content
-        quizGame: 'vertical', // 9:16 for interactive content
-        memeGoogleSearch: 'vertical', // 9:16 for meme content
-        dialogueSkit: 'landscape', // 16:9 for dialogue scenes
-        newsExplainer: 'landscape', // 16:9 for news content
-        lifePOV: 'square' // 1:1 for immersive POV content
-      };
-      return aspectRatios[videoStyle] || 'vertical'; // Default to vertical for shorts
-    };
-    
-    // Helper function to get aspect ratio description for metadata
-    const getAspectRatioDescription = (videoStyle) => {
-      const aspectRatios = {
-        redditStorytime: '9:16', // Vertical for mobile storytelling
-        didYouKnow: '9:16', // Vertical for social media facts
-        motivation: '9:16', // Vertical for cinematic motivation
-        quizGame: '9:16', // Vertical for interactive content
-        memeGoogleSearch: '9:16', // Vertical for meme content
-        dialogueSkit: '16:9', // Landscape for dialogue scenes
-        newsExplainer: '16:9', // Landscape for news content
-        lifePOV: '1:1' // Square for immersive POV content
-      };
-      return aspectRatios[videoStyle] || '9:16'; // Default to vertical for shorts
-    };
+  sendEvent({ type: 'init', message: 'Starting story generation...' });
 
-    // Debug logging
-    console.log('🔍 Request Debug - Video Style Processing:');
-    console.log('  📝 Raw videoStyle from request:', videoStyle);
-    console.log('  📝 Raw storyStyle from request:', storyStyle);
-    console.log('  🎯 Final style used:', finalStyle);
-    console.log('  🎬 Aspect ratio will be:', getAspectRatioFromVideoStyle(finalStyle));
-    
-    const newStory = await Story.create({
-      name: storyName,
+  try {
+    const { story, usage, defaultedFields } = await storyGenerationService.generateStory({
       userId: req.user.id,
-      style: getAspectRatioFromVideoStyle(finalStyle), // Aspect ratio based on video style
-      duration: storyLength,
-      formattedDuration: formattedDuration,
-      topic: finalVideoIdea,
-      characterDetails,
-      settingAtmosphere,
-      genre: selectedGenre,
-      format: selectedFormat,
-      narrative: selectedNarrative,
-      ageGroup: selectedAgeGroup,
-      language: finalLanguage,
-      content: generatedStory,
-      headline: parsedMetadata.headline || `${storyName} - A ${finalStyle} video`,
-      description: parsedMetadata.description || `An engaging ${finalStyle} video story about ${finalVideoIdea}`,
-      summary: parsedMetadata.summary || 'AI-generated story summary',
-      detailedSummary: parsedMetadata.detailedSummary || parsedMetadata.summary || 'AI-generated detailed summary',
-      keyScenes: parsedMetadata.keyScenes || [],
-      tags: parsedMetadata.tags || [],
-      searchPhrases: parsedMetadata.searchPhrases || [],
-      status: 'completed',
-      wordCount,
-      estimatedReadingTime,
-      aspectRatio: getAspectRatioDescription(finalStyle),
-      generationTimeMs: generationTime,
-      generatedBy: 'openai-gpt-4',
-      openaiUsage: {
-        promptTokens: completion.usage.prompt_tokens + metadataCompletion.usage.prompt_tokens,
-        completionTokens: completion.usage.completion_tokens + metadataCompletion.usage.completion_tokens,
-        totalTokens: completion.usage.total_tokens + metadataCompletion.usage.total_tokens,
-        cost: ((completion.usage.total_tokens + metadataCompletion.usage.total_tokens) * 0.00003) // Approximate cost
+      userType: req.userType,
+      params,
+      style: validation.style,
+      llm,
+      signal: controller.signal,
+      onStage: (stage) => sendEvent({ type: 'stage', stage }),
+      onToken: (text) => sendEvent({ type: 'delta', text })
+    });
+
+    sendEvent({
+      type: 'complete',
+      storyId: story._id,
+      metadata: {
+        headline: story.headline,
+        description: story.description,
+        summary: story.summary,
+        detailedSummary: story.detailedSummary,
+        keyScenes: story.keyScenes,
+        tags: story.tags,
+        searchPhrases: story.searchPhrases,
+        suggestions: story.suggestions,
+        wordCount: story.wordCount,
+        estimatedReadingTime: story.estimatedReadingTime,
+        aspectRatio: story.aspectRatio,
+        defaultedFields
       },
-      
-      // Store new fields for future reference
-      videoIdea: finalVideoIdea,
-      videoStyle: finalStyle,
-      selectedEmotions: selectedEmotions,
-      additionalContext: additionalContext
+      usage
+    });
+  } catch (error) {
+    if (controller.signal.aborted) {
+      return;
+    }
+
+    console.error('Error streaming story generation:', error);
+    const mapped = storyGenerationService.mapError(error);
+    sendEvent({
+      type: 'error',
+      code: mapped.code,
+      statusCode: mapped.statusCode,
+      error: mapped.message
     });
+  }
 
-    res.status(200).json({
+  res.end();
+};
+
+/**
+ * @desc    Queue a background story generation job
+ * @route   POST /api/v1/stories/jobs
+ * @access  Private
+ */
+const createGenerationJob = async (req, res) => {
+  try {
+    if (!storyGenerationService.isConfigured(await getProviderForRequest(req))) {
+      return res.status(503).json({
+        success: false,
+        message: 'Story generation service is not configured. Please contact administrator.'
+      });
+    }
+
+    const params = storyGenerationService.resolveParams(req.body);
+    const validation = await storyGenerationService.validateParams(params, { userId: req.user.id, userType: req.userType });
+
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: validation.errors.join(', ')
+      });
+    }
+
+    const job = await storyJobService.enqueue(req.user.id, params, req.userType);
+
+    res.status(202).json({
       success: true,
-      message: 'Story generated and saved successfully',
+      message: 'Story generation job queued',
       data: {
-        id: newStory._id,
-        name: newStory.name,
-        style: newStory.style,
-        videoStyle: finalStyle,
-        duration: newStory.duration,
-        formattedDuration: newStory.formattedDuration,
-        topic: newStory.topic,
-        videoIdea: finalVideoIdea,
-        genre: newStory.genre,
-        format: newStory.format,
-        narrative: newStory.narrative,
-        ageGroup: newStory.ageGroup,
-        language: newStory.language,
-        selectedEmotions: selectedEmotions,
-        additionalContext: additionalContext,
-        characters: newStory.characterDetails,
-        setting: newStory.settingAtmosphere,
-        content: newStory.content,
-        headline: newStory.headline,
-        description: newStory.description,
-        summary: newStory.summary,
-        detailedSummary: newStory.detailedSummary,
-        keyScenes: newStory.keyScenes,
-        tags: newStory.tags,
-        searchPhrases: newStory.searchPhrases,
-        metadata: {
-          wordCount: newStory.wordCount,
-          estimatedReadingTime: newStory.estimatedReadingTime,
-          aspectRatio: newStory.aspectRatio,
-          createdAt: newStory.createdAt,
-          generatedBy: newStory.generatedBy
-        },
-        status: newStory.status
-      },
-      usage: {
-        promptTokens: completion.usage.prompt_tokens + metadataCompletion.usage.prompt_tokens,
-        completionTokens: completion.usage.completion_tokens + metadataCompletion.usage.completion_tokens,
-        totalTokens: completion.usage.total_tokens + metadataCompletion.usage.total_tokens
+        jobId: job._id,
+        status: job.status,
+        stage: job.stage,
+        createdAt: job.createdAt
       }
     });
-
   } catch (error) {
-    console.error('Error generating story:', error);
+    console.error('Error queueing story generation job:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error queueing story generation job',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
 
-    // Handle specific OpenAI errors
-    if (error.code === 'insufficient_quota') {
-      return res.status(402).json({
+/**
+ * @desc    Get status of a story generation job
+ * @route   GET /api/v1/stories/jobs/:jobId
+ * @access  Private
+ */
+const getGenerationJob = async (req, res) => {
+  try {
+    const job = await StoryJob.findOne({
+      _id: req.params.jobId,
+      userId: req.user.id
+    }).select('-params');
+
+    if (!job) {
+      return res.status(404).json({
         success: false,
-        message: 'OpenAI API quota exceeded. Please check your billing details.'
+        message: 'Job not found'
       });
     }
 
-    if (error.code === 'invalid_api_key') {
-      return res.status(401).json({
+    // Include the generated story once the job has completed
+    let story = null;
+    if (job.status === 'completed' && job.storyId) {
+      const savedStory = await Story.findById(job.storyId);
+      story = savedStory ? formatGeneratedStory(savedStory, job.defaultedFields) : null;
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Job retrieved successfully',
+      data: {
+        jobId: job._id,
+        status: job.status,
+        stage: job.stage,
+        storyId: job.storyId,
+        story,
+        error: job.status === 'failed' ? job.error : null,
+        usage: job.usage,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        completedAt: job.completedAt
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching story generation job:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching story generation job',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @desc    Cancel a queued or running story generation job
+ * @route   DELETE /api/v1/stories/jobs/:jobId
+ * @access  Private
+ */
+const cancelGenerationJob = async (req, res) => {
+  try {
+    const job = await StoryJob.findOne({
+      _id: req.params.jobId,
+      userId: req.user.id
+    });
+
+    if (!job) {
+      return res.status(404).json({
         success: false,
-        message: 'Invalid OpenAI API key configuration'
+        message: 'Job not found'
       });
     }
 
-    if (error.code === 'rate_limit_exceeded') {
-      return res.status(429).json({
+    const cancelled = await storyJobService.cancel(job);
+
+    if (!cancelled) {
+      return res.status(409).json({
         success: false,
-        message: 'Rate limit exceeded. Please try again later.'
+        message: `Job has already finished with status '${job.status}'`
       });
     }
 
+    res.status(200).json({
+      success: true,
+      message: 'Story generation job cancelled',
+      data: {
+        jobId: cancelled._id,
+        status: cancelled.status,
+        stage: cancelled.stage
+      }
+    });
+  } catch (error) {
+    console.error('Error cancelling story generation job:', error);
     res.status(500).json({
       success: false,
-      message: 'Error generating story',
+      message: 'Error cancelling story generation job',
       error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
   }
@@ -405,20 +387,21 @@ KEY_SCENES: [scene1, scene2, scene3, etc.]`;
  */
 const getGenerationStatus = async (req, res) => {
   try {
-    // Check if OpenAI API key is configured
-    const hasApiKey = !!process.env.OPENAI_API_KEY;
+    // Check the provider this user's requests would go through
+    const llm = await getProviderForRequest(req);
     
     res.status(200).json({
       success: true,
       message: 'Story generation service status',
       data: {
-        serviceAvailable: hasApiKey,
-        openaiConfigured: hasApiKey,
-        supportedVideoStyles: getAvailableStyles(),
+        serviceAvailable: storyGenerationService.isConfigured(llm),
+        openaiConfigured: !!process.env.OPENAI_API_KEY,
+        provider: llm.name,
+        supportedVideoStyles: await storyGenerationService.listStyles(req.user.id, req.userType),
         supportedFormats: ['landscape', 'square', 'vertical'], // Legacy format support
         maxDuration: 10800, // 3 hours in seconds
         minDuration: 30, // 30 seconds
-        model: 'gpt-4o-mini',
+        model: getModel('story'),
         features: {
           videoStyleTemplates: true,
           multiLanguageSupport: true,
@@ -452,16 +435,33 @@ const getStories = async (req, res) => {
       sortOrder = 'desc',    // Sort order
       page = 1,    // Page number
       limit = 20,  // Items per page
-      includeContent = false // Whether to include full content
+      includeContent = false, // Whether to include full content
+      language,    // Filter by story language
+      groupTranslations = false, // List originals only, with their language variants nested
+      collection,  // Filter by collection id, or 'none' for unfiled stories
+      includeSubcollections = false // Include stories filed in subcollections
     } = req.query;
 
     const userId = req.user.id;
+    const grouped = groupTranslations === 'true';
 
     // Build query
     let query = { userId };
+    if (collection) {
+      query = await storySearchService.buildCollectionFilter(userId, req.userType, collection, includeSubcollections === 'true');
+
+      if (!query) {
+        return res.status(404).json({
+          success: false,
+          message: 'Collection not found'
+        });
+      }
+    }
     if (genre) query.genre = genre;
     if (style) query.style = style;
     if (status) query.status = status;
+    if (language) query.selectedLanguage = language;
+    if (grouped) query.translationOf = null;
 
     // Pagination
     const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -471,8 +471,8 @@ const getStories = async (req, res) => {
     const sortOptions = {};
     sortOptions[sortBy] = sortOrder === 'asc' ? 1 : -1;
 
-    // Select fields (exclude content by default for performance)
-    const selectFields = includeContent === 'true' ? '' : '-content';
+    // Select fields (exclude content by default for performance, version history is served separately)
+    const selectFields = includeContent === 'true' ? '-previousVersions' : '-content -previousVersions';
 
     // Execute query with pagination
     const [stories, totalCount] = await Promise.all([
@@ -484,6 +484,18 @@ const getStories = async (req, res) => {
       Story.countDocuments(query)
     ]);
 
+    let listed = stories;
+    if (grouped && stories.length > 0) {
+      const variants = await Story.find({ userId, translationOf: { $in: stories.map(story => story._id) } })
+        .select('_id translationOf selectedLanguage name headline status createdAt')
+        .sort({ selectedLanguage: 1 });
+
+      listed = stories.map(story => ({
+        ...story.toJSON(),
+        translations: variants.filter(variant => variant.translationOf.equals(story._id))
+      }));
+    }
+
     // Calculate pagination info
     const totalPages = Math.ceil(totalCount / limitNum);
     const hasNextPage = page < totalPages;
@@ -513,7 +525,7 @@ const getStories = async (req, res) => {
       success: true,
       message: 'Stories retrieved successfully',
       data: {
-        stories,
+        stories: listed,
         pagination: {
           currentPage: parseInt(page),
           totalPages,
@@ -537,6 +549,7 @@ const getStories = async (req, res) => {
           genre,
           style,
           status,
+          collection,
           sortBy,
           sortOrder
         }
@@ -559,10 +572,10 @@ const getStories = async (req, res) => {
  */
 const getStory = async (req, res) => {
   try {
-    const story = await Story.findOne({ 
-      _id: req.params.id, 
-      userId: req.user.id 
-    });
+    // Owners and collaborators with any grant can read, as can subusers the story's collection is shared with
+    const collectionGrants = await Collection.getSharedGrants(req.user.id, req.userType);
+    const collectionIds = [...collectionGrants.keys()];
+    const story = await Story.findAccessible(req.params.id, req.user.id, req.userType, 'view');
 
     if (!story) {
       return res.status(404).json({
@@ -571,10 +584,22 @@ const getStory = async (req, res) => {
       });
     }
 
+    // Language variants of the same original the requester can see, excluding this story
+    const originalId = story.translationOf || story._id;
+    const translations = await Story.find({
+      $and: [
+        { $or: [{ _id: originalId }, { translationOf: originalId }] },
+        Story.accessQuery(req.user.id, 'view', collectionIds)
+      ],
+      _id: { $ne: story._id }
+    }).select('_id selectedLanguage name headline translationOf');
+
     res.status(200).json({
       success: true,
       message: 'Story retrieved successfully',
-      data: story
+      data: story,
+      access: story.getAccessLevel(req.user.id, collectionGrants),
+      translations
     });
   } catch (error) {
     console.error('Error fetching story:', error);
@@ -593,12 +618,9 @@ const getStory = async (req, res) => {
  */
 const updateStory = async (req, res) => {
   try {
-    const { name, headline, description, summary, tags, searchPhrases } = req.body;
+    const { name, headline, description, summary, tags, searchPhrases, content, changeType } = req.body;
 
-    const story = await Story.findOne({ 
-      _id: req.params.id, 
-      userId: req.user.id 
-    });
+    const story = await Story.findAccessible(req.params.id, req.user.id, req.userType, 'edit');
 
     if (!story) {
       return res.status(404).json({
@@ -615,6 +637,11 @@ const updateStory = async (req, res) => {
     if (tags) story.tags = tags;
     if (searchPhrases) story.searchPhrases = searchPhrases;
 
+    // Content edits keep the previous content as a version
+    if (content && content !== story.content) {
+      story.updateContent(content, req.user.id, { changeType: changeType || 'manual' });
+    }
+
     await story.save();
 
     res.status(200).json({
@@ -633,7 +660,274 @@ const updateStory = async (req, res) => {
 };
 
 /**
- * @desc    Delete story
+ * @desc    List the content versions of a story
+ * @route   GET /api/v1/stories/:id/versions
+ * @access  Private
+ */
+const getStoryVersions = async (req, res) => {
+  try {
+    const story = await Story.findAccessible(req.params.id, req.user.id, req.userType, 'view',
+      'version content previousVersions userId createdAt updatedAt');
+
+    if (!story) {
+      return res.status(404).json({
+        success: false,
+        message: 'Story not found'
+      });
+    }
+
+    const countWords = (text) => (text || '').split(/\s+/).filter(Boolean).length;
+    const snapshots = [...story.previousVersions].sort((a, b) => a.version - b.version);
+
+    // Each snapshot records the edit that replaced it, which is how the next version was created
+    const createdBy = (version) => {
+      const replaced = snapshots.find(entry => entry.version === version - 1);
+      if (replaced) {
+        return {
+          createdAt: replaced.modifiedAt,
+          createdBy: replaced.modifiedBy,
+          changeType: replaced.changeType || 'manual',
+          restoredFrom: replaced.restoredFrom || null
+        };
+      }
+      return version === 1
+        ? { createdAt: story.createdAt, createdBy: story.userId, changeType: 'generated', restoredFrom: null }
+        : { createdAt: null, createdBy: null, changeType: null, restoredFrom: null };
+    };
+
+    const versions = [
+      ...snapshots.map(entry => ({
+        version: entry.version,
+        wordCount: countWords(entry.content),
+        isCurrent: false,
+        ...createdBy(entry.version)
+      })),
+      {
+        version: story.version,
+        wordCount: countWords(story.content),
+        isCurrent: true,
+        ...createdBy(story.version)
+      }
+    ].reverse(); // Newest first
+
+    res.status(200).json({
+      success: true,
+      message: 'Story versions retrieved successfully',
+      data: {
+        currentVersion: story.version,
+        versions
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching story versions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching story versions',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @desc    Word-level diff between two versions of a story
+ * @route   GET /api/v1/stories/:id/versions/diff?from=1&to=3
+ * @access  Private
+ */
+const diffStoryVersions = async (req, res) => {
+  try {
+    const story = await Story.findAccessible(req.params.id, req.user.id, req.userType, 'view',
+      'version content previousVersions');
+
+    if (!story) {
+      return res.status(404).json({
+        success: false,
+        message: 'Story not found'
+      });
+    }
+
+    // Default to comparing the previous version with the current one
+    const to = req.query.to ? parseInt(req.query.to, 10) : story.version;
+    const from = req.query.from ? parseInt(req.query.from, 10) : to - 1;
+
+    const fromContent = story.getVersionContent(from);
+    const toContent = story.getVersionContent(to);
+
+    if (fromContent === null || toContent === null) {
+      return res.status(404).json({
+        success: false,
+        message: `Version ${fromContent === null ? from : to} not found`
+      });
+    }
+
+    const { changes, stats } = diffWords(fromContent, toContent);
+
+    res.status(200).json({
+      success: true,
+      message: 'Story version diff generated successfully',
+      data: {
+        from,
+        to,
+        changes,
+        stats
+      }
+    });
+  } catch (error) {
+    console.error('Error diffing story versions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error diffing story versions',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @desc    Restore a previous version of a story (recorded as a new version)
+ * @route   POST /api/v1/stories/:id/versions/:version/restore
+ * @access  Private
+ */
+const restoreStoryVersion = async (req, res) => {
+  try {
+    const story = await Story.findAccessible(req.params.id, req.user.id, req.userType, 'edit');
+
+    if (!story) {
+      return res.status(404).json({
+        success: false,
+        message: 'Story not found'
+      });
+    }
+
+    const version = parseInt(req.params.version, 10);
+
+    if (version === story.version) {
+      return res.status(400).json({
+        success: false,
+        message: 'This version is already the current version'
+      });
+    }
+
+    const content = story.getVersionContent(version);
+    if (content === null) {
+      return res.status(404).json({
+        success: false,
+        message: `Version ${req.params.version} not found`
+      });
+    }
+
+    story.updateContent(content, req.user.id, { changeType: 'restore', restoredFrom: version });
+    await story.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Version ${version} restored as version ${story.version}`,
+      data: {
+        version: story.version,
+        restoredFrom: version,
+        content: story.content,
+        wordCount: story.wordCount
+      }
+    });
+  } catch (error) {
+    console.error('Error restoring story version:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error restoring story version',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @desc    Translate a story into linked language variants
+ * @route   POST /api/v1/stories/:id/translate
+ * @access  Private
+ */
+const translateStory = async (req, res) => {
+  try {
+    const llm = await getProviderForRequest(req, { operation: 'translation' });
+
+    if (!llm.isConfigured()) {
+      return res.status(503).json({
+        success: false,
+        message: 'Translation service is not configured. Please contact administrator.'
+      });
+    }
+
+    const source = await Story.findAccessible(req.params.id, req.user.id, req.userType, 'edit');
+
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        message: 'Story not found'
+      });
+    }
+
+    // The original and all its variants, keyed by lowercased language
+    const originalId = source.translationOf || source._id;
+    const family = await Story.find({ $or: [{ _id: originalId }, { translationOf: originalId }] })
+      .select('_id selectedLanguage');
+    const existing = new Map(family.map(story => [(story.selectedLanguage || 'English').toLowerCase(), story._id]));
+
+    const translations = [];
+    const skipped = [];
+    const failed = [];
+    let usage = sumUsage();
+
+    const languages = [...new Map(req.body.languages.map(language => [language.toLowerCase(), language])).values()];
+
+    // One at a time so a long list doesn't trip provider rate limits
+    for (const language of languages) {
+      const existingId = existing.get(language.toLowerCase());
+      if (existingId) {
+        skipped.push({ language, storyId: existingId, reason: 'A variant in this language already exists' });
+        continue;
+      }
+
+      try {
+        const result = await storyGenerationService.translateStory({ llm, source, language });
+        translations.push({
+          id: result.story._id,
+          language,
+          name: result.story.name,
+          headline: result.story.headline,
+          wordCount: result.story.wordCount
+        });
+        usage = sumUsage(usage, result.usage);
+      } catch (error) {
+        console.error(`❌ Translating story ${source._id} into ${language} failed:`, error.message);
+        failed.push({ language, error: storyGenerationService.mapError(error).message });
+      }
+    }
+
+    console.log(`🌍 Story ${source._id}: ${translations.length} translated, ${skipped.length} skipped, ${failed.length} failed`);
+
+    const statusCode = translations.length > 0 ? 201 : (failed.length > 0 ? 502 : 200);
+
+    res.status(statusCode).json({
+      success: failed.length === 0,
+      message: failed.length === 0
+        ? 'Story translated successfully'
+        : `Translation failed for: ${failed.map(item => item.language).join(', ')}`,
+      data: {
+        translationOf: originalId,
+        translations,
+        skipped,
+        failed
+      },
+      usage
+    });
+  } catch (error) {
+    console.error('Error translating story:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error translating story',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @desc    Delete story (moves it to the trash)
  * @route   DELETE /api/v1/stories/:id
  * @access  Private
  */
@@ -651,11 +945,17 @@ const deleteStory = async (req, res) => {
       });
     }
 
-    await Story.deleteOne({ _id: req.params.id });
+    // Deleting moves the story to the trash; it is purged with its files after the retention period
+    await story.moveToTrash(req.user.id);
 
     res.status(200).json({
       success: true,
-      message: 'Story deleted successfully'
+      message: `Story moved to trash. It can be restored until ${story.purgeAt.toISOString().slice(0, 10)}.`,
+      data: {
+        id: story._id,
+        deletedAt: story.deletedAt,
+        purgeAt: story.purgeAt
+      }
     });
   } catch (error) {
     console.error('Error deleting story:', error);
@@ -674,7 +974,9 @@ const deleteStory = async (req, res) => {
  */
 const generateStorySummary = async (req, res) => {
   try {
-    if (!openai) {
+    const llm = await getProviderForRequest(req, { operation: 'summary', storyId: req.params.id });
+
+    if (!llm.isConfigured()) {
       return res.status(503).json({
         success: false,
         message: 'AI service is not configured'
@@ -699,8 +1001,8 @@ ${story.content}
 
 Make it engaging and highlight the key plot points, characters, and themes.`;
 
-    const completion = await openai.chat.completions.create({
-      model: "gpt-4-turbo-preview",
+    const completion = await llm.chat({
+      model: getModel('summary'),
       messages: [
         {
           role: "system",
@@ -711,11 +1013,11 @@ Make it engaging and highlight the key plot points, characters, and themes.`;
           content: summaryPrompt
         }
       ],
-      max_tokens: 200,
-      temperature: 0.7,
+      maxTokens: 200,
+      temperature: 0.7
     });
 
-    const aiSummary = completion.choices[0].message.content.trim();
+    const aiSummary = completion.content.trim();
     
     // Update the story with the new summary
     story.summary = aiSummary;
@@ -863,57 +1165,63 @@ const createStory = async (req, res) => {
 };
 
 /**
- * @desc    Enhanced search stories with filters and pagination
- * @route   GET /api/v1/stories/search
+ * @desc    Search stories with highlighted snippets, facet counts, filters and pagination
+ * @route   GET /api/v1/stories/search?q=&videoStyle=&language=&status=&emotions=&tags=&duration=short|medium|long&savedSearch=
  * @access  Private
  */
 const searchStories = async (req, res) => {
   try {
     const {
-      q,           // Search query
-      genre,       // Filter by genre
-      style,       // Filter by style
-      ageGroup,    // Filter by age group
-      format,      // Filter by format
-      minDuration, // Minimum duration in seconds
-      maxDuration, // Maximum duration in seconds
-      sortBy = 'createdAt',  // Sort field
-      sortOrder = 'desc',    // Sort order
       page = 1,    // Page number
-      limit = 20   // Items per page
+      limit = 20,  // Items per page
+      savedSearch  // Run a saved search; other parameters override its values
     } = req.query;
 
     const userId = req.user.id;
+    let params = storySearchService.pickParams(req.query);
+
+    if (savedSearch) {
+      const saved = mongoose.Types.ObjectId.isValid(savedSearch)
+        ? await SavedSearch.findOne({ _id: savedSearch, userId })
+        : null;
+
+      if (!saved) {
+        return res.status(404).json({
+          success: false,
+          message: 'Saved search not found'
+        });
+      }
 
-    // Build search query
-    let query = { userId };
-
-    // Text search across multiple fields
-    if (q) {
-      query.$or = [
-        { name: { $regex: q, $options: 'i' } },
-        { content: { $regex: q, $options: 'i' } },
-        { headline: { $regex: q, $options: 'i' } },
-        { description: { $regex: q, $options: 'i' } },
-        { summary: { $regex: q, $options: 'i' } },
-        { tags: { $in: [new RegExp(q, 'i')] } },
-        { searchPhrases: { $in: [new RegExp(q, 'i')] } }
-      ];
+      params = { ...saved.params, ...params };
+      saved.lastUsedAt = new Date();
+      await saved.save();
     }
 
-    // Filters
-    if (genre) query.genre = genre;
-    if (style) query.style = style;
-    if (ageGroup) query.ageGroup = ageGroup;
-    if (format) query.format = format;
-
-    // Duration filters
-    if (minDuration || maxDuration) {
-      query.duration = {};
-      if (minDuration) query.duration.$gte = parseInt(minDuration);
-      if (maxDuration) query.duration.$lte = parseInt(maxDuration);
+    const {
+      q,                          // Search query
+      sortBy = 'createdAt',       // Sort field
+      sortOrder = 'desc',         // Sort order
+      collection,                 // Filter by collection id, or 'none' for unfiled stories
+      includeSubcollections       // Include stories filed in subcollections
+    } = params;
+
+    // Owner filter, or the collection's stories
+    let access = { userId };
+    if (collection) {
+      access = await storySearchService.buildCollectionFilter(userId, req.userType, collection, includeSubcollections === 'true');
+
+      if (!access) {
+        return res.status(404).json({
+          success: false,
+          message: 'Collection not found'
+        });
+      }
     }
 
+    // Text, filters and facet selections (videoStyle, language, status, emotions, tags, duration buckets)
+    const { base, facetFilters } = storySearchService.buildFilters(params);
+    const query = storySearchService.combine(access, base, facetFilters);
+
     // Pagination
     const skip = (parseInt(page) - 1) * parseInt(limit);
     const limitNum = parseInt(limit);
@@ -922,16 +1230,24 @@ const searchStories = async (req, res) => {
     const sortOptions = {};
     sortOptions[sortBy] = sortOrder === 'asc' ? 1 : -1;
 
-    // Execute query with pagination
-    const [stories, totalCount] = await Promise.all([
+    // Execute query with pagination; content is only loaded to cut snippets from
+    const [stories, totalCount, facets] = await Promise.all([
       Story.find(query)
         .sort(sortOptions)
         .skip(skip)
         .limit(limitNum)
-        .select('-content'), // Exclude full content for performance
-      Story.countDocuments(query)
+        .select(q ? '-previousVersions' : '-content -previousVersions'),
+      Story.countDocuments(query),
+      storySearchService.getFacets(access, base, facetFilters)
     ]);
 
+    const results = q
+      ? stories.map(story => {
+        const { content, ...rest } = story.toJSON();
+        return { ...rest, highlights: storySearchService.buildSnippets(story, q) };
+      })
+      : stories;
+
     // Calculate pagination info
     const totalPages = Math.ceil(totalCount / limitNum);
     const hasNextPage = page < totalPages;
@@ -941,7 +1257,8 @@ const searchStories = async (req, res) => {
       success: true,
       message: 'Stories search completed',
       data: {
-        stories,
+        stories: results,
+        facets,
         pagination: {
           currentPage: parseInt(page),
           totalPages,
@@ -952,14 +1269,10 @@ const searchStories = async (req, res) => {
         },
         filters: {
           query: q,
-          genre,
-          style,
-          ageGroup,
-          format,
-          minDuration,
-          maxDuration,
+          ...params,
           sortBy,
-          sortOrder
+          sortOrder,
+          savedSearch
         }
       }
     });
@@ -976,7 +1289,7 @@ const searchStories = async (req, res) => {
 
 /**
  * @desc    Export story in different formats
- * @route   GET /api/v1/stories/export/:id?format=json|txt|srt
+ * @route   GET /api/v1/stories/export/:id?format=json|txt|srt|bundle
  * @access  Private
  */
 const exportStory = async (req, res) => {
@@ -985,10 +1298,7 @@ const exportStory = async (req, res) => {
     const storyId = req.params.id;
     const userId = req.user.id;
 
-    const story = await Story.findOne({ 
-      _id: storyId, 
-      userId 
-    });
+    const story = await Story.findAccessible(storyId, userId, req.userType, 'view');
 
     if (!story) {
       return res.status(404).json({
@@ -997,6 +1307,32 @@ const exportStory = async (req, res) => {
       });
     }
 
+    // Bundles are streamed, so failures after the first bytes can only abort the download
+    if (format.toLowerCase() === 'bundle') {
+      if (await storyBundleService.measureBundle(story) > StoryBundleService.MAX_BUNDLE_BYTES) {
+        return res.status(413).json({
+          success: false,
+          message: 'This story\'s files are too large for one bundle (ZIP bundles are limited to 4 GB). Export the media separately.'
+        });
+      }
+
+      res.setHeader('Content-Type', 'application/zip');
+      res.setHeader('Content-Disposition', `attachment; filename="${exportFileName(story.name, 'zip')}"`);
+      res.status(200);
+
+      try {
+        await storyBundleService.writeBundle(story, res);
+      } catch (error) {
+        if (res.destroyed) {
+          console.log(`⚠️ Story bundle download for ${story._id} was aborted by the client`);
+        } else {
+          console.error('Error writing story bundle:', error);
+          res.destroy(error);
+        }
+      }
+      return;
+    }
+
     let exportData;
     let contentType;
     let fileName;
@@ -1005,7 +1341,7 @@ const exportStory = async (req, res) => {
       case 'txt':
         exportData = `${story.name}\n\n${story.content}`;
         contentType = 'text/plain';
-        fileName = `${story.name.replace(/[^a-zA-Z0-9]/g, '_')}.txt`;
+        fileName = exportFileName(story.name, 'txt');
         break;
 
       case 'srt':
@@ -1036,31 +1372,14 @@ const exportStory = async (req, res) => {
 
         exportData = srtContent;
         contentType = 'text/plain';
-        fileName = `${story.name.replace(/[^a-zA-Z0-9]/g, '_')}.srt`;
+        fileName = exportFileName(story.name, 'srt');
         break;
 
       case 'json':
       default:
-        exportData = JSON.stringify({
-          id: story._id,
-          name: story.name,
-          style: story.style,
-          duration: story.duration,
-          content: story.content,
-          headline: story.headline,
-          description: story.description,
-          summary: story.summary,
-          genre: story.genre,
-          tags: story.tags,
-          createdAt: story.createdAt,
-          metadata: {
-            wordCount: story.wordCount,
-            estimatedReadingTime: story.estimatedReadingTime,
-            aspectRatio: story.aspectRatio
-          }
-        }, null, 2);
+        exportData = JSON.stringify(buildStoryExport(story), null, 2);
         contentType = 'application/json';
-        fileName = `${story.name.replace(/[^a-zA-Z0-9]/g, '_')}.json`;
+        fileName = exportFileName(story.name, 'json');
         break;
     }
 
@@ -1132,13 +1451,13 @@ const duplicateStory = async (req, res) => {
 };
 
 /**
- * @desc    Get available video styles with descriptions
+ * @desc    Get available video styles (built-in and the account's custom styles) with descriptions
  * @route   GET /api/v1/stories/video-styles
  * @access  Private
  */
 const getVideoStyles = async (req, res) => {
   try {
-    const styles = getAvailableStyles();
+    const styles = await storyGenerationService.listStyles(req.user.id, req.userType);
     
     res.status(200).json({
       success: true,
@@ -1158,14 +1477,15 @@ const getVideoStyles = async (req, res) => {
 };
 
 /**
- * @desc    Generate video ideas for shorts using OpenAI
+ * @desc    Generate video ideas for shorts and add the new ones to the idea backlog
  * @route   POST /api/v1/stories/generate-ideas
  * @access  Private
  */
 const generateIdeas = async (req, res) => {
   try {
-    // Check if OpenAI is configured
-    if (!openai) {
+    const llm = await getProviderForRequest(req, { operation: 'ideas' });
+
+    if (!llm.isConfigured()) {
       return res.status(503).json({
         success: false,
         message: 'Ideas generation service is not configured. Please contact administrator.'
@@ -1194,33 +1514,64 @@ const generateIdeas = async (req, res) => {
       'lifePOV': 'Life POV'
     };
 
-    const styleDisplayName = videoStyleNames[videoStyle] || videoStyle;
+    // Custom styles are described by their own name and description
+    const style = videoStyleNames[videoStyle]
+      ? null
+      : await storyGenerationService.resolveStyle(videoStyle, req.user.id, req.userType);
+
+    if (!videoStyleNames[videoStyle] && !style) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown video style: ${videoStyle}`
+      });
+    }
+
+    const styleDisplayName = videoStyleNames[videoStyle] || style.name;
+    const styleDescription = style && style.description ? `\nMy video style is described as: ${style.description}` : '';
+
+    // Everything the user already has, so the new batch doesn't repeat it
+    const [backlog, stories] = await Promise.all([
+      Idea.find({ userId: req.user.id }).sort({ createdAt: -1 }).limit(1000).select('text niche videoStyle'),
+      Story.find({ userId: req.user.id }).sort({ createdAt: -1 }).limit(500).select('videoIdea topic')
+    ]);
+    const knownIdeas = [
+      ...backlog.map(idea => idea.text),
+      ...stories.map(story => story.videoIdea || story.topic).filter(Boolean)
+    ];
+
+    const recentForStyle = backlog
+      .filter(idea => idea.niche === niche && idea.videoStyle === videoStyle)
+      .slice(0, 30)
+      .map(idea => `- ${idea.text}`);
+    const avoidList = recentForStyle.length > 0
+      ? `\n\nI already have these ideas, so suggest different ones:\n${recentForStyle.join('\n')}`
+      : '';
 
     // Create the prompt for OpenAI
     const prompt = `I am about to create YouTube shorts video and instagram reels that will go viral but I need your to suggest a list of 50 video topic ideas for me based on my niche and video style.
 
 My niche is: ${niche}
-My video style is: ${styleDisplayName}
+My video style is: ${styleDisplayName}${styleDescription}
 
 The video idea must be an idea that can be fully created with AI, be short-form friendly, and hook the viewer instantly.
-Just show the list of responses, don't say or do anything else, do not add instructions`;
+Just show the list of responses, don't say or do anything else, do not add instructions${avoidList}`;
 
     console.log('🎯 Generating ideas with prompt:', prompt);
 
-    // Call OpenAI API
-    const response = await openai.chat.completions.create({
-      model: 'gpt-3.5-turbo',
+    // Call the LLM provider
+    const response = await llm.chat({
+      model: getModel('ideas'),
       messages: [
         {
           role: 'user',
           content: prompt
         }
       ],
-      max_tokens: 2000,
-      temperature: 0.8,
+      maxTokens: 2000,
+      temperature: 0.8
     });
 
-    const generatedContent = response.choices[0]?.message?.content;
+    const generatedContent = response.content;
 
     if (!generatedContent) {
       return res.status(500).json({
@@ -1229,20 +1580,26 @@ Just show the list of responses, don't say or do anything else, do not add instr
       });
     }
 
-    // Parse the response into individual ideas
-    const ideas = parseIdeasFromResponse(generatedContent);
+    // Parse the response into individual ideas and keep only the ones we haven't seen
+    const { unique, duplicates } = dedupeIdeas(parseIdeasFromResponse(generatedContent), knownIdeas);
+
+    const saved = unique.length > 0
+      ? await Idea.insertMany(unique.map(text => ({ userId: req.user.id, text, niche, videoStyle })))
+      : [];
 
-    console.log(`✅ Generated ${ideas.length} ideas for niche: ${niche}, style: ${styleDisplayName}`);
+    console.log(`✅ Generated ${saved.length} new ideas for niche: ${niche}, style: ${styleDisplayName} (${duplicates.length} duplicates skipped)`);
 
     res.status(200).json({
       success: true,
       message: 'Video ideas generated successfully',
       data: {
-        ideas,
+        ideas: saved.map(idea => idea.text),
+        backlogIdeas: saved,
+        duplicatesSkipped: duplicates.length,
         niche,
         videoStyle,
         styleDisplayName,
-        totalCount: ideas.length
+        totalCount: saved.length
       }
     });
 
@@ -1270,17 +1627,30 @@ function parseIdeasFromResponse(content) {
       return line.replace(/^\d+[\.\)\:\-\s]+/, '').trim();
     })
     .filter(line => line.length > 10) // Filter out very short lines
+    .filter(line => line.length <= 500) // Longer than an idea may be saved as (Idea.text maxlength)
     .slice(0, 50); // Limit to 50 ideas max
 
   return lines;
 }
 
+/**
+ * Requeue or fail the generation jobs a server restart left behind (run once at startup)
+ */
+const recoverGenerationJobs = () => storyJobService.recoverInterrupted();
+
 module.exports = {
   generateStory,
+  generateStoryStream,
+  createGenerationJob,
+  getGenerationJob,
+  cancelGenerationJob,
   getGenerationStatus,
   getStories,
   getStory,
   updateStory,
+  getStoryVersions,
+  diffStoryVersions,
+  restoreStoryVersion,
   deleteStory,
   generateStorySummary,
   createStory,
@@ -1288,5 +1658,7 @@ module.exports = {
   exportStory,
   duplicateStory,
   getVideoStyles,
-  generateIdeas
+  generateIdeas,
+  translateStory,
+  recoverGenerationJobs
 };
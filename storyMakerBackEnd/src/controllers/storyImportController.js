@@ -0,0 +1,130 @@
+const path = require('path');
+const multer = require('multer');
+const StoryGenerationService = require('../services/storyGenerationService');
+const StoryImportService = require('../services/storyImportService');
+const { getProviderForRequest } = require('../services/llmProviders');
+const ErrorResponse = require('../utils/errorResponse');
+
+const storyGenerationService = new StoryGenerationService();
+const storyImportService = new StoryImportService();
+
+// Most files and stories a single import may contain
+const IMPORT_MAX_FILES = 20;
+const IMPORT_MAX_STORIES = 50;
+
+// Configure multer for script uploads (.json, .md, .txt)
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 2 * 1024 * 1024, // 2MB per file
+    files: IMPORT_MAX_FILES
+  },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+    if (['.json', '.md', '.markdown', '.txt'].includes(extension) || file.mimetype.startsWith('text/')) {
+      cb(null, true);
+    } else {
+      cb(new ErrorResponse('Please upload .json, .md or .txt files', 400), false);
+    }
+  }
+});
+
+/**
+ * @desc    Import stories from exportStory JSON, Markdown with front matter or plain text
+ * @route   POST /api/v1/stories/import
+ * @access  Private
+ * @body    multipart "files" or JSON { files: [{ name, content }] }, plus optional style and generateMetadata
+ */
+const importStories = async (req, res) => {
+  try {
+    const files = req.files && req.files.length > 0
+      ? req.files.map(file => ({ name: file.originalname, content: file.buffer.toString('utf8') }))
+      : (Array.isArray(req.body.files) ? req.body.files : []);
+
+    if (files.length === 0 || files.length > IMPORT_MAX_FILES) {
+      return res.status(400).json({
+        success: false,
+        message: `Provide between 1 and ${IMPORT_MAX_FILES} files`
+      });
+    }
+
+    const generateMetadata = req.body.generateMetadata === true || req.body.generateMetadata === 'true';
+    const defaults = { style: req.body.style };
+
+    // Parse every file first so the story limit applies to the whole import
+    const records = [];
+    const failed = [];
+    files.forEach((file, fileIndex) => {
+      const fileName = (file && file.name) || `file ${fileIndex + 1}`;
+      try {
+        storyImportService.parseFile(file || {}).forEach((record, index) => {
+          records.push({ file: fileName, index, record });
+        });
+      } catch (error) {
+        failed.push({ file: fileName, error: error.message });
+      }
+    });
+
+    if (records.length > IMPORT_MAX_STORIES) {
+      return res.status(400).json({
+        success: false,
+        message: `An import may contain at most ${IMPORT_MAX_STORIES} stories (found ${records.length})`
+      });
+    }
+
+    const imported = [];
+    for (const { file, index, record } of records) {
+      try {
+        const fields = storyImportService.normalize(record, defaults);
+        let metadataFields = [];
+        let llm = null;
+
+        if (generateMetadata) {
+          const missing = storyImportService.getMissingMetadata(record, fields);
+          llm = await getProviderForRequest(req, { operation: 'story-import' });
+
+          if (missing.length > 0 && storyGenerationService.isConfigured(llm)) {
+            try {
+              const { metadata } = await storyGenerationService.generateMetadata(llm, fields.content, fields.style);
+              metadataFields = storyImportService.applyMetadata(fields, missing, metadata);
+            } catch (error) {
+              console.warn(`⚠️ Metadata pass failed for imported story "${fields.name}": ${error.message}`);
+            }
+          }
+        }
+
+        const story = await storyImportService.buildStory(fields, req.user.id).save();
+        if (llm && llm.setStory) {
+          await llm.setStory(story._id);
+        }
+        imported.push({ file, index, id: story._id, name: story.name, metadataFields });
+      } catch (error) {
+        failed.push({ file, index, error: error.message });
+      }
+    }
+
+    console.log(`📥 Imported ${imported.length} of ${records.length} stories for user ${req.user.id}`);
+
+    res.status(imported.length > 0 ? 201 : 400).json({
+      success: imported.length > 0,
+      message: `Imported ${imported.length} of ${records.length} stories`,
+      data: {
+        imported,
+        failed
+      }
+    });
+
+  } catch (error) {
+    console.error('Error importing stories:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error importing stories',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  importStories,
+  uploadImportFiles: upload.array('files', IMPORT_MAX_FILES)
+};
@@ -0,0 +1,153 @@
+const Story = require('../models/Story');
+const StoryGenerationService = require('../services/storyGenerationService');
+const QuizService = require('../services/quizService');
+const { getProviderForRequest } = require('../services/llmProviders');
+
+const storyGenerationService = new StoryGenerationService();
+const quizService = new QuizService();
+
+/**
+ * Quiz data plus its segment markers, in response shape
+ */
+const formatQuiz = (story) => ({
+  intro: story.quiz.intro || '',
+  questions: story.quiz.questions,
+  outro: story.quiz.outro || '',
+  segments: quizService.buildSegments(story.quiz, story.selectedLanguage, story.videoTimeline?.totalDuration)
+});
+
+/**
+ * @desc    Get a quiz story's questions and question/countdown/reveal markers
+ * @route   GET /api/v1/stories/:id/quiz
+ * @access  Private
+ */
+const getStoryQuiz = async (req, res) => {
+  try {
+    const story = await Story.findAccessible(req.params.id, req.user.id, req.userType, 'view',
+      'quiz selectedLanguage videoTimeline.totalDuration');
+
+    if (!story) {
+      return res.status(404).json({
+        success: false,
+        message: 'Story not found'
+      });
+    }
+
+    if (!story.quiz || story.quiz.questions.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Story has no quiz data'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Story quiz retrieved successfully',
+      data: formatQuiz(story)
+    });
+  } catch (error) {
+    console.error('Error fetching story quiz:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching story quiz',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @desc    Replace a quiz story's questions and (by default) rewrite the narration from them as a new version
+ * @route   PUT /api/v1/stories/:id/quiz
+ * @access  Private
+ */
+const updateStoryQuiz = async (req, res) => {
+  try {
+    const { questions, intro, outro, regenerateNarration = true } = req.body;
+
+    const story = await Story.findAccessible(req.params.id, req.user.id, req.userType, 'edit');
+
+    if (!story) {
+      return res.status(404).json({
+        success: false,
+        message: 'Story not found'
+      });
+    }
+
+    const style = await storyGenerationService.resolveStoryStyle(story);
+    const hasQuiz = story.quiz && story.quiz.questions.length > 0;
+
+    if (!hasQuiz && (!style || style.scriptFormat !== 'quiz')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Quiz data can only be added to quiz-style stories'
+      });
+    }
+
+    const normalized = questions.map(entry => quizService.normalizeQuestion(entry));
+    const invalid = normalized.findIndex(entry => !entry);
+    if (invalid !== -1) {
+      return res.status(400).json({
+        success: false,
+        message: `Question ${invalid + 1} needs ${QuizService.LIMITS.minOptions}-${QuizService.LIMITS.maxOptions} options and a correctIndex pointing at one of them`
+      });
+    }
+
+    let quiz = {
+      intro: intro !== undefined ? intro.trim() : story.quiz?.intro || '',
+      questions: normalized,
+      outro: outro !== undefined ? outro.trim() : story.quiz?.outro || ''
+    };
+    let usage = null;
+
+    if (regenerateNarration) {
+      const llm = await getProviderForRequest(req, { operation: 'quiz-narration', storyId: story._id });
+
+      if (!llm.isConfigured()) {
+        return res.status(503).json({
+          success: false,
+          message: 'Quiz narration service is not configured. Please contact administrator.'
+        });
+      }
+
+      ({ quiz, usage } = await quizService.writeNarration({ llm, quiz, story, style }));
+      story.updateContent(quizService.composeNarration(quiz), req.user.id, { changeType: 'ai-rewrite' });
+    }
+
+    story.quiz = quiz;
+    await story.save();
+
+    console.log(`❓ Story ${story._id}: quiz updated (${quiz.questions.length} questions${regenerateNarration ? `, narration v${story.version}` : ''})`);
+
+    res.status(200).json({
+      success: true,
+      message: regenerateNarration
+        ? `Quiz updated and narration saved as version ${story.version}`
+        : 'Quiz updated',
+      data: {
+        id: story._id,
+        version: story.version,
+        content: story.content,
+        wordCount: story.wordCount,
+        ...formatQuiz(story)
+      },
+      ...(usage && { usage })
+    });
+  } catch (error) {
+    console.error('Error updating story quiz:', error);
+
+    const mapped = storyGenerationService.mapError(error);
+
+    res.status(mapped.statusCode).json({
+      success: false,
+      message: mapped.statusCode === 500 ? 'Error updating story quiz' : mapped.message,
+      ...(mapped.statusCode === 500 && {
+        error: process.env.NODE_ENV === 'development' ? mapped.message : 'Internal server error'
+      })
+    });
+  }
+};
+
+module.exports = {
+  getStoryQuiz,
+  updateStoryQuiz
+};
@@ -0,0 +1,341 @@
+const jwt = require('jsonwebtoken');
+const Story = require('../models/Story');
+const StoryShareLink = require('../models/StoryShareLink');
+
+// Claim that separates review tokens from login tokens signed with the same secret
+const REVIEW_TOKEN_PURPOSE = 'story-review';
+const DEFAULT_EXPIRY_HOURS = 72;
+
+const getReviewSecret = () => process.env.SHARE_LINK_SECRET || process.env.JWT_SECRET;
+
+/**
+ * Format a share link for the owner's responses
+ */
+const formatShareLink = (link) => ({
+  id: link._id,
+  expiresAt: link.expiresAt,
+  revokedAt: link.revokedAt,
+  isActive: link.isActive,
+  isPasswordProtected: link.isPasswordProtected,
+  viewCount: link.viewCount,
+  lastViewedAt: link.lastViewedAt,
+  comments: link.comments,
+  createdAt: link.createdAt
+});
+
+/**
+ * Resolve a public review token to its active share link
+ * @returns {Promise<Object>} { link } or { status, message } when the link can't be used
+ */
+const resolveShareLink = async (token, password) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, getReviewSecret());
+  } catch (error) {
+    return {
+      status: error.name === 'TokenExpiredError' ? 410 : 404,
+      message: error.name === 'TokenExpiredError' ? 'This review link has expired' : 'Review link not found'
+    };
+  }
+
+  if (decoded.purpose !== REVIEW_TOKEN_PURPOSE) {
+    return { status: 404, message: 'Review link not found' };
+  }
+
+  const link = await StoryShareLink.findById(decoded.linkId).select('+password');
+
+  if (!link) {
+    return { status: 404, message: 'Review link not found' };
+  }
+
+  if (link.revokedAt) {
+    return { status: 410, message: 'This review link has been revoked' };
+  }
+
+  if (link.expiresAt <= new Date()) {
+    return { status: 410, message: 'This review link has expired' };
+  }
+
+  if (link.password) {
+    if (!password) {
+      return { status: 401, message: 'This review link is password protected', passwordRequired: true };
+    }
+    if (!(await link.comparePassword(password))) {
+      return { status: 401, message: 'Incorrect review link password', passwordRequired: true };
+    }
+  }
+
+  return { link };
+};
+
+/**
+ * Send the error response for an unusable share link
+ */
+const sendLinkError = (res, { status, message, passwordRequired }) => res.status(status).json({
+  success: false,
+  message,
+  ...(passwordRequired && { passwordRequired: true })
+});
+
+/**
+ * Timeline entries reduced to what a reviewer needs to see
+ */
+const formatReviewTimeline = (timeline) => {
+  if (!timeline || !timeline.clips || timeline.clips.length === 0) return null;
+
+  return {
+    totalDuration: timeline.totalDuration,
+    orientation: timeline.orientation,
+    clips: timeline.clips.map(clip => ({
+      type: clip.type,
+      startTime: clip.startTime,
+      endTime: clip.endTime,
+      duration: clip.duration,
+      // Photos double as their own thumbnail; video clips don't store one
+      thumbnailUrl: clip.type === 'photo' ? clip.url : null,
+      title: clip.metadata?.title
+    }))
+  };
+};
+
+/**
+ * @desc    Create an expiring public review link for a story
+ * @route   POST /api/v1/stories/:id/share-link
+ * @access  Private (owner)
+ */
+const createShareLink = async (req, res) => {
+  try {
+    const { expiresInHours = DEFAULT_EXPIRY_HOURS, password } = req.body;
+
+    const story = await Story.findOne({
+      _id: req.params.id,
+      userId: req.user.id
+    }).select('_id');
+
+    if (!story) {
+      return res.status(404).json({
+        success: false,
+        message: 'Story not found'
+      });
+    }
+
+    const hours = parseFloat(expiresInHours);
+    const link = await StoryShareLink.create({
+      storyId: story._id,
+      createdBy: req.user.id,
+      password: password || undefined,
+      expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000)
+    });
+
+    const token = jwt.sign(
+      { linkId: link._id, purpose: REVIEW_TOKEN_PURPOSE },
+      getReviewSecret(),
+      { expiresIn: Math.ceil(hours * 60 * 60) }
+    );
+
+    console.log(`🔗 Review link ${link._id} created for story ${story._id} (expires ${link.expiresAt.toISOString()})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Review link created successfully',
+      data: {
+        ...formatShareLink(link),
+        token,
+        url: `${req.protocol}://${req.get('host')}/api/v1/public/stories/${token}`
+      }
+    });
+  } catch (error) {
+    console.error('Error creating review link:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating review link',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @desc    List a story's review links with their view stats and reviewer comments
+ * @route   GET /api/v1/stories/:id/share-links
+ * @access  Private (owner)
+ */
+const getShareLinks = async (req, res) => {
+  try {
+    const story = await Story.findOne({
+      _id: req.params.id,
+      userId: req.user.id
+    }).select('_id');
+
+    if (!story) {
+      return res.status(404).json({
+        success: false,
+        message: 'Story not found'
+      });
+    }
+
+    const links = await StoryShareLink.find({ storyId: story._id })
+      .select('+password')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      message: 'Review links retrieved successfully',
+      data: {
+        links: links.map(formatShareLink)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching review links:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching review links',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @desc    Revoke a review link
+ * @route   DELETE /api/v1/stories/:id/share-links/:linkId
+ * @access  Private (owner)
+ */
+const revokeShareLink = async (req, res) => {
+  try {
+    const link = await StoryShareLink.findOne({
+      _id: req.params.linkId,
+      storyId: req.params.id,
+      createdBy: req.user.id
+    }).select('+password');
+
+    if (!link) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review link not found'
+      });
+    }
+
+    if (!link.revokedAt) {
+      link.revokedAt = new Date();
+      await link.save();
+      console.log(`🚫 Review link ${link._id} revoked`);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Review link revoked successfully',
+      data: formatShareLink(link)
+    });
+  } catch (error) {
+    console.error('Error revoking review link:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking review link',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @desc    Read-only story view for a review link
+ * @route   GET /api/v1/public/stories/:token
+ * @access  Public (password in the x-share-password header when the link has one)
+ */
+const getReviewStory = async (req, res) => {
+  try {
+    const resolved = await resolveShareLink(req.params.token, req.get('x-share-password'));
+    if (!resolved.link) {
+      return sendLinkError(res, resolved);
+    }
+
+    const { link } = resolved;
+    const story = await Story.findById(link.storyId)
+      .select('name headline description content duration videoStyle captions videoTimeline updatedAt');
+
+    if (!story) {
+      return res.status(404).json({
+        success: false,
+        message: 'Story not found'
+      });
+    }
+
+    const viewedAt = new Date();
+    await Promise.all([
+      StoryShareLink.updateOne({ _id: link._id }, { $inc: { viewCount: 1 }, $set: { lastViewedAt: viewedAt } }),
+      Story.updateOne({ _id: story._id }, { $inc: { viewCount: 1 }, $set: { lastViewedAt: viewedAt } })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Story retrieved successfully',
+      data: {
+        story: {
+          name: story.name,
+          headline: story.headline,
+          description: story.description,
+          content: story.content,
+          duration: story.duration,
+          videoStyle: story.videoStyle,
+          captions: story.captions?.captions || null,
+          timeline: formatReviewTimeline(story.videoTimeline),
+          updatedAt: story.updatedAt
+        },
+        review: {
+          expiresAt: link.expiresAt,
+          comments: link.comments
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching review story:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching story',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @desc    Leave an approve/reject comment through a review link
+ * @route   POST /api/v1/public/stories/:token/comments
+ * @access  Public (password in the x-share-password header when the link has one)
+ */
+const addReviewComment = async (req, res) => {
+  try {
+    const resolved = await resolveShareLink(req.params.token, req.get('x-share-password'));
+    if (!resolved.link) {
+      return sendLinkError(res, resolved);
+    }
+
+    const { reviewerName, decision, comment } = req.body;
+    const { link } = resolved;
+
+    link.comments.push({ reviewerName, decision, comment });
+    await link.save();
+
+    console.log(`📝 Review ${decision} left on story ${link.storyId} via link ${link._id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Review submitted successfully',
+      data: {
+        comment: link.comments[link.comments.length - 1]
+      }
+    });
+  } catch (error) {
+    console.error('Error adding review comment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error submitting review',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  createShareLink,
+  getShareLinks,
+  revokeShareLink,
+  getReviewStory,
+  addReviewComment
+};
@@ -0,0 +1,274 @@
+const Story = require('../models/Story');
+const User = require('../models/User');
+const Subuser = require('../models/Subuser');
+
+/**
+ * Find a user or subuser account by email
+ * @returns {Promise<Object|null>} { id, userType, email, name }
+ */
+const findAccountByEmail = async (email) => {
+  const user = await User.findByEmail(email);
+  if (user) {
+    return { id: user._id, userType: 'user', email: user.email, name: `${user.firstName} ${user.lastName}` };
+  }
+
+  const subuser = await Subuser.findByEmail(email);
+  if (subuser) {
+    return { id: subuser._id, userType: 'subuser', email: subuser.email, name: `${subuser.firstName} ${subuser.lastName}` };
+  }
+
+  return null;
+};
+
+/**
+ * Format a sharedWith entry for responses
+ */
+const formatCollaborator = (entry) => ({
+  userId: entry.userId,
+  userType: entry.userType,
+  email: entry.email,
+  permission: entry.permission,
+  sharedAt: entry.sharedAt
+});
+
+/**
+ * @desc    Share a story with another user or subuser by email
+ * @route   POST /api/v1/stories/:id/share
+ * @access  Private (owner)
+ */
+const shareStory = async (req, res) => {
+  try {
+    const { email, permission = 'view' } = req.body;
+
+    const story = await Story.findOne({
+      _id: req.params.id,
+      userId: req.user.id
+    });
+
+    if (!story) {
+      return res.status(404).json({
+        success: false,
+        message: 'Story not found'
+      });
+    }
+
+    const account = await findAccountByEmail(email);
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: 'No user found with that email'
+      });
+    }
+
+    if (account.id.toString() === req.user.id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot share a story with yourself'
+      });
+    }
+
+    // Sharing again with the same person updates their permission
+    const existing = story.sharedWith.find(entry => entry.userId.toString() === account.id.toString());
+    if (existing) {
+      existing.permission = permission;
+    } else {
+      story.sharedWith.push({
+        userId: account.id,
+        userType: account.userType,
+        email: account.email,
+        permission
+      });
+    }
+
+    story.isShared = true;
+    await story.save();
+
+    console.log(`🤝 Story ${story._id} shared with ${account.email} (${permission})`);
+
+    res.status(existing ? 200 : 201).json({
+      success: true,
+      message: existing ? 'Collaborator permission updated' : 'Story shared successfully',
+      data: {
+        collaborator: {
+          ...formatCollaborator(existing || story.sharedWith[story.sharedWith.length - 1]),
+          name: account.name
+        },
+        collaboratorCount: story.collaboratorCount
+      }
+    });
+  } catch (error) {
+    console.error('Error sharing story:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error sharing story',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @desc    List the collaborators of a story
+ * @route   GET /api/v1/stories/:id/share
+ * @access  Private (owner)
+ */
+const getStoryCollaborators = async (req, res) => {
+  try {
+    const story = await Story.findOne({
+      _id: req.params.id,
+      userId: req.user.id
+    }).select('sharedWith isShared');
+
+    if (!story) {
+      return res.status(404).json({
+        success: false,
+        message: 'Story not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Collaborators retrieved successfully',
+      data: {
+        isShared: story.isShared,
+        collaborators: story.sharedWith.map(formatCollaborator)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching collaborators:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching collaborators',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @desc    Revoke a collaborator's access (owners revoke anyone, collaborators can remove themselves)
+ * @route   DELETE /api/v1/stories/:id/share/:userId
+ * @access  Private
+ */
+const revokeStoryAccess = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const story = await Story.findAccessible(req.params.id, req.user.id, req.userType, 'view');
+
+    if (!story) {
+      return res.status(404).json({
+        success: false,
+        message: 'Story not found'
+      });
+    }
+
+    const isOwner = story.getAccessLevel(req.user.id) === 'owner';
+    if (!isOwner && userId !== req.user.id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the story owner can revoke other collaborators'
+      });
+    }
+
+    const entry = story.sharedWith.find(item => item.userId.toString() === userId);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collaborator not found'
+      });
+    }
+
+    story.sharedWith.pull(entry._id);
+    story.isShared = story.sharedWith.length > 0;
+    await story.save();
+
+    console.log(`🚫 Revoked access to story ${story._id} for ${entry.email || userId}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Access revoked successfully',
+      data: {
+        collaboratorCount: story.collaboratorCount
+      }
+    });
+  } catch (error) {
+    console.error('Error revoking story access:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking story access',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @desc    List stories other users have shared with the requester
+ * @route   GET /api/v1/stories/shared-with-me
+ * @access  Private
+ */
+const getSharedWithMe = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, permission } = req.query;
+
+    const grant = { userId: req.user.id };
+    if (permission) grant.permission = permission;
+    const query = { sharedWith: { $elemMatch: grant } };
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const limitNum = parseInt(limit);
+
+    const [stories, totalCount] = await Promise.all([
+      Story.find(query)
+        .sort({ updatedAt: -1 })
+        .skip(skip)
+        .limit(limitNum)
+        .select('-content -previousVersions')
+        .populate('userId', 'firstName lastName email'),
+      Story.countDocuments(query)
+    ]);
+
+    const sharedStories = stories.map(story => {
+      const { userId: owner, sharedWith, ...rest } = story.toJSON();
+      const ownGrant = sharedWith.find(entry => entry.userId.toString() === req.user.id.toString());
+
+      return {
+        ...rest,
+        owner: owner ? { id: owner._id, name: `${owner.firstName} ${owner.lastName}`, email: owner.email } : null,
+        permission: ownGrant.permission,
+        sharedAt: ownGrant.sharedAt
+      };
+    });
+
+    const totalPages = Math.ceil(totalCount / limitNum);
+
+    res.status(200).json({
+      success: true,
+      message: 'Shared stories retrieved successfully',
+      data: {
+        stories: sharedStories,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount,
+          hasNextPage: parseInt(page) < totalPages,
+          hasPrevPage: parseInt(page) > 1,
+          limit: limitNum
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching shared stories:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching shared stories',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  shareStory,
+  getStoryCollaborators,
+  revokeStoryAccess,
+  getSharedWithMe
+};
@@ -0,0 +1,212 @@
+const Story = require('../models/Story');
+const StoryTrashService = require('../services/storyTrashService');
+
+const storyTrashService = new StoryTrashService();
+
+/**
+ * Find one of the requester's trashed stories
+ */
+const findTrashedStory = (req) => Story.findOne({
+  _id: req.params.id,
+  userId: req.user.id,
+  deletedAt: { $ne: null }
+}).select('-previousVersions');
+
+/**
+ * @desc    List the requester's trashed stories with when each will be purged
+ * @route   GET /api/v1/stories/trash
+ * @access  Private
+ */
+const getTrash = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const query = { userId: req.user.id, deletedAt: { $ne: null } };
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const limitNum = parseInt(limit);
+
+    const [stories, totalCount] = await Promise.all([
+      Story.find(query)
+        .sort({ deletedAt: -1 })
+        .skip(skip)
+        .limit(limitNum)
+        .select('name headline videoStyle duration wordCount audioUrl collectionId seriesId deletedAt createdAt'),
+      Story.countDocuments(query)
+    ]);
+
+    const totalPages = Math.ceil(totalCount / limitNum);
+
+    res.status(200).json({
+      success: true,
+      message: 'Trash retrieved successfully',
+      data: {
+        stories: stories.map(story => ({
+          id: story._id,
+          name: story.name,
+          headline: story.headline,
+          videoStyle: story.videoStyle,
+          duration: story.duration,
+          wordCount: story.wordCount,
+          hasAudio: !!story.audioUrl,
+          deletedAt: story.deletedAt,
+          purgeAt: story.purgeAt,
+          createdAt: story.createdAt
+        })),
+        retentionDays: Story.TRASH_RETENTION_DAYS,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount,
+          hasNextPage: parseInt(page) < totalPages,
+          hasPrevPage: parseInt(page) > 1,
+          limit: limitNum
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching trash:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching trash',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @desc    Restore a story from the trash
+ * @route   POST /api/v1/stories/trash/:id/restore
+ * @access  Private (owner)
+ */
+const restoreStory = async (req, res) => {
+  try {
+    const story = await findTrashedStory(req);
+
+    if (!story) {
+      return res.status(404).json({
+        success: false,
+        message: 'Story not found in trash'
+      });
+    }
+
+    await storyTrashService.restore(story);
+
+    console.log(`♻️ Story ${story._id} restored from trash`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Story restored successfully',
+      data: {
+        id: story._id,
+        name: story.name,
+        collectionId: story.collectionId,
+        seriesId: story.seriesId
+      }
+    });
+  } catch (error) {
+    console.error('Error restoring story:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error restoring story',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @desc    Permanently delete a trashed story and its files (?dryRun=true only reports what would be freed)
+ * @route   DELETE /api/v1/stories/trash/:id
+ * @access  Private (owner)
+ */
+const purgeStory = async (req, res) => {
+  try {
+    const dryRun = req.query.dryRun === 'true';
+    const story = await findTrashedStory(req);
+
+    if (!story) {
+      return res.status(404).json({
+        success: false,
+        message: 'Story not found in trash'
+      });
+    }
+
+    const report = await storyTrashService.purge([story], { dryRun });
+
+    res.status(200).json({
+      success: true,
+      message: dryRun ? 'Purge report generated' : 'Story permanently deleted',
+      data: report
+    });
+  } catch (error) {
+    console.error('Error purging story:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error purging story',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @desc    Empty the requester's trash (?dryRun=true only reports what would be freed)
+ * @route   DELETE /api/v1/stories/trash
+ * @access  Private
+ */
+const emptyTrash = async (req, res) => {
+  try {
+    const dryRun = req.query.dryRun === 'true';
+
+    const stories = await Story.find({ userId: req.user.id, deletedAt: { $ne: null } })
+      .select('-previousVersions');
+
+    const report = await storyTrashService.purge(stories, { dryRun });
+
+    res.status(200).json({
+      success: true,
+      message: dryRun
+        ? 'Purge report generated'
+        : `Trash emptied: ${report.storyCount} stor${report.storyCount === 1 ? 'y' : 'ies'} permanently deleted`,
+      data: report
+    });
+  } catch (error) {
+    console.error('Error emptying trash:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error emptying trash',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @desc    Run the retention purge for every account now (?dryRun=true only reports)
+ * @route   POST /api/v1/stories/trash/purge-expired
+ * @access  Private (Admin)
+ */
+const purgeExpiredTrash = async (req, res) => {
+  try {
+    const dryRun = req.query.dryRun === 'true';
+    const report = await storyTrashService.purgeExpired({ dryRun });
+
+    res.status(200).json({
+      success: true,
+      message: dryRun ? 'Purge report generated' : `${report.storyCount} expired stor${report.storyCount === 1 ? 'y' : 'ies'} purged`,
+      data: report
+    });
+  } catch (error) {
+    console.error('Error purging expired trash:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error purging expired trash',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getTrash,
+  restoreStory,
+  purgeStory,
+  emptyTrash,
+  purgeExpiredTrash
+};
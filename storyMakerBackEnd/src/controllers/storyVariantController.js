@@ -0,0 +1,155 @@
+const Story = require('../models/Story');
+const StoryGenerationService = require('../services/storyGenerationService');
+const StoryVariantService = require('../services/storyVariantService');
+const { getProviderForRequest } = require('../services/llmProviders');
+
+const storyGenerationService = new StoryGenerationService();
+const storyVariantService = new StoryVariantService();
+
+/**
+ * Group a story's variants by type, best score first
+ */
+const groupVariants = (variants) => {
+  const sorted = [...variants].sort((a, b) => (b.score || 0) - (a.score || 0));
+  return {
+    hooks: sorted.filter(variant => variant.type === 'hook'),
+    headlines: sorted.filter(variant => variant.type === 'headline')
+  };
+};
+
+/**
+ * @desc    Generate scored alternative hooks and headlines for a story
+ * @route   POST /api/v1/stories/:id/variants
+ * @access  Private
+ */
+const generateStoryVariants = async (req, res) => {
+  try {
+    const llm = await getProviderForRequest(req, { operation: 'story-variants', storyId: req.params.id });
+
+    if (!llm.isConfigured()) {
+      return res.status(503).json({
+        success: false,
+        message: 'Variant generation service is not configured. Please contact administrator.'
+      });
+    }
+
+    const story = await Story.findAccessible(req.params.id, req.user.id, req.userType, 'edit');
+
+    if (!story) {
+      return res.status(404).json({
+        success: false,
+        message: 'Story not found'
+      });
+    }
+
+    const { count = 5, types = ['hook', 'headline'] } = req.body;
+    const style = await storyGenerationService.resolveStoryStyle(story);
+
+    const { variants, usage } = await storyVariantService.generateVariants({ llm, story, style, count, types });
+
+    console.log(`🎣 Story ${story._id}: ${variants.length} hook/headline variants generated`);
+
+    res.status(201).json({
+      success: true,
+      message: `${variants.length} variants generated`,
+      data: {
+        generated: variants.map(variant => variant._id),
+        ...groupVariants(story.variants)
+      },
+      usage
+    });
+  } catch (error) {
+    console.error('Error generating story variants:', error);
+
+    const mapped = storyGenerationService.mapError(error);
+
+    res.status(mapped.statusCode).json({
+      success: false,
+      message: mapped.statusCode === 500 ? 'Error generating story variants' : mapped.message,
+      ...(mapped.statusCode === 500 && {
+        error: process.env.NODE_ENV === 'development' ? mapped.message : 'Internal server error'
+      })
+    });
+  }
+};
+
+/**
+ * @desc    List a story's hook and headline variants, best score first
+ * @route   GET /api/v1/stories/:id/variants
+ * @access  Private
+ */
+const getStoryVariants = async (req, res) => {
+  try {
+    const story = await Story.findAccessible(req.params.id, req.user.id, req.userType, 'view', 'variants');
+
+    if (!story) {
+      return res.status(404).json({
+        success: false,
+        message: 'Story not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Story variants retrieved successfully',
+      data: groupVariants(story.variants)
+    });
+  } catch (error) {
+    console.error('Error fetching story variants:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching story variants',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * @desc    Make a variant live (hooks rewrite the opening of the content as a new version)
+ * @route   POST /api/v1/stories/:id/variants/:variantId/select
+ * @access  Private
+ */
+const selectStoryVariant = async (req, res) => {
+  try {
+    const story = await Story.findAccessible(req.params.id, req.user.id, req.userType, 'edit');
+    const variant = story && story.variants.id(req.params.variantId);
+
+    if (!variant) {
+      return res.status(404).json({
+        success: false,
+        message: story ? 'Variant not found' : 'Story not found'
+      });
+    }
+
+    await storyVariantService.selectVariant(story, variant, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: variant.type === 'hook'
+        ? `Hook applied as version ${story.version}`
+        : 'Headline applied',
+      data: {
+        id: story._id,
+        version: story.version,
+        headline: story.headline,
+        description: story.description,
+        content: story.content,
+        wordCount: story.wordCount,
+        ...groupVariants(story.variants)
+      }
+    });
+  } catch (error) {
+    console.error('Error selecting story variant:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error selecting story variant',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  generateStoryVariants,
+  getStoryVariants,
+  selectStoryVariant
+};
@@ -1,9 +1,14 @@
 const VideoService = require('../services/videoService');
+const QuizService = require('../services/quizService');
+const TimelineExportService = require('../services/timelineExportService');
 const Story = require('../models/Story');
 const asyncHandler = require('../middleware/asyncHandler');
+const { exportFileName } = require('../utils/storyExport');
 
 // Initialize video service
 const videoService = new VideoService();
+const quizService = new QuizService();
+const timelineExportService = new TimelineExportService();
 
 /**
  * @desc    Generate video timeline for a story
@@ -45,8 +50,13 @@ const generateVideoTimeline = asyncHandler(async (req, res, next) => {
     // If storyId provided, update the story with video timeline
     if (storyId) {
       try {
-        const story = await Story.findOne({ _id: storyId, userId: req.user.id });
+        const story = await Story.findAccessible(storyId, req.user.id, req.userType, 'edit');
         if (story) {
+          // Quiz stories mark where each question, countdown and reveal falls
+          if (story.quiz && story.quiz.questions.length > 0) {
+            timeline.markers = quizService.buildSegments(story.quiz, story.selectedLanguage, duration)
+              .map(({ text, ...marker }) => marker);
+          }
           story.videoTimeline = timeline;
           story.videoStatus = 'generated';
           await story.save();
@@ -95,7 +105,7 @@ const getVideoTimeline = asyncHandler(async (req, res, next) => {
   const { storyId } = req.params;
 
   try {
-    const story = await Story.findOne({ _id: storyId, userId: req.user.id });
+    const story = await Story.findAccessible(storyId, req.user.id, req.userType, 'view');
 
     if (!story) {
       return res.status(404).json({
@@ -131,6 +141,49 @@ const getVideoTimeline = asyncHandler(async (req, res, next) => {
   }
 });
 
+/**
+ * @desc    Export a story's video timeline for Final Cut Pro, Premiere/Resolve or OpenTimelineIO
+ * @route   GET /api/v1/video/timeline/:storyId/export?format=fcpxml|edl|otio
+ * @access  Private
+ */
+const exportVideoTimeline = asyncHandler(async (req, res, next) => {
+  const { storyId } = req.params;
+  const { format = 'fcpxml' } = req.query;
+
+  try {
+    const story = await Story.findAccessible(storyId, req.user.id, req.userType, 'view');
+
+    if (!story) {
+      return res.status(404).json({
+        success: false,
+        message: 'Story not found'
+      });
+    }
+
+    const timeline = story.videoTimeline;
+    if (!timeline || ((timeline.clips || []).length === 0 && (timeline.photos || []).length === 0)) {
+      return res.status(404).json({
+        success: false,
+        message: 'No video timeline found for this story'
+      });
+    }
+
+    const { content, contentType, extension } = timelineExportService.exportTimeline(story, format.toLowerCase());
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${exportFileName(story.name, extension)}"`);
+    res.status(200).send(content);
+
+  } catch (error) {
+    console.error('Error exporting video timeline:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export video timeline',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
 /**
  * @desc    Search media preview (without downloading)
  * @route   POST /api/v1/video/search-preview
@@ -289,7 +342,7 @@ const deleteVideoTimeline = asyncHandler(async (req, res, next) => {
   const { storyId } = req.params;
 
   try {
-    const story = await Story.findOne({ _id: storyId, userId: req.user.id });
+    const story = await Story.findAccessible(storyId, req.user.id, req.userType, 'edit');
 
     if (!story) {
       return res.status(404).json({
@@ -340,6 +393,7 @@ const deleteVideoTimeline = asyncHandler(async (req, res, next) => {
 module.exports = {
   generateVideoTimeline,
   getVideoTimeline,
+  exportVideoTimeline,
   searchMediaPreview,
   getVideoStatus,
   deleteVideoTimeline
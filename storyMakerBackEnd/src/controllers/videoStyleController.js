@@ -0,0 +1,193 @@
+const VideoStyle = require('../models/VideoStyle');
+const StoryGenerationService = require('../services/storyGenerationService');
+
+const storyGenerationService = new StoryGenerationService();
+
+// Fields a request may set on a custom style (the key is fixed once created)
+const EDITABLE_FIELDS = ['name', 'description', 'template', 'defaultEmotions', 'aspectRatio', 'metadataPrompt', 'scriptFormat'];
+
+/**
+ * Format a custom style for responses
+ */
+const formatVideoStyle = (style) => ({
+  id: style.key,
+  name: style.name,
+  description: style.description || '',
+  template: style.template,
+  defaultEmotions: style.defaultEmotions,
+  aspectRatio: style.aspectRatio,
+  metadataPrompt: style.metadataPrompt || null,
+  scriptFormat: style.scriptFormat || 'narration',
+  isCustom: true,
+  createdBy: style.createdBy,
+  createdAt: style.createdAt,
+  updatedAt: style.updatedAt
+});
+
+/**
+ * Send 400 for schema validation failures, 500 otherwise
+ */
+const sendStyleError = (res, error, message) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: Object.values(error.errors).map(item => ({
+        field: item.path,
+        message: item.message,
+        value: item.value
+      }))
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+  });
+};
+
+/**
+ * Find one of the requester's account styles by key
+ */
+const findAccountStyle = async (req) => {
+  const accountId = await storyGenerationService.getStyleAccountId(req.user.id, req.userType);
+  return accountId ? VideoStyle.findOne({ accountId, key: req.params.styleId }) : null;
+};
+
+/**
+ * @desc    Create a custom video style for the account
+ * @route   POST /api/v1/stories/video-styles
+ * @access  Private
+ */
+const createVideoStyle = async (req, res) => {
+  try {
+    const accountId = await storyGenerationService.getStyleAccountId(req.user.id, req.userType);
+
+    const existing = await VideoStyle.findOne({ accountId, key: req.body.key });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: `A video style with the key "${req.body.key}" already exists`
+      });
+    }
+
+    const style = new VideoStyle({
+      accountId,
+      createdBy: req.user.id,
+      createdByType: req.userType,
+      key: req.body.key
+    });
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) style[field] = req.body[field];
+    });
+    await style.save();
+
+    console.log(`🎨 Custom video style "${style.key}" created for account ${accountId}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Video style created successfully',
+      data: formatVideoStyle(style)
+    });
+  } catch (error) {
+    console.error('Error creating video style:', error);
+    sendStyleError(res, error, 'Error creating video style');
+  }
+};
+
+/**
+ * @desc    Get a custom video style, including its template
+ * @route   GET /api/v1/stories/video-styles/:styleId
+ * @access  Private
+ */
+const getVideoStyle = async (req, res) => {
+  try {
+    const style = await findAccountStyle(req);
+
+    if (!style) {
+      return res.status(404).json({
+        success: false,
+        message: 'Video style not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Video style retrieved successfully',
+      data: formatVideoStyle(style)
+    });
+  } catch (error) {
+    console.error('Error fetching video style:', error);
+    sendStyleError(res, error, 'Error fetching video style');
+  }
+};
+
+/**
+ * @desc    Update a custom video style
+ * @route   PUT /api/v1/stories/video-styles/:styleId
+ * @access  Private
+ */
+const updateVideoStyle = async (req, res) => {
+  try {
+    const style = await findAccountStyle(req);
+
+    if (!style) {
+      return res.status(404).json({
+        success: false,
+        message: 'Video style not found'
+      });
+    }
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) style[field] = req.body[field];
+    });
+    await style.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Video style updated successfully',
+      data: formatVideoStyle(style)
+    });
+  } catch (error) {
+    console.error('Error updating video style:', error);
+    sendStyleError(res, error, 'Error updating video style');
+  }
+};
+
+/**
+ * @desc    Delete a custom video style (stories already generated with it keep their content)
+ * @route   DELETE /api/v1/stories/video-styles/:styleId
+ * @access  Private
+ */
+const deleteVideoStyle = async (req, res) => {
+  try {
+    const style = await findAccountStyle(req);
+
+    if (!style) {
+      return res.status(404).json({
+        success: false,
+        message: 'Video style not found'
+      });
+    }
+
+    await style.deleteOne();
+
+    console.log(`🗑️ Custom video style "${style.key}" deleted`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Video style deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting video style:', error);
+    sendStyleError(res, error, 'Error deleting video style');
+  }
+};
+
+module.exports = {
+  createVideoStyle,
+  getVideoStyle,
+  updateVideoStyle,
+  deleteVideoStyle
+};
@@ -1,9 +1,14 @@
+const mongoose = require('mongoose');
 const MurfAiService = require('../services/murfAiService');
+const DialogueService = require('../services/dialogueService');
+const Story = require('../models/Story');
 const asyncHandler = require('../middleware/asyncHandler');
 const ErrorResponse = require('../utils/errorResponse');
+const { trackUsage } = require('../services/aiUsageService');
 const multer = require('multer');
 const path = require('path');
-const OpenAI = require('openai');
+
+const dialogueService = new DialogueService();
 
 // Initialize services after environment variables are loaded
 let murfAiService;
@@ -16,10 +21,16 @@ function getVoiceService() {
   return murfAiService;
 }
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
+// Voice service that records each synthesis as AI usage for this request
+function getTrackedVoiceService(req, operation, storyId = null) {
+  return trackUsage(getVoiceService(), {
+    userId: req.user.id,
+    userType: req.userType,
+    operation,
+    storyId,
+    credits: req.creditsUsed || 0
+  });
+}
 
 // Configure multer for audio file uploads
 const storage = multer.memoryStorage();
@@ -124,7 +135,7 @@ const generateSpeech = asyncHandler(async (req, res, next) => {
     
     let audioBuffer;
     try {
-      audioBuffer = await getVoiceService().generateSpeech({
+      audioBuffer = await getTrackedVoiceService(req, 'voice-generation').generateSpeech({
         text: text,
         voiceId: voiceId,
         voiceSettings: validatedSettings
@@ -323,9 +334,22 @@ const generateStoryVoice = asyncHandler(async (req, res, next) => {
       outputFormat = 'mp3'
     } = req.body;
 
-    // TODO: Fetch story content from database
-    // For now, we'll expect the content to be provided in the request
-    const { content } = req.body;
+    // Owners and collaborators with edit access can voice a story
+    const story = mongoose.isValidObjectId(storyId)
+      ? await Story.findAccessible(storyId, req.user.id, req.userType, 'edit')
+      : null;
+
+    if (!story) {
+      return next(new ErrorResponse('Story not found', 404));
+    }
+
+    // Dialogue scripts are voiced line by line with each speaker's voice, unless edited content is sent
+    if (!req.body.content && story.dialogue && story.dialogue.lines.length > 0) {
+      return generateDialogueVoice(req, res, next, story);
+    }
+
+    // Content from the request (e.g. unsaved edits) takes precedence over the stored script
+    const content = req.body.content || story.content;
 
     if (!content) {
       return next(new ErrorResponse('Story content is required', 400));
@@ -347,7 +371,7 @@ const generateStoryVoice = asyncHandler(async (req, res, next) => {
     // Step 2: Generate speech with Murf AI using optimized content
     console.log('🎙️ Generating story voice with Murf AI...');
     
-    const audioBuffer = await getVoiceService().generateSpeech({
+    const audioBuffer = await getTrackedVoiceService(req, 'story-voice', story._id).generateSpeech({
       text: content,
       voiceId: voiceId,
       voiceSettings: validatedSettings
@@ -386,6 +410,110 @@ const generateStoryVoice = asyncHandler(async (req, res, next) => {
   }
 });
 
+/**
+ * Voice a dialogue story line by line and save the stitched track (generateStoryVoice for dialogue scripts)
+ * `voiceId` from the body is used for speakers that have no voice of their own.
+ */
+const generateDialogueVoice = async (req, res, next, story) => {
+  const { voiceId, voiceSettings } = req.body;
+
+  const unvoiced = dialogueService.unvoicedSpeakers(story);
+  if (unvoiced.length > 0 && !voiceId) {
+    return next(new ErrorResponse(`No voice assigned to speaker(s): ${unvoiced.join(', ')}. Assign voices or send a fallback voiceId.`, 400));
+  }
+
+  const characters = story.dialogue.lines.reduce((sum, line) => sum + line.text.length, 0);
+  if (characters > 20000) {
+    return next(new ErrorResponse('Story content is too long. Maximum 20,000 characters allowed.', 400));
+  }
+
+  console.log(`🎙️ Generating dialogue voice for story ${story._id}: ${story.dialogue.lines.length} lines, ${story.dialogue.speakers.length} speakers`);
+
+  const track = await dialogueService.renderVoice({
+    story,
+    voiceService: getTrackedVoiceService(req, 'story-voice', story._id),
+    fallbackVoiceId: voiceId,
+    voiceSettings: voiceSettings || {}
+  });
+
+  const filename = `story_${story._id}_dialogue_${Date.now()}.${track.format}`;
+  await getVoiceService().saveAudioFile(track.buffer, filename);
+
+  story.audioUrl = `/uploads/audio/${filename}`;
+  await story.save();
+
+  console.log(`✅ Dialogue voice generated: ${track.duration}s`);
+
+  res.status(200).json({
+    success: true,
+    message: 'Dialogue voice generated successfully',
+    data: {
+      storyId: story._id,
+      audioUrl: story.audioUrl,
+      filename,
+      format: track.format,
+      size: track.buffer.length,
+      duration: track.duration,
+      speakers: story.dialogue.speakers.map(speaker => ({
+        speakerId: speaker.speakerId,
+        name: speaker.name,
+        voiceId: speaker.voiceId || voiceId
+      })),
+      lines: track.lines,
+      generatedAt: new Date().toISOString()
+    }
+  });
+};
+
+/**
+ * @desc    Assign voices to the speakers of a dialogue story
+ * @route   PUT /api/v1/voice/story/:storyId/speakers
+ * @access  Private
+ */
+const assignSpeakerVoices = asyncHandler(async (req, res, next) => {
+  try {
+    const { storyId } = req.params;
+
+    const story = mongoose.isValidObjectId(storyId)
+      ? await Story.findAccessible(storyId, req.user.id, req.userType, 'edit')
+      : null;
+
+    if (!story) {
+      return next(new ErrorResponse('Story not found', 404));
+    }
+
+    if (!story.dialogue || story.dialogue.speakers.length === 0) {
+      return next(new ErrorResponse('Story has no dialogue speakers', 400));
+    }
+
+    const speakers = req.body.speakers.map(({ speakerId, voiceId, voiceSettings }) => ({
+      speakerId,
+      voiceId,
+      voiceSettings: voiceSettings && getVoiceService().validateVoiceSettings(voiceSettings)
+    }));
+
+    const unknown = dialogueService.assignVoices(story, speakers);
+    if (unknown.length > 0) {
+      return next(new ErrorResponse(`Unknown speaker(s): ${unknown.join(', ')}`, 400));
+    }
+
+    await story.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Speaker voices updated',
+      data: {
+        storyId: story._id,
+        speakers: story.dialogue.speakers,
+        unvoiced: dialogueService.unvoicedSpeakers(story)
+      }
+    });
+  } catch (error) {
+    console.error('Speaker voice assignment error:', error);
+    return next(new ErrorResponse(error.message, 500));
+  }
+});
+
 /**
  * @desc    Process user uploaded audio
  * @route   POST /api/v1/voice/upload
@@ -464,7 +592,7 @@ const generateSpeechBlob = asyncHandler(async (req, res, next) => {
     
     let audioBuffer;
     try {
-      audioBuffer = await getVoiceService().generateSpeech({
+      audioBuffer = await getTrackedVoiceService(req, 'voice-generation').generateSpeech({
         text: text,
         voiceId: voiceId,
         voiceSettings: validatedSettings
@@ -584,8 +712,8 @@ const serveAudioFile = asyncHandler(async (req, res) => {
     // Check if file exists
     await fs.access(audioFilePath);
     
-    // Set appropriate headers for audio file
-    res.setHeader('Content-Type', 'audio/mpeg');
+    // Set appropriate headers for audio file (stitched dialogue tracks can be WAV)
+    res.setHeader('Content-Type', path.extname(filename).toLowerCase() === '.wav' ? 'audio/wav' : 'audio/mpeg');
     res.setHeader('Accept-Ranges', 'bytes');
     res.setHeader('Cache-Control', 'public, max-age=31536000'); // Cache for 1 year
     
@@ -608,6 +736,7 @@ module.exports = {
   cloneVoice,
   getSubscription,
   generateStoryVoice,
+  assignSpeakerVoices,
   uploadUserAudio,
   serveAudioFile,
   upload // Export multer middleware
@@ -2,6 +2,80 @@ const User = require('../models/User');
 const Subuser = require('../models/Subuser');
 const ErrorResponse = require('../utils/errorResponse');
 
+// Credits charged for each story the AI writes, by every generation path (single, job, batch row, series episode)
+const STORY_CREDITS = 10;
+
+/**
+ * Charge credits to an account (subusers spend their owner's credits)
+ * @param {string} userId - User or subuser id
+ * @param {string} userType - 'user' or 'subuser'
+ * @param {number} creditCost - Number of credits to deduct
+ * @returns {Promise<number>} Credits actually deducted (0 for business plans using their own API keys)
+ * @throws {ErrorResponse} 404 if the account is missing, 400 if the charge is refused (e.g. insufficient credits)
+ */
+const useCreditsForUser = async (userId, userType, creditCost) => {
+  if (userType === 'subuser') {
+    const subuser = await Subuser.findById(userId);
+    if (!subuser) {
+      throw new ErrorResponse('Subuser not found', 404);
+    }
+
+    try {
+      await subuser.useOwnerCredits(creditCost);
+    } catch (error) {
+      throw new ErrorResponse(error.message, 400);
+    }
+    return creditCost;
+  }
+
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new ErrorResponse('User not found', 404);
+  }
+
+  // Business plans with API keys have unlimited credits
+  if (user.subscription.features.canConnectOwnAPI && 
+      (user.apiKeys.openAI || user.apiKeys.elevenLabs)) {
+    return 0;
+  }
+
+  try {
+    await user.useCredits(creditCost);
+  } catch (error) {
+    throw new ErrorResponse(error.message, 400);
+  }
+  return creditCost;
+};
+
+/**
+ * Give back credits charged by useCreditsForUser for work that did not complete
+ * @param {string} userId - User or subuser id
+ * @param {string} userType - 'user' or 'subuser'
+ * @param {number} credits - Credits returned by useCreditsForUser
+ */
+const refundCreditsForUser = async (userId, userType, credits) => {
+  if (!credits) return;
+
+  let accountId = userId;
+  if (userType === 'subuser') {
+    const subuser = await Subuser.findByIdAndUpdate(userId, { $inc: { 'creditUsage.used': -credits } });
+    if (!subuser) return;
+    accountId = subuser.ownerId;
+  }
+
+  // Business plans with API keys were not charged (subusers only track their usage)
+  const owner = await User.findById(accountId);
+  if (!owner || (owner.subscription.features.canConnectOwnAPI &&
+      (owner.apiKeys.openAI || owner.apiKeys.elevenLabs))) {
+    return;
+  }
+
+  await User.updateOne(
+    { _id: owner._id },
+    { $inc: { 'subscription.credits.used': -credits, 'subscription.credits.remaining': credits } }
+  );
+};
+
 /**
  * Middleware to deduct credits for API operations
  * @param {number} creditCost - Number of credits to deduct
@@ -10,43 +84,12 @@ const ErrorResponse = require('../utils/errorResponse');
 const deductCredits = (creditCost) => {
   return async (req, res, next) => {
     try {
-      if (req.userType === 'subuser') {
-        // Handle subuser credit usage
-        const subuser = await Subuser.findById(req.user.id);
-        if (!subuser) {
-          return next(new ErrorResponse('Subuser not found', 404));
-        }
-        
-        try {
-          await subuser.useOwnerCredits(creditCost);
-          req.creditsUsed = creditCost;
-          next();
-        } catch (error) {
-          return next(new ErrorResponse(error.message, 400));
-        }
-      } else {
-        // Handle main user credit usage
-        const user = await User.findById(req.user.id);
-        if (!user) {
-          return next(new ErrorResponse('User not found', 404));
-        }
-        
-        // Business plans with API keys have unlimited credits
-        if (user.subscription.features.canConnectOwnAPI && 
-            (user.apiKeys.openAI || user.apiKeys.elevenLabs)) {
-          req.creditsUsed = 0; // No credits deducted for business with own API
-          return next();
-        }
-        
-        try {
-          await user.useCredits(creditCost);
-          req.creditsUsed = creditCost;
-          next();
-        } catch (error) {
-          return next(new ErrorResponse(error.message, 400));
-        }
-      }
+      req.creditsUsed = await useCreditsForUser(req.user.id, req.userType, creditCost);
+      next();
     } catch (error) {
+      if (error instanceof ErrorResponse) {
+        return next(error);
+      }
       return next(new ErrorResponse('Error processing credit usage', 500));
     }
   };
@@ -54,12 +97,14 @@ const deductCredits = (creditCost) => {
 
 /**
  * Middleware to check if user has sufficient credits before operation
- * @param {number} creditCost - Number of credits required
+ * @param {number|Function} creditCost - Number of credits required, or (req) => number for request-dependent costs
  * @returns {Function} Express middleware
  */
 const checkCredits = (creditCost) => {
   return async (req, res, next) => {
     try {
+      const required = typeof creditCost === 'function' ? creditCost(req) : creditCost;
+
       if (req.userType === 'subuser') {
         // Check owner's credits for subuser
         const subuser = await Subuser.findById(req.user.id).populate('ownerId');
@@ -75,7 +120,7 @@ const checkCredits = (creditCost) => {
           return next();
         }
         
-        if (owner.subscription.credits.remaining < creditCost) {
+        if (owner.subscription.credits.remaining < required) {
           return next(new ErrorResponse('Insufficient credits in owner account', 402));
         }
       } else {
@@ -91,7 +136,7 @@ const checkCredits = (creditCost) => {
           return next();
         }
         
-        if (user.subscription.credits.remaining < creditCost) {
+        if (user.subscription.credits.remaining < required) {
           return next(new ErrorResponse('Insufficient credits', 402));
         }
       }
@@ -104,31 +149,49 @@ const checkCredits = (creditCost) => {
 };
 
 /**
- * Get user's effective API keys (their own or owner's for subusers)
- * @param {Object} req - Express request object
+ * Get a user's effective API keys (their own or owner's for subusers)
+ * Keys the account has not set fall back to the platform keys.
+ * @param {string} userId - User or subuser id
+ * @param {string} userType - 'user' or 'subuser'
  * @returns {Object} API keys object
  */
-const getEffectiveAPIKeys = async (req) => {
-  if (req.userType === 'subuser') {
-    const subuser = await Subuser.findById(req.user.id).populate('ownerId');
-    if (subuser && subuser.ownerId && subuser.ownerId.subscription.features.canConnectOwnAPI) {
-      return subuser.ownerId.apiKeys;
-    }
+const getEffectiveAPIKeysForUser = async (userId, userType) => {
+  const keySelection = '+apiKeys.openAI +apiKeys.elevenLabs';
+  let account = null;
+
+  if (userType === 'subuser') {
+    const subuser = await Subuser.findById(userId).populate({
+      path: 'ownerId',
+      select: keySelection
+    });
+    account = subuser && subuser.ownerId;
   } else {
-    const user = await User.findById(req.user.id);
-    if (user && user.subscription.features.canConnectOwnAPI) {
-      return user.apiKeys;
-    }
+    account = await User.findById(userId).select(keySelection);
   }
-  
+
+  const ownKeys = account && account.subscription.features.canConnectOwnAPI
+    ? account.apiKeys || {}
+    : {};
+
   return {
-    openAI: process.env.OPENAI_API_KEY,
-    elevenLabs: process.env.ELEVENLABS_API_KEY
+    openAI: ownKeys.openAI || process.env.OPENAI_API_KEY,
+    elevenLabs: ownKeys.elevenLabs || process.env.ELEVENLABS_API_KEY
   };
 };
 
+/**
+ * Get user's effective API keys (their own or owner's for subusers)
+ * @param {Object} req - Express request object
+ * @returns {Object} API keys object
+ */
+const getEffectiveAPIKeys = (req) => getEffectiveAPIKeysForUser(req.user.id, req.userType);
+
 module.exports = {
+  STORY_CREDITS,
   deductCredits,
   checkCredits,
-  getEffectiveAPIKeys
+  useCreditsForUser,
+  refundCreditsForUser,
+  getEffectiveAPIKeys,
+  getEffectiveAPIKeysForUser
 };
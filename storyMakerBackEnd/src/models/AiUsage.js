@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+
+// One record per external AI call (chat, transcription, image, speech)
+const aiUsageSchema = new mongoose.Schema({
+  // User or subuser who made the call
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  userType: {
+    type: String,
+    enum: ['user', 'subuser'],
+    default: 'user'
+  },
+  storyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Story',
+    default: null
+  },
+  // What the call was for, e.g. story-generation, captions, story-voice
+  operation: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  model: String,
+  units: {
+    inputTokens: Number,
+    outputTokens: Number,
+    audioSeconds: Number,
+    images: Number,
+    characters: Number
+  },
+  variant: String, // Image "quality:size"
+  cost: {
+    type: Number, // USD from the pricing table
+    default: 0
+  },
+  // False when a unit had no price or could not be measured; cost then undercounts
+  priced: {
+    type: Boolean,
+    default: true
+  },
+  // Made with the account's own API key, so not platform spend
+  ownKey: {
+    type: Boolean,
+    default: false
+  },
+  // Credits the request charged, recorded once per request on its first call
+  credits: {
+    type: Number,
+    default: 0
+  },
+  // Set when the call failed; failed calls carry no units
+  error: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+aiUsageSchema.index({ userId: 1, createdAt: -1 });
+aiUsageSchema.index({ storyId: 1, createdAt: -1 });
+
+// Static method to total cost, units and credits for the records matching a filter
+aiUsageSchema.statics.rollup = async function(match) {
+  const totals = {
+    _id: null,
+    calls: { $sum: 1 },
+    cost: { $sum: '$cost' },
+    platformCost: { $sum: { $cond: ['$ownKey', 0, '$cost'] } },
+    credits: { $sum: '$credits' },
+    unpricedCalls: { $sum: { $cond: ['$priced', 0, 1] } },
+    failedCalls: { $sum: { $cond: [{ $gt: ['$error', null] }, 1, 0] } },
+    inputTokens: { $sum: '$units.inputTokens' },
+    outputTokens: { $sum: '$units.outputTokens' },
+    audioSeconds: { $sum: '$units.audioSeconds' },
+    images: { $sum: '$units.images' },
+    characters: { $sum: '$units.characters' }
+  };
+
+  const [result] = await this.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        totals: [{ $group: totals }],
+        byOperation: [
+          { $group: { ...totals, _id: '$operation' } },
+          { $sort: { cost: -1 } }
+        ],
+        byModel: [
+          { $group: { ...totals, _id: { provider: '$provider', model: '$model' } } },
+          { $sort: { cost: -1 } }
+        ]
+      }
+    }
+  ]);
+
+  const shape = ({ _id, ...entry }) => ({
+    ...entry,
+    cost: Math.round(entry.cost * 1e6) / 1e6,
+    platformCost: Math.round(entry.platformCost * 1e6) / 1e6,
+    // Real spend behind each credit charged, to compare against credit prices
+    costPerCredit: entry.credits > 0 ? Math.round((entry.platformCost / entry.credits) * 1e6) / 1e6 : null
+  });
+
+  return {
+    totals: result.totals[0] ? shape(result.totals[0]) : shape({
+      calls: 0, cost: 0, platformCost: 0, credits: 0, unpricedCalls: 0, failedCalls: 0,
+      inputTokens: 0, outputTokens: 0, audioSeconds: 0, images: 0, characters: 0
+    }),
+    byOperation: result.byOperation.map(entry => ({ operation: entry._id, ...shape(entry) })),
+    byModel: result.byModel.map(entry => ({ provider: entry._id.provider, model: entry._id.model, ...shape(entry) }))
+  };
+};
+
+module.exports = mongoose.model('AiUsage', aiUsageSchema);
@@ -0,0 +1,192 @@
+const mongoose = require('mongoose');
+const ErrorResponse = require('../utils/errorResponse');
+
+// Collections nest at most this deep (a top-level collection has depth 1)
+const MAX_DEPTH = 5;
+
+const collectionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Collection name is required'],
+    trim: true,
+    maxlength: [60, 'Collection name cannot exceed 60 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  color: {
+    type: String,
+    match: [/^#[0-9a-fA-F]{6}$/, 'Color must be a hex color like #3B82F6'],
+    default: '#6B7280'
+  },
+
+  // Nesting: the direct parent and every collection above it, root first
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Collection',
+    default: null
+  },
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Collection'
+  }],
+
+  // Subusers of the owner who can see the collection, its subcollections and their stories
+  sharedWith: [{
+    _id: false,
+    subuserId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Subuser',
+      required: true
+    },
+    permission: {
+      type: String,
+      enum: ['view', 'edit'],
+      default: 'view'
+    },
+    sharedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+collectionSchema.index({ userId: 1, parentId: 1, name: 1 });
+collectionSchema.index({ ancestors: 1 });
+collectionSchema.index({ 'sharedWith.subuserId': 1 });
+
+// Virtual for nesting depth
+collectionSchema.virtual('depth').get(function() {
+  return this.ancestors.length + 1;
+});
+
+// Static method to get the collections shared with a subuser, subcollections included
+// Returns a Map of collection id -> permission (empty for main accounts); a grant on a parent covers everything below it.
+collectionSchema.statics.getSharedGrants = async function(subuserId, userType = 'subuser') {
+  if (userType !== 'subuser') {
+    return new Map();
+  }
+
+  const shared = await this.find({ 'sharedWith.subuserId': subuserId }).select('_id sharedWith');
+  if (shared.length === 0) {
+    return new Map();
+  }
+
+  const grants = new Map();
+  shared.forEach(collection => {
+    const entry = collection.sharedWith.find(grant => grant.subuserId.toString() === subuserId.toString());
+    grants.set(collection._id.toString(), entry.permission);
+  });
+
+  // A direct grant wins; otherwise the closest shared ancestor's grant applies
+  const descendants = await this.find({ ancestors: { $in: shared.map(collection => collection._id) } }).select('_id ancestors');
+  descendants
+    .filter(collection => !grants.has(collection._id.toString()))
+    .forEach(collection => {
+      const sharedAncestor = [...collection.ancestors].reverse().find(id => shared.some(entry => entry._id.equals(id)));
+      grants.set(collection._id.toString(), grants.get(sharedAncestor.toString()));
+    });
+
+  return grants;
+};
+
+// Static method to list the ids of collections shared with the requester at a permission (none for main accounts)
+collectionSchema.statics.getSharedIds = async function(userId, userType = 'user', permission = 'view') {
+  const grants = await this.getSharedGrants(userId, userType);
+  return [...grants.entries()]
+    .filter(([, grant]) => permission === 'view' || grant === 'edit')
+    .map(([id]) => new mongoose.Types.ObjectId(id));
+};
+
+// Static method to find a collection the requester owns or (for subusers) has been granted
+// Resolves to { collection, access } where access is 'owner', 'edit' or 'view', or null
+collectionSchema.statics.findAccessible = async function(collectionId, userId, userType = 'user', permission = 'view') {
+  const collection = await this.findById(collectionId);
+  if (!collection) {
+    return null;
+  }
+
+  if (collection.userId.toString() === userId.toString()) {
+    return { collection, access: 'owner' };
+  }
+
+  if (userType !== 'subuser') {
+    return null;
+  }
+
+  const grants = await this.getSharedGrants(userId);
+  const access = grants.get(collection._id.toString());
+  if (!access || (permission === 'edit' && access !== 'edit')) {
+    return null;
+  }
+
+  return { collection, access };
+};
+
+// Instance method to get the ids of this collection and (optionally) everything below it
+collectionSchema.methods.getTreeIds = async function(includeSubcollections = true) {
+  if (!includeSubcollections) {
+    return [this._id];
+  }
+
+  const descendants = await this.constructor.find({ ancestors: this._id }).distinct('_id');
+  return [this._id, ...descendants];
+};
+
+// Instance method to move the collection under another parent (null for top level), keeping the subtree's ancestors in step
+// Throws a 400 ErrorResponse when the move would create a cycle or nest deeper than MAX_DEPTH.
+collectionSchema.methods.moveTo = async function(parent) {
+  if (parent && (parent._id.equals(this._id) || parent.ancestors.some(id => id.equals(this._id)))) {
+    throw new ErrorResponse('A collection cannot be moved into itself or one of its subcollections', 400);
+  }
+
+  const descendants = await this.constructor.find({ ancestors: this._id }).select('_id ancestors');
+  const subtreeHeight = descendants.reduce((height, descendant) => {
+    const below = descendant.ancestors.length - descendant.ancestors.findIndex(id => id.equals(this._id));
+    return Math.max(height, below);
+  }, 0);
+  const newAncestors = parent ? [...parent.ancestors, parent._id] : [];
+
+  if (newAncestors.length + 1 + subtreeHeight > MAX_DEPTH) {
+    throw new ErrorResponse(`Collections can be nested at most ${MAX_DEPTH} levels deep`, 400);
+  }
+
+  this.parentId = parent ? parent._id : null;
+  this.ancestors = newAncestors;
+  await this.save();
+
+  if (descendants.length > 0) {
+    await this.constructor.bulkWrite(descendants.map(descendant => {
+      const below = descendant.ancestors.slice(descendant.ancestors.findIndex(id => id.equals(this._id)));
+      return {
+        updateOne: {
+          filter: { _id: descendant._id },
+          update: { ancestors: [...newAncestors, ...below] }
+        }
+      };
+    }));
+  }
+
+  return this;
+};
+
+collectionSchema.statics.MAX_DEPTH = MAX_DEPTH;
+
+// Ensure virtual fields are serialized
+collectionSchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Collection', collectionSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const ideaSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  text: {
+    type: String,
+    required: [true, 'Idea text is required'],
+    trim: true,
+    maxlength: [500, 'Idea cannot exceed 500 characters']
+  },
+  niche: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Niche cannot exceed 100 characters']
+  },
+  // Built-in or custom style key the idea was generated for
+  videoStyle: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['new', 'shortlisted', 'used', 'rejected'],
+    default: 'new'
+  },
+
+  // Set once a story has been generated from the idea
+  storyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Story',
+    default: null
+  },
+  usedAt: Date
+}, {
+  timestamps: true
+});
+
+ideaSchema.index({ userId: 1, status: 1, createdAt: -1 });
+ideaSchema.index({ userId: 1, niche: 1, videoStyle: 1 });
+
+// Static method to mark an idea used by a generated story
+ideaSchema.statics.markUsed = function(ideaId, userId, storyId) {
+  return this.updateOne(
+    { _id: ideaId, userId },
+    { status: 'used', storyId, usedAt: new Date() }
+  );
+};
+
+module.exports = mongoose.model('Idea', ideaSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// Most saved searches one account may keep
+const MAX_PER_USER = 50;
+
+const savedSearchSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Saved search name is required'],
+    trim: true,
+    maxlength: [60, 'Saved search name cannot exceed 60 characters']
+  },
+
+  // Search parameters as sent to GET /stories/search (q, facet selections, filters, sort)
+  params: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  lastUsedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+savedSearchSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+savedSearchSchema.statics.MAX_PER_USER = MAX_PER_USER;
+
+// Ensure virtual fields are serialized
+savedSearchSchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('SavedSearch', savedSearchSchema);
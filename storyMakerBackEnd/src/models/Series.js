@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+
+// Continuity memory shared by a series and the snapshots kept per episode
+const memorySchema = new mongoose.Schema({
+  synopsis: {
+    type: String,
+    maxlength: 5000,
+    default: ''
+  },
+  characters: [{
+    name: {
+      type: String,
+      required: true,
+      maxlength: 100
+    },
+    description: {
+      type: String,
+      maxlength: 500
+    }
+  }],
+  facts: [{
+    type: String,
+    maxlength: 300
+  }]
+}, { _id: false });
+
+const seriesSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 40
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Defaults used for every episode
+  videoStyle: {
+    type: String,
+    required: true
+  },
+  storyLength: {
+    type: Number,
+    min: 30,
+    max: 10800,
+    default: 60
+  },
+  language: {
+    type: String,
+    default: 'English'
+  },
+  selectedEmotions: [String],
+
+  // Memory after the latest episode (what the next episode builds on)
+  memory: {
+    type: memorySchema,
+    default: () => ({})
+  },
+
+  // Episodes in series order
+  episodes: [{
+    storyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Story',
+      required: true
+    },
+    // Memory the episode was written from, reused when it is regenerated
+    memoryBefore: memorySchema,
+    // One or two sentence recap used in "previously on" context
+    recap: {
+      type: String,
+      maxlength: 1000
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  status: {
+    type: String,
+    enum: ['active', 'completed'],
+    default: 'active'
+  },
+
+  // Set while an episode is being written, so concurrent requests can't write the same part
+  generatingAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+seriesSchema.index({ userId: 1, updatedAt: -1 });
+
+// Virtual for episode count
+seriesSchema.virtual('episodeCount').get(function() {
+  return this.episodes.length;
+});
+
+// Instance method to find an episode's position (0-based) by story id
+seriesSchema.methods.getEpisodeIndex = function(storyId) {
+  return this.episodes.findIndex(episode => episode.storyId.toString() === storyId.toString());
+};
+
+// Ensure virtual fields are serialized
+seriesSchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Series', seriesSchema);
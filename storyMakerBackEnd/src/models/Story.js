@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 
+// Days a deleted story stays in the trash before it is purged with its assets
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+
 const storySchema = new mongoose.Schema({
   name: {
     type: String,
@@ -60,6 +63,102 @@ const storySchema = new mongoose.Schema({
   keyScenes: [String], // Key visual scenes for video production
   tags: [String],
   searchPhrases: [String],
+
+  // A/B candidates for the opening line and the title; the selected ones are live in content/headline
+  variants: [{
+    type: {
+      type: String,
+      enum: ['hook', 'headline'],
+      required: true
+    },
+    text: {
+      type: String, // Hook sentence or headline
+      required: true
+    },
+    description: String, // Headline variants only
+    score: Number,
+    scoreBreakdown: {
+      length: Number,
+      curiosity: Number,
+      question: Number,
+      number: Number
+    },
+    isOriginal: {
+      type: Boolean,
+      default: false
+    },
+    selected: {
+      type: Boolean,
+      default: false
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Dialogue-style stories: the script split into speakers and ordered lines, voiced per speaker
+  dialogue: {
+    speakers: [{
+      _id: false,
+      speakerId: {
+        type: String, // Stable key used by lines, e.g. "A"
+        required: true
+      },
+      name: String, // Label as written in the script, e.g. "Person A"
+      description: String, // Who they are and how they sound
+      voiceId: String,
+      voiceSettings: mongoose.Schema.Types.Mixed
+    }],
+    lines: [{
+      _id: false,
+      speakerId: {
+        type: String,
+        required: true
+      },
+      text: {
+        type: String,
+        required: true
+      },
+      delivery: String, // Optional note on how to say it, e.g. "sarcastic"
+      // Position in the last stitched voice track, in seconds
+      startTime: Number,
+      endTime: Number
+    }]
+  },
+
+  // Quiz-style stories: question cards and the narration spans that ask and reveal them
+  quiz: {
+    intro: String,
+    questions: [{
+      _id: false,
+      question: {
+        type: String,
+        required: true
+      },
+      options: [String], // 2-4 choices
+      correctIndex: {
+        type: Number,
+        required: true
+      },
+      explanation: String,
+      thinkTimeSeconds: {
+        type: Number, // Countdown shown between asking and revealing
+        default: 5
+      },
+      askNarration: String,
+      revealNarration: String
+    }],
+    outro: String
+  },
+
+  // Publishing suggestions the model writes after the script (kept out of content)
+  suggestions: {
+    title: String,
+    description: String,
+    tags: [String],
+    stockFootageTerms: [String]
+  },
   
   // Audio/Voice related fields
   voiceType: {
@@ -93,6 +192,18 @@ const storySchema = new mongoose.Schema({
       default: 'landscape'
     },
     coverage: Number, // Percentage of duration covered
+    // Quiz stories: where each question, countdown and reveal sits on the timeline
+    markers: [{
+      _id: false,
+      type: {
+        type: String,
+        enum: ['intro', 'question', 'countdown', 'reveal', 'outro']
+      },
+      questionIndex: Number,
+      label: String,
+      startTime: Number,
+      endTime: Number
+    }],
     clips: [{
       id: String,
       type: {
@@ -165,8 +276,9 @@ const storySchema = new mongoose.Schema({
       generatedAt: Date,
       source: {
         type: String,
-        enum: ['whisper-audio', 'story-text', 'openai-text', 'story-audio', 'story-text-ai']
-      }
+        enum: ['whisper-audio', 'story-text', 'openai-text', 'story-audio', 'story-text-ai', 'quiz-segments']
+      },
+      segments: mongoose.Schema.Types.Mixed // Quiz captions: the question/countdown/reveal markers they were cut to
     }
   },
   
@@ -190,6 +302,21 @@ const storySchema = new mongoose.Schema({
   // Processing metadata
   wordCount: Number,
   estimatedReadingTime: Number,
+  // How close the generated narration landed to the requested duration after trim/extend passes
+  lengthFit: {
+    passes: Number,
+    unit: {
+      type: String,
+      enum: ['words', 'characters']
+    },
+    targetCount: Number,
+    actualCount: Number,
+    targetSeconds: Number,
+    estimatedSeconds: Number,
+    deviation: Number, // (actual - target) / target
+    tolerance: Number,
+    withinTolerance: Boolean
+  },
   aspectRatio: String,
   
   // Performance tracking
@@ -197,9 +324,10 @@ const storySchema = new mongoose.Schema({
     type: Number, // Time taken to generate the story in milliseconds
     default: null
   },
+  // '<provider>/<model>' for generated scripts (e.g. 'openai/gpt-4.1-nano'), 'template' or 'manual';
+  // older stories carry 'openai-gpt-4' or 'openai-gpt-3.5'
   generatedBy: {
     type: String,
-    enum: ['openai-gpt-4', 'openai-gpt-3.5', 'template', 'manual'],
     default: 'openai-gpt-4'
   },
   
@@ -216,10 +344,17 @@ const storySchema = new mongoose.Schema({
     default: false
   },
   sharedWith: [{
+    // User or subuser id (see userType)
     userId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
     },
+    userType: {
+      type: String,
+      enum: ['user', 'subuser'],
+      default: 'user'
+    },
+    email: String,
     permission: {
       type: String,
       enum: ['view', 'edit'],
@@ -230,12 +365,30 @@ const storySchema = new mongoose.Schema({
       default: Date.now
     }
   }],
-  
+
+  // AI-judged rubric for the script against its video style (POST /stories/:id/analysis/rubric)
+  analysis: {
+    score: Number, // 0-100, used to sort the library
+    videoStyle: String, // Style the script was judged against
+    criteria: [{
+      _id: false,
+      name: String,
+      score: Number, // 1-10
+      comment: String
+    }],
+    summary: String,
+    suggestions: [String],
+    model: String,
+    version: Number, // Content version that was scored
+    scoredAt: Date
+  },
+
   // Version control
   version: {
     type: Number,
     default: 1
   },
+  // Snapshots of replaced content; modifiedAt/modifiedBy/changeType describe the edit that replaced it
   previousVersions: [{
     version: Number,
     content: String,
@@ -243,7 +396,12 @@ const storySchema = new mongoose.Schema({
     modifiedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
-    }
+    },
+    changeType: {
+      type: String,
+      enum: ['manual', 'ai-rewrite', 'restore', 'hook-variant']
+    },
+    restoredFrom: Number
   }],
   
   // New video-centric fields
@@ -251,15 +409,45 @@ const storySchema = new mongoose.Schema({
     type: String,
     maxlength: 500
   },
-  videoStyle: {
-    type: String,
-    enum: ['redditStorytime', 'didYouKnow', 'motivation', 'quizGame', 'memeGoogleSearch', 'dialogueSkit', 'newsExplainer', 'lifePOV']
-  },
+  videoStyle: String, // Built-in style key or the key of an account's custom VideoStyle
   selectedEmotions: [String],
   additionalContext: [String],
   selectedLanguage: {
     type: String,
     default: 'English'
+  },
+
+  // Language variants: translations point at the original story
+  translationOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Story',
+    default: null
+  },
+  translatedFromVersion: Number, // Version of the original that was translated
+
+  // Series episodes
+  seriesId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Series',
+    default: null
+  },
+  episodeNumber: Number,
+
+  // Folder the story is filed in (null = unfiled)
+  collectionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Collection',
+    default: null
+  },
+
+  // Trash: set when the story is deleted; it is purged with its assets after the retention period
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
   }
 }, {
   timestamps: true
@@ -278,8 +466,13 @@ storySchema.index({ createdAt: -1 });
 storySchema.index({ viewCount: -1 });
 storySchema.index({ tags: 1 });
 storySchema.index({ isShared: 1 });
+storySchema.index({ 'sharedWith.userId': 1 });
 storySchema.index({ selectedEmotions: 1 }); // New index for emotions
 storySchema.index({ selectedLanguage: 1 }); // New index for language
+storySchema.index({ translationOf: 1, selectedLanguage: 1 });
+storySchema.index({ seriesId: 1, episodeNumber: 1 });
+storySchema.index({ collectionId: 1, createdAt: -1 });
+storySchema.index({ userId: 1, deletedAt: 1 });
 
 // Text index for search functionality
 storySchema.index({
@@ -293,8 +486,30 @@ storySchema.index({
 // Compound indexes for analytics
 storySchema.index({ userId: 1, createdAt: -1, genre: 1 });
 storySchema.index({ userId: 1, duration: 1 });
+storySchema.index({ userId: 1, 'analysis.score': -1 });
 storySchema.index({ createdAt: -1, generatedBy: 1 });
 
+// Trashed stories are hidden from every query unless the filter mentions deletedAt
+// or the query is run with { withTrashed: true }
+const TRASH_FILTERED_QUERIES = ['find', 'findOne', 'countDocuments', 'distinct', 'findOneAndUpdate', 'updateOne', 'updateMany'];
+
+storySchema.pre(TRASH_FILTERED_QUERIES, function() {
+  if (this.getOptions().withTrashed || 'deletedAt' in this.getFilter()) return;
+  this.where({ deletedAt: null });
+});
+
+storySchema.pre('aggregate', function() {
+  if (this.options.withTrashed) return;
+
+  const [first] = this.pipeline();
+  // $text and $geoNear stages must stay first, so extend a leading $match instead of adding one
+  if (first && first.$match) {
+    if (!('deletedAt' in first.$match)) first.$match.deletedAt = null;
+  } else {
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  }
+});
+
 // Virtual fields
 storySchema.virtual('isRecentlyViewed').get(function() {
   if (!this.lastViewedAt) return false;
@@ -306,6 +521,93 @@ storySchema.virtual('collaboratorCount').get(function() {
   return this.sharedWith ? this.sharedWith.length : 0;
 });
 
+// Static method to build a query for stories a user owns or has been granted
+// collectionIds: collections shared with the requester (subusers), whose stories are granted too
+storySchema.statics.accessQuery = function(userId, permission = 'view', collectionIds = []) {
+  const grants = permission === 'edit' ? ['edit'] : ['view', 'edit'];
+
+  return {
+    $or: [
+      { userId },
+      { sharedWith: { $elemMatch: { userId, permission: { $in: grants } } } },
+      ...(collectionIds.length > 0 ? [{ collectionId: { $in: collectionIds } }] : [])
+    ]
+  };
+};
+
+// Static method to find a story the user owns or has been granted, directly or (for subusers) through a shared collection
+// select: optional projection, since the query is resolved here
+storySchema.statics.findAccessible = async function(storyId, userId, userType = 'user', permission = 'view', select = null) {
+  const collectionIds = await mongoose.model('Collection').getSharedIds(userId, userType, permission);
+  const query = this.findOne({ _id: storyId, ...this.accessQuery(userId, permission, collectionIds) });
+  return select ? query.select(select) : query;
+};
+
+// Instance method to get the requester's access level ('owner', 'edit', 'view' or null)
+// collectionGrants: Map of shared collection id -> permission from Collection.getSharedGrants
+storySchema.methods.getAccessLevel = function(userId, collectionGrants = null) {
+  if (this.userId && this.userId.toString() === userId.toString()) return 'owner';
+
+  const grant = (this.sharedWith || []).find(entry => entry.userId && entry.userId.toString() === userId.toString());
+  if (grant) return grant.permission;
+
+  return (collectionGrants && this.collectionId && collectionGrants.get(this.collectionId.toString())) || null;
+};
+
+// Instance method to replace the content, keeping the old content as a version snapshot
+storySchema.methods.updateContent = function(content, modifiedBy, options = {}) {
+  this.previousVersions.push({
+    version: this.version,
+    content: this.content,
+    modifiedAt: new Date(),
+    modifiedBy,
+    changeType: options.changeType || 'manual',
+    restoredFrom: options.restoredFrom
+  });
+
+  // Keep only last 50 versions
+  if (this.previousVersions.length > 50) {
+    this.previousVersions = this.previousVersions.slice(-50);
+  }
+
+  this.content = content;
+  this.version += 1;
+  this.wordCount = content.split(/\s+/).filter(Boolean).length;
+  this.estimatedReadingTime = Math.ceil(this.wordCount / 150); // Average reading speed
+
+  return this;
+};
+
+// Instance method to get the content of any stored version
+storySchema.methods.getVersionContent = function(version) {
+  if (version === this.version) return this.content;
+
+  const snapshot = this.previousVersions.find(entry => entry.version === version);
+  return snapshot ? snapshot.content : null;
+};
+
+// Virtual for when a trashed story will be purged
+storySchema.virtual('purgeAt').get(function() {
+  if (!this.deletedAt) return null;
+  return new Date(this.deletedAt.getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+});
+
+// Instance method to move the story to the trash
+storySchema.methods.moveToTrash = function(userId) {
+  this.deletedAt = new Date();
+  this.deletedBy = userId;
+  return this.save();
+};
+
+// Instance method to take the story back out of the trash
+storySchema.methods.restoreFromTrash = function() {
+  this.deletedAt = null;
+  this.deletedBy = null;
+  return this.save();
+};
+
+storySchema.statics.TRASH_RETENTION_DAYS = TRASH_RETENTION_DAYS;
+
 // Ensure virtual fields are serialized
 storySchema.set('toJSON', { virtuals: true });
 
@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+
+const storyBatchSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Needed to resolve the owner's API keys and custom styles when rows run
+  userType: {
+    type: String,
+    enum: ['user', 'subuser'],
+    default: 'user'
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'partial', 'failed', 'cancelled'],
+    default: 'queued'
+  },
+
+  rows: [{
+    // 1-based position in the submitted list
+    index: {
+      type: Number,
+      required: true
+    },
+    // Generation request built from the row, as submitted to /stories/generate
+    params: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'running', 'completed', 'failed', 'cancelled'],
+      default: 'pending'
+    },
+    storyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Story',
+      default: null
+    },
+    // Failure details (OpenAI error code and the HTTP status it maps to)
+    error: {
+      code: String,
+      statusCode: Number,
+      message: String
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    usage: {
+      promptTokens: Number,
+      completionTokens: Number,
+      totalTokens: Number
+    },
+    startedAt: Date,
+    completedAt: Date
+  }],
+
+  startedAt: Date,
+  completedAt: Date,
+  cancelledAt: Date
+}, {
+  timestamps: true
+});
+
+storyBatchSchema.index({ userId: 1, createdAt: -1 });
+storyBatchSchema.index({ status: 1 });
+
+// Batches are removed 30 days after they were created
+storyBatchSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+// Virtual fields
+storyBatchSchema.virtual('counts').get(function() {
+  const counts = { total: this.rows.length, pending: 0, running: 0, completed: 0, failed: 0, cancelled: 0 };
+  this.rows.forEach(row => {
+    counts[row.status] += 1;
+  });
+  return counts;
+});
+
+storyBatchSchema.virtual('isFinished').get(function() {
+  return ['completed', 'partial', 'failed', 'cancelled'].includes(this.status);
+});
+
+// Instance method to pick the failed or cancelled rows to run again
+storyBatchSchema.methods.getRetryableRows = function(rowIndexes) {
+  const requested = rowIndexes && rowIndexes.length > 0 ? rowIndexes.map(Number) : null;
+
+  return this.rows.filter(row =>
+    ['failed', 'cancelled'].includes(row.status) &&
+    (!requested || requested.includes(row.index))
+  );
+};
+
+// Ensure virtual fields are serialized
+storyBatchSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('StoryBatch', storyBatchSchema);
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+const storyJobSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Needed to resolve the owner's API keys when the job runs
+  userType: {
+    type: String,
+    enum: ['user', 'subuser'],
+    default: 'user'
+  },
+
+  // Generation request as submitted to /stories/generate
+  params: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'queued'
+  },
+  stage: {
+    type: String,
+    enum: ['queued', 'prompting', 'fitting', 'metadata', 'saving', 'done'],
+    default: 'queued'
+  },
+
+  // Link to the created story once the job completes
+  storyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Story',
+    default: null
+  },
+
+  // Failure details (OpenAI error code and the HTTP status it maps to)
+  error: {
+    code: String,
+    statusCode: Number,
+    message: String
+  },
+
+  usage: {
+    promptTokens: Number,
+    completionTokens: Number,
+    totalTokens: Number
+  },
+
+  // Metadata fields that fell back to placeholder values
+  defaultedFields: {
+    type: [String],
+    default: []
+  },
+
+  startedAt: Date,
+  completedAt: Date,
+  cancelledAt: Date
+}, {
+  timestamps: true
+});
+
+storyJobSchema.index({ userId: 1, createdAt: -1 });
+storyJobSchema.index({ status: 1 });
+
+// Jobs are removed 7 days after they were queued
+storyJobSchema.index({ createdAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+// Virtual fields
+storyJobSchema.virtual('isFinished').get(function() {
+  return ['completed', 'failed', 'cancelled'].includes(this.status);
+});
+
+// Ensure virtual fields are serialized
+storyJobSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('StoryJob', storyJobSchema);
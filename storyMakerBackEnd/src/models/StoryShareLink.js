@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+const storyShareLinkSchema = new mongoose.Schema({
+  storyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Story',
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Optional reviewer password (bcrypt hash)
+  password: {
+    type: String,
+    select: false
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+
+  viewCount: {
+    type: Number,
+    default: 0
+  },
+  lastViewedAt: Date,
+
+  // Reviewer verdicts left through the public link
+  comments: [{
+    reviewerName: {
+      type: String,
+      maxlength: 100
+    },
+    decision: {
+      type: String,
+      enum: ['approve', 'reject'],
+      required: true
+    },
+    comment: {
+      type: String,
+      maxlength: 2000
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+storyShareLinkSchema.index({ storyId: 1, createdAt: -1 });
+
+// Hash the reviewer password before saving
+storyShareLinkSchema.pre('save', async function(next) {
+  if (!this.isModified('password') || !this.password) return next();
+
+  this.password = await bcrypt.hash(this.password, 12);
+  next();
+});
+
+// Virtual fields
+storyShareLinkSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+storyShareLinkSchema.virtual('isPasswordProtected').get(function() {
+  return !!this.password;
+});
+
+// Instance method to check the reviewer password
+storyShareLinkSchema.methods.comparePassword = async function(candidatePassword) {
+  return bcrypt.compare(candidatePassword || '', this.password);
+};
+
+// Remove the password hash from JSON output
+storyShareLinkSchema.methods.toJSON = function() {
+  const link = this.toObject({ virtuals: true });
+  delete link.password;
+  delete link.__v;
+  return link;
+};
+
+module.exports = mongoose.model('StoryShareLink', storyShareLinkSchema);
@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+const { isValidStyle, findUnknownPlaceholders } = require('../templates/videoStyleTemplates');
+
+// Story aspect ratio for each orientation a custom style can pick
+const ORIENTATION_RATIOS = {
+  vertical: '9:16',
+  landscape: '16:9',
+  square: '1:1'
+};
+
+const videoStyleSchema = new mongoose.Schema({
+  // Account the style belongs to (the owner user; shared with their subusers)
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  createdByType: {
+    type: String,
+    enum: ['user', 'subuser'],
+    default: 'user'
+  },
+
+  // Identifier used as videoStyle in generation requests
+  key: {
+    type: String,
+    required: true,
+    trim: true,
+    match: [/^[a-zA-Z][a-zA-Z0-9_-]{1,49}$/, 'Style key must start with a letter and contain only letters, numbers, - and _'],
+    validate: {
+      validator: (key) => !isValidStyle(key),
+      message: 'Style key is already used by a built-in style'
+    }
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+
+  // Prompt template with {placeholders} (see TEMPLATE_PLACEHOLDERS)
+  template: {
+    type: String,
+    required: true,
+    maxlength: 20000,
+    validate: [
+      {
+        validator: (template) => findUnknownPlaceholders(template).length === 0,
+        message: (props) => `Unknown template placeholders: ${findUnknownPlaceholders(props.value).map(name => `{${name}}`).join(', ')}`
+      },
+      {
+        validator: (template) => /\{(videoIdea|storyTopic)\}/.test(template),
+        message: 'Template must include the {videoIdea} placeholder'
+      }
+    ]
+  },
+  defaultEmotions: {
+    type: [{ type: String, trim: true, maxlength: 50 }],
+    validate: {
+      validator: (emotions) => emotions.length <= 4,
+      message: 'A style can have at most 4 default emotions'
+    }
+  },
+  aspectRatio: {
+    type: String,
+    enum: Object.keys(ORIENTATION_RATIOS),
+    default: 'vertical'
+  },
+  // Dialogue styles are also stored as a speaker-by-speaker script, quiz styles as question cards
+  scriptFormat: {
+    type: String,
+    enum: ['narration', 'dialogue', 'quiz'],
+    default: 'narration'
+  },
+  // Extra instructions added to the metadata prompt for stories in this style
+  metadataPrompt: {
+    type: String,
+    trim: true,
+    maxlength: 2000
+  }
+}, {
+  timestamps: true
+});
+
+videoStyleSchema.index({ accountId: 1, key: 1 }, { unique: true });
+
+// Style in the shape the generation service uses for built-in styles
+videoStyleSchema.methods.toStyleDefinition = function() {
+  return {
+    id: this.key,
+    name: this.name,
+    description: this.description || '',
+    template: this.template,
+    defaultEmotions: this.defaultEmotions,
+    aspectRatio: { style: this.aspectRatio, ratio: ORIENTATION_RATIOS[this.aspectRatio] },
+    metadataPrompt: this.metadataPrompt || null,
+    scriptFormat: this.scriptFormat || 'narration',
+    isCustom: true
+  };
+};
+
+// Static method to list an account's styles
+videoStyleSchema.statics.findForAccount = function(accountId) {
+  return this.find({ accountId }).sort({ name: 1 });
+};
+
+module.exports = mongoose.model('VideoStyle', videoStyleSchema);
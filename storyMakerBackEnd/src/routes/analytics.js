@@ -5,7 +5,9 @@ const {
   getUserActivity,
   getUsageMetrics,
   getPopularContent,
-  getPerformanceMetrics
+  getPerformanceMetrics,
+  getAiCosts,
+  getStoryAiCosts
 } = require('../controllers/analyticsController');
 const { authenticate, requireAdmin } = require('../middleware/auth');
 
@@ -29,4 +31,8 @@ router.get('/popular', authenticate, getPopularContent);
 // Performance metrics
 router.get('/performance', authenticate, getPerformanceMetrics);
 
+// AI cost rollups from recorded usage
+router.get('/ai-costs', authenticate, getAiCosts);
+router.get('/ai-costs/stories/:storyId', authenticate, getStoryAiCosts);
+
 module.exports = router;
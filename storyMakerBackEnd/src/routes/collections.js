@@ -0,0 +1,154 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const {
+  getCollections,
+  createCollection,
+  getCollection,
+  updateCollection,
+  deleteCollection,
+  moveStories,
+  shareCollection,
+  unshareCollection,
+  exportCollection
+} = require('../controllers/collectionController');
+
+// Import middleware
+const { authenticate, requirePermission, requireMainUser } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation rules shared by create and update
+const detailRules = [
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+
+  body('color')
+    .optional()
+    .matches(/^#[0-9a-fA-F]{6}$/)
+    .withMessage('Color must be a hex color like #3B82F6')
+];
+
+const validateCreateCollection = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 60 })
+    .withMessage('Collection name must be between 1 and 60 characters'),
+
+  body('parentId')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Invalid parent collection id'),
+
+  ...detailRules
+];
+
+const validateUpdateCollection = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 60 })
+    .withMessage('Collection name must be between 1 and 60 characters'),
+
+  body('parentId')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('parentId must be a collection id or null'),
+
+  ...detailRules
+];
+
+const validateMoveStories = [
+  body('storyIds')
+    .isArray({ min: 1, max: 200 })
+    .withMessage('storyIds must be an array of 1 to 200 story ids'),
+
+  body('storyIds.*')
+    .isMongoId()
+    .withMessage('Each story id must be valid'),
+
+  body('collectionId')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('collectionId must be a collection id or null')
+];
+
+const validateShareCollection = [
+  body('subuserIds')
+    .isArray({ min: 1, max: 100 })
+    .withMessage('subuserIds must be a non-empty array'),
+
+  body('subuserIds.*')
+    .isMongoId()
+    .withMessage('Each subuser id must be valid'),
+
+  body('permission')
+    .optional()
+    .isIn(['view', 'edit'])
+    .withMessage('Permission must be one of: view, edit')
+];
+
+const validateExportCollection = [
+  query('format')
+    .optional()
+    .isIn(['json', 'txt'])
+    .withMessage('Format must be one of: json, txt'),
+
+  query('includeSubcollections')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('includeSubcollections must be true or false')
+];
+
+const validateCollectionId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid collection id')
+];
+
+// Validation error handler
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array().map(error => ({
+        field: error.path,
+        message: error.msg,
+        value: error.value
+      }))
+    });
+  }
+  next();
+};
+
+// All collection routes require authentication
+router.use(authenticate);
+
+router.route('/')
+  .get(getCollections)
+  .post(requirePermission('canEditStories'), validateCreateCollection, handleValidationErrors, createCollection);
+
+// Bulk move stories between collections (registered before /:id)
+router.route('/move')
+  .post(requirePermission('canEditStories'), validateMoveStories, handleValidationErrors, moveStories);
+
+router.route('/:id')
+  .get(validateCollectionId, handleValidationErrors, getCollection)
+  .put(requirePermission('canEditStories'), validateCollectionId, validateUpdateCollection, handleValidationErrors, updateCollection)
+  .delete(requirePermission('canDeleteStories'), validateCollectionId, handleValidationErrors, deleteCollection);
+
+router.route('/:id/export')
+  .get(requirePermission('canExportVideo'), validateCollectionId, validateExportCollection, handleValidationErrors, exportCollection);
+
+// Sharing with the account's subusers
+router.route('/:id/share')
+  .put(requireMainUser, validateCollectionId, validateShareCollection, handleValidationErrors, shareCollection);
+
+router.route('/:id/share/:subuserId')
+  .delete(requireMainUser, validateCollectionId, handleValidationErrors, unshareCollection);
+
+module.exports = router;
@@ -0,0 +1,108 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const {
+  getIdeas,
+  updateIdea,
+  updateIdeaStatuses,
+  deleteIdea
+} = require('../controllers/ideaController');
+
+// Import middleware
+const { authenticate } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Statuses a request may set; 'used' is set when a story is generated from the idea
+const EDITABLE_STATUSES = ['new', 'shortlisted', 'rejected'];
+
+const validateIdeaQuery = [
+  query('status')
+    .optional()
+    .isIn([...EDITABLE_STATUSES, 'used'])
+    .withMessage('Status must be one of: new, shortlisted, used, rejected'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Limit must be between 1 and 200'),
+
+  query(['search', 'niche', 'videoStyle'])
+    .optional()
+    .isString()
+    .withMessage('search, niche and videoStyle must be text')
+];
+
+const validateIdeaUpdate = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid idea id'),
+
+  body('text')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Idea must be between 1 and 500 characters'),
+
+  body('status')
+    .optional()
+    .isIn(EDITABLE_STATUSES)
+    .withMessage(`Status must be one of: ${EDITABLE_STATUSES.join(', ')}`)
+];
+
+const validateStatusUpdate = [
+  body('ideaIds')
+    .isArray({ min: 1, max: 200 })
+    .withMessage('ideaIds must be an array of 1 to 200 ids'),
+
+  body('ideaIds.*')
+    .isMongoId()
+    .withMessage('Each idea id must be valid'),
+
+  body('status')
+    .isIn(EDITABLE_STATUSES)
+    .withMessage(`Status must be one of: ${EDITABLE_STATUSES.join(', ')}`)
+];
+
+const validateIdeaId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid idea id')
+];
+
+// Validation error handler
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array().map(error => ({
+        field: error.path,
+        message: error.msg,
+        value: error.value
+      }))
+    });
+  }
+  next();
+};
+
+// All idea routes require authentication
+router.use(authenticate);
+
+router.route('/')
+  .get(validateIdeaQuery, handleValidationErrors, getIdeas);
+
+// Must be before /:id
+router.route('/status')
+  .put(validateStatusUpdate, handleValidationErrors, updateIdeaStatuses);
+
+router.route('/:id')
+  .put(validateIdeaUpdate, handleValidationErrors, updateIdea)
+  .delete(validateIdeaId, handleValidationErrors, deleteIdea);
+
+module.exports = router;
@@ -0,0 +1,53 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const {
+  getReviewStory,
+  addReviewComment
+} = require('../controllers/storyReviewController');
+
+const router = express.Router();
+
+// Validation middleware for reviewer comments
+const validateReviewComment = [
+  body('decision')
+    .isIn(['approve', 'reject'])
+    .withMessage('Decision must be one of: approve, reject'),
+
+  body('reviewerName')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Reviewer name cannot exceed 100 characters'),
+
+  body('comment')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Comment cannot exceed 2000 characters')
+];
+
+// Validation error handler
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array().map(error => ({
+        field: error.path,
+        message: error.msg,
+        value: error.value
+      }))
+    });
+  }
+  next();
+};
+
+// Review links - no authentication, the token in the URL grants read-only access
+router.route('/stories/:token')
+  .get(getReviewStory);
+
+router.route('/stories/:token/comments')
+  .post(validateReviewComment, handleValidationErrors, addReviewComment);
+
+module.exports = router;
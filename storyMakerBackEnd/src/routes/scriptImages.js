@@ -32,7 +32,12 @@ const validateScriptImageGeneration = [
     .trim()
     .isLength({ min: 1, max: 100 })
     .matches(/^[a-zA-Z0-9_-]+$/)
-    .withMessage('Project ID must be 1-100 characters and contain only letters, numbers, underscores, and hyphens')
+    .withMessage('Project ID must be 1-100 characters and contain only letters, numbers, underscores, and hyphens'),
+
+  body('storyId')
+    .optional()
+    .isMongoId()
+    .withMessage('Story ID must be a valid id')
 ];
 
 // Validation middleware for estimates (no project ID required)
@@ -87,7 +92,7 @@ const handleValidationErrors = (req, res, next) => {
  * @route   POST /api/v1/script-images/generate
  * @desc    Generate images for script timeline (batch mode - legacy)
  * @access  Private
- * @body    { script: string, duration: number, maxImagesPerMin?: number, projectId: string }
+ * @body    { script: string, duration: number, maxImagesPerMin?: number, projectId: string, storyId?: string }
  */
 router.post(
   '/generate',
@@ -101,7 +106,7 @@ router.post(
  * @route   POST /api/v1/script-images/generate-stream
  * @desc    Initialize Server-Sent Events streaming session for script image generation
  * @access  Private
- * @body    { script: string, duration: number, maxImagesPerMin?: number, projectId: string }
+ * @body    { script: string, duration: number, maxImagesPerMin?: number, projectId: string, storyId?: string }
  */
 router.post(
   '/generate-stream',
@@ -115,7 +120,7 @@ router.post(
  * @route   GET /api/v1/script-images/generate-stream
  * @desc    Stream images for script timeline using Server-Sent Events
  * @access  Private
- * @query   { script: string, duration: number, maxImagesPerMin?: number, projectId: string, token?: string }
+ * @query   { script: string, duration: number, maxImagesPerMin?: number, projectId: string, token?: string, storyId?: string }
  */
 router.get(
   '/generate-stream',
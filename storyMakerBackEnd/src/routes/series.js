@@ -0,0 +1,200 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const {
+  getSeriesList,
+  createSeries,
+  getSeries,
+  updateSeries,
+  deleteSeries,
+  generateNextEpisode,
+  regenerateEpisode,
+  reorderEpisodes
+} = require('../controllers/seriesController');
+
+// Import middleware
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { STORY_CREDITS, checkCredits, deductCredits } = require('../middleware/credits');
+
+const router = express.Router();
+
+// Validation rules shared by create and update (memory fields are nested under memory on update)
+const memoryRules = (prefix) => [
+  body(`${prefix}synopsis`)
+    .optional()
+    .isString()
+    .isLength({ max: 5000 })
+    .withMessage('Synopsis cannot exceed 5000 characters'),
+
+  body(`${prefix}characters`)
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Characters must be an array of at most 20 items'),
+
+  body(`${prefix}characters.*.name`)
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Each character needs a name of at most 100 characters'),
+
+  body(`${prefix}characters.*.description`)
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Character descriptions cannot exceed 500 characters'),
+
+  body(`${prefix}facts`)
+    .optional()
+    .isArray({ max: 30 })
+    .withMessage('Facts must be an array of at most 30 items'),
+
+  body(`${prefix}facts.*`)
+    .isString()
+    .isLength({ min: 1, max: 300 })
+    .withMessage('Each fact must be between 1 and 300 characters')
+];
+
+const detailRules = [
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Description cannot exceed 1000 characters'),
+
+  body('storyLength')
+    .optional()
+    .isInt({ min: 30, max: 10800 })
+    .withMessage('Story length must be between 30 seconds and 3 hours'),
+
+  body('language')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 30 })
+    .withMessage('Language must be between 2 and 30 characters'),
+
+  body('selectedEmotions')
+    .optional()
+    .isArray({ max: 4 })
+    .withMessage('Selected emotions must be an array of at most 4 items')
+];
+
+const validateCreateSeries = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 40 })
+    .withMessage('Series name must be between 1 and 40 characters'),
+
+  body('videoStyle')
+    .matches(/^[a-zA-Z][a-zA-Z0-9_-]{1,49}$/)
+    .withMessage('Video style must be a built-in or custom style id'),
+
+  ...detailRules,
+  ...memoryRules('')
+];
+
+const validateUpdateSeries = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 40 })
+    .withMessage('Series name must be between 1 and 40 characters'),
+
+  body('status')
+    .optional()
+    .isIn(['active', 'completed'])
+    .withMessage('Status must be one of: active, completed'),
+
+  ...detailRules,
+  ...memoryRules('memory.')
+];
+
+const validateEpisodeGeneration = [
+  body('videoIdea')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Episode idea must be between 1 and 500 characters'),
+
+  body('storyLength')
+    .optional()
+    .isInt({ min: 30, max: 10800 })
+    .withMessage('Story length must be between 30 seconds and 3 hours'),
+
+  body('final')
+    .optional()
+    .isBoolean()
+    .withMessage('final must be a boolean')
+    .toBoolean()
+];
+
+const validateEpisodeOrder = [
+  body('storyIds')
+    .isArray({ min: 1 })
+    .withMessage('storyIds must be a non-empty array'),
+
+  body('storyIds.*')
+    .isMongoId()
+    .withMessage('Each story id must be valid')
+];
+
+const validateSeriesId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid series id')
+];
+
+// Validation error handler
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array().map(error => ({
+        field: error.path,
+        message: error.msg,
+        value: error.value
+      }))
+    });
+  }
+  next();
+};
+
+// All series routes require authentication
+router.use(authenticate);
+
+router.route('/')
+  .get(getSeriesList)
+  .post(requirePermission('canCreateStories'), validateCreateSeries, handleValidationErrors, createSeries);
+
+router.route('/:id')
+  .get(validateSeriesId, handleValidationErrors, getSeries)
+  .put(requirePermission('canEditStories'), validateSeriesId, validateUpdateSeries, handleValidationErrors, updateSeries)
+  .delete(requirePermission('canDeleteStories'), validateSeriesId, handleValidationErrors, deleteSeries);
+
+// Episodes
+router.route('/:id/episodes')
+  .post(
+    requirePermission('canCreateStories'),
+    validateSeriesId,
+    validateEpisodeGeneration,
+    handleValidationErrors,
+    checkCredits(STORY_CREDITS),
+    deductCredits(STORY_CREDITS),
+    generateNextEpisode
+  );
+
+router.route('/:id/episodes/order')
+  .put(requirePermission('canEditStories'), validateSeriesId, validateEpisodeOrder, handleValidationErrors, reorderEpisodes);
+
+router.route('/:id/episodes/:storyId/regenerate')
+  .post(
+    requirePermission('canEditStories'),
+    validateSeriesId,
+    validateEpisodeGeneration,
+    handleValidationErrors,
+    checkCredits(STORY_CREDITS),
+    deductCredits(STORY_CREDITS),
+    regenerateEpisode
+  );
+
+module.exports = router;
@@ -1,36 +1,101 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const { 
   generateStory, 
+  generateStoryStream,
+  createGenerationJob,
+  getGenerationJob,
+  cancelGenerationJob,
   getGenerationStatus,
   getVideoStyles,
   getStories,
   getStory,
   createStory,
   updateStory,
+  getStoryVersions,
+  diffStoryVersions,
+  restoreStoryVersion,
   deleteStory,
   generateStorySummary,
   searchStories,
   exportStory,
   duplicateStory,
-  generateIdeas
+  generateIdeas,
+  translateStory
 } = require('../controllers/storyController');
-const { authenticate, requirePermission } = require('../middleware/auth');
+const {
+  shareStory,
+  getStoryCollaborators,
+  revokeStoryAccess,
+  getSharedWithMe
+} = require('../controllers/storyShareController');
+const {
+  createShareLink,
+  getShareLinks,
+  revokeShareLink
+} = require('../controllers/storyReviewController');
+const {
+  createVideoStyle,
+  getVideoStyle,
+  updateVideoStyle,
+  deleteVideoStyle
+} = require('../controllers/videoStyleController');
+const {
+  loadStoryBatch,
+  createStoryBatch,
+  getStoryBatches,
+  getStoryBatch,
+  retryStoryBatch,
+  cancelStoryBatch
+} = require('../controllers/storyBatchController');
+const {
+  generateStoryVariants,
+  getStoryVariants,
+  selectStoryVariant
+} = require('../controllers/storyVariantController');
+const {
+  getStoryQuiz,
+  updateStoryQuiz
+} = require('../controllers/storyQuizController');
+const {
+  getTrash,
+  restoreStory,
+  purgeStory,
+  emptyTrash,
+  purgeExpiredTrash
+} = require('../controllers/storyTrashController');
+const { importStories, uploadImportFiles } = require('../controllers/storyImportController');
+const {
+  getSavedSearches,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch
+} = require('../controllers/savedSearchController');
+const { getStoryAnalysis, scoreStoryRubric } = require('../controllers/storyAnalysisController');
+const QuizService = require('../services/quizService');
+const { authenticate, requirePermission, requireAdmin } = require('../middleware/auth');
+const { STORY_CREDITS, checkCredits, deductCredits } = require('../middleware/credits');
+const { parseCsv } = require('../utils/csv');
+const { handleMulterError } = require('../middleware/upload');
 
 const router = express.Router();
 
+// Shape of built-in and custom video style ids
+const STYLE_KEY_PATTERN = /^[a-zA-Z][a-zA-Z0-9_-]{1,49}$/;
+
 // Validation middleware for story generation (supports both new and legacy formats)
 const validateStoryGeneration = [
   // Video style validation (new) - prioritized over legacy storyStyle
+  // Built-in or custom style key; whether it exists is checked against the account's styles
   body('videoStyle')
     .optional()
-    .isIn(['redditStorytime', 'didYouKnow', 'motivation', 'quizGame', 'memeGoogleSearch', 'dialogueSkit', 'newsExplainer', 'lifePOV'])
-    .withMessage('Video style must be one of: redditStorytime, didYouKnow, motivation, quizGame, memeGoogleSearch, dialogueSkit, newsExplainer, lifePOV'),
+    .matches(STYLE_KEY_PATTERN)
+    .withMessage('Video style must be a built-in or custom style id'),
   
   // Legacy story style validation for backward compatibility
   body('storyStyle')
     .optional()
-    .isIn(['landscape', 'square', 'vertical', 'redditStorytime', 'didYouKnow', 'motivation', 'quizGame', 'memeGoogleSearch', 'dialogueSkit', 'newsExplainer', 'lifePOV'])
+    .matches(STYLE_KEY_PATTERN)
     .withMessage('Story style must be a valid format or video style'),
   
   body('storyName')
@@ -49,6 +114,12 @@ const validateStoryGeneration = [
     .isLength({ min: 10, max: 500 })
     .withMessage('Video idea must be between 10 and 500 characters'),
   
+  // Backlog idea to generate from (supplies videoIdea/videoStyle when they are omitted)
+  body('ideaId')
+    .optional()
+    .isMongoId()
+    .withMessage('Idea id must be valid'),
+  
   // Legacy story topic for backward compatibility
   body('storyTopic')
     .optional()
@@ -148,10 +219,10 @@ const handleValidationErrors = (req, res, next) => {
   }
 
   // Custom validation: Ensure either new fields or legacy fields are provided
-  const { videoStyle, storyStyle, videoIdea, storyTopic } = req.body;
+  const { videoStyle, storyStyle, videoIdea, storyTopic, ideaId } = req.body;
   
-  // Check if we have either video style or story style
-  if (!videoStyle && !storyStyle) {
+  // Check if we have either video style or story style (a backlog idea carries its own style)
+  if (!videoStyle && !storyStyle && !ideaId) {
     return res.status(400).json({
       success: false,
       message: 'Validation failed',
@@ -163,8 +234,8 @@ const handleValidationErrors = (req, res, next) => {
     });
   }
 
-  // Check if we have either video idea or story topic
-  if (!videoIdea && !storyTopic) {
+  // Check if we have either video idea, story topic or a backlog idea
+  if (!videoIdea && !storyTopic && !ideaId) {
     return res.status(400).json({
       success: false,
       message: 'Validation failed',
@@ -187,8 +258,8 @@ const validateIdeaGeneration = [
     .withMessage('Niche must be between 1 and 100 characters'),
   
   body('videoStyle')
-    .isIn(['redditStorytime', 'didYouKnow', 'motivation', 'quizGame', 'memeGoogleSearch', 'dialogueSkit', 'newsExplainer', 'lifePOV'])
-    .withMessage('Video style must be one of: redditStorytime, didYouKnow, motivation, quizGame, memeGoogleSearch, dialogueSkit, newsExplainer, lifePOV'),
+    .matches(STYLE_KEY_PATTERN)
+    .withMessage('Video style must be a built-in or custom style id'),
   
   // Handle validation errors
   (req, res, next) => {
@@ -208,6 +279,434 @@ const validateIdeaGeneration = [
   }
 ];
 
+// Validation error handler for plain field validators
+const handleFieldValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array().map(error => ({
+        field: error.path,
+        message: error.msg,
+        value: error.value
+      }))
+    });
+  }
+  next();
+};
+
+// Validation middleware for story updates
+const validateStoryUpdate = [
+  body('content')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1 })
+    .withMessage('Content must be a non-empty string'),
+
+  body('changeType')
+    .optional()
+    .isIn(['manual', 'ai-rewrite'])
+    .withMessage('Change type must be one of: manual, ai-rewrite'),
+
+  handleFieldValidationErrors
+];
+
+// Validation middleware for version diffs and restores
+const validateVersionDiff = [
+  query('from')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('from must be a positive version number'),
+
+  query('to')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('to must be a positive version number'),
+
+  handleFieldValidationErrors
+];
+
+// Validation middleware for sharing
+const validateShare = [
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('A valid email is required')
+    .toLowerCase(),
+
+  body('permission')
+    .optional()
+    .isIn(['view', 'edit'])
+    .withMessage('Permission must be one of: view, edit'),
+
+  handleFieldValidationErrors
+];
+
+const validateShareLink = [
+  body('expiresInHours')
+    .optional()
+    .isFloat({ min: 1, max: 720 })
+    .withMessage('expiresInHours must be between 1 and 720'),
+
+  body('password')
+    .optional({ values: 'falsy' })
+    .isString()
+    .isLength({ min: 4, max: 128 })
+    .withMessage('Password must be between 4 and 128 characters'),
+
+  handleFieldValidationErrors
+];
+
+// Validation middleware for custom video styles (template placeholders are checked by the model)
+// Fields required on create are optional on update
+const validateVideoStyle = (isUpdate = false) => {
+  const field = (name) => (isUpdate ? body(name).optional() : body(name));
+
+  return [
+    ...(isUpdate ? [] : [
+      body('key')
+        .trim()
+        .matches(STYLE_KEY_PATTERN)
+        .withMessage('Style key must start with a letter and contain only letters, numbers, - and _ (2-50 characters)')
+    ]),
+
+    field('name')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name must be between 1 and 100 characters'),
+
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Description cannot exceed 500 characters'),
+
+    field('template')
+      .isString()
+      .isLength({ min: 20, max: 20000 })
+      .withMessage('Template must be between 20 and 20000 characters'),
+
+    body('defaultEmotions')
+      .optional()
+      .isArray({ max: 4 })
+      .withMessage('Default emotions must be an array of at most 4 items'),
+
+    body('aspectRatio')
+      .optional()
+      .isIn(['vertical', 'landscape', 'square'])
+      .withMessage('Aspect ratio must be one of: vertical, landscape, square'),
+
+    body('scriptFormat')
+      .optional()
+      .isIn(['narration', 'dialogue', 'quiz'])
+      .withMessage('Script format must be one of: narration, dialogue, quiz'),
+
+    body('metadataPrompt')
+      .optional()
+      .isString()
+      .isLength({ max: 2000 })
+      .withMessage('Metadata prompt cannot exceed 2000 characters'),
+
+    handleFieldValidationErrors
+  ];
+};
+
+const validateTranslation = [
+  body('languages')
+    .isArray({ min: 1, max: 10 })
+    .withMessage('Languages must be an array of 1 to 10 target languages'),
+
+  body('languages.*')
+    .isString()
+    .trim()
+    .isLength({ min: 2, max: 30 })
+    .withMessage('Each language must be between 2 and 30 characters'),
+
+  handleFieldValidationErrors
+];
+
+// Most rows a single batch may contain
+const BATCH_MAX_ROWS = 100;
+
+/**
+ * Split a list cell ("Joy; Surprise") into items; JSON rows may already send arrays
+ */
+const splitList = (value) => {
+  if (Array.isArray(value)) return value;
+  if (value === undefined || value === null || value === '') return [];
+  return String(value).split(/[;|]/).map(item => item.trim()).filter(Boolean);
+};
+
+/**
+ * Map a batch row (idea, videoStyle, length, language, emotions, additionalContext, ideaId) to a /generate body
+ */
+const toGenerationBody = (row) => {
+  const videoIdea = row.idea || row.videoIdea;
+  const storyName = row.storyName || row.name || (typeof videoIdea === 'string' ? videoIdea.trim().slice(0, 50).trim() : undefined);
+
+  return {
+    videoIdea,
+    videoStyle: row.videoStyle || row.style,
+    storyName,
+    storyLength: row.length !== undefined && row.length !== '' ? row.length : row.storyLength,
+    selectedLanguage: row.language || row.selectedLanguage || undefined,
+    selectedEmotions: splitList(row.emotions !== undefined ? row.emotions : row.selectedEmotions),
+    additionalContext: splitList(row.additionalContext),
+    ideaId: row.ideaId || undefined
+  };
+};
+
+// Parse the rows of a batch from JSON (rows) or CSV text (csv) and validate each with the /generate rules
+const validateBatchRows = async (req, res, next) => {
+  let rows = req.body.rows;
+
+  if (rows === undefined && typeof req.body.csv === 'string') {
+    try {
+      rows = parseCsv(req.body.csv);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid CSV: ${error.message}`
+      });
+    }
+  }
+
+  if (!Array.isArray(rows) || rows.length === 0 || rows.length > BATCH_MAX_ROWS) {
+    return res.status(400).json({
+      success: false,
+      message: `Provide between 1 and ${BATCH_MAX_ROWS} rows as a rows array or csv text`
+    });
+  }
+
+  const bodies = [];
+  const errors = [];
+
+  for (const [index, row] of rows.entries()) {
+    const rowReq = { body: toGenerationBody(row && typeof row === 'object' ? row : {}) };
+    for (const rule of validateStoryGeneration) {
+      await rule.run(rowReq);
+    }
+
+    const rowErrors = validationResult(rowReq).array().map(error => ({
+      field: error.path,
+      message: error.msg,
+      value: error.value
+    }));
+
+    if (!rowReq.body.videoStyle && !rowReq.body.ideaId) {
+      rowErrors.push({ field: 'videoStyle', message: 'videoStyle (or ideaId) is required', value: null });
+    }
+    if (!rowReq.body.videoIdea && !rowReq.body.ideaId) {
+      rowErrors.push({ field: 'idea', message: 'idea (or ideaId) is required', value: null });
+    }
+
+    if (rowErrors.length > 0) {
+      errors.push({ row: index + 1, errors: rowErrors });
+    }
+    bodies.push(rowReq.body);
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: `Validation failed for ${errors.length} of ${rows.length} rows`,
+      errors
+    });
+  }
+
+  req.batchRows = bodies;
+  next();
+};
+
+const validateBatchRetry = [
+  body('rows')
+    .optional()
+    .isArray({ min: 1, max: BATCH_MAX_ROWS })
+    .withMessage(`rows must be an array of 1 to ${BATCH_MAX_ROWS} row numbers`),
+
+  body('rows.*')
+    .isInt({ min: 1 })
+    .withMessage('Each row must be a positive row number')
+    .toInt(),
+
+  handleFieldValidationErrors
+];
+
+// Options for /import (files are checked by the import itself)
+const validateStoryImport = [
+  body('style')
+    .optional()
+    .isIn(['landscape', 'square', 'vertical'])
+    .withMessage('Style must be landscape, square, or vertical'),
+
+  body('generateMetadata')
+    .optional()
+    .isBoolean()
+    .withMessage('generateMetadata must be true or false'),
+
+  body('files')
+    .optional()
+    .isArray()
+    .withMessage('files must be an array of { name, content }'),
+
+  body('files.*.content')
+    .optional()
+    .isString()
+    .withMessage('Each file content must be text'),
+
+  handleFieldValidationErrors
+];
+
+const validateBatchId = [
+  param('batchId')
+    .isMongoId()
+    .withMessage('Invalid batch id'),
+
+  handleFieldValidationErrors
+];
+
+const validateVariantGeneration = [
+  body('count')
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .withMessage('Count must be between 1 and 10')
+    .toInt(),
+
+  body('types')
+    .optional()
+    .isArray({ min: 1, max: 2 })
+    .withMessage('Types must be a non-empty array'),
+
+  body('types.*')
+    .isIn(['hook', 'headline'])
+    .withMessage('Each type must be one of: hook, headline'),
+
+  handleFieldValidationErrors
+];
+
+const validateVariantParam = [
+  param('variantId')
+    .isMongoId()
+    .withMessage('Invalid variant id'),
+
+  handleFieldValidationErrors
+];
+
+const validateQuizUpdate = [
+  body('questions')
+    .isArray({ min: 1, max: QuizService.LIMITS.maxQuestions })
+    .withMessage(`Questions must be an array of 1 to ${QuizService.LIMITS.maxQuestions} entries`),
+
+  body('questions.*.question')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 300 })
+    .withMessage('Each question must be between 1 and 300 characters'),
+
+  body('questions.*.options')
+    .isArray({ min: QuizService.LIMITS.minOptions, max: QuizService.LIMITS.maxOptions })
+    .withMessage(`Each question needs ${QuizService.LIMITS.minOptions} to ${QuizService.LIMITS.maxOptions} options`),
+
+  body('questions.*.options.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 150 })
+    .withMessage('Each option must be between 1 and 150 characters'),
+
+  body('questions.*.correctIndex')
+    .isInt({ min: 0, max: QuizService.LIMITS.maxOptions - 1 })
+    .withMessage('Correct index must point at one of the options')
+    .toInt(),
+
+  body('questions.*.explanation')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Explanation must be at most 500 characters'),
+
+  body('questions.*.thinkTimeSeconds')
+    .optional()
+    .isInt({ min: QuizService.LIMITS.minThinkTime, max: QuizService.LIMITS.maxThinkTime })
+    .withMessage(`Think time must be between ${QuizService.LIMITS.minThinkTime} and ${QuizService.LIMITS.maxThinkTime} seconds`)
+    .toInt(),
+
+  body(['intro', 'outro'])
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Intro and outro must be at most 500 characters'),
+
+  body('regenerateNarration')
+    .optional()
+    .isBoolean()
+    .withMessage('regenerateNarration must be a boolean')
+    .toBoolean(),
+
+  handleFieldValidationErrors
+];
+
+const validateVersionParam = [
+  param('version')
+    .isInt({ min: 1 })
+    .withMessage('Version must be a positive number'),
+
+  handleFieldValidationErrors
+];
+
+// Validation middleware for trash purges (?dryRun=true reports without deleting)
+const validatePurge = [
+  param('id')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid story id'),
+
+  query('dryRun')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('dryRun must be true or false'),
+
+  handleFieldValidationErrors
+];
+
+const validateSearch = [
+  query('duration')
+    .optional()
+    .custom(value => [].concat(value).join(',').split(',').every(bucket => ['short', 'medium', 'long'].includes(bucket.trim())))
+    .withMessage('Duration must be short, medium or long'),
+
+  query('savedSearch')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid saved search id'),
+
+  handleFieldValidationErrors
+];
+
+const validateSavedSearch = [
+  param('id')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid saved search id'),
+
+  body('name')
+    .if((value, { req }) => req.method === 'POST' || value !== undefined)
+    .isString()
+    .withMessage('Name is required')
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 60 })
+    .withMessage('Name must be between 1 and 60 characters'),
+
+  body('params')
+    .optional()
+    .isObject()
+    .withMessage('params must be an object of search parameters'),
+
+  handleFieldValidationErrors
+];
+
 // Test endpoint for frontend development (no auth required) - MUST be before auth middleware
 router.route('/test')
   .get((req, res) => {
@@ -283,9 +782,67 @@ router.route('/generate')
     requirePermission('canCreateStories'), // Require story creation permission
     validateStoryGeneration,
     handleValidationErrors,
+    checkCredits(STORY_CREDITS),
+    deductCredits(STORY_CREDITS),
     generateStory
   );
 
+// Streaming variant of /generate - responds with Server-Sent Events (consume with fetch, not EventSource)
+router.route('/generate/stream')
+  .post(
+    authenticate,
+    requirePermission('canCreateStories'),
+    validateStoryGeneration,
+    handleValidationErrors,
+    checkCredits(STORY_CREDITS),
+    deductCredits(STORY_CREDITS),
+    generateStoryStream
+  );
+
+// Background generation jobs (enqueue, poll, cancel)
+router.route('/jobs')
+  .post(
+    authenticate,
+    requirePermission('canCreateStories'),
+    validateStoryGeneration,
+    handleValidationErrors,
+    checkCredits(STORY_CREDITS),
+    deductCredits(STORY_CREDITS),
+    createGenerationJob
+  );
+
+router.route('/jobs/:jobId')
+  .get(authenticate, getGenerationJob) // Poll job status and stage
+  .delete(authenticate, cancelGenerationJob); // Cancel queued or running job
+
+// Batch generation from CSV or JSON rows (credits are checked up front and charged as each row runs)
+router.route('/batches')
+  .get(authenticate, getStoryBatches)
+  .post(
+    authenticate,
+    requirePermission('canCreateStories'),
+    validateBatchRows,
+    checkCredits(req => req.batchRows.length * STORY_CREDITS),
+    createStoryBatch
+  );
+
+router.route('/batches/:batchId')
+  .get(authenticate, validateBatchId, loadStoryBatch, getStoryBatch);
+
+router.route('/batches/:batchId/retry')
+  .post(
+    authenticate,
+    requirePermission('canCreateStories'),
+    validateBatchId,
+    validateBatchRetry,
+    loadStoryBatch,
+    checkCredits(req => req.batch.getRetryableRows(req.body.rows).length * STORY_CREDITS),
+    retryStoryBatch
+  );
+
+router.route('/batches/:batchId/cancel')
+  .post(authenticate, validateBatchId, loadStoryBatch, cancelStoryBatch);
+
 router.route('/generate-ideas')
   .post(
     authenticate, // Require authentication
@@ -295,7 +852,16 @@ router.route('/generate-ideas')
   );
 
 router.route('/search')
-  .get(authenticate, searchStories); // Advanced search endpoint
+  .get(authenticate, validateSearch, searchStories); // Search with snippets, facet counts and saved searches
+
+// Saved searches, listed with their current match counts for filter chips
+router.route('/saved-searches')
+  .get(authenticate, getSavedSearches)
+  .post(authenticate, validateSavedSearch, createSavedSearch);
+
+router.route('/saved-searches/:id')
+  .put(authenticate, validateSavedSearch, updateSavedSearch)
+  .delete(authenticate, validateSavedSearch, deleteSavedSearch);
 
 router.route('/export/:id')
   .get(authenticate, requirePermission('canExportVideo'), exportStory); // Export story in different formats
@@ -333,15 +899,101 @@ router.route('/render-video')
 router.route('/status')
   .get(authenticate, getGenerationStatus);
 
+router.route('/shared-with-me')
+  .get(authenticate, getSharedWithMe); // Stories other users shared with the requester
+
 router.route('/video-styles')
-  .get(authenticate, getVideoStyles);
+  .get(authenticate, getVideoStyles) // Built-in and custom styles
+  .post(authenticate, requirePermission('canCreateStories'), validateVideoStyle(), createVideoStyle);
+
+router.route('/video-styles/:styleId')
+  .get(authenticate, getVideoStyle)
+  .put(authenticate, requirePermission('canEditStories'), validateVideoStyle(true), updateVideoStyle)
+  .delete(authenticate, requirePermission('canDeleteStories'), deleteVideoStyle);
+
+// Import scripts written outside the app (multipart "files" or JSON { files: [{ name, content }] })
+router.route('/import')
+  .post(
+    authenticate,
+    requirePermission('canCreateStories'),
+    uploadImportFiles,
+    handleMulterError,
+    validateStoryImport,
+    importStories
+  );
+
+// Trash: deleted stories stay restorable until they are purged with their files
+router.route('/trash')
+  .get(authenticate, getTrash)
+  .delete(authenticate, requirePermission('canDeleteStories'), validatePurge, emptyTrash);
+
+router.route('/trash/purge-expired')
+  .post(authenticate, requireAdmin, validatePurge, purgeExpiredTrash);
+
+router.route('/trash/:id')
+  .delete(authenticate, requirePermission('canDeleteStories'), validatePurge, purgeStory);
+
+router.route('/trash/:id/restore')
+  .post(authenticate, requirePermission('canDeleteStories'), validatePurge, restoreStory);
 
 router.route('/:id')
   .get(authenticate, getStory) // Get single story
-  .put(authenticate, requirePermission('canEditStories'), updateStory) // Update story
+  .put(authenticate, requirePermission('canEditStories'), validateStoryUpdate, updateStory) // Update story
   .delete(authenticate, requirePermission('canDeleteStories'), deleteStory); // Delete story
 
 router.route('/:id/summary')
   .post(authenticate, generateStorySummary); // Generate AI summary
 
+// Sharing and collaborators
+router.route('/:id/share')
+  .get(authenticate, getStoryCollaborators)
+  .post(authenticate, validateShare, shareStory);
+
+router.route('/:id/share/:userId')
+  .delete(authenticate, revokeStoryAccess); // Owner revokes, or collaborator leaves
+
+// Public review links
+router.route('/:id/share-link')
+  .post(authenticate, validateShareLink, createShareLink);
+
+router.route('/:id/share-links')
+  .get(authenticate, getShareLinks); // View stats and reviewer comments
+
+router.route('/:id/share-links/:linkId')
+  .delete(authenticate, revokeShareLink);
+
+// Language variants
+router.route('/:id/translate')
+  .post(authenticate, requirePermission('canCreateStories'), validateTranslation, translateStory);
+
+// Hook and headline A/B variants
+router.route('/:id/variants')
+  .get(authenticate, getStoryVariants)
+  .post(authenticate, requirePermission('canEditStories'), validateVariantGeneration, generateStoryVariants);
+
+router.route('/:id/variants/:variantId/select')
+  .post(authenticate, requirePermission('canEditStories'), validateVariantParam, selectStoryVariant);
+
+// Script quality report with the stored rubric score
+router.route('/:id/analysis')
+  .get(authenticate, getStoryAnalysis);
+
+router.route('/:id/analysis/rubric')
+  .post(authenticate, requirePermission('canEditStories'), scoreStoryRubric); // AI rubric score against the video style
+
+// Structured quiz data (quiz-style stories)
+router.route('/:id/quiz')
+  .get(authenticate, getStoryQuiz)
+  .put(authenticate, requirePermission('canEditStories'), validateQuizUpdate, updateStoryQuiz);
+
+// Content version history
+router.route('/:id/versions')
+  .get(authenticate, getStoryVersions);
+
+router.route('/:id/versions/diff')
+  .get(authenticate, validateVersionDiff, diffStoryVersions); // Word-level diff, ?from=&to=
+
+router.route('/:id/versions/:version/restore')
+  .post(authenticate, requirePermission('canEditStories'), validateVersionParam, restoreStoryVersion);
+
 module.exports = router;
@@ -1,8 +1,9 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const {
   generateVideoTimeline,
   getVideoTimeline,
+  exportVideoTimeline,
   searchMediaPreview,
   getVideoStatus,
   deleteVideoTimeline
@@ -72,6 +73,15 @@ const validateMediaSearch = [
     .withMessage('Max results must be between 1 and 50')
 ];
 
+// Validation middleware for timeline export
+const validateTimelineExport = [
+  query('format')
+    .optional()
+    .toLowerCase()
+    .isIn(['fcpxml', 'edl', 'otio'])
+    .withMessage('Format must be fcpxml, edl, or otio')
+];
+
 // Validation error handler
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
@@ -105,6 +115,14 @@ router.route('/timeline/:storyId')
   .get(getVideoTimeline)
   .delete(deleteVideoTimeline);
 
+// Export a timeline for editing software
+router.route('/timeline/:storyId/export')
+  .get(
+    validateTimelineExport,
+    handleValidationErrors,
+    exportVideoTimeline
+  );
+
 // Media search preview (no download)
 router.route('/search-preview')
   .post(
@@ -1,4 +1,5 @@
 const express = require('express');
+const { body, param, validationResult } = require('express-validator');
 const {
   getVoices,
   getVoiceById,
@@ -7,6 +8,7 @@ const {
   cloneVoice,
   getSubscription,
   generateStoryVoice,
+  assignSpeakerVoices,
   uploadUserAudio,
   serveAudioFile,
   upload
@@ -18,6 +20,49 @@ const { checkCredits, deductCredits } = require('../middleware/credits');
 
 const router = express.Router();
 
+const validateSpeakerVoices = [
+  param('storyId')
+    .isMongoId()
+    .withMessage('Invalid story id'),
+
+  body('speakers')
+    .isArray({ min: 1, max: 20 })
+    .withMessage('Speakers must be an array of 1 to 20 entries'),
+
+  body('speakers.*.speakerId')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Each speaker needs a speakerId'),
+
+  body('speakers.*.voiceId')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Each speaker needs a voiceId'),
+
+  body('speakers.*.voiceSettings')
+    .optional()
+    .isObject()
+    .withMessage('Voice settings must be an object')
+];
+
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array().map(error => ({
+        field: error.path,
+        message: error.msg,
+        value: error.value
+      }))
+    });
+  }
+  next();
+};
+
 // All voice routes require authentication
 router.use(authenticate);
 
@@ -53,6 +98,15 @@ router.route('/story/:storyId')
     generateStoryVoice
   );
 
+// Voice per speaker for dialogue stories
+router.route('/story/:storyId/speakers')
+  .put(
+    requirePermission('canUseVoiceGeneration'),
+    validateSpeakerVoices,
+    handleValidationErrors,
+    assignSpeakerVoices
+  );
+
 // Voice cloning routes
 router.route('/clone')
   .post(
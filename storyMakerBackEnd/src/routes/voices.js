@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const MurfAiService = require('../services/murfAiService');
 const { authenticate } = require('../middleware/auth');
+const { trackUsage } = require('../services/aiUsageService');
 
 // Initialize the service instance
 let murfAiService;
@@ -120,7 +121,11 @@ router.post('/generate-sample', authenticate, async (req, res) => {
     }
 
     // Generate voice sample using Murf AI
-    const audioBuffer = await getVoiceService().generateSpeech({
+    const audioBuffer = await trackUsage(getVoiceService(), {
+      userId: req.user.id,
+      userType: req.userType,
+      operation: 'voice-sample'
+    }).generateSpeech({
       text: text.trim(),
       voiceId: voiceId,
       voiceSettings: { speed: 1.0, volume: 1.0 } // Default settings for sample
@@ -0,0 +1,128 @@
+const AiUsage = require('../models/AiUsage');
+const { calculateCost } = require('../utils/aiCost');
+
+/**
+ * Save a usage record for one AI call
+ * Recording never fails the caller: errors are logged and null is returned.
+ * @param {Object} entry - { userId, userType, storyId, operation, provider, model, units, variant, ownKey, credits, error }
+ * @returns {Promise<Object|null>} Saved record
+ */
+const recordUsage = async (entry) => {
+  const { cost, priced } = calculateCost(entry.provider, entry.model, entry.units, { variant: entry.variant });
+
+  try {
+    return await AiUsage.create({ ...entry, cost, priced });
+  } catch (error) {
+    console.warn(`⚠️ Could not record AI usage for ${entry.operation} (${entry.provider}/${entry.model}): ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Wrap an AI provider (LLM provider or voice service) so every call it makes is recorded
+ * Only leaf calls are wrapped (chat, transcribe, generateImage, synthesizeSpeech); other methods
+ * run against the wrapper, so e.g. generateSpeech -> synthesizeSpeech is recorded once. Failed calls are
+ * recorded with their error and rethrown.
+ * @param {Object} target - Provider instance; `target.name` is the provider name
+ * @param {Object} context - { userId, userType, operation, storyId?, ownKey?, credits? }
+ * @returns {Object} Provider with the same interface plus setStory(storyId)
+ */
+const trackUsage = (target, context) => {
+  const tracked = Object.create(target);
+  const state = { ...context, storyId: context.storyId || null, recordIds: [], creditsPending: context.credits || 0 };
+
+  const record = async (call) => {
+    const saved = await recordUsage({
+      userId: state.userId,
+      userType: state.userType || 'user',
+      storyId: state.storyId,
+      operation: state.operation,
+      provider: target.name,
+      ownKey: !!state.ownKey,
+      credits: state.creditsPending,
+      ...call
+    });
+    if (saved) {
+      state.creditsPending = 0;
+      if (!saved.storyId) {
+        state.recordIds.push(saved._id);
+      }
+    }
+  };
+
+  // Providers report no usage for a failed call, so it is recorded without units
+  const recordFailure = async (call, error) => {
+    await record({ ...call, error: error.message });
+    throw error;
+  };
+
+  if (typeof target.chat === 'function') {
+    tracked.chat = async (request, options) => {
+      const result = await target.chat(request, options)
+        .catch(error => recordFailure({ model: request.model }, error));
+      await record({
+        model: request.model,
+        units: { inputTokens: result.usage.promptTokens, outputTokens: result.usage.completionTokens }
+      });
+      return result;
+    };
+  }
+
+  if (typeof target.transcribe === 'function') {
+    tracked.transcribe = async (request, options) => {
+      const result = await target.transcribe(request, options)
+        .catch(error => recordFailure({ model: request.model }, error));
+      // Plain json transcriptions carry no duration; the record is then marked unpriced
+      await record({
+        model: request.model,
+        units: { audioSeconds: typeof result.duration === 'number' ? result.duration : null }
+      });
+      return result;
+    };
+  }
+
+  if (typeof target.generateImage === 'function') {
+    tracked.generateImage = async (request, options) => {
+      const variant = `${request.quality || 'standard'}:${request.size || '1024x1024'}`;
+      const result = await target.generateImage(request, options)
+        .catch(error => recordFailure({ model: request.model, variant }, error));
+      await record({
+        model: request.model,
+        units: { images: 1 },
+        variant
+      });
+      return result;
+    };
+  }
+
+  if (typeof target.synthesizeSpeech === 'function') {
+    tracked.synthesizeSpeech = async (request, ...rest) => {
+      const result = await target.synthesizeSpeech(request, ...rest)
+        .catch(error => recordFailure({ model: request.model || 'default' }, error));
+      await record({
+        model: request.model || 'default',
+        units: { characters: request.text.length, audioSeconds: result.duration || undefined }
+      });
+      return result;
+    };
+  }
+
+  /**
+   * Tie the calls recorded so far without a story to one, e.g. the calls that wrote a story once it is saved
+   * Later calls are not affected, so one provider can write several stories in a row.
+   */
+  tracked.setStory = async (storyId) => {
+    const recordIds = state.recordIds.splice(0);
+    if (recordIds.length > 0) {
+      await AiUsage.updateMany({ _id: { $in: recordIds }, storyId: null }, { storyId })
+        .catch(error => console.warn(`⚠️ Could not link AI usage to story ${storyId}: ${error.message}`));
+    }
+  };
+
+  return tracked;
+};
+
+module.exports = {
+  recordUsage,
+  trackUsage
+};
@@ -1,33 +1,21 @@
-const OpenAI = require('openai');
 const fs = require('fs');
 const fsPromises = require('fs').promises;
 const path = require('path');
 const axios = require('axios');
+const { getProvider, getModel } = require('./llmProviders');
 
 class CaptionService {
-  constructor() {
-    this.openai = null;
-    
-    // Initialize OpenAI client if API key is available
-    if (process.env.OPENAI_API_KEY) {
-      this.openai = new OpenAI({
-        apiKey: process.env.OPENAI_API_KEY,
-      });
-      console.log('CaptionService initialized with OpenAI API key');
-    } else {
-      console.warn('CaptionService: OpenAI API key not configured');
-    }
-  }
-
   /**
    * Generate captions from audio file using Whisper AI
    * @param {string} audioFilePath - Path to audio file (local or URL)
-   * @param {Object} options - Caption generation options
+   * @param {Object} options - Caption generation options (options.llm selects the LLM provider)
    * @returns {Promise<Object>} Caption data with timestamps
    */
   async generateCaptionsFromAudio(audioFilePath, options = {}) {
-    if (!this.openai) {
-      throw new Error('OpenAI API not configured. Please set OPENAI_API_KEY environment variable.');
+    const llm = options.llm || getProvider();
+
+    if (!llm.isConfigured()) {
+      throw new Error('LLM provider not configured. Please set OPENAI_API_KEY or LLM_PROVIDER.');
     }
 
     try {
@@ -71,12 +59,11 @@ class CaptionService {
       await fsPromises.writeFile(tempFilePath, audioFile);
 
       // Transcribe with Whisper
-      const transcription = await this.openai.audio.transcriptions.create({
+      const transcription = await llm.transcribe({
         file: fs.createReadStream(tempFilePath),
-        model: 'whisper-1',
+        model: getModel('transcription'),
         language: language,
-        response_format: includeTimestamps ? 'verbose_json' : 'json',
-        timestamp_granularities: includeTimestamps ? ['word', 'segment'] : undefined
+        timestamps: includeTimestamps
       });
 
       // Clean up temporary file
@@ -156,20 +143,79 @@ class CaptionService {
     }
   }
 
+  /**
+   * Generate captions inside fixed segments (e.g. quiz question/countdown/reveal markers)
+   * Each segment's text is chunked and spread over the segment by word count, so no caption crosses a boundary.
+   * @param {Array<Object>} segments - [{ type, questionIndex, text, startTime, endTime }]; segments without text get no caption
+   * @param {Object} options - Caption generation options
+   * @returns {Object} Caption data, with the segments in metadata
+   */
+  generateCaptionsFromSegments(segments, options = {}) {
+    const {
+      maxWordsPerCaption = 8,
+      format = 'srt',
+      language = 'en'
+    } = options;
+
+    const captions = [];
+    let wordCount = 0;
+
+    segments.forEach((segment, segmentIndex) => {
+      if (!segment.text) return;
+
+      const chunks = this.createCaptionChunks(this.splitIntoSentences(this.cleanStoryText(segment.text)), maxWordsPerCaption);
+      const words = chunks.map(chunk => chunk.split(' ').length);
+      const total = words.reduce((sum, count) => sum + count, 0);
+      const span = segment.endTime - segment.startTime;
+      let currentTime = segment.startTime;
+
+      chunks.forEach((chunk, index) => {
+        const duration = (words[index] / total) * span;
+        captions.push({
+          index: captions.length + 1,
+          text: chunk,
+          startTime: currentTime,
+          endTime: currentTime + duration,
+          segmentIndex,
+          segmentType: segment.type
+        });
+        currentTime += duration;
+      });
+      wordCount += total;
+    });
+
+    return {
+      success: true,
+      captions: this.formatCaptions(captions, format),
+      metadata: {
+        language,
+        format,
+        totalDuration: segments[segments.length - 1]?.endTime || 0,
+        captionCount: captions.length,
+        wordCount,
+        generatedAt: new Date().toISOString(),
+        source: 'quiz-segments',
+        segments: segments.map(({ text, ...marker }) => marker)
+      }
+    };
+  }
+
   /**
    * Generate captions using OpenAI for intelligent text processing
    * @param {string} storyContent - The story text content
-   * @param {Object} options - Caption generation options
+   * @param {Object} options - Caption generation options (options.llm selects the LLM provider)
    * @returns {Promise<Object>} AI-enhanced caption data
    */
   async generateSmartCaptionsFromText(storyContent, options = {}) {
-    if (!this.openai) {
+    const llm = options.llm || getProvider();
+
+    if (!llm.isConfigured()) {
       // Fallback to basic text captions if no API
       return this.generateCaptionsFromText(storyContent, options);
     }
 
     try {
-      console.log('Generating smart captions using OpenAI...');
+      console.log(`Generating smart captions using ${llm.name} provider...`);
 
       const {
         maxDuration = 300, // 5 minutes default
@@ -192,8 +238,8 @@ ${storyContent}
 Please return the text optimized for captions, maintaining the story's flow and emotional impact.
 `;
 
-      const completion = await this.openai.chat.completions.create({
-        model: 'gpt-4',
+      const completion = await llm.chat({
+        model: getModel('captions'),
         messages: [
           {
             role: 'system',
@@ -204,11 +250,11 @@ Please return the text optimized for captions, maintaining the story's flow and
             content: prompt
           }
         ],
-        max_tokens: 2000,
+        maxTokens: 2000,
         temperature: 0.7
       });
 
-      const optimizedText = completion.choices[0].message.content;
+      const optimizedText = completion.content;
 
       // Generate captions from the optimized text
       const result = await this.generateCaptionsFromText(optimizedText, {
@@ -448,16 +494,20 @@ Please return the text optimized for captions, maintaining the story's flow and
 
   /**
    * Get service status
+   * @param {Object} llm - Provider to report on (defaults to the platform provider)
    */
-  getServiceStatus() {
+  getServiceStatus(llm = getProvider()) {
+    const llmAvailable = llm.isConfigured();
+
     return {
-      whisperAvailable: !!this.openai,
+      whisperAvailable: llmAvailable,
+      provider: llm.name,
       supportedFormats: ['srt', 'vtt', 'json', 'txt'],
       supportedLanguages: ['en', 'es', 'fr', 'de', 'it', 'pt', 'ru', 'ja', 'ko', 'zh'],
       features: {
-        audioTranscription: !!this.openai,
+        audioTranscription: llmAvailable,
         textCaptions: true,
-        smartCaptions: !!this.openai,
+        smartCaptions: llmAvailable,
         timestampGeneration: true,
         multipleFormats: true
       },
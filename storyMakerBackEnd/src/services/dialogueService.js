@@ -0,0 +1,298 @@
+const { getModel } = require('./llmProviders');
+const { stitchAudio } = require('../utils/audioStitch');
+
+// Structured-output contract for splitting a dialogue script
+const DIALOGUE_SCHEMA = {
+  name: 'story_dialogue',
+  schema: {
+    type: 'object',
+    properties: {
+      speakers: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            speakerId: { type: 'string' },
+            name: { type: 'string' },
+            description: { type: 'string' }
+          },
+          required: ['speakerId', 'name', 'description'],
+          additionalProperties: false
+        }
+      },
+      lines: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            speakerId: { type: 'string' },
+            text: { type: 'string' },
+            delivery: { type: 'string' }
+          },
+          required: ['speakerId', 'text', 'delivery'],
+          additionalProperties: false
+        }
+      }
+    },
+    required: ['speakers', 'lines'],
+    additionalProperties: false
+  }
+};
+
+// "Person A: text", "**Sam:** text", "MOM (whispering): text"
+const SPEAKER_LINE = /^\s*\**\s*([\p{L}\p{N}][\p{L}\p{N}.'-]*(?:\s[\p{L}\p{N}.'-]+){0,2})\s*\**\s*(?:\(([^)]*)\))?\s*\**\s*:\s*\**\s*(.+)$/u;
+// Leading "(sarcastic)" on the line itself
+const LEADING_DELIVERY = /^\(([^)]+)\)\s*/;
+
+const DESCRIPTION_MAX_LENGTH = 300;
+const DELIVERY_MAX_LENGTH = 100;
+
+class DialogueService {
+  /**
+   * Split a "Name: line" script into speakers and lines without a model
+   * Unlabelled lines continue the previous speaker; [directions] and headings are dropped.
+   * @param {string} script - Script text
+   * @returns {Object|null} { speakers, lines } or null if fewer than two labelled lines were found
+   */
+  parseSpeakerLabels(script) {
+    const speakers = new Map();
+    const lines = [];
+
+    (script || '').split('\n').forEach(raw => {
+      const line = raw.replace(/\[[^\]]*\]/g, ' ').trim();
+      if (!line || /^#{1,6}\s/.test(line)) return;
+
+      const match = line.match(SPEAKER_LINE);
+      if (!match) {
+        if (lines.length > 0) {
+          lines[lines.length - 1].text += ` ${line.replace(/[*_`~]/g, '').trim()}`;
+        }
+        return;
+      }
+
+      const name = match[1].trim();
+      const key = name.toLowerCase();
+      if (!speakers.has(key)) {
+        speakers.set(key, { speakerId: this.speakerIdFor(name, speakers), name, description: '' });
+      }
+
+      let text = match[3].replace(/[*_`~]/g, '').trim();
+      let delivery = match[2] ? match[2].trim() : '';
+      const leading = text.match(LEADING_DELIVERY);
+      if (leading) {
+        delivery = delivery || leading[1].trim();
+        text = text.slice(leading[0].length);
+      }
+
+      if (text) {
+        lines.push({ speakerId: speakers.get(key).speakerId, text, delivery: delivery.slice(0, DELIVERY_MAX_LENGTH) });
+      }
+    });
+
+    return lines.length >= 2 ? { speakers: [...speakers.values()], lines } : null;
+  }
+
+  /**
+   * Short id for a speaker label: "Person A" -> "A", "Mom" -> "mom"; numbered on collisions
+   */
+  speakerIdFor(name, speakers) {
+    const words = name.split(/\s+/);
+    const last = words[words.length - 1];
+    const base = words.length > 1 && last.length === 1
+      ? last.toUpperCase()
+      : name.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-|-$/g, '') || 'speaker';
+    const taken = new Set([...speakers.values()].map(speaker => speaker.speakerId));
+
+    let id = base;
+    for (let n = 2; taken.has(id); n++) {
+      id = `${base}-${n}`;
+    }
+    return id;
+  }
+
+  /**
+   * Turn a dialogue script into speakers with descriptions and ordered lines
+   * Falls back to reading "Name:" labels when the model's reply is unusable.
+   * @param {Object} options
+   * @param {Object} options.llm - LLM provider
+   * @param {string} options.script - Dialogue script
+   * @param {string} [options.language] - Language the lines are written in
+   * @param {AbortSignal} [options.signal] - Aborts the LLM call
+   * @returns {Promise<Object>} { dialogue: { speakers, lines } | null, usage }
+   */
+  async structureDialogue({ llm, script, language, signal }) {
+    const completion = await llm.chat({
+      model: getModel('dialogue'),
+      messages: [
+        {
+          role: 'system',
+          content: 'You turn dialogue scripts into structured data for multi-voice narration. Always respond with a single JSON object.'
+        },
+        {
+          role: 'user',
+          content: this.buildDialoguePrompt(script, language)
+        }
+      ],
+      maxTokens: 3000,
+      temperature: 0.2,
+      responseFormat: 'json',
+      schema: DIALOGUE_SCHEMA
+    }, { signal });
+
+    let dialogue;
+    try {
+      dialogue = this.parseDialogue(completion.content);
+    } catch (error) {
+      console.warn(`⚠️ Dialogue reply unusable (${error.message}), reading speaker labels instead`);
+      dialogue = this.parseSpeakerLabels(script);
+    }
+
+    return { dialogue, usage: completion.usage };
+  }
+
+  /**
+   * Build the prompt that splits a script into speakers and lines
+   */
+  buildDialoguePrompt(script, language) {
+    return `Split this dialogue script into its speakers and spoken lines.
+
+Script:
+${script}
+
+Rules:
+- "speakers": everyone who speaks, in order of first appearance. "speakerId" is a short unique key (the letter for "Person A"/"Person B", otherwise the lowercase name), "name" is the label used in the script, "description" is one sentence on who they are and how they should sound (age, energy, attitude) so a voice can be cast.
+- "lines": every spoken line in order. "speakerId" must match a speaker, "text" is exactly what is said aloud (no label, no stage directions) in ${language || 'the script\'s language'}, "delivery" is a short note on how to say it (e.g. "deadpan", "panicking") or "" if nothing stands out.
+- Keep the wording of the lines unchanged; do not add, merge or drop lines.
+
+Respond with only a JSON object: { "speakers": [{ "speakerId": "...", "name": "...", "description": "..." }], "lines": [{ "speakerId": "...", "text": "...", "delivery": "..." }] }`;
+  }
+
+  /**
+   * Parse and validate a JSON dialogue reply
+   * @param {string} text - Raw model reply
+   * @returns {Object} { speakers, lines }
+   */
+  parseDialogue(text) {
+    let data;
+    try {
+      const cleaned = (text || '').replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+      data = JSON.parse(cleaned);
+    } catch (error) {
+      throw new Error(`reply is not valid JSON (${error.message})`);
+    }
+
+    const speakers = [];
+    (Array.isArray(data?.speakers) ? data.speakers : []).forEach(entry => {
+      const speakerId = typeof entry?.speakerId === 'string' ? entry.speakerId.trim() : '';
+      if (!speakerId || speakers.some(speaker => speaker.speakerId === speakerId)) return;
+
+      speakers.push({
+        speakerId,
+        name: typeof entry.name === 'string' && entry.name.trim() ? entry.name.trim() : speakerId,
+        description: typeof entry.description === 'string' ? entry.description.trim().slice(0, DESCRIPTION_MAX_LENGTH) : ''
+      });
+    });
+
+    const known = new Set(speakers.map(speaker => speaker.speakerId));
+    const lines = (Array.isArray(data?.lines) ? data.lines : [])
+      .filter(entry => entry && typeof entry.text === 'string' && entry.text.trim())
+      .map(entry => ({
+        speakerId: typeof entry.speakerId === 'string' ? entry.speakerId.trim() : '',
+        text: entry.text.trim(),
+        delivery: typeof entry.delivery === 'string' ? entry.delivery.trim().slice(0, DELIVERY_MAX_LENGTH) : ''
+      }));
+
+    if (speakers.length === 0 || lines.length === 0) {
+      throw new Error('reply has no speakers or lines');
+    }
+
+    const unknown = lines.find(line => !known.has(line.speakerId));
+    if (unknown) {
+      throw new Error(`line "${unknown.text.slice(0, 40)}" uses unknown speaker "${unknown.speakerId}"`);
+    }
+
+    return { speakers, lines };
+  }
+
+  /**
+   * Set the voice of one or more speakers
+   * @param {Object} story - Story document with a dialogue (saved by the caller)
+   * @param {Array<Object>} assignments - [{ speakerId, voiceId, voiceSettings? }]
+   * @returns {Array<string>} Speaker ids that do not exist on the story (nothing is changed if any)
+   */
+  assignVoices(story, assignments) {
+    const speakers = new Map(story.dialogue.speakers.map(speaker => [speaker.speakerId, speaker]));
+    const unknown = assignments.map(entry => entry.speakerId).filter(id => !speakers.has(id));
+    if (unknown.length > 0) {
+      return unknown;
+    }
+
+    assignments.forEach(({ speakerId, voiceId, voiceSettings }) => {
+      const speaker = speakers.get(speakerId);
+      speaker.voiceId = voiceId;
+      if (voiceSettings !== undefined) {
+        speaker.voiceSettings = voiceSettings;
+      }
+    });
+    story.markModified('dialogue.speakers');
+
+    return [];
+  }
+
+  /**
+   * Voice every line with its speaker's voice and join them into one track
+   * Line start/end times are written to the story's dialogue (saved by the caller).
+   * @param {Object} options
+   * @param {Object} options.story - Story document with a dialogue
+   * @param {Object} options.voiceService - Voice provider with synthesizeSpeech() and validateVoiceSettings()
+   * @param {string} [options.fallbackVoiceId] - Voice for speakers without one
+   * @param {Object} [options.voiceSettings] - Settings for speakers without their own
+   * @returns {Promise<Object>} { buffer, format, duration, lines: [{ speakerId, text, startTime, endTime }] }
+   */
+  async renderVoice({ story, voiceService, fallbackVoiceId, voiceSettings = {} }) {
+    const speakers = new Map(story.dialogue.speakers.map(speaker => [speaker.speakerId, speaker]));
+    const clips = [];
+
+    // One line at a time keeps within the voice provider's rate limits
+    for (const line of story.dialogue.lines) {
+      const speaker = speakers.get(line.speakerId) || {};
+      const { audioBuffer, duration } = await voiceService.synthesizeSpeech({
+        text: line.text,
+        voiceId: speaker.voiceId || fallbackVoiceId,
+        voiceSettings: voiceService.validateVoiceSettings(speaker.voiceSettings || voiceSettings)
+      });
+      clips.push({ buffer: audioBuffer, duration });
+    }
+
+    const track = stitchAudio(clips);
+
+    story.dialogue.lines.forEach((line, index) => {
+      line.startTime = track.segments[index].startTime;
+      line.endTime = track.segments[index].endTime;
+    });
+
+    return {
+      buffer: track.buffer,
+      format: track.format,
+      duration: track.duration,
+      lines: story.dialogue.lines.map(line => ({
+        speakerId: line.speakerId,
+        text: line.text,
+        delivery: line.delivery || null,
+        startTime: line.startTime,
+        endTime: line.endTime
+      }))
+    };
+  }
+
+  /**
+   * Speakers that have no voice assigned
+   * @param {Object} story - Story document with a dialogue
+   * @returns {Array<string>} Speaker ids
+   */
+  unvoicedSpeakers(story) {
+    return story.dialogue.speakers.filter(speaker => !speaker.voiceId).map(speaker => speaker.speakerId);
+  }
+}
+
+module.exports = DialogueService;
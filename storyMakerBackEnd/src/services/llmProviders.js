@@ -0,0 +1,384 @@
+const OpenAI = require('openai');
+const crypto = require('crypto');
+const llmConfig = require('../config/llm');
+const { getEffectiveAPIKeysForUser } = require('../middleware/credits');
+const { calculateCost } = require('../utils/aiCost');
+const { trackUsage } = require('./aiUsageService');
+
+// 1x1 transparent PNG returned by the stub provider
+const STUB_IMAGE_B64 = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+
+/**
+ * Convert OpenAI usage numbers into the shape used across the app, priced for the provider and model
+ */
+const normalizeUsage = (usage, provider, model) => {
+  const promptTokens = usage?.prompt_tokens || 0;
+  const completionTokens = usage?.completion_tokens || 0;
+
+  return {
+    promptTokens,
+    completionTokens,
+    totalTokens: usage?.total_tokens || 0,
+    cost: calculateCost(provider, model, { inputTokens: promptTokens, outputTokens: completionTokens }).cost
+  };
+};
+
+/**
+ * Provider backed by the official OpenAI API
+ */
+class OpenAIProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.apiKey - OpenAI API key
+   * @param {string} [options.baseURL] - Override the API base URL
+   */
+  constructor({ apiKey, baseURL } = {}) {
+    this.name = 'openai';
+    this.apiKey = apiKey || null;
+    this.baseURL = baseURL || null;
+    this.client = this.apiKey
+      ? new OpenAI({ apiKey: this.apiKey, ...(this.baseURL && { baseURL: this.baseURL }) })
+      : null;
+  }
+
+  isConfigured() {
+    return !!this.client;
+  }
+
+  ensureConfigured() {
+    if (!this.isConfigured()) {
+      throw new Error(`LLM provider "${this.name}" is not configured`);
+    }
+  }
+
+  /**
+   * Run a chat completion
+   * @param {Object} request
+   * @param {string} request.model - Model name
+   * @param {Array} request.messages - Chat messages
+   * @param {number} [request.maxTokens] - Completion token limit
+   * @param {number} [request.temperature] - Sampling temperature
+   * @param {string} [request.responseFormat] - 'text' or 'json'
+   * @param {Object} [request.schema] - { name, schema } JSON schema the reply must follow (json only)
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the request
+   * @param {Function} [options.onToken] - Streams text deltas when provided
+   * @returns {Promise<{content: string, usage: Object}>}
+   */
+  async chat({ model, messages, maxTokens, temperature, responseFormat, schema }, { signal, onToken } = {}) {
+    this.ensureConfigured();
+
+    const body = {
+      model,
+      messages,
+      ...(maxTokens && { max_tokens: maxTokens }),
+      ...(temperature !== undefined && { temperature }),
+      ...(responseFormat === 'json' && {
+        response_format: schema
+          ? { type: 'json_schema', json_schema: { name: schema.name, schema: schema.schema, strict: true } }
+          : { type: 'json_object' }
+      })
+    };
+
+    if (!onToken) {
+      const completion = await this.client.chat.completions.create(body, { signal });
+      return {
+        content: completion.choices[0].message.content,
+        usage: normalizeUsage(completion.usage, this.name, model)
+      };
+    }
+
+    const stream = await this.client.chat.completions.create({
+      ...body,
+      stream: true,
+      stream_options: { include_usage: true }
+    }, { signal });
+
+    let content = '';
+    let usage = null;
+
+    for await (const chunk of stream) {
+      const delta = chunk.choices?.[0]?.delta?.content;
+      if (delta) {
+        content += delta;
+        onToken(delta);
+      }
+      // The final chunk carries usage and no choices
+      if (chunk.usage) {
+        usage = chunk.usage;
+      }
+    }
+
+    return { content, usage: normalizeUsage(usage, this.name, model) };
+  }
+
+  /**
+   * Transcribe an audio file
+   * @param {Object} request
+   * @param {ReadStream} request.file - Audio file stream
+   * @param {string} request.model - Model name
+   * @param {string} [request.language] - ISO language code
+   * @param {boolean} [request.timestamps] - Request word and segment timestamps
+   * @returns {Promise<Object>} Whisper-style transcription ({ text, duration, segments, words })
+   */
+  async transcribe({ file, model, language, timestamps = false }, { signal } = {}) {
+    this.ensureConfigured();
+
+    return this.client.audio.transcriptions.create({
+      file,
+      model,
+      language,
+      response_format: timestamps ? 'verbose_json' : 'json',
+      timestamp_granularities: timestamps ? ['word', 'segment'] : undefined
+    }, { signal });
+  }
+
+  /**
+   * Generate an image
+   * @param {Object} request
+   * @param {string} request.model - Model name
+   * @param {string} request.prompt - Image prompt
+   * @param {string} [request.size] - Image size
+   * @param {string} [request.quality] - Image quality
+   * @returns {Promise<{b64Json: string}>}
+   */
+  async generateImage({ model, prompt, size, quality }, { signal } = {}) {
+    this.ensureConfigured();
+
+    const image = await this.client.images.generate({
+      model,
+      prompt,
+      size,
+      quality,
+      response_format: 'b64_json'
+    }, { signal });
+
+    return { b64Json: image.data[0].b64_json };
+  }
+}
+
+/**
+ * Provider for servers that implement the OpenAI API (LM Studio, vLLM, Ollama, ...)
+ */
+class OpenAICompatibleProvider extends OpenAIProvider {
+  constructor({ apiKey, baseURL } = {}) {
+    // Most local servers ignore the key but the client requires one
+    super({ apiKey: apiKey || 'not-needed', baseURL });
+    this.name = 'openai-compatible';
+  }
+
+  isConfigured() {
+    return !!this.baseURL;
+  }
+}
+
+/**
+ * Deterministic offline provider for tests and local development.
+ * The same request always produces the same output.
+ */
+class StubProvider {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.respond] - (request) => string, overrides the default reply
+   */
+  constructor({ respond } = {}) {
+    this.name = 'stub';
+    this.respond = respond || null;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  digest(value) {
+    return crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex').slice(0, 12);
+  }
+
+  async chat(request, { signal, onToken } = {}) {
+    if (signal?.aborted) {
+      const error = new Error('Request was aborted');
+      error.name = 'AbortError';
+      throw error;
+    }
+
+    const prompt = request.messages.map(message => message.content).join('\n');
+    const content = this.respond
+      ? this.respond(request)
+      : request.responseFormat === 'json'
+        ? JSON.stringify(request.schema
+          ? this.sampleFromSchema(request.schema.schema, this.digest(request))
+          : { stub: this.digest(request) })
+        : `Stub response ${this.digest(request)} from ${request.model}. ${prompt.split(/\s+/).slice(0, 40).join(' ')}`;
+
+    if (onToken) {
+      // Emit word by word so streaming consumers see several deltas
+      content.split(/(?<=\s)/).forEach(delta => onToken(delta));
+    }
+
+    const promptTokens = Math.ceil(prompt.length / 4);
+    const completionTokens = Math.ceil(content.length / 4);
+
+    return {
+      content,
+      usage: {
+        promptTokens,
+        completionTokens,
+        totalTokens: promptTokens + completionTokens,
+        cost: calculateCost(this.name, request.model, { inputTokens: promptTokens, outputTokens: completionTokens }).cost
+      }
+    };
+  }
+
+  /**
+   * Build a value that satisfies a JSON schema, so structured calls parse offline
+   */
+  sampleFromSchema(schema, seed, field = 'value') {
+    switch (schema.type) {
+      case 'object':
+        return Object.fromEntries(Object.entries(schema.properties || {})
+          .map(([key, definition]) => [key, this.sampleFromSchema(definition, seed, key)]));
+      case 'array':
+        return [1, 2, 3].map(index => this.sampleFromSchema(schema.items || { type: 'string' }, seed, `${field} ${index}`));
+      case 'number':
+      case 'integer':
+        return schema.minimum || 0;
+      case 'boolean':
+        return false;
+      default:
+        return `Stub ${field} ${seed}`;
+    }
+  }
+
+  async transcribe({ language = 'en' } = {}) {
+    const text = 'This is a stub transcription.';
+    return {
+      text,
+      language,
+      duration: 2,
+      segments: [{ id: 0, start: 0, end: 2, text }],
+      words: text.split(' ').map((word, index) => ({ word, start: index * 0.4, end: (index + 1) * 0.4 }))
+    };
+  }
+
+  async generateImage() {
+    return { b64Json: STUB_IMAGE_B64 };
+  }
+}
+
+// Provider registry: name -> factory({ apiKey, baseURL })
+const registry = new Map();
+// Provider instances keyed by name, base URL and a hash of the API key, least recently used first
+const instances = new Map();
+// Most provider instances kept at once (per-user keys each get their own)
+const MAX_CACHED_INSTANCES = 100;
+
+/**
+ * Register a provider factory under a name
+ * @param {string} name - Provider name used in LLM_PROVIDER
+ * @param {Function} factory - ({ apiKey, baseURL }) => provider
+ */
+const registerProvider = (name, factory) => {
+  registry.set(name, factory);
+  // Drop cached instances built by a previous factory
+  for (const key of instances.keys()) {
+    if (key.startsWith(`${name}|`)) instances.delete(key);
+  }
+};
+
+registerProvider('openai', (options) => new OpenAIProvider(options));
+registerProvider('openai-compatible', (options) => new OpenAICompatibleProvider(options));
+registerProvider('stub', () => new StubProvider());
+
+/**
+ * Get a provider instance
+ * @param {Object} [options]
+ * @param {string} [options.name] - Registered provider name (defaults to LLM_PROVIDER)
+ * @param {string} [options.apiKey] - API key to use instead of the platform key
+ * @returns {Object} Provider instance
+ */
+const getProvider = ({ name = llmConfig.provider, apiKey } = {}) => {
+  const factory = registry.get(name);
+  if (!factory) {
+    throw new Error(`Unknown LLM provider: ${name}`);
+  }
+
+  const baseURL = name === 'openai-compatible' ? llmConfig.baseUrl : undefined;
+  const key = apiKey
+    || (name === 'openai-compatible' ? llmConfig.apiKey : process.env.OPENAI_API_KEY);
+
+  const keyHash = key ? crypto.createHash('sha256').update(key).digest('hex') : '';
+  const cacheKey = `${name}|${baseURL || ''}|${keyHash}`;
+
+  let instance = instances.get(cacheKey);
+  if (instance) {
+    // Move to the most recently used end
+    instances.delete(cacheKey);
+  } else {
+    instance = factory({ apiKey: key, baseURL });
+    if (instances.size >= MAX_CACHED_INSTANCES) {
+      instances.delete(instances.keys().next().value);
+    }
+  }
+  instances.set(cacheKey, instance);
+
+  return instance;
+};
+
+/**
+ * Get the provider for a user, using their own OpenAI key when their plan allows it.
+ * Per-user keys only apply to the hosted OpenAI provider.
+ * @param {string} userId - User or subuser id
+ * @param {string} [userType] - 'user' or 'subuser'
+ * @param {Object} [usage] - { operation, storyId?, credits? } to record every call as AI usage
+ * @returns {Promise<Object>} Provider instance
+ */
+const getProviderForUser = async (userId, userType = 'user', usage = null) => {
+  let provider;
+  let ownKey = false;
+
+  if (llmConfig.provider !== 'openai') {
+    provider = getProvider();
+  } else {
+    const keys = await getEffectiveAPIKeysForUser(userId, userType);
+    provider = getProvider({ apiKey: keys.openAI });
+    ownKey = !!keys.openAI && keys.openAI !== process.env.OPENAI_API_KEY;
+  }
+
+  return usage ? trackUsage(provider, { userId, userType, ownKey, ...usage }) : provider;
+};
+
+/**
+ * Get the provider for the authenticated requester
+ * @param {Object} req - Express request
+ * @param {Object} [usage] - { operation, storyId? } to record every call as AI usage (credits come from req.creditsUsed)
+ * @returns {Promise<Object>} Provider instance
+ */
+const getProviderForRequest = (req, usage = null) => getProviderForUser(
+  req.user.id,
+  req.userType,
+  usage && { credits: req.creditsUsed || 0, ...usage }
+);
+
+/**
+ * Model configured for a call site
+ * @param {string} purpose - Key of llmConfig.models (story, metadata, captions, ...)
+ * @returns {string} Model name
+ */
+const getModel = (purpose) => {
+  const model = llmConfig.models[purpose];
+  if (!model) {
+    throw new Error(`No model configured for "${purpose}"`);
+  }
+  return model;
+};
+
+module.exports = {
+  OpenAIProvider,
+  OpenAICompatibleProvider,
+  StubProvider,
+  registerProvider,
+  getProvider,
+  getProviderForUser,
+  getProviderForRequest,
+  getModel
+};
@@ -4,6 +4,8 @@ const path = require('path');
 
 class MurfAiService {
   constructor() {
+    // Provider name used for usage records and pricing
+    this.name = 'murf';
     // Murf AI API configuration
     this.baseUrl = 'https://api.murf.ai/v1';
     this.apiKey = null;
@@ -254,6 +256,16 @@ class MurfAiService {
    * @returns {Promise<Buffer>} Audio buffer
    */
   async generateSpeech(options) {
+    const { audioBuffer } = await this.synthesizeSpeech(options);
+    return audioBuffer;
+  }
+
+  /**
+   * Generate speech and report the clip length Murf AI measured
+   * @param {Object} options - Same as generateSpeech
+   * @returns {Promise<Object>} { audioBuffer, duration } (duration in seconds, null if not reported)
+   */
+  async synthesizeSpeech(options) {
     try {
       this.ensureApiReady();
 
@@ -297,7 +309,10 @@ class MurfAiService {
         }
 
         console.log(`✅ Speech generation successful: ${audioBuffer.length} bytes`);
-        return audioBuffer;
+        return {
+          audioBuffer,
+          duration: response.data.audioLengthInSeconds || null
+        };
       } else {
         throw new Error('Invalid response from Murf AI - no audioFile URL provided');
       }
@@ -0,0 +1,341 @@
+const { getModel } = require('./llmProviders');
+const { measureNarration } = require('../utils/narration');
+
+// Limits shared by generated and edited quizzes
+const QUIZ_LIMITS = {
+  minOptions: 2,
+  maxOptions: 4,
+  minThinkTime: 1,
+  maxThinkTime: 30,
+  defaultThinkTime: 5,
+  maxQuestions: 20
+};
+
+const QUESTION_PROPERTIES = {
+  question: { type: 'string' },
+  options: { type: 'array', items: { type: 'string' } },
+  correctIndex: { type: 'integer' },
+  explanation: { type: 'string' },
+  thinkTimeSeconds: { type: 'integer' },
+  askNarration: { type: 'string' },
+  revealNarration: { type: 'string' }
+};
+
+// Structured-output contract for reading a quiz out of a generated script
+const QUIZ_SCHEMA = {
+  name: 'story_quiz',
+  schema: {
+    type: 'object',
+    properties: {
+      intro: { type: 'string' },
+      questions: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: QUESTION_PROPERTIES,
+          required: Object.keys(QUESTION_PROPERTIES),
+          additionalProperties: false
+        }
+      },
+      outro: { type: 'string' }
+    },
+    required: ['intro', 'questions', 'outro'],
+    additionalProperties: false
+  }
+};
+
+// Structured-output contract for rewriting the narration from edited quiz data
+const NARRATION_SCHEMA = {
+  name: 'quiz_narration',
+  schema: {
+    type: 'object',
+    properties: {
+      intro: { type: 'string' },
+      questions: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            askNarration: { type: 'string' },
+            revealNarration: { type: 'string' }
+          },
+          required: ['askNarration', 'revealNarration'],
+          additionalProperties: false
+        }
+      },
+      outro: { type: 'string' }
+    },
+    required: ['intro', 'questions', 'outro'],
+    additionalProperties: false
+  }
+};
+
+const OPTION_LETTERS = ['A', 'B', 'C', 'D'];
+
+class QuizService {
+  /**
+   * Clean one question, or return null if it cannot be used
+   * @param {Object} entry - { question, options, correctIndex, explanation?, thinkTimeSeconds?, askNarration?, revealNarration? }
+   * @returns {Object|null} Normalized question
+   */
+  normalizeQuestion(entry) {
+    if (!entry || typeof entry.question !== 'string' || !entry.question.trim() || !Array.isArray(entry.options)) {
+      return null;
+    }
+
+    const options = entry.options
+      .filter(option => typeof option === 'string' && option.trim())
+      .map(option => option.trim());
+    const correctIndex = Number(entry.correctIndex);
+
+    if (options.length < QUIZ_LIMITS.minOptions || options.length > QUIZ_LIMITS.maxOptions
+      || !Number.isInteger(correctIndex) || correctIndex < 0 || correctIndex >= options.length) {
+      return null;
+    }
+
+    const thinkTime = Number(entry.thinkTimeSeconds);
+    const text = (value) => (typeof value === 'string' ? value.trim() : '');
+
+    return {
+      question: entry.question.trim(),
+      options,
+      correctIndex,
+      explanation: text(entry.explanation),
+      thinkTimeSeconds: Number.isFinite(thinkTime)
+        ? Math.min(QUIZ_LIMITS.maxThinkTime, Math.max(QUIZ_LIMITS.minThinkTime, Math.round(thinkTime)))
+        : QUIZ_LIMITS.defaultThinkTime,
+      askNarration: text(entry.askNarration),
+      revealNarration: text(entry.revealNarration)
+    };
+  }
+
+  /**
+   * Parse a JSON quiz reply, dropping questions that break the option/answer rules
+   * @param {string} text - Raw model reply
+   * @returns {Object} { intro, questions, outro }
+   */
+  parseQuiz(text) {
+    let data;
+    try {
+      const cleaned = (text || '').replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+      data = JSON.parse(cleaned);
+    } catch (error) {
+      throw new Error(`Quiz reply is not valid JSON (${error.message})`);
+    }
+
+    const questions = (Array.isArray(data?.questions) ? data.questions : [])
+      .map(entry => this.normalizeQuestion(entry))
+      .filter(Boolean)
+      .slice(0, QUIZ_LIMITS.maxQuestions);
+
+    if (questions.length === 0) {
+      throw new Error('Quiz reply has no usable questions');
+    }
+
+    return {
+      intro: typeof data.intro === 'string' ? data.intro.trim() : '',
+      questions,
+      outro: typeof data.outro === 'string' ? data.outro.trim() : ''
+    };
+  }
+
+  /**
+   * Read the questions, options, answers and narration spans out of a quiz script
+   * @param {Object} options
+   * @param {Object} options.llm - LLM provider
+   * @param {string} options.script - Quiz script
+   * @param {string} [options.language] - Language of the script
+   * @param {AbortSignal} [options.signal] - Aborts the LLM call
+   * @returns {Promise<Object>} { quiz: { intro, questions, outro } | null, usage }
+   */
+  async structureQuiz({ llm, script, language, signal }) {
+    const completion = await llm.chat({
+      model: getModel('quiz'),
+      messages: [
+        {
+          role: 'system',
+          content: 'You turn quiz video scripts into structured question data. Always respond with a single JSON object.'
+        },
+        {
+          role: 'user',
+          content: this.buildStructurePrompt(script, language)
+        }
+      ],
+      maxTokens: 3000,
+      temperature: 0.2,
+      responseFormat: 'json',
+      schema: QUIZ_SCHEMA
+    }, { signal });
+
+    let quiz = null;
+    try {
+      quiz = this.parseQuiz(completion.content);
+    } catch (error) {
+      console.warn(`⚠️ Quiz structuring skipped: ${error.message}`);
+    }
+
+    return { quiz, usage: completion.usage };
+  }
+
+  /**
+   * Build the prompt that reads a quiz out of a script
+   */
+  buildStructurePrompt(script, language) {
+    return `Read this quiz video script and return its questions as data.
+
+Script:
+${script}
+
+Rules:
+- "intro": the narration before the first question ("" if none); "outro": the narration after the last reveal ("" if none).
+- For each question: "question" is the question as shown on the card, "options" are ${QUIZ_LIMITS.minOptions}-${QUIZ_LIMITS.maxOptions} answer choices (write plausible ones if the script has none), "correctIndex" is the 0-based index of the right option, "explanation" is the fun fact or reason given with the answer, "thinkTimeSeconds" is the countdown length (${QUIZ_LIMITS.defaultThinkTime} if not stated).
+- "askNarration" is the exact script text from the question up to the countdown, "revealNarration" the exact script text from the answer reveal up to the next question. Copy the script's words; do not rewrite them.
+- Keep everything in ${language || 'the script\'s language'}.
+
+Respond with only a JSON object: { "intro": "...", "questions": [{ "question": "...", "options": ["..."], "correctIndex": 0, "explanation": "...", "thinkTimeSeconds": 5, "askNarration": "...", "revealNarration": "..." }], "outro": "..." }`;
+  }
+
+  /**
+   * Rewrite the intro, per-question narration and outro from (edited) quiz data
+   * @param {Object} options
+   * @param {Object} options.llm - LLM provider
+   * @param {Object} options.quiz - { intro, questions, outro }; narration fields are replaced
+   * @param {Object} options.story - Story document, for language and tone
+   * @param {Object} [options.style] - Style definition from resolveStyle
+   * @param {AbortSignal} [options.signal] - Aborts the LLM call
+   * @returns {Promise<Object>} { quiz, usage }
+   */
+  async writeNarration({ llm, quiz, story, style, signal }) {
+    const completion = await llm.chat({
+      model: getModel('quiz'),
+      messages: [
+        {
+          role: 'system',
+          content: 'You are a viral Shorts quizmaster writing energetic, fast-paced quiz narration. Always respond with a single JSON object.'
+        },
+        {
+          role: 'user',
+          content: this.buildNarrationPrompt(quiz, story, style)
+        }
+      ],
+      maxTokens: 3000,
+      temperature: 0.7,
+      responseFormat: 'json',
+      schema: NARRATION_SCHEMA
+    }, { signal });
+
+    let data;
+    try {
+      const cleaned = (completion.content || '').replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+      data = JSON.parse(cleaned);
+    } catch (error) {
+      throw new Error(`Quiz narration reply is not valid JSON (${error.message})`);
+    }
+
+    const written = Array.isArray(data?.questions) ? data.questions : [];
+    if (written.length !== quiz.questions.length
+      || written.some(entry => typeof entry?.askNarration !== 'string' || !entry.askNarration.trim()
+        || typeof entry.revealNarration !== 'string' || !entry.revealNarration.trim())) {
+      throw new Error(`Quiz narration reply must have ask and reveal narration for all ${quiz.questions.length} questions`);
+    }
+
+    return {
+      quiz: {
+        intro: typeof data.intro === 'string' ? data.intro.trim() : '',
+        questions: quiz.questions.map((question, index) => ({
+          ...question,
+          askNarration: written[index].askNarration.trim(),
+          revealNarration: written[index].revealNarration.trim()
+        })),
+        outro: typeof data.outro === 'string' ? data.outro.trim() : ''
+      },
+      usage: completion.usage
+    };
+  }
+
+  /**
+   * Build the prompt that writes narration for quiz data
+   */
+  buildNarrationPrompt(quiz, story, style) {
+    const language = story.selectedLanguage || 'English';
+    const questions = quiz.questions.map((question, index) => `${index + 1}. ${question.question}
+   Options: ${question.options.map((option, i) => `${OPTION_LETTERS[i]}) ${option}`).join('  ')}
+   Answer: ${OPTION_LETTERS[question.correctIndex]}) ${question.options[question.correctIndex]}
+   Explanation: ${question.explanation || '(none)'}
+   Countdown: ${question.thinkTimeSeconds} seconds`).join('\n');
+
+    return `Video style: ${style ? style.name : story.videoStyle || 'Quiz & Guessing Games'}
+Quiz topic: ${story.videoIdea || story.topic || story.name}
+Language: write everything in ${language}
+
+Questions:
+${questions}
+
+Write the voiceover for this quiz:
+- "intro": one or two sentences that hook the viewer into playing.
+- For each question, in order: "askNarration" reads the question and its options and tells the viewer how many seconds they have (the countdown itself is shown on screen, do not count down in the text); "revealNarration" reveals the correct answer and gives the explanation as a fun fact.
+- "outro": one sentence that asks for their score in the comments or loops back to the start.
+No scene instructions or labels. Respond with only a JSON object: { "intro": "...", "questions": [{ "askNarration": "...", "revealNarration": "..." }], "outro": "..." }`;
+  }
+
+  /**
+   * Join the narration of a quiz into story content
+   * @param {Object} quiz - { intro, questions, outro }
+   * @returns {string} Script text
+   */
+  composeNarration(quiz) {
+    return [
+      quiz.intro,
+      ...quiz.questions.flatMap(question => [question.askNarration, question.revealNarration]),
+      quiz.outro
+    ].filter(part => part && part.trim()).join('\n\n');
+  }
+
+  /**
+   * Segment markers for a quiz: intro, then ask/countdown/reveal per question, then outro
+   * Spoken segments are timed at the language's speaking rate; countdowns last thinkTimeSeconds.
+   * @param {Object} quiz - { intro, questions, outro }
+   * @param {string} [language] - Language name
+   * @param {number} [totalDuration] - Fit the spoken segments so the markers fill this many seconds
+   * @returns {Array<Object>} [{ type: intro|question|countdown|reveal|outro, questionIndex, label, text, startTime, endTime }]
+   */
+  buildSegments(quiz, language, totalDuration) {
+    const parts = [];
+    const spoken = (type, text, questionIndex = null, label = type) => {
+      if (text && text.trim()) {
+        parts.push({ type, questionIndex, label, text: text.trim(), seconds: Math.max(1, measureNarration(text, language).seconds) });
+      }
+    };
+
+    spoken('intro', quiz.intro);
+    quiz.questions.forEach((question, index) => {
+      spoken('question', question.askNarration || question.question, index, `Question ${index + 1}`);
+      parts.push({
+        type: 'countdown',
+        questionIndex: index,
+        label: `Countdown ${index + 1}`,
+        text: null,
+        seconds: question.thinkTimeSeconds || QUIZ_LIMITS.defaultThinkTime
+      });
+      spoken('reveal', question.revealNarration || question.options[question.correctIndex], index, `Answer ${index + 1}`);
+    });
+    spoken('outro', quiz.outro);
+
+    // Countdowns keep their length; spoken segments stretch or shrink to fill the rest
+    const countdowns = parts.filter(part => part.type === 'countdown').reduce((sum, part) => sum + part.seconds, 0);
+    const speech = parts.filter(part => part.type !== 'countdown').reduce((sum, part) => sum + part.seconds, 0);
+    const scale = totalDuration && speech && totalDuration > countdowns ? (totalDuration - countdowns) / speech : 1;
+    const round = (seconds) => Math.round(seconds * 100) / 100;
+
+    let position = 0;
+    return parts.map(({ seconds, ...part }) => {
+      const startTime = position;
+      position += part.type === 'countdown' ? seconds : seconds * scale;
+      return { ...part, startTime: round(startTime), endTime: round(position) };
+    });
+  }
+}
+
+QuizService.LIMITS = QUIZ_LIMITS;
+
+module.exports = QuizService;
@@ -0,0 +1,213 @@
+const { getModel } = require('./llmProviders');
+const { analyzeScript } = require('../utils/scriptAnalysis');
+
+// Rubric criteria the model scores from 1 to 10
+const RUBRIC_CRITERIA = [
+  { name: 'hook', description: 'Does the first sentence stop the scroll within about 3 seconds?' },
+  { name: 'pacing', description: 'Does every line move the story forward without padding?' },
+  { name: 'clarity', description: 'Is it easy to follow when heard once, read aloud?' },
+  { name: 'emotionalImpact', description: 'Does it deliver the intended emotions?' },
+  { name: 'styleFit', description: 'Does it follow the rules of the video style template?' },
+  { name: 'ending', description: 'Does the ending pay off, and loop back to the opening where the style asks for it?' }
+];
+
+// Structured-output contract for a rubric request
+const RUBRIC_SCHEMA = {
+  name: 'script_rubric',
+  schema: {
+    type: 'object',
+    properties: {
+      criteria: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', enum: RUBRIC_CRITERIA.map(criterion => criterion.name) },
+            score: { type: 'integer' },
+            comment: { type: 'string' }
+          },
+          required: ['name', 'score', 'comment'],
+          additionalProperties: false
+        }
+      },
+      overall: { type: 'integer' },
+      summary: { type: 'string' },
+      suggestions: { type: 'array', items: { type: 'string' } }
+    },
+    required: ['criteria', 'overall', 'summary', 'suggestions'],
+    additionalProperties: false
+  }
+};
+
+// Most suggestions kept with a rubric
+const MAX_SUGGESTIONS = 5;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, Math.round(value)));
+
+class ScriptAnalysisService {
+  /**
+   * Measured quality report for a story's script
+   * @param {Object} story - Story with content, selectedLanguage and duration
+   * @param {Object} [style] - Style definition from resolveStyle; its template decides whether the ending must loop
+   * @returns {Object} Report from analyzeScript
+   */
+  analyze(story, style) {
+    return analyzeScript(story.content, {
+      language: story.selectedLanguage,
+      duration: story.duration,
+      loopRequired: Boolean(style && /loop/i.test(style.template || ''))
+    });
+  }
+
+  /**
+   * Stored rubric with whether the content has changed since it was scored
+   * @param {Object} story - Story document
+   * @returns {Object|null} Rubric plus stale, or null when the story was never scored
+   */
+  formatRubric(story) {
+    const analysis = story.analysis;
+    if (!analysis || analysis.score === undefined || analysis.score === null) {
+      return null;
+    }
+
+    return {
+      score: analysis.score,
+      videoStyle: analysis.videoStyle,
+      criteria: analysis.criteria,
+      summary: analysis.summary,
+      suggestions: analysis.suggestions,
+      model: analysis.model,
+      version: analysis.version,
+      scoredAt: analysis.scoredAt,
+      stale: analysis.version !== story.version || (analysis.videoStyle || null) !== (story.videoStyle || null)
+    };
+  }
+
+  /**
+   * Ask the model to score the script against its video style and store the result on the story
+   * @param {Object} options
+   * @param {Object} options.llm - LLM provider
+   * @param {Object} options.story - Story document (saved by this method)
+   * @param {Object} [options.style] - Style definition from resolveStyle
+   * @param {Object} options.report - Report from analyze, given to the model as measured facts
+   * @param {AbortSignal} [options.signal] - Aborts the LLM call
+   * @returns {Promise<Object>} { rubric, usage }
+   */
+  async scoreRubric({ llm, story, style, report, signal }) {
+    const model = getModel('analysis');
+    const completion = await llm.chat({
+      model,
+      messages: [
+        {
+          role: 'system',
+          content: 'You are a strict short-form video script editor. You grade scripts against their style guide. Always respond with a single JSON object.'
+        },
+        {
+          role: 'user',
+          content: this.buildRubricPrompt(story, style, report)
+        }
+      ],
+      maxTokens: 1500,
+      temperature: 0.2,
+      responseFormat: 'json',
+      schema: RUBRIC_SCHEMA
+    }, { signal });
+
+    const parsed = this.parseRubric(completion.content);
+
+    story.analysis = {
+      ...parsed,
+      videoStyle: story.videoStyle || null,
+      model,
+      version: story.version,
+      scoredAt: new Date()
+    };
+    await story.save();
+
+    return {
+      rubric: this.formatRubric(story),
+      usage: completion.usage
+    };
+  }
+
+  /**
+   * Build the rubric prompt for a story
+   */
+  buildRubricPrompt(story, style, report) {
+    const styleLine = style
+      ? `${style.name}${style.description ? ` - ${style.description}` : ''}`
+      : story.videoStyle || 'short-form story';
+
+    const facts = [
+      `Estimated narration: ${report.duration.estimatedSeconds}s (target ${story.duration}s)`,
+      `Hook: about ${report.hook.seconds}s to say`,
+      report.readability ? `Readability: ${report.readability.formula} ${report.readability.score} (${report.readability.level})` : null,
+      `Average sentence: ${report.sentences.average} ${report.sentences.unit}`,
+      report.loop.required ? `The style requires the ending to loop back to the opening; measured: ${report.loop.loopsBack ? 'it does' : 'it does not'}` : null
+    ].filter(Boolean);
+
+    return `Video style: ${styleLine}
+Language: ${story.selectedLanguage || 'English'}
+Intended emotions: ${(story.selectedEmotions || []).join(', ') || 'not specified'}
+${style && style.template ? `
+Style guide the script was written from:
+${style.template}
+` : ''}
+Measured facts:
+${facts.map(fact => `- ${fact}`).join('\n')}
+
+Script:
+${story.content}
+
+Score the script from 1 (poor) to 10 (excellent) on each criterion, with a one-sentence comment:
+${RUBRIC_CRITERIA.map(criterion => `- "${criterion.name}": ${criterion.description}`).join('\n')}
+Then give "overall" from 0 to 100, a short "summary", and up to ${MAX_SUGGESTIONS} concrete "suggestions" for the next draft.
+Respond with only a JSON object: { "criteria": [{ "name": "...", "score": 1-10, "comment": "..." }], "overall": 0-100, "summary": "...", "suggestions": ["..."] }`;
+  }
+
+  /**
+   * Parse a JSON rubric reply, keeping only known criteria and clamping scores
+   * @param {string} text - Raw model reply
+   * @returns {Object} { score, criteria, summary, suggestions }
+   */
+  parseRubric(text) {
+    let data;
+    try {
+      const cleaned = (text || '').replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+      data = JSON.parse(cleaned);
+    } catch (error) {
+      throw new Error(`Rubric reply is not valid JSON (${error.message})`);
+    }
+
+    const entries = Array.isArray(data?.criteria) ? data.criteria : [];
+    const criteria = RUBRIC_CRITERIA
+      .map(({ name }) => entries.find(entry => entry && entry.name === name && Number.isFinite(entry.score)))
+      .filter(Boolean)
+      .map(entry => ({
+        name: entry.name,
+        score: clamp(entry.score, 1, 10),
+        comment: typeof entry.comment === 'string' ? entry.comment.trim() : ''
+      }));
+
+    if (criteria.length === 0) {
+      throw new Error('Rubric reply has no scored criteria');
+    }
+
+    // Fall back to the criteria average when the overall score is missing
+    const overall = Number.isFinite(data.overall)
+      ? data.overall
+      : criteria.reduce((sum, criterion) => sum + criterion.score, 0) / criteria.length * 10;
+
+    return {
+      score: clamp(overall, 0, 100),
+      criteria,
+      summary: typeof data.summary === 'string' ? data.summary.trim() : '',
+      suggestions: (Array.isArray(data.suggestions) ? data.suggestions : [])
+        .filter(suggestion => typeof suggestion === 'string' && suggestion.trim())
+        .map(suggestion => suggestion.trim())
+        .slice(0, MAX_SUGGESTIONS)
+    };
+  }
+}
+
+module.exports = ScriptAnalysisService;
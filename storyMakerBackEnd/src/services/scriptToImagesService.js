@@ -1,14 +1,12 @@
-const OpenAI = require('openai');
+const fs = require('fs').promises;
+const path = require('path');
+const { getProvider, getModel } = require('./llmProviders');
 
 class ScriptToImagesService {
   constructor() {
-    if (!process.env.OPENAI_API_KEY) {
-      console.warn('⚠️ OpenAI API key not found. Script-to-Images service will not function properly.');
+    if (!getProvider().isConfigured()) {
+      console.warn('⚠️ LLM provider not configured. Script-to-Images service will not function properly.');
     }
-    
-    this.openai = new OpenAI({ 
-      apiKey: process.env.OPENAI_API_KEY 
-    });
   }
 
   /**
@@ -21,6 +19,7 @@ class ScriptToImagesService {
    * @param {Function} params.onImageGenerated - Callback for each generated image
    * @param {Function} params.onProgress - Callback for progress updates
    * @param {Function} params.onError - Callback for errors
+   * @param {Object} params.llm - LLM provider (defaults to the platform provider)
    * @returns {Object} Results with final metadata
    */
   async generateScriptImagesStream({ 
@@ -31,7 +30,8 @@ class ScriptToImagesService {
     audioDuration, // ✅ NEW: Audio duration constraint
     onImageGenerated,
     onProgress,
-    onError 
+    onError,
+    llm = getProvider()
   }) {
     try {
       console.log(`🎨 Starting streaming script-to-images generation for project ${projectId}`);
@@ -61,7 +61,7 @@ class ScriptToImagesService {
       }
 
       console.log(`🤖 Generating scene descriptions for ${targetScenes} scenes...`);
-      const sceneDescriptions = await this.generateSceneDescriptions(script, effectiveDuration, targetScenes);
+      const sceneDescriptions = await this.generateSceneDescriptions(script, effectiveDuration, targetScenes, llm);
       
       if (!sceneDescriptions || !Array.isArray(sceneDescriptions.scenes)) {
         throw new Error('Failed to generate scene descriptions');
@@ -105,17 +105,16 @@ class ScriptToImagesService {
         }
 
         try {
-          // Generate image using OpenAI DALL-E
-          const image = await this.openai.images.generate({
-            model: "dall-e-3", // Using DALL-E 3 for better quality
+          // Generate image through the LLM provider
+          const image = await llm.generateImage({
+            model: getModel('image'),
             prompt: scene.prompt,
             size: "1024x1792", // ✅ FIXED: Vertical aspect ratio for mobile/vertical videos
-            quality: "standard",
-            response_format: "b64_json"
+            quality: "standard"
           });
 
           // Create image data object
-          const b64Data = image.data[0].b64_json;
+          const b64Data = image.b64Json;
           const filename = `${Math.floor(scene.startTime)}.png`;
           const imageSize = Math.round((b64Data.length * 3) / 4); // Approximate size in bytes
 
@@ -182,16 +181,15 @@ vertical format suitable for mobile viewing, high resolution.`;
             try {
               console.log(`🔄 Retrying with safe fallback prompt for scene ${i + 1}...`);
               
-              const fallbackImage = await this.openai.images.generate({
-                model: "dall-e-3",
+              const fallbackImage = await llm.generateImage({
+                model: getModel('image'),
                 prompt: fallbackPrompt,
                 size: "1024x1792",
-                quality: "standard",
-                response_format: "b64_json"
+                quality: "standard"
               });
 
               // Create image data object with fallback
-              const b64Data = fallbackImage.data[0].b64_json;
+              const b64Data = fallbackImage.b64Json;
               const filename = `${Math.floor(scene.startTime)}.png`;
               const imageSize = Math.round((b64Data.length * 3) / 4);
 
@@ -318,9 +316,10 @@ vertical format suitable for mobile viewing, high resolution.`;
    * @param {number} params.maxImagesPerMin - Maximum images per minute (default: 4)
    * @param {string} params.projectId - Unique project identifier
    * @param {number} params.audioDuration - Optional audio duration constraint
+   * @param {Object} params.llm - LLM provider (defaults to the platform provider)
    * @returns {Object} Results with image data and metadata
    */
-  async generateScriptImages({ script, duration, maxImagesPerMin = 4, projectId, audioDuration }) {
+  async generateScriptImages({ script, duration, maxImagesPerMin = 4, projectId, audioDuration, llm = getProvider() }) {
     try {
       console.log(`🎨 Starting script-to-images generation for project ${projectId}`);
       console.log(`📝 Script length: ${script.length} characters`);
@@ -406,17 +405,16 @@ vertical format suitable for mobile viewing, high resolution.`;
         console.log(`🎨 Generating image ${i + 1}/${scenes.length} for timestamp ${scene.start}s`);
 
         try {
-          // Generate image using OpenAI DALL-E
-          const image = await this.openai.images.generate({
-            model: "dall-e-3", // Using DALL-E 3 for better quality
+          // Generate image through the LLM provider
+          const image = await llm.generateImage({
+            model: getModel('image'),
             prompt: scene.prompt,
             size: "1024x1792", // ✅ FIXED: Vertical aspect ratio for mobile/vertical videos
-            quality: "standard",
-            response_format: "b64_json"
+            quality: "standard"
           });
 
           // Return base64 data directly (no file saving)
-          const b64Data = image.data[0].b64_json;
+          const b64Data = image.b64Json;
           const filename = `${Math.floor(scene.start)}.png`;
 
           results.push({
@@ -490,9 +488,10 @@ vertical format suitable for mobile viewing, high resolution.`;
    * @param {string} script - The full script text
    * @param {number} duration - Duration in seconds
    * @param {number} targetScenes - Target number of scenes
+   * @param {Object} llm - LLM provider
    * @returns {Object} Scene descriptions with timing
    */
-  async generateSceneDescriptions(script, duration, targetScenes) {
+  async generateSceneDescriptions(script, duration, targetScenes, llm = getProvider()) {
     try {
       const durationMinutes = Math.round(duration / 60 * 10) / 10;
       
@@ -525,8 +524,8 @@ ${script}`;
 
       console.log(`🤖 Requesting scene descriptions from OpenAI for ${targetScenes} scenes...`);
       
-      const response = await this.openai.chat.completions.create({
-        model: "gpt-4",
+      const response = await llm.chat({
+        model: getModel('scenes'),
         messages: [
           {
             role: "system",
@@ -538,10 +537,10 @@ ${script}`;
           }
         ],
         temperature: 0.7,
-        max_tokens: 3000
+        maxTokens: 3000
       });
 
-      const responseText = response.choices[0].message.content.trim();
+      const responseText = response.content.trim();
       console.log(`📋 OpenAI response length: ${responseText.length} characters`);
       
       // Parse the JSON response
@@ -993,6 +992,48 @@ Focus: Visual storytelling that directly illustrates the narrated content, cinem
       }
     };
   }
+
+  /**
+   * Folder holding a story's saved script images (uploads/script-images/<storyId>)
+   */
+  getStoryImagesDir(storyId) {
+    return path.join(process.cwd(), 'uploads', 'script-images', storyId.toString());
+  }
+
+  /**
+   * Keep the images generated for a story on disk, with a manifest of their timing and prompts, so they can be
+   * exported with it. Replaces the images saved by an earlier run for the same story.
+   * @param {string} storyId - Story the images were generated for
+   * @param {Object} data - Generation result data ({ projectId, generatedAt, images })
+   * @returns {Promise<number>} Number of images saved
+   */
+  async saveStoryImages(storyId, data) {
+    const dir = this.getStoryImagesDir(storyId);
+    await fs.rm(dir, { recursive: true, force: true });
+    await fs.mkdir(dir, { recursive: true });
+
+    const images = data.images.filter(image => image.base64Data);
+    for (const image of images) {
+      await fs.writeFile(path.join(dir, path.basename(image.filename)), Buffer.from(image.base64Data, 'base64'));
+    }
+
+    await fs.writeFile(path.join(dir, 'manifest.json'), JSON.stringify({
+      storyId: storyId.toString(),
+      projectId: data.projectId,
+      generatedAt: data.generatedAt,
+      images: images.map(image => ({
+        filename: path.basename(image.filename),
+        startTime: image.startTime,
+        endTime: image.endTime,
+        duration: image.duration,
+        prompt: image.prompt,
+        description: image.description
+      }))
+    }, null, 2));
+
+    console.log(`💾 Saved ${images.length} script images for story ${storyId}`);
+    return images.length;
+  }
 }
 
 module.exports = ScriptToImagesService;
@@ -0,0 +1,418 @@
+const Story = require('../models/Story');
+const Series = require('../models/Series');
+const { getModel } = require('./llmProviders');
+const { sumUsage } = require('../utils/aiCost');
+
+// Caps that keep the memory small enough to fit in every episode prompt
+const MEMORY_LIMITS = {
+  synopsis: 5000,
+  characters: 20,
+  facts: 30,
+  recap: 1000
+};
+
+// A generation claim older than this was abandoned (e.g. the server restarted mid-episode)
+const GENERATION_CLAIM_MS = 10 * 60 * 1000;
+
+// Structured-output contract for the memory update after each episode
+const MEMORY_SCHEMA = {
+  name: 'series_memory',
+  schema: {
+    type: 'object',
+    properties: {
+      synopsis: { type: 'string' },
+      characters: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            name: { type: 'string' },
+            description: { type: 'string' }
+          },
+          required: ['name', 'description'],
+          additionalProperties: false
+        }
+      },
+      facts: { type: 'array', items: { type: 'string' } },
+      recap: { type: 'string' }
+    },
+    required: ['synopsis', 'characters', 'facts', 'recap'],
+    additionalProperties: false
+  }
+};
+
+class SeriesService {
+  /**
+   * @param {StoryGenerationService} generationService - Service that writes the episodes
+   */
+  constructor(generationService) {
+    this.generationService = generationService;
+  }
+
+  /**
+   * Plain copy of a memory subdocument
+   */
+  copyMemory(memory) {
+    return {
+      synopsis: memory?.synopsis || '',
+      characters: (memory?.characters || []).map(({ name, description }) => ({ name, description })),
+      facts: [...(memory?.facts || [])]
+    };
+  }
+
+  /**
+   * Continuity instructions appended to the style template for an episode
+   * @param {Object} series - Series document
+   * @param {Object} memory - Memory the episode builds on
+   * @param {number} episodeIndex - 0-based position of the episode
+   * @param {Object} options - { final } where final asks for an ending instead of a cliffhanger
+   * @returns {string}
+   */
+  buildSeriesContext(series, memory, episodeIndex, { final = false } = {}) {
+    const episodeNumber = episodeIndex + 1;
+    const previous = series.episodes.slice(0, episodeIndex)
+      .map((episode, index) => (episode.recap ? `Part ${index + 1}: ${episode.recap}` : null))
+      .filter(Boolean);
+
+    const lines = [
+      `Series Continuity (Do Not Break):`,
+      `This is part ${episodeNumber} of the series "${series.name}".${series.description ? ` ${series.description}` : ''}`
+    ];
+
+    if (episodeNumber > 1) {
+      lines.push('Pick up where the previous part ended and briefly remind the viewer what happened before, in one or two lines.');
+    }
+    if (memory.synopsis) {
+      lines.push('', 'Story so far:', memory.synopsis);
+    }
+    if (previous.length > 0) {
+      lines.push('', 'Previous parts:', ...previous);
+    }
+    if (memory.characters.length > 0) {
+      lines.push('', 'Characters (keep names, relationships and personalities consistent):',
+        ...memory.characters.map(character => `• ${character.name}${character.description ? ` - ${character.description}` : ''}`));
+    }
+    if (memory.facts.length > 0) {
+      lines.push('', 'Established facts (never contradict these):', ...memory.facts.map(fact => `• ${fact}`));
+    }
+
+    lines.push('', final
+      ? 'This is the final part: resolve the main conflict and give the series a satisfying ending.'
+      : `End this part on a cliffhanger that makes the viewer want to watch part ${episodeNumber + 1}.`);
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Default story name for an episode
+   */
+  episodeName(series, episodeNumber) {
+    return `${series.name} - Part ${episodeNumber}`;
+  }
+
+  /**
+   * Generation parameters for an episode
+   * @param {Object} series - Series document
+   * @param {number} episodeIndex - 0-based position of the episode
+   * @param {Object} memory - Memory the episode builds on
+   * @param {Object} overrides - { videoIdea, storyLength, final }
+   * @returns {Object} Parameters in the shape of resolveParams
+   */
+  buildEpisodeParams(series, episodeIndex, memory, { videoIdea, storyLength, final } = {}) {
+    const episodeNumber = episodeIndex + 1;
+
+    return {
+      ...this.generationService.resolveParams({
+        videoStyle: series.videoStyle,
+        storyName: this.episodeName(series, episodeNumber),
+        storyLength: storyLength || series.storyLength,
+        selectedLanguage: series.language,
+        selectedEmotions: series.selectedEmotions,
+        videoIdea: videoIdea || `Part ${episodeNumber} of "${series.name}": continue the story from where the previous part left off`
+      }),
+      seriesContext: this.buildSeriesContext(series, memory, episodeIndex, { final })
+    };
+  }
+
+  /**
+   * Ask the model for the series memory after an episode
+   * @param {Object} llm - LLM provider
+   * @param {Object} memory - Memory before the episode
+   * @param {number} episodeNumber - 1-based episode number
+   * @param {string} script - Episode script
+   * @param {Object} options - { signal }
+   * @returns {Promise<Object>} { memory, recap, usage, updated } where updated is false when the previous memory was kept
+   */
+  async updateMemory(llm, memory, episodeNumber, script, { signal } = {}) {
+    const response = await llm.chat({
+      model: getModel('series'),
+      messages: [
+        {
+          role: "system",
+          content: "You keep the continuity notes for a serialized short-form video story. Always respond with a single JSON object."
+        },
+        {
+          role: "user",
+          content: `Here are the continuity notes before part ${episodeNumber}:
+${JSON.stringify(memory, null, 2)}
+
+Here is the script of part ${episodeNumber}:
+${script}
+
+Update the notes so the next part can continue the story without contradictions:
+- synopsis: the whole story so far, including part ${episodeNumber} (max 250 words)
+- characters: every recurring character with a short description of who they are and where they now stand (max ${MEMORY_LIMITS.characters})
+- facts: established facts later parts must respect, such as names, places, timelines, secrets revealed and promises made (max ${MEMORY_LIMITS.facts})
+- recap: one or two sentences on what happened in part ${episodeNumber} only, ending with how it left off
+
+Respond with only the JSON object.`
+        }
+      ],
+      maxTokens: 2000,
+      temperature: 0.2,
+      responseFormat: 'json',
+      schema: MEMORY_SCHEMA
+    }, { signal });
+
+    const parsed = this.parseMemory(response.content);
+    if (!parsed) {
+      console.warn(`⚠️ Series memory reply for part ${episodeNumber} was unusable, keeping the previous memory`);
+      return { memory, recap: null, usage: response.usage, updated: false };
+    }
+
+    return { memory: parsed.memory, recap: parsed.recap, usage: response.usage, updated: true };
+  }
+
+  /**
+   * Parse a JSON memory reply
+   * @param {string} text - Raw model reply
+   * @returns {Object|null} { memory, recap }, or null when the reply can't be used
+   */
+  parseMemory(text) {
+    let data;
+    try {
+      data = JSON.parse((text || '').replace(/```json\n?/g, '').replace(/```\n?/g, '').trim());
+    } catch (error) {
+      return null;
+    }
+
+    if (!data || typeof data.synopsis !== 'string' || !Array.isArray(data.characters) || !Array.isArray(data.facts)) {
+      return null;
+    }
+
+    return {
+      memory: {
+        synopsis: data.synopsis.trim().slice(0, MEMORY_LIMITS.synopsis),
+        characters: data.characters
+          .filter(character => character && typeof character.name === 'string' && character.name.trim())
+          .slice(0, MEMORY_LIMITS.characters)
+          .map(character => ({
+            name: character.name.trim().slice(0, 100),
+            description: typeof character.description === 'string' ? character.description.trim().slice(0, 500) : ''
+          })),
+        facts: data.facts
+          .filter(fact => typeof fact === 'string' && fact.trim())
+          .slice(0, MEMORY_LIMITS.facts)
+          .map(fact => fact.trim().slice(0, 300))
+      },
+      recap: typeof data.recap === 'string' && data.recap.trim()
+        ? data.recap.trim().slice(0, MEMORY_LIMITS.recap)
+        : null
+    };
+  }
+
+  /**
+   * Claim a series for writing an episode, so concurrent requests can't generate the same part
+   * or overwrite each other's memory. The generate methods release the claim when they finish.
+   * @param {Object} series - Series document
+   * @returns {Promise<Object|null>} The claimed series, reloaded, or null if another episode is being written
+   */
+  async claimGeneration(series) {
+    return Series.findOneAndUpdate(
+      {
+        _id: series._id,
+        $or: [{ generatingAt: null }, { generatingAt: { $lt: new Date(Date.now() - GENERATION_CLAIM_MS) } }]
+      },
+      { $set: { generatingAt: new Date() } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Release a claim taken by claimGeneration (unless it expired and was claimed again since)
+   * @param {Object} series - Series document returned by claimGeneration
+   */
+  async releaseGeneration(series) {
+    await Series.updateOne({ _id: series._id, generatingAt: series.generatingAt }, { $set: { generatingAt: null } })
+      .catch(error => console.warn(`⚠️ Could not release generation claim on series ${series._id}: ${error.message}`));
+  }
+
+  /**
+   * Write the next episode from the series memory, then update the memory
+   * @param {Object} options
+   * @param {Object} options.series - Series document returned by claimGeneration
+   * @param {string} options.userId - Requester
+   * @param {string} options.userType - 'user' or 'subuser'
+   * @param {Object} options.llm - LLM provider
+   * @param {Object} options.overrides - { videoIdea, storyLength, final }
+   * @returns {Promise<Object>} { story, usage, defaultedFields, memoryUpdated }
+   */
+  async generateNextEpisode({ series, userId, userType, llm, overrides = {} }) {
+    try {
+      return await this.writeNextEpisode({ series, userId, userType, llm, overrides });
+    } finally {
+      await this.releaseGeneration(series);
+    }
+  }
+
+  /**
+   * Body of generateNextEpisode, run while the series is claimed
+   */
+  async writeNextEpisode({ series, userId, userType, llm, overrides }) {
+    const episodeIndex = series.episodes.length;
+    const memoryBefore = this.copyMemory(series.memory);
+    const params = this.buildEpisodeParams(series, episodeIndex, memoryBefore, overrides);
+
+    const composed = await this.generationService.composeStory({ userId, userType, params, llm });
+    const memoryResult = await this.updateMemory(llm, memoryBefore, episodeIndex + 1, composed.fields.content);
+
+    const story = await Story.create({
+      ...composed.fields,
+      userId: series.userId,
+      seriesId: series._id,
+      episodeNumber: episodeIndex + 1
+    });
+
+    if (llm.setStory) {
+      await llm.setStory(story._id);
+    }
+
+    series.episodes.push({ storyId: story._id, memoryBefore, recap: memoryResult.recap || composed.fields.summary });
+    series.memory = memoryResult.memory;
+    if (overrides.final) {
+      series.status = 'completed';
+    }
+    await series.save();
+
+    console.log(`📺 Series ${series._id}: generated part ${episodeIndex + 1} (story ${story._id})`);
+
+    return {
+      story,
+      usage: sumUsage(composed.usage, memoryResult.usage),
+      defaultedFields: composed.defaultedFields,
+      memoryUpdated: memoryResult.updated
+    };
+  }
+
+  /**
+   * Rewrite one episode from the memory it was originally written from.
+   * The series memory only moves forward when the latest episode is regenerated.
+   * @param {Object} options
+   * @param {Object} options.series - Series document returned by claimGeneration
+   * @param {Object} options.story - Episode story document
+   * @param {string} options.userId - Requester
+   * @param {string} options.userType - 'user' or 'subuser'
+   * @param {Object} options.llm - LLM provider
+   * @param {Object} options.overrides - { videoIdea, storyLength, final }
+   * @returns {Promise<Object>} { story, usage, defaultedFields, memoryUpdated, laterEpisodes }
+   */
+  async regenerateEpisode({ series, story, userId, userType, llm, overrides = {} }) {
+    try {
+      return await this.rewriteEpisode({ series, story, userId, userType, llm, overrides });
+    } finally {
+      await this.releaseGeneration(series);
+    }
+  }
+
+  /**
+   * Body of regenerateEpisode, run while the series is claimed
+   */
+  async rewriteEpisode({ series, story, userId, userType, llm, overrides }) {
+    const episodeIndex = series.getEpisodeIndex(story._id);
+    const episode = series.episodes[episodeIndex];
+    const isLatest = episodeIndex === series.episodes.length - 1;
+
+    const memoryBefore = this.copyMemory(episode.memoryBefore);
+    const params = this.buildEpisodeParams(series, episodeIndex, memoryBefore, {
+      final: isLatest && series.status === 'completed',
+      ...overrides,
+      videoIdea: overrides.videoIdea || story.videoIdea
+    });
+
+    const composed = await this.generationService.composeStory({ userId, userType, params, llm });
+    const memoryResult = await this.updateMemory(llm, memoryBefore, episodeIndex + 1, composed.fields.content);
+
+    // Keep the story's identity (name, owner, sharing), replace what was written
+    story.updateContent(composed.fields.content, userId, { changeType: 'ai-rewrite' });
+    ['headline', 'description', 'summary', 'detailedSummary', 'keyScenes', 'tags', 'searchPhrases', 'suggestions', 'videoIdea',
+      'wordCount', 'estimatedReadingTime', 'lengthFit']
+      .forEach(field => {
+        story[field] = composed.fields[field];
+      });
+    if (composed.fields.dialogue) {
+      // Recurring speakers keep the voices already cast for them
+      const voices = new Map((story.dialogue?.speakers || []).map(speaker => [speaker.speakerId, speaker]));
+      composed.fields.dialogue.speakers.forEach(speaker => {
+        const previous = voices.get(speaker.speakerId);
+        if (previous && previous.voiceId) {
+          speaker.voiceId = previous.voiceId;
+          speaker.voiceSettings = previous.voiceSettings;
+        }
+      });
+      story.dialogue = composed.fields.dialogue;
+    }
+    if (composed.fields.quiz) {
+      story.quiz = composed.fields.quiz;
+    }
+    await story.save();
+
+    if (memoryResult.recap) {
+      episode.recap = memoryResult.recap;
+    }
+    if (isLatest) {
+      series.memory = memoryResult.memory;
+    }
+    await series.save();
+
+    console.log(`📺 Series ${series._id}: regenerated part ${episodeIndex + 1} (story ${story._id})`);
+
+    return {
+      story,
+      usage: sumUsage(composed.usage, memoryResult.usage),
+      defaultedFields: composed.defaultedFields,
+      memoryUpdated: isLatest && memoryResult.updated,
+      // Parts after this one were written from the old version
+      laterEpisodes: series.episodes.length - episodeIndex - 1
+    };
+  }
+
+  /**
+   * Put episodes in a new order and renumber their stories
+   * @param {Object} series - Series document
+   * @param {Array<string>} storyIds - Every episode's story id, in the new order
+   * @returns {Promise<Object>} The saved series
+   */
+  async reorderEpisodes(series, storyIds) {
+    const byId = new Map(series.episodes.map(episode => [episode.storyId.toString(), episode]));
+    const previousNumbers = new Map(series.episodes.map((episode, index) => [episode.storyId.toString(), index + 1]));
+    series.episodes = storyIds.map(id => byId.get(id.toString()));
+    await series.save();
+
+    const stories = await Story.find({ _id: { $in: storyIds } }).select('_id name');
+    const names = new Map(stories.map(story => [story._id.toString(), story.name]));
+
+    await Story.bulkWrite(series.episodes.map((episode, index) => {
+      const id = episode.storyId.toString();
+      const update = { episodeNumber: index + 1 };
+      // Only rename episodes that still carry their generated name
+      if (names.get(id) === this.episodeName(series, previousNumbers.get(id))) {
+        update.name = this.episodeName(series, index + 1);
+      }
+      return { updateOne: { filter: { _id: episode.storyId }, update: { $set: update } } };
+    }));
+
+    return series;
+  }
+}
+
+module.exports = SeriesService;
@@ -0,0 +1,344 @@
+const StoryBatch = require('../models/StoryBatch');
+const { getProviderForUser } = require('./llmProviders');
+const { STORY_CREDITS, useCreditsForUser, refundCreditsForUser } = require('../middleware/credits');
+
+// Row error recorded when the owner runs out of credits mid-batch (halts the batch like a quota error)
+const INSUFFICIENT_CREDITS = {
+  statusCode: 402,
+  code: 'insufficient_credits',
+  message: 'Insufficient credits to generate the remaining stories'
+};
+
+// Row error recorded when a restart or crash cut a batch off
+const INTERRUPTED_ERROR = {
+  statusCode: 503,
+  code: 'interrupted',
+  message: 'Batch was interrupted by a server restart. Retry the failed rows.'
+};
+
+// Batches only run in the process that queued them; anything still running from before this start was interrupted
+const PROCESS_STARTED_AT = new Date();
+
+// Provider failures that would fail every remaining row the same way (bad key, no quota)
+const HALTING_STATUS_CODES = [401, 402];
+
+class StoryBatchService {
+  /**
+   * @param {StoryGenerationService} generationService - Service that runs the actual generation
+   */
+  constructor(generationService) {
+    this.generationService = generationService;
+    this.activeBatches = new Map(); // batchId -> AbortController
+    this.concurrency = Math.max(1, parseInt(process.env.BATCH_CONCURRENCY) || 2);
+  }
+
+  /**
+   * Persist a new batch and start generating its rows in the background
+   * @param {string} userId - Owner of the batch
+   * @param {string} userType - 'user' or 'subuser'
+   * @param {Array<Object>} rows - Resolved generation parameters, one per row
+   * @param {string} [name] - Optional label for the batch
+   * @returns {Promise<Object>} The queued batch document
+   */
+  async enqueue(userId, userType, rows, name) {
+    const batch = await StoryBatch.create({
+      userId,
+      userType,
+      name,
+      rows: rows.map((params, index) => ({ index: index + 1, params }))
+    });
+
+    this.schedule(batch._id);
+    return batch;
+  }
+
+  /**
+   * Run a batch after the response has been sent
+   * @param {string} batchId - Batch to run
+   */
+  schedule(batchId) {
+    setImmediate(() => {
+      this.run(batchId).catch(error => {
+        console.error(`❌ Story batch ${batchId} crashed:`, error);
+      });
+    });
+  }
+
+  /**
+   * Pick up batches a restart left behind: queued batches start again; running batches fail their unfinished
+   * rows as interrupted (refunding rows that were mid-generation) and settle, so the rows can be retried
+   * Called once the database is connected at startup.
+   * @returns {Promise<Object>} { requeued, interrupted }
+   */
+  async recoverInterrupted() {
+    const interrupted = await StoryBatch.find({ status: 'running', startedAt: { $lt: PROCESS_STARTED_AT } });
+
+    for (const batch of interrupted) {
+      const charged = batch.rows.filter(row => row.status === 'running').length * STORY_CREDITS;
+
+      await StoryBatch.updateOne(
+        { _id: batch._id, status: 'running' },
+        {
+          $set: {
+            'rows.$[row].status': 'failed',
+            'rows.$[row].error': INTERRUPTED_ERROR,
+            'rows.$[row].completedAt': new Date()
+          }
+        },
+        { arrayFilters: [{ 'row.status': { $in: ['pending', 'running'] } }] }
+      );
+      await this.refundStory(batch, charged);
+      await this.finish(batch._id);
+    }
+
+    const queued = await StoryBatch.find({ status: 'queued' }).distinct('_id');
+    queued.forEach(batchId => this.schedule(batchId));
+
+    if (interrupted.length > 0 || queued.length > 0) {
+      console.log(`♻️ Story batches recovered: ${queued.length} requeued, ${interrupted.length} marked interrupted`);
+    }
+
+    return { requeued: queued.length, interrupted: interrupted.length };
+  }
+
+  /**
+   * Generate every pending row of a queued batch, a few at a time
+   * @param {string} batchId - Batch to run
+   */
+  async run(batchId) {
+    const batch = await StoryBatch.findOneAndUpdate(
+      { _id: batchId, status: 'queued' },
+      { status: 'running', startedAt: new Date(), $unset: { completedAt: 1 } },
+      { new: true }
+    );
+
+    // Cancelled (or picked up elsewhere) before it started
+    if (!batch) return;
+
+    const controller = new AbortController();
+    this.activeBatches.set(String(batch._id), controller);
+
+    const pending = batch.rows.filter(row => row.status === 'pending');
+    let next = 0;
+    let halted = null;
+
+    console.log(`📦 Story batch ${batch._id} started: ${pending.length} rows, concurrency ${this.concurrency}`);
+
+    try {
+      const worker = async () => {
+        while (next < pending.length && !halted && !controller.signal.aborted) {
+          const row = pending[next++];
+          const error = await this.runRow(batch, row, controller.signal);
+
+          if (error && HALTING_STATUS_CODES.includes(error.statusCode)) {
+            halted = error;
+          }
+        }
+      };
+
+      await Promise.all(Array.from({ length: Math.min(this.concurrency, pending.length) }, worker));
+
+      // Rows we never got to fail with the error that stopped the batch, so they can be retried
+      if (halted) {
+        await StoryBatch.updateOne(
+          { _id: batch._id, status: 'running' },
+          { $set: { 'rows.$[row].status': 'failed', 'rows.$[row].error': halted } },
+          { arrayFilters: [{ 'row.status': 'pending' }] }
+        );
+      }
+
+      await this.finish(batch._id);
+    } catch (error) {
+      console.error(`❌ Story batch ${batch._id} failed:`, error);
+      await StoryBatch.updateOne(
+        { _id: batch._id, status: 'running' },
+        { $set: { 'rows.$[row].status': 'failed', 'rows.$[row].error': this.generationService.mapError(error) } },
+        { arrayFilters: [{ 'row.status': { $in: ['pending', 'running'] } }] }
+      );
+      await this.finish(batch._id);
+    } finally {
+      this.activeBatches.delete(String(batch._id));
+    }
+  }
+
+  /**
+   * Generate the story for one row and record the outcome on the batch
+   * @param {Object} batch - Running batch
+   * @param {Object} row - Row subdocument to generate
+   * @param {AbortSignal} signal - Aborted when the batch is cancelled
+   * @returns {Promise<Object|null>} Mapped error if the row failed
+   */
+  async runRow(batch, row, signal) {
+    const rowFilter = { _id: batch._id, status: 'running', 'rows._id': row._id };
+
+    const started = await StoryBatch.updateOne(
+      { ...rowFilter, 'rows.status': 'pending' },
+      {
+        $set: { 'rows.$.status': 'running', 'rows.$.startedAt': new Date() },
+        $unset: { 'rows.$.error': 1 },
+        $inc: { 'rows.$.attempts': 1 }
+      }
+    );
+
+    // Batch was cancelled in the meantime
+    if (started.matchedCount === 0) return null;
+
+    let charged = 0;
+    try {
+      // Charge before generating so concurrent batches cannot spend the same credits; refunded if the row fails
+      charged = await this.chargeStory(batch);
+
+      // One tracked provider per row, so each story is linked to its own AI usage while rows run side by side
+      const llm = await getProviderForUser(batch.userId, batch.userType, { operation: 'story-batch', credits: charged });
+
+      const { story, usage } = await this.generationService.generateStory({
+        userId: batch.userId,
+        userType: batch.userType,
+        params: row.params,
+        llm,
+        signal
+      });
+
+      const result = await StoryBatch.updateOne(rowFilter, {
+        $set: {
+          'rows.$.status': 'completed',
+          'rows.$.storyId': story._id,
+          'rows.$.usage': usage,
+          'rows.$.completedAt': new Date()
+        }
+      });
+
+      // Cancelled while the story was being saved - don't leave it behind
+      if (result.matchedCount === 0) {
+        await story.deleteOne();
+        await this.refundStory(batch, charged);
+        return null;
+      }
+
+      console.log(`✅ Story batch ${batch._id} row ${row.index} completed with story ${story._id}`);
+      return null;
+    } catch (error) {
+      await this.refundStory(batch, charged);
+      if (signal.aborted) return null;
+
+      console.error(`❌ Story batch ${batch._id} row ${row.index} failed:`, error.message);
+      const mapped = error.code === INSUFFICIENT_CREDITS.code
+        ? INSUFFICIENT_CREDITS
+        : this.generationService.mapError(error);
+
+      await StoryBatch.updateOne(rowFilter, {
+        $set: {
+          'rows.$.status': 'failed',
+          'rows.$.error': mapped,
+          'rows.$.completedAt': new Date()
+        }
+      });
+
+      return mapped;
+    }
+  }
+
+  /**
+   * Charge the batch owner for one story before it is generated
+   * @param {Object} batch - Batch the story belongs to
+   * @returns {Promise<number>} Credits charged, to refund if the row does not complete
+   */
+  async chargeStory(batch) {
+    try {
+      return await useCreditsForUser(batch.userId, batch.userType, STORY_CREDITS);
+    } catch (error) {
+      if (/insufficient credits/i.test(error.message)) {
+        throw Object.assign(new Error(INSUFFICIENT_CREDITS.message), { code: INSUFFICIENT_CREDITS.code });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Give back the credits charged for a row that failed or was cancelled
+   * @param {Object} batch - Batch the row belongs to
+   * @param {number} credits - Credits returned by chargeStory
+   */
+  async refundStory(batch, credits) {
+    try {
+      await refundCreditsForUser(batch.userId, batch.userType, credits);
+    } catch (error) {
+      console.error(`⚠️ Could not refund ${credits} credits for story batch ${batch._id}:`, error.message);
+    }
+  }
+
+  /**
+   * Settle the final status of a batch from its row outcomes
+   * @param {string} batchId - Batch that has no rows left to run
+   */
+  async finish(batchId) {
+    const batch = await StoryBatch.findOne({ _id: batchId, status: 'running' });
+    if (!batch) return;
+
+    const { total, completed } = batch.counts;
+    const status = completed === total ? 'completed' : completed === 0 ? 'failed' : 'partial';
+
+    await StoryBatch.updateOne(
+      { _id: batch._id, status: 'running' },
+      { status, completedAt: new Date() }
+    );
+
+    console.log(`📦 Story batch ${batch._id} ${status}: ${completed}/${total} stories generated`);
+  }
+
+  /**
+   * Queue failed or cancelled rows of a finished batch to run again
+   * @param {Object} batch - Batch document owned by the requester
+   * @param {Array<number>} [rowIndexes] - Row indexes to retry (defaults to every retryable row)
+   * @returns {Promise<Object|null>} Updated batch, or null if it is still running
+   */
+  async retry(batch, rowIndexes) {
+    const rows = batch.getRetryableRows(rowIndexes);
+    if (rows.length === 0) return batch;
+
+    const retried = await StoryBatch.findOneAndUpdate(
+      { _id: batch._id, status: { $in: ['completed', 'partial', 'failed', 'cancelled'] } },
+      {
+        $set: { status: 'queued', 'rows.$[row].status': 'pending' },
+        $unset: { 'rows.$[row].error': 1, 'rows.$[row].completedAt': 1, cancelledAt: 1 }
+      },
+      { new: true, arrayFilters: [{ 'row._id': { $in: rows.map(row => row._id) } }] }
+    );
+
+    if (retried) {
+      this.schedule(retried._id);
+    }
+
+    return retried;
+  }
+
+  /**
+   * Cancel a queued or running batch; rows that already finished keep their stories
+   * @param {Object} batch - Batch document owned by the requester
+   * @returns {Promise<Object|null>} Updated batch, or null if it had already finished
+   */
+  async cancel(batch) {
+    const cancelled = await StoryBatch.findOneAndUpdate(
+      { _id: batch._id, status: { $in: ['queued', 'running'] } },
+      {
+        $set: {
+          status: 'cancelled',
+          cancelledAt: new Date(),
+          completedAt: new Date(),
+          'rows.$[row].status': 'cancelled'
+        }
+      },
+      { new: true, arrayFilters: [{ 'row.status': { $in: ['pending', 'running'] } }] }
+    );
+
+    // Abort in-flight LLM requests if the batch runs in this process
+    const controller = this.activeBatches.get(String(batch._id));
+    if (cancelled && controller) {
+      controller.abort();
+    }
+
+    return cancelled;
+  }
+}
+
+module.exports = StoryBatchService;
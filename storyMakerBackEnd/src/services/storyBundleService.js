@@ -0,0 +1,295 @@
+const fs = require('fs').promises;
+const path = require('path');
+const Media = require('../models/Media');
+const CaptionService = require('./captionService');
+const ZipWriter = require('../utils/zip');
+const { buildStoryExport } = require('../utils/storyExport');
+
+// Local files a bundle may copy in; the rest of the 4 GB ZIP limit is headroom for headers and the JSON/text files
+const MAX_BUNDLE_BYTES = ZipWriter.MAX_ARCHIVE_BYTES - 64 * 1024 * 1024;
+
+const SOURCE_NAMES = {
+  pexels: 'Pexels',
+  pixabay: 'Pixabay',
+  upload: 'Uploaded by the author',
+  url: 'Linked from the web'
+};
+
+class StoryBundleService {
+  constructor() {
+    this.uploadsRoot = path.join(process.cwd(), 'uploads');
+    this.captionService = new CaptionService();
+  }
+
+  /**
+   * Absolute path of a /uploads/... URL, or null for remote URLs and paths outside uploads
+   */
+  resolveUpload(url) {
+    if (!url || !url.startsWith('/uploads/')) {
+      return null;
+    }
+
+    const filePath = path.join(process.cwd(), url);
+    return filePath.startsWith(this.uploadsRoot + path.sep) ? filePath : null;
+  }
+
+  /**
+   * Media library entries attached to a story
+   */
+  findMedia(story) {
+    return Media.find({ storyId: story._id }).select('title type url filename source author license');
+  }
+
+  /**
+   * URL of a media entry's file
+   */
+  mediaUrl(entry) {
+    return entry.url || (entry.filename && `/uploads/media/${entry.filename}`);
+  }
+
+  /**
+   * Folder holding the script images saved for a story
+   */
+  scriptImagesDir(story) {
+    return path.join(this.uploadsRoot, 'script-images', story._id.toString());
+  }
+
+  /**
+   * Total size of the local files a bundle would copy in, so oversized bundles are refused before streaming starts
+   * @param {Object} story - Story document
+   * @returns {Promise<number>} Bytes (missing files count as zero)
+   */
+  async measureBundle(story) {
+    const timeline = story.videoTimeline || {};
+    const media = await this.findMedia(story);
+    const files = [
+      story.audioUrl,
+      ...(timeline.clips || []).map(clip => clip.url),
+      ...(timeline.photos || []).map(photo => photo.url),
+      ...media.map(entry => this.mediaUrl(entry))
+    ].map(url => this.resolveUpload(url)).filter(Boolean);
+
+    const imagesDir = this.scriptImagesDir(story);
+    const imageFiles = await fs.readdir(imagesDir).catch(() => []);
+    files.push(...imageFiles.map(name => path.join(imagesDir, name)));
+
+    const sizes = await Promise.all(files.map(file => fs.stat(file).then(stats => stats.size, () => 0)));
+    return sizes.reduce((total, size) => total + size, 0);
+  }
+
+  /**
+   * Caption files for the bundle: SRT, VTT and JSON for timed captions, or the stored text as-is
+   * @param {Object} captions - story.captions
+   * @returns {Array} [{ name, content }]
+   */
+  buildCaptionFiles(captions) {
+    const data = captions && captions.captions;
+    if (!data || data.length === 0) {
+      return [];
+    }
+
+    if (Array.isArray(data)) {
+      return [
+        { name: 'captions/captions.srt', content: this.captionService.formatAsSRT(data) },
+        { name: 'captions/captions.vtt', content: this.captionService.formatAsVTT(data) },
+        { name: 'captions/captions.json', content: JSON.stringify(data, null, 2) }
+      ];
+    }
+
+    const format = ((captions.metadata && captions.metadata.format) || '').toLowerCase();
+    const extension = ['srt', 'vtt'].includes(format) ? format : 'txt';
+    return [{ name: `captions/captions.${extension}`, content: String(data) }];
+  }
+
+  /**
+   * ATTRIBUTION.txt: where each piece of stock footage and media came from
+   * @param {Object} story - Story document
+   * @param {Array} credits - [{ kind, title, author, source, license, sourceUrl, file, linked }]
+   * @returns {string}
+   */
+  buildAttribution(story, credits) {
+    const lines = [
+      `Attribution for "${story.name}"`,
+      'Footage, photos and media used in this story, with their sources.',
+      ''
+    ];
+
+    credits.forEach(credit => {
+      const by = credit.author ? ` by ${credit.author}` : '';
+      lines.push(`[${credit.kind}] ${credit.title || 'Untitled'}${by} (${SOURCE_NAMES[credit.source] || credit.source || 'Unknown source'})`);
+      if (credit.license) lines.push(`  License: ${credit.license}`);
+      if (credit.sourceUrl) lines.push(`  Source: ${credit.sourceUrl}`);
+      if (credit.file) {
+        lines.push(`  File: ${credit.file}`);
+      } else {
+        lines.push(`  Not included (${credit.linked ? 'linked only' : 'file missing'})`);
+      }
+      lines.push('');
+    });
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Story fields written to metadata.json: the JSON export plus what an editor needs for the video
+   * Built from an allow-list so sharing details (collaborator emails, links) never leave with a bundle.
+   * @param {Object} story - Story document
+   * @returns {Object} Metadata record
+   */
+  buildMetadata(story) {
+    return {
+      ...buildStoryExport(story),
+      topic: story.topic,
+      videoIdea: story.videoIdea,
+      videoStyle: story.videoStyle,
+      language: story.selectedLanguage,
+      emotions: story.selectedEmotions,
+      format: story.format,
+      narrative: story.narrative,
+      ageGroup: story.ageGroup,
+      detailedSummary: story.detailedSummary,
+      keyScenes: story.keyScenes,
+      searchPhrases: story.searchPhrases,
+      suggestions: story.suggestions,
+      voiceType: story.voiceType,
+      selectedVoice: story.selectedVoice,
+      voiceSettings: story.voiceSettings,
+      dialogue: story.dialogue && story.dialogue.lines.length > 0 ? story.dialogue : null,
+      quiz: story.quiz && story.quiz.questions.length > 0 ? story.quiz : null,
+      seriesId: story.seriesId,
+      episodeNumber: story.episodeNumber,
+      status: story.status,
+      version: story.version,
+      updatedAt: story.updatedAt
+    };
+  }
+
+  /**
+   * Stream a story as a ZIP bundle
+   * Contains the script, story metadata, captions, the generated audio, the video timeline, timeline clips and
+   * photos (downloaded ones as files, remote ones in assets/links.json) with ATTRIBUTION.txt, the story's media
+   * uploads and its saved script images. manifest.json lists every file and anything that could not be included.
+   * Files are streamed in, not buffered; check measureBundle against MAX_BUNDLE_BYTES first.
+   * @param {Object} story - Story document
+   * @param {Object} output - Writable stream (e.g. an Express response)
+   * @returns {Promise<Object>} { files, missing, bytes }
+   */
+  async writeBundle(story, output) {
+    const zip = new ZipWriter(output);
+    const manifest = {
+      story: { id: story._id, name: story.name },
+      exportedAt: new Date(),
+      files: [],
+      links: [],
+      missing: []
+    };
+    const credits = [];
+
+    const add = async (name, content, kind) => {
+      const stored = await zip.addFile(name, content);
+      manifest.files.push({ path: stored, kind });
+      return stored;
+    };
+
+    // Files are opened before their entry starts, so a missing one can still be skipped.
+    // Errors while streaming are not caught: the entry is half-written, so the download has to be aborted.
+    const addOpenFile = async (name, handle, kind) => {
+      const stored = await zip.addStream(name, handle.createReadStream());
+      manifest.files.push({ path: stored, kind });
+      return stored;
+    };
+
+    // Local uploads are copied in; remote URLs are listed as links
+    const addAsset = async (folder, url, kind) => {
+      const filePath = this.resolveUpload(url);
+      if (!filePath) {
+        manifest.links.push({ kind, url });
+        return null;
+      }
+
+      let handle;
+      try {
+        handle = await fs.open(filePath, 'r');
+      } catch (error) {
+        manifest.missing.push({ kind, url, reason: error.code === 'ENOENT' ? 'File not found' : error.message });
+        return null;
+      }
+
+      return addOpenFile(`${folder}/${path.basename(filePath)}`, handle, kind);
+    };
+
+    await add('script.txt', `${story.name}\n\n${story.content || ''}`, 'script');
+
+    await add('metadata.json', JSON.stringify(this.buildMetadata(story), null, 2), 'metadata');
+
+    for (const file of this.buildCaptionFiles(story.captions)) {
+      await add(file.name, file.content, 'captions');
+    }
+
+    if (story.audioUrl) {
+      await addAsset('audio', story.audioUrl, 'audio');
+    }
+
+    const timeline = story.videoTimeline || {};
+    const clips = timeline.clips || [];
+    const photos = timeline.photos || [];
+    if (clips.length > 0 || photos.length > 0) {
+      await add('timeline.json', JSON.stringify(story.toObject().videoTimeline, null, 2), 'timeline');
+    }
+
+    for (const [folder, items] of [['clips', clips], ['photos', photos]]) {
+      for (const clip of items) {
+        const file = clip.url ? await addAsset(`assets/${folder}`, clip.url, folder === 'clips' ? 'clip' : 'photo') : null;
+        const info = clip.metadata || {};
+        credits.push({
+          kind: clip.type || (folder === 'clips' ? 'video' : 'photo'),
+          title: info.title,
+          author: info.photographer,
+          source: clip.source || info.source,
+          sourceUrl: clip.originalUrl,
+          file,
+          linked: !this.resolveUpload(clip.url)
+        });
+      }
+    }
+
+    const media = await this.findMedia(story);
+    for (const entry of media) {
+      const file = await addAsset('assets/media', this.mediaUrl(entry), 'media');
+      credits.push({
+        kind: entry.type,
+        title: entry.title,
+        author: entry.author,
+        source: entry.source,
+        license: entry.license,
+        sourceUrl: this.resolveUpload(entry.url) ? null : entry.url,
+        file,
+        linked: !this.resolveUpload(entry.url)
+      });
+    }
+
+    const imagesDir = this.scriptImagesDir(story);
+    const imageFiles = await fs.readdir(imagesDir).catch(() => []);
+    for (const name of imageFiles.sort()) {
+      await addOpenFile(`script-images/${name}`, await fs.open(path.join(imagesDir, name), 'r'), 'script-image');
+    }
+
+    if (manifest.links.length > 0) {
+      await add('assets/links.json', JSON.stringify(manifest.links, null, 2), 'links');
+    }
+    if (credits.length > 0) {
+      await add('ATTRIBUTION.txt', this.buildAttribution(story, credits), 'attribution');
+    }
+
+    await zip.addFile('manifest.json', JSON.stringify(manifest, null, 2));
+    const bytes = await zip.finish();
+
+    console.log(`📦 Exported bundle for story ${story._id}: ${manifest.files.length + 1} files, ${bytes} bytes`);
+
+    return { files: manifest.files.length + 1, missing: manifest.missing, bytes };
+  }
+}
+
+StoryBundleService.MAX_BUNDLE_BYTES = MAX_BUNDLE_BYTES;
+
+module.exports = StoryBundleService;
@@ -0,0 +1,1206 @@
+const Story = require('../models/Story');
+const VideoStyle = require('../models/VideoStyle');
+const Idea = require('../models/Idea');
+const Subuser = require('../models/Subuser');
+const { getProvider, getModel } = require('./llmProviders');
+const { fillTemplate, getTemplate, getAvailableStyles, SUGGESTIONS_MARKER } = require('../templates/videoStyleTemplates');
+const { measureNarration, targetNarration } = require('../utils/narration');
+const { sumUsage } = require('../utils/aiCost');
+const DialogueService = require('./dialogueService');
+const QuizService = require('./quizService');
+
+const dialogueService = new DialogueService();
+const quizService = new QuizService();
+
+// Default emotions used when the user does not pick any
+const DEFAULT_EMOTIONS = {
+  redditStorytime: ['Suspense', 'Intrigue', 'Satisfaction', 'Surprise'],
+  didYouKnow: ['Curiosity', 'Wonder', 'Amazement', 'Interest'],
+  motivation: ['Inspiration', 'Hope', 'Empowerment', 'Determination'],
+  quizGame: ['Excitement', 'Challenge', 'Fun', 'Engagement'],
+  memeGoogleSearch: ['Humor', 'Relatability', 'Amusement', 'Recognition'],
+  dialogueSkit: ['Comedy', 'Relatability', 'Entertainment', 'Connection'],
+  newsExplainer: ['Understanding', 'Clarity', 'Awareness', 'Interest'],
+  lifePOV: ['Immersion', 'Emotion', 'Connection', 'Experience']
+};
+
+// Story aspect ratio (style) and its description per video style
+const ASPECT_RATIOS = {
+  redditStorytime: { style: 'vertical', ratio: '9:16' }, // Short-form storytelling
+  didYouKnow: { style: 'vertical', ratio: '9:16' }, // Facts and discoveries
+  motivation: { style: 'vertical', ratio: '9:16' }, // Inspirational content
+  quizGame: { style: 'vertical', ratio: '9:16' }, // Interactive content
+  memeGoogleSearch: { style: 'vertical', ratio: '9:16' }, // Meme content
+  dialogueSkit: { style: 'landscape', ratio: '16:9' }, // Dialogue scenes
+  newsExplainer: { style: 'landscape', ratio: '16:9' }, // News content
+  lifePOV: { style: 'square', ratio: '1:1' } // Immersive POV content
+};
+
+// Structured-output contract for the metadata call
+const METADATA_SCHEMA = {
+  name: 'story_metadata',
+  schema: {
+    type: 'object',
+    properties: {
+      headline: { type: 'string' },
+      description: { type: 'string' },
+      summary: { type: 'string' },
+      detailedSummary: { type: 'string' },
+      tags: { type: 'array', items: { type: 'string' } },
+      searchPhrases: { type: 'array', items: { type: 'string' } },
+      keyScenes: { type: 'array', items: { type: 'string' } }
+    },
+    required: ['headline', 'description', 'summary', 'detailedSummary', 'tags', 'searchPhrases', 'keyScenes'],
+    additionalProperties: false
+  }
+};
+
+// Limits checked after parsing (kept out of the schema, strict mode rejects length keywords)
+const METADATA_LIMITS = {
+  headline: { maxLength: 100 },
+  description: { maxLength: 300 },
+  summary: { maxLength: 1000 },
+  detailedSummary: { maxLength: 3000 },
+  tags: { minItems: 1, maxItems: 15 },
+  searchPhrases: { minItems: 1, maxItems: 20 },
+  keyScenes: { minItems: 1, maxItems: 10 }
+};
+
+// Structured-output contract for translating a story into a language variant
+const TRANSLATION_SCHEMA = {
+  name: 'story_translation',
+  schema: {
+    type: 'object',
+    properties: {
+      content: { type: 'string' },
+      headline: { type: 'string' },
+      description: { type: 'string' },
+      tags: { type: 'array', items: { type: 'string' } },
+      searchPhrases: { type: 'array', items: { type: 'string' } }
+    },
+    required: ['content', 'headline', 'description', 'tags', 'searchPhrases'],
+    additionalProperties: false
+  }
+};
+
+// Structured-output contract for a length-fitting pass: rewritten sections only
+const FIT_SCHEMA = {
+  name: 'script_fit',
+  schema: {
+    type: 'object',
+    properties: {
+      sections: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            section: { type: 'integer' },
+            text: { type: 'string' }
+          },
+          required: ['section', 'text'],
+          additionalProperties: false
+        }
+      }
+    },
+    required: ['sections'],
+    additionalProperties: false
+  }
+};
+
+// How close the narration must land to storyLength, and how many rewrite passes we allow to get there
+const SCRIPT_FIT = {
+  tolerance: parseFloat(process.env.SCRIPT_FIT_TOLERANCE) || 0.1,
+  maxPasses: process.env.SCRIPT_FIT_MAX_PASSES !== undefined ? parseInt(process.env.SCRIPT_FIT_MAX_PASSES) || 0 : 2
+};
+
+// Labels of the suggestion block the templates ask for after the script
+const SUGGESTION_LABELS = [
+  { field: 'title', pattern: /^(suggested\s+)?(youtube\s+)?(video\s+)?title\b/ },
+  { field: 'description', pattern: /^(suggested\s+)?(short\s+)?(youtube\s+)?(caption|description)(\s*\/\s*(caption|description))?\b/ },
+  { field: 'tags', pattern: /^(suggested\s+)?(youtube\s+)?tags\b/ },
+  { field: 'stockFootageTerms', pattern: /^(suggested\s+)?(detailed\s+)?stock[\s_]+(footage|search)([\s_]+(search[\s_]+)?terms?)?/ }
+];
+
+/**
+ * Merge string lists, dropping blanks and case-insensitive duplicates
+ */
+const mergeUnique = (...lists) => {
+  const seen = new Set();
+  return lists.flat().filter(item => {
+    const key = (item || '').trim().toLowerCase();
+    if (!key || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  }).map(item => item.trim());
+};
+
+// OpenAI error codes and the HTTP status/message we surface for them
+const OPENAI_ERRORS = {
+  insufficient_quota: {
+    statusCode: 402,
+    message: 'OpenAI API quota exceeded. Please check your billing details.'
+  },
+  invalid_api_key: {
+    statusCode: 401,
+    message: 'Invalid OpenAI API key configuration'
+  },
+  rate_limit_exceeded: {
+    statusCode: 429,
+    message: 'Rate limit exceeded. Please try again later.'
+  }
+};
+
+class StoryGenerationService {
+  /**
+   * Check whether the generation service can be used
+   * @param {Object} llm - Provider to check (defaults to the platform provider)
+   * @returns {boolean}
+   */
+  isConfigured(llm = getProvider()) {
+    return llm.isConfigured();
+  }
+
+  /**
+   * Resolve request body fields into generation parameters (new and legacy formats)
+   * @param {Object} body - Request body of a generation request
+   * @returns {Object} Normalized generation parameters
+   */
+  resolveParams(body = {}) {
+    const {
+      videoIdea,
+      videoStyle,
+      storyName,
+      selectedLanguage = 'English',
+      additionalContext = [],
+      selectedEmotions = [],
+      storyStyle,
+      language = 'English',
+      storyLength,
+      storyTopic,
+      characterDetails,
+      settingAtmosphere,
+      selectedGenre,
+      selectedFormat,
+      selectedNarrative,
+      selectedAgeGroup,
+      ideaId
+    } = body;
+
+    return {
+      // Prioritize new video-centric fields over legacy ones
+      videoStyle: videoStyle || storyStyle,
+      language: selectedLanguage || language,
+      videoIdea: videoIdea || storyTopic,
+      storyName,
+      storyLength: storyLength !== undefined ? Number(storyLength) : undefined,
+      additionalContext,
+      selectedEmotions,
+      characterDetails,
+      settingAtmosphere,
+      selectedGenre,
+      selectedFormat,
+      selectedNarrative,
+      selectedAgeGroup,
+      ideaId
+    };
+  }
+
+  /**
+   * Account that owns custom styles for a requester (subusers share their owner's styles)
+   * @param {string} userId - User or subuser id
+   * @param {string} [userType] - 'user' or 'subuser'
+   * @returns {Promise<string|null>} Owner user id
+   */
+  async getStyleAccountId(userId, userType = 'user') {
+    if (userType !== 'subuser') {
+      return userId;
+    }
+
+    const subuser = await Subuser.findById(userId).select('ownerId');
+    return subuser ? subuser.ownerId : null;
+  }
+
+  /**
+   * Resolve a video style id to its definition, checking built-in styles first
+   * @param {string} styleId - Built-in style key or custom style key
+   * @param {string} [userId] - Requester, needed to find custom styles
+   * @param {string} [userType] - 'user' or 'subuser'
+   * @returns {Promise<Object|null>} { id, name, description, template, defaultEmotions, aspectRatio, metadataPrompt, scriptFormat, isCustom }
+   */
+  async resolveStyle(styleId, userId, userType = 'user') {
+    const builtIn = getTemplate(styleId);
+    if (builtIn) {
+      return {
+        id: styleId,
+        name: builtIn.name,
+        description: builtIn.description,
+        template: builtIn.template,
+        defaultEmotions: DEFAULT_EMOTIONS[styleId],
+        aspectRatio: ASPECT_RATIOS[styleId],
+        metadataPrompt: null,
+        scriptFormat: builtIn.scriptFormat || 'narration',
+        isCustom: false
+      };
+    }
+
+    if (!styleId || !userId) {
+      return null;
+    }
+
+    const accountId = await this.getStyleAccountId(userId, userType);
+    const custom = accountId && await VideoStyle.findOne({ accountId, key: styleId });
+    return custom ? custom.toStyleDefinition() : null;
+  }
+
+  /**
+   * Resolve the video style of an existing story from its owner's account, so collaborators
+   * see the same custom style the owner wrote it with
+   * @param {Object} story - Story document with videoStyle and userId
+   * @returns {Promise<Object|null>} Style definition, as resolveStyle
+   */
+  async resolveStoryStyle(story) {
+    if (!story.videoStyle) {
+      return null;
+    }
+
+    // Stories written by subusers carry the subuser's id; their styles live on the owner's account
+    const ownerType = await Subuser.exists({ _id: story.userId }) ? 'subuser' : 'user';
+    return this.resolveStyle(story.videoStyle, story.userId, ownerType);
+  }
+
+  /**
+   * List the built-in styles plus the requester's custom styles
+   * @param {string} userId - User or subuser id
+   * @param {string} [userType] - 'user' or 'subuser'
+   * @returns {Promise<Array>} [{ id, name, description, isCustom }]
+   */
+  async listStyles(userId, userType = 'user') {
+    const builtIn = getAvailableStyles().map(style => ({ ...style, isCustom: false }));
+    const accountId = await this.getStyleAccountId(userId, userType);
+    const custom = accountId ? await VideoStyle.findForAccount(accountId) : [];
+
+    return [
+      ...builtIn,
+      ...custom.map(style => ({
+        id: style.key,
+        name: style.name,
+        description: style.description || '',
+        aspectRatio: style.aspectRatio,
+        isCustom: true
+      }))
+    ];
+  }
+
+  /**
+   * Validate resolved generation parameters (fills videoIdea/videoStyle from params.ideaId)
+   * @param {Object} params - Parameters from resolveParams
+   * @param {Object} [requester] - { userId, userType } used to look up custom styles
+   * @returns {Promise<Object>} { isValid, errors, style }
+   */
+  async validateParams(params, { userId, userType } = {}) {
+    const errors = [];
+    let style = null;
+
+    // A backlog idea supplies the idea text and style when the request leaves them out
+    if (params.ideaId) {
+      const idea = await Idea.findOne({ _id: params.ideaId, userId });
+      if (idea) {
+        params.videoIdea = params.videoIdea || idea.text;
+        params.videoStyle = params.videoStyle || idea.videoStyle;
+      } else {
+        errors.push('Idea not found in your backlog');
+      }
+    }
+
+    if (!params.videoStyle || !params.storyName || !params.storyLength || !params.videoIdea) {
+      errors.push('Missing required fields: videoStyle (or storyStyle), storyName, storyLength, and videoIdea (or storyTopic) are required');
+    } else {
+      style = await this.resolveStyle(params.videoStyle, userId, userType);
+      if (!style) {
+        const availableStyles = await this.listStyles(userId, userType);
+        errors.push(`Invalid video style. Available styles: ${availableStyles.map(s => s.id).join(', ')}`);
+      }
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+      style
+    };
+  }
+
+  /**
+   * Convert seconds to human readable format
+   */
+  formatDuration(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const secs = seconds % 60;
+
+    if (hours > 0) {
+      return `${hours}h ${minutes}m`;
+    } else if (minutes > 0) {
+      return `${minutes}m ${secs > 0 ? ` ${secs}s` : ''}`;
+    } else {
+      return `${secs}s`;
+    }
+  }
+
+  /**
+   * Build the filled style prompt for the story request
+   * @param {Object} params - Resolved generation parameters
+   * @param {Object} style - Style definition from resolveStyle
+   * @returns {Object} { prompt, maxWordCount, formattedDuration }
+   */
+  buildPrompt(params, style) {
+    // Calculate maximum word count based on duration and speaking speed (150 words per minute)
+    const maxWordCount = Math.floor((params.storyLength / 60) * 150);
+    const formattedDuration = this.formatDuration(params.storyLength);
+
+    const emotions = params.selectedEmotions && params.selectedEmotions.length > 0
+      ? params.selectedEmotions.slice(0, 4).join(', ') // Limit to 4 emotions as per frontend
+      : (style.defaultEmotions && style.defaultEmotions.length > 0 ? style.defaultEmotions : ['Engagement', 'Interest', 'Connection']).join(', ');
+
+    const additionalContext = params.additionalContext && params.additionalContext.length > 0
+      ? params.additionalContext.map((item, index) => `${index + 1}. ${item}`).join('\n')
+      : 'No additional context provided.';
+
+    const templateData = {
+      videoIdea: params.videoIdea,
+      storyName: params.storyName,
+      maxWordCount,
+      formattedDuration,
+      language: params.language,
+      emotions,
+      additionalContext,
+
+      // Legacy fields for backward compatibility
+      storyTopic: params.videoIdea,
+      characterDetails: params.characterDetails || '',
+      settingAtmosphere: params.settingAtmosphere || '',
+      selectedGenre: params.selectedGenre || '',
+      selectedFormat: params.selectedFormat || '',
+      selectedNarrative: params.selectedNarrative || '',
+      selectedAgeGroup: params.selectedAgeGroup || ''
+    };
+
+    return {
+      prompt: fillTemplate(style, templateData, params.seriesContext),
+      maxWordCount,
+      formattedDuration
+    };
+  }
+
+  /**
+   * Generate a story and its metadata, then save it
+   * @param {Object} options
+   * @param {string} options.userId - Owner of the new story
+   * @param {string} options.userType - 'user' or 'subuser', used to find custom styles
+   * @param {Object} options.params - Resolved generation parameters
+   * @param {Object} options.style - Style definition (resolved from params.videoStyle when omitted)
+   * @param {Object} options.llm - LLM provider to use (defaults to the platform provider)
+   * @param {Function} options.onStage - Awaited before each stage (prompting, metadata, saving)
+   * @param {AbortSignal} options.signal - Optional signal to abort in-flight LLM requests
+   * @param {Function} options.onToken - Optional callback; when set the story text is streamed and each delta is passed to it
+   * @returns {Promise<Object>} { story, usage, defaultedFields }
+   */
+  async generateStory({ userId, userType, params, style, llm = getProvider(), onStage, signal, onToken }) {
+    const { fields, usage, defaultedFields } = await this.composeStory({
+      userId, userType, params, style, llm, onStage, signal, onToken
+    });
+
+    // Stage 4: persist the story
+    if (onStage) {
+      await onStage('saving');
+    }
+
+    console.log(`🎯 Saving generated ${params.videoStyle} story (aspect ratio: ${fields.style})`);
+
+    const story = await Story.create({ ...fields, userId });
+
+    // Usage-tracked providers link the calls that wrote the story to it
+    if (llm.setStory) {
+      await llm.setStory(story._id);
+    }
+
+    if (params.ideaId) {
+      await Idea.markUsed(params.ideaId, userId, story._id);
+    }
+
+    return { story, usage, defaultedFields };
+  }
+
+  /**
+   * Write a story and its metadata without saving it (prompting and metadata stages of generateStory)
+   * @param {Object} options - Same as generateStory
+   * @returns {Promise<Object>} { fields, usage, defaultedFields } where fields are Story fields minus userId
+   */
+  async composeStory({ userId, userType, params, style, llm = getProvider(), onStage, signal, onToken }) {
+    if (!llm.isConfigured()) {
+      throw new Error('Story generation service is not configured');
+    }
+
+    // Custom styles can be deleted between queueing and running a job
+    const videoStyle = style || await this.resolveStyle(params.videoStyle, userId, userType);
+    if (!videoStyle) {
+      throw new Error(`Unknown video style: ${params.videoStyle}`);
+    }
+
+    const startTime = Date.now(); // Track generation time
+    const enterStage = async (stage) => {
+      if (onStage) {
+        await onStage(stage);
+      }
+    };
+
+    // Stage 1: write the story from the style template
+    await enterStage('prompting');
+    const { prompt, formattedDuration } = this.buildPrompt(params, videoStyle);
+
+    // Only stream the narration, not the suggestion block after it
+    const narrationFilter = onToken ? this.createNarrationFilter(onToken) : null;
+    const completion = await this.createStoryCompletion(llm, prompt, {
+      signal,
+      onToken: narrationFilter && narrationFilter.push
+    });
+    if (narrationFilter) {
+      narrationFilter.flush();
+    }
+
+    const { script: draft, suggestions } = this.splitScript(completion.content);
+
+    // Stage 2: trim or extend the draft until its narration fits storyLength
+    await enterStage('fitting');
+    const fitting = await this.fitScriptLength({ llm, script: draft, params, signal });
+    const generatedStory = fitting.script;
+
+    // Stage 3: headline, description, summary and search metadata
+    await enterStage('metadata');
+    const metadataResult = await this.generateMetadata(llm, generatedStory, params.videoStyle, {
+      signal,
+      instructions: videoStyle.metadataPrompt
+    });
+    const parsedMetadata = metadataResult.metadata;
+
+    const structured = await this.structureScript(videoStyle.scriptFormat, {
+      llm,
+      script: generatedStory,
+      language: params.language,
+      signal
+    });
+
+    const usage = sumUsage(completion.usage, fitting.usage, metadataResult.usage, structured && structured.usage);
+
+    // Word count and reading time of the narration only, at the language's speaking rate
+    const wordCount = fitting.measured.words;
+    const estimatedReadingTime = Math.ceil(fitting.measured.seconds / 60);
+    const aspectRatio = videoStyle.aspectRatio || { style: 'vertical', ratio: '9:16' }; // Default to vertical for shorts
+
+    const fields = {
+      name: params.storyName,
+      style: aspectRatio.style,
+      duration: params.storyLength,
+      formattedDuration,
+      topic: params.videoIdea,
+      characterDetails: params.characterDetails,
+      settingAtmosphere: params.settingAtmosphere,
+      genre: params.selectedGenre,
+      format: params.selectedFormat,
+      narrative: params.selectedNarrative,
+      ageGroup: params.selectedAgeGroup,
+      language: params.language,
+      selectedLanguage: params.language,
+      content: generatedStory,
+      headline: parsedMetadata.headline || `${params.storyName} - A ${params.videoStyle} video`,
+      description: parsedMetadata.description || `An engaging ${params.videoStyle} video story about ${params.videoIdea}`,
+      summary: parsedMetadata.summary || 'AI-generated story summary',
+      detailedSummary: parsedMetadata.detailedSummary || parsedMetadata.summary || 'AI-generated detailed summary',
+      keyScenes: parsedMetadata.keyScenes || [],
+      tags: mergeUnique(parsedMetadata.tags || [], suggestions.tags),
+      searchPhrases: mergeUnique(parsedMetadata.searchPhrases || [], suggestions.stockFootageTerms),
+      suggestions,
+      ...(structured && structured.data && { [structured.field]: structured.data }),
+      status: 'completed',
+      wordCount,
+      estimatedReadingTime,
+      lengthFit: fitting.lengthFit,
+      aspectRatio: aspectRatio.ratio,
+      generationTimeMs: Date.now() - startTime,
+      generatedBy: `${llm.name}/${getModel('story')}`, // Provider and model that wrote the script
+      openaiUsage: usage, // cost is priced per model from config/pricing
+
+      // Store new fields for future reference
+      videoIdea: params.videoIdea,
+      videoStyle: params.videoStyle,
+      selectedEmotions: params.selectedEmotions,
+      additionalContext: params.additionalContext
+    };
+
+    return { fields, usage, defaultedFields: metadataResult.defaultedFields };
+  }
+
+  /**
+   * Keep a structured copy of scripts whose style needs one
+   * Dialogue becomes speakers and lines so each speaker can get a voice; quizzes become question cards with timing.
+   * @param {string} scriptFormat - Style's script format (narration needs nothing)
+   * @param {Object} options - { llm, script, language, signal }
+   * @returns {Promise<Object|null>} { field: Story field to set, data (null if unusable), usage } or null
+   */
+  async structureScript(scriptFormat, options) {
+    if (scriptFormat === 'dialogue') {
+      const { dialogue, usage } = await dialogueService.structureDialogue(options);
+      return { field: 'dialogue', data: dialogue, usage };
+    }
+    if (scriptFormat === 'quiz') {
+      const { quiz, usage } = await quizService.structureQuiz(options);
+      return { field: 'quiz', data: quiz, usage };
+    }
+    return null;
+  }
+
+  /**
+   * Run the story completion, optionally streaming text deltas
+   * @param {Object} llm - LLM provider
+   * @param {string} prompt - Filled style prompt
+   * @param {Object} options - { signal, onToken }
+   * @returns {Promise<Object>} { content, usage }
+   */
+  async createStoryCompletion(llm, prompt, { signal, onToken } = {}) {
+    return llm.chat({
+      model: getModel('story'),
+      messages: [
+        {
+          role: "system",
+          content: "You are a world-class content creator and storyteller who specializes in creating engaging video content across different styles and formats. You adapt your writing style perfectly to match the requested video format while maintaining high quality and audience engagement."
+        },
+        {
+          role: "user",
+          content: prompt
+        }
+      ],
+      maxTokens: 12000,
+      temperature: 0.7
+    }, { signal, onToken });
+  }
+
+  /**
+   * Split a script into numbered sections for targeted rewrites
+   * Uses paragraphs when there are enough of them, otherwise groups of two sentences.
+   * @param {string} script - Script text
+   * @returns {Object} { sections: Array<string>, separator }
+   */
+  splitSections(script) {
+    const separator = /\n\s*\n/.test(script) ? '\n\n' : '\n';
+    const paragraphs = script.split(/\n\s*\n|\n/).map(part => part.trim()).filter(Boolean);
+    if (paragraphs.length >= 3) {
+      return { sections: paragraphs, separator };
+    }
+
+    const sentences = script.replace(/\s+/g, ' ').match(/[^.!?…]+[.!?…]+["'”’)\]]*\s*|[^.!?…]+$/g) || [script];
+    const sections = [];
+    for (let i = 0; i < sentences.length; i += 2) {
+      sections.push(sentences.slice(i, i + 2).join('').trim());
+    }
+    return { sections: sections.filter(Boolean), separator: ' ' };
+  }
+
+  /**
+   * Trim or extend a script, section by section, until its narration is within tolerance of storyLength
+   * A pass is only kept if it moves the length closer to the target; failures keep the best script so far.
+   * @param {Object} options
+   * @param {Object} options.llm - LLM provider
+   * @param {string} options.script - Draft script
+   * @param {Object} options.params - Resolved generation parameters (storyLength, language)
+   * @param {AbortSignal} [options.signal] - Aborts the LLM calls
+   * @returns {Promise<Object>} { script, measured, lengthFit, usage }
+   */
+  async fitScriptLength({ llm, script, params, signal }) {
+    const target = targetNarration(params.storyLength, params.language);
+    const deviationOf = (measure) => (measure.count - target.count) / target.count;
+    let usage = sumUsage();
+
+    let current = script;
+    let measured = measureNarration(current, params.language);
+    let passes = 0;
+
+    while (passes < SCRIPT_FIT.maxPasses && Math.abs(deviationOf(measured)) > SCRIPT_FIT.tolerance) {
+      passes++;
+
+      try {
+        const { sections, separator } = this.splitSections(current);
+        const completion = await llm.chat({
+          model: getModel('fitting'),
+          messages: [
+            {
+              role: 'system',
+              content: 'You are a script editor for short-form video voiceovers. You change the length of a script without changing its story, voice or structure. Always respond with a single JSON object.'
+            },
+            {
+              role: 'user',
+              content: this.buildFitPrompt(sections, measured, target, params)
+            }
+          ],
+          maxTokens: 8000,
+          temperature: 0.4,
+          responseFormat: 'json',
+          schema: FIT_SCHEMA
+        }, { signal });
+
+        usage = sumUsage(usage, completion.usage);
+
+        const revised = this.applySectionEdits(sections, completion.content).join(separator);
+        const revisedMeasure = measureNarration(revised, params.language);
+
+        if (Math.abs(deviationOf(revisedMeasure)) >= Math.abs(deviationOf(measured))) {
+          console.log(`📏 Length pass ${passes} did not get closer to ${target.count} ${target.unit} (${revisedMeasure.count}), keeping previous script`);
+          break;
+        }
+
+        console.log(`📏 Length pass ${passes}: ${measured.count} -> ${revisedMeasure.count} ${target.unit} (target ${target.count})`);
+        current = revised;
+        measured = revisedMeasure;
+      } catch (error) {
+        if (signal && signal.aborted) throw error;
+        console.error(`⚠️ Length pass ${passes} failed, keeping previous script:`, error.message);
+        break;
+      }
+    }
+
+    const deviation = deviationOf(measured);
+
+    return {
+      script: current,
+      measured,
+      usage,
+      lengthFit: {
+        passes,
+        unit: target.unit,
+        targetCount: target.count,
+        actualCount: measured.count,
+        targetSeconds: params.storyLength,
+        estimatedSeconds: measured.seconds,
+        deviation: Math.round(deviation * 1000) / 1000,
+        tolerance: SCRIPT_FIT.tolerance,
+        withinTolerance: Math.abs(deviation) <= SCRIPT_FIT.tolerance
+      }
+    };
+  }
+
+  /**
+   * Build the prompt for one length-fitting pass
+   */
+  buildFitPrompt(sections, measured, target, params) {
+    const difference = target.count - measured.count;
+    const direction = difference < 0 ? 'shorter' : 'longer';
+    const numbered = sections.map((section, index) => `[${index + 1}] ${section}`).join('\n\n');
+
+    return `This ${params.language || 'English'} voiceover script is ${measured.count} ${measured.unit} long, but it must fill ${this.formatDuration(params.storyLength)}, which is ${target.count} ${target.unit} at ${target.perMinute} ${target.unit} per minute.
+
+Make it about ${Math.abs(difference)} ${target.unit} ${direction}:
+${difference < 0
+    ? '- Tighten the sections that are slowest: cut repetition, filler and over-explained beats'
+    : '- Extend the sections that are thinnest: add concrete detail, a beat of tension or a vivid example'}
+- Only rewrite the sections that need it and spread the change across them
+- Keep section 1 (the hook) and the last section (the ending) unless the change cannot be made elsewhere
+- Keep the story, facts, voice and order of events; plain spoken narration only
+
+Sections:
+${numbered}
+
+Respond with only a JSON object: { "sections": [{ "section": <number>, "text": "<rewritten section>" }] } listing the rewritten sections only.`;
+  }
+
+  /**
+   * Apply rewritten sections from a fitting reply
+   * @param {Array<string>} sections - Current sections
+   * @param {string} text - Raw model reply
+   * @returns {Array<string>} Sections with the rewrites applied
+   */
+  applySectionEdits(sections, text) {
+    let data;
+    try {
+      const cleaned = (text || '').replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+      data = JSON.parse(cleaned);
+    } catch (error) {
+      throw new Error(`Length fitting reply is not valid JSON (${error.message})`);
+    }
+
+    const edits = (Array.isArray(data?.sections) ? data.sections : [])
+      .filter(edit => Number.isInteger(edit?.section) && edit.section >= 1 && edit.section <= sections.length &&
+        typeof edit.text === 'string' && edit.text.trim());
+
+    if (edits.length === 0) {
+      throw new Error('Length fitting reply has no usable sections');
+    }
+
+    const revised = [...sections];
+    edits.forEach(edit => {
+      revised[edit.section - 1] = edit.text.trim();
+    });
+    return revised;
+  }
+
+  /**
+   * Split a generated script into the voiceover narration and the trailing suggestion block
+   * @param {string} content - Raw model output
+   * @returns {Object} { script, suggestions: { title, description, tags, stockFootageTerms } }
+   */
+  splitScript(content) {
+    const text = (content || '').trim();
+    let script = text;
+    let suggestionText = '';
+
+    const markerIndex = text.indexOf(SUGGESTIONS_MARKER);
+    if (markerIndex !== -1) {
+      script = text.slice(0, markerIndex);
+      suggestionText = text.slice(markerIndex + SUGGESTIONS_MARKER.length);
+    } else {
+      // The model ignored the marker - cut at the first suggestion heading instead
+      const lines = text.split('\n');
+      const headingIndex = lines.findIndex(line => this.matchSuggestionLabel(line));
+      if (headingIndex > 0) {
+        script = lines.slice(0, headingIndex).join('\n');
+        suggestionText = lines.slice(headingIndex).join('\n');
+      }
+    }
+
+    return {
+      // Drop separators and headings left dangling at the end of the narration
+      script: script.replace(/(\n\s*(---+|\*\*\*+|#+[^\n]*|\**\s*suggestions?\s*:?\**)\s*)+$/i, '').trim(),
+      suggestions: this.parseSuggestions(suggestionText)
+    };
+  }
+
+  /**
+   * Match a line against the suggestion labels, ignoring markdown and list markers
+   * @returns {Object|null} { field, value } with the text after the label
+   */
+  matchSuggestionLabel(line) {
+    const normalized = line
+      .replace(/^[\s>*_#-]*(\(?[a-d1-4][).]\s*)?[\s*_]*/i, '')
+      .replace(/\*\*|__/g, '')
+      .trim();
+    const lower = normalized.toLowerCase();
+    const label = SUGGESTION_LABELS.find(({ pattern }) => pattern.test(lower));
+    if (!label) return null;
+
+    // A heading is the label alone, optionally with a note like "(comma-separated)"
+    const colonIndex = normalized.indexOf(':');
+    const heading = colonIndex === -1 ? lower : lower.slice(0, colonIndex);
+    if (heading.replace(label.pattern, '').replace(/\(.*?\)/g, '').trim()) return null;
+
+    return {
+      field: label.field,
+      value: colonIndex === -1 ? '' : normalized.slice(colonIndex + 1).trim()
+    };
+  }
+
+  /**
+   * Parse the labelled suggestion block into fields
+   */
+  parseSuggestions(text) {
+    const sections = {};
+    let current = null;
+
+    text.split('\n').forEach(line => {
+      const match = this.matchSuggestionLabel(line);
+      if (match) {
+        current = match.field;
+        sections[current] = match.value ? [match.value] : [];
+      } else if (current && line.trim()) {
+        sections[current].push(line.replace(/^[\s*_-]+/, '').trim());
+      }
+    });
+
+    const stripQuotes = (value) => value.replace(/^["'“]+|["'”]+$/g, '').trim();
+    const joinText = (field) => stripQuotes((sections[field] || []).join(' ').replace(/\*\*/g, ''));
+    const splitList = (field) => mergeUnique((sections[field] || [])
+      .join(',')
+      .split(',')
+      .map(item => stripQuotes(item.trim().replace(/^#/, ''))));
+
+    return {
+      title: joinText('title'),
+      description: joinText('description'),
+      tags: splitList('tags'),
+      stockFootageTerms: splitList('stockFootageTerms')
+    };
+  }
+
+  /**
+   * Wrap a token callback so only text before the suggestions marker is forwarded
+   * @param {Function} onToken - Receives narration deltas
+   * @returns {Object} { push(delta), flush() }
+   */
+  createNarrationFilter(onToken) {
+    let pending = '';
+    let done = false;
+
+    return {
+      push: (delta) => {
+        if (done) return;
+        pending += delta;
+
+        const markerIndex = pending.indexOf(SUGGESTIONS_MARKER);
+        if (markerIndex !== -1) {
+          if (markerIndex > 0) onToken(pending.slice(0, markerIndex));
+          pending = '';
+          done = true;
+          return;
+        }
+
+        // Hold back anything that could be the start of the marker
+        const safeLength = pending.length - (SUGGESTIONS_MARKER.length - 1);
+        if (safeLength > 0) {
+          onToken(pending.slice(0, safeLength));
+          pending = pending.slice(safeLength);
+        }
+      },
+      flush: () => {
+        if (!done && pending) onToken(pending);
+        pending = '';
+      }
+    };
+  }
+
+  /**
+   * Generate story metadata as JSON, retrying once with the validation errors if the reply is unusable
+   * @param {Object} llm - LLM provider
+   * @param {string} storyContent - Generated story text
+   * @param {string} videoStyle - Video style key
+   * @param {Object} options - { signal, instructions } where instructions is a custom style's metadata prompt
+   * @returns {Promise<Object>} { metadata, usage, defaultedFields }
+   */
+  async generateMetadata(llm, storyContent, videoStyle, { signal, instructions } = {}) {
+    const messages = [
+      {
+        role: "system",
+        content: "You are an expert content marketer who creates compelling headlines, descriptions, and metadata for video content across different platforms and styles. Always respond with a single JSON object."
+      },
+      {
+        role: "user",
+        content: this.buildMetadataPrompt(storyContent, videoStyle, instructions)
+      }
+    ];
+    const request = {
+      model: getModel('metadata'),
+      maxTokens: 1500,
+      temperature: 0.5,
+      responseFormat: 'json',
+      schema: METADATA_SCHEMA
+    };
+
+    const first = await llm.chat({ ...request, messages }, { signal });
+    let { metadata, errors } = this.parseMetadata(first.content);
+    let usage = { ...first.usage };
+
+    if (errors.length > 0) {
+      console.warn(`⚠️ Metadata reply failed validation, retrying once: ${errors.join('; ')}`);
+
+      const repair = await llm.chat({
+        ...request,
+        messages: [
+          ...messages,
+          { role: "assistant", content: first.content },
+          {
+            role: "user",
+            content: `That reply was not valid: ${errors.join('; ')}. Reply again with only the corrected JSON object.`
+          }
+        ]
+      }, { signal });
+
+      usage = sumUsage(usage, repair.usage);
+
+      // Keep valid fields from the first reply that the repair still got wrong
+      const repaired = this.parseMetadata(repair.content);
+      metadata = { ...metadata, ...repaired.metadata };
+    }
+
+    const defaultedFields = METADATA_SCHEMA.schema.required.filter(field => metadata[field] === undefined);
+    if (defaultedFields.length > 0) {
+      console.warn(`⚠️ Metadata fields fell back to defaults: ${defaultedFields.join(', ')}`);
+    }
+
+    return { metadata, usage, defaultedFields };
+  }
+
+  /**
+   * Build the metadata prompt for a generated story
+   */
+  buildMetadataPrompt(storyContent, videoStyle, instructions) {
+    const styleInstructions = instructions ? `\nStyle-specific instructions:\n${instructions}\n` : '';
+
+    return `Based on this video story content and style "${videoStyle}", generate:
+
+- headline: A compelling, catchy headline optimized for video content (max 60 characters)
+- description: A brief description perfect for video platforms (max 200 characters)
+- summary: A concise summary of the story (max 100 words)
+- detailedSummary: A detailed summary for video editing including key scenes, emotions, and visual elements (max 300 words)
+- tags: 5-8 relevant tags optimized for video discovery
+- searchPhrases: 8-12 search phrases for stock footage that match the story's scenes and mood
+- keyScenes: 3-5 key visual scenes that should be highlighted in the video
+
+Use plain text in every field, no markdown.
+${styleInstructions}
+Video Style: ${videoStyle}
+Story Content:
+${storyContent}
+
+Respond with only a JSON object of this shape:
+{
+  "headline": "string",
+  "description": "string",
+  "summary": "string",
+  "detailedSummary": "string",
+  "tags": ["string"],
+  "searchPhrases": ["string"],
+  "keyScenes": ["string"]
+}`;
+  }
+
+  /**
+   * Parse and validate a JSON metadata reply
+   * @param {string} text - Raw model reply
+   * @returns {Object} { metadata, errors } where metadata only holds the fields that passed validation
+   */
+  parseMetadata(text) {
+    let data;
+    try {
+      // Some models still wrap JSON in a code fence
+      const cleaned = (text || '').replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+      data = JSON.parse(cleaned);
+    } catch (error) {
+      return { metadata: {}, errors: [`reply is not valid JSON (${error.message})`] };
+    }
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return { metadata: {}, errors: ['reply must be a JSON object'] };
+    }
+
+    const metadata = {};
+    const errors = [];
+
+    Object.entries(METADATA_SCHEMA.schema.properties).forEach(([field, definition]) => {
+      const value = data[field];
+      const limits = METADATA_LIMITS[field];
+
+      if (definition.type === 'string') {
+        if (typeof value !== 'string' || !value.trim()) {
+          errors.push(`"${field}" must be a non-empty string`);
+        } else if (value.trim().length > limits.maxLength) {
+          errors.push(`"${field}" must be at most ${limits.maxLength} characters`);
+        } else {
+          metadata[field] = value.trim();
+        }
+        return;
+      }
+
+      const items = Array.isArray(value)
+        ? value.filter(item => typeof item === 'string' && item.trim()).map(item => item.trim())
+        : null;
+
+      if (!items) {
+        errors.push(`"${field}" must be an array of strings`);
+      } else if (items.length < limits.minItems || items.length > limits.maxItems) {
+        errors.push(`"${field}" must have ${limits.minItems}-${limits.maxItems} items`);
+      } else {
+        metadata[field] = items;
+      }
+    });
+
+    return { metadata, errors };
+  }
+
+  /**
+   * Translate a story into another language and save it as a linked variant
+   * Dialogue and quiz data are structured again from the translated script, so the lines and narration spans
+   * match its wording; speakers keep the voices cast on the original.
+   * @param {Object} options
+   * @param {Object} options.llm - LLM provider
+   * @param {Object} options.source - Story to translate
+   * @param {string} options.language - Target language name (e.g. "Spanish")
+   * @param {AbortSignal} options.signal - Optional signal to abort the request
+   * @returns {Promise<Object>} { story, usage }
+   */
+  async translateStory({ llm, source, language, signal }) {
+    const startTime = Date.now();
+    const sourceLanguage = source.selectedLanguage || 'English';
+
+    const completion = await llm.chat({
+      model: getModel('translation'),
+      messages: [
+        {
+          role: "system",
+          content: "You are a professional localizer for short-form video scripts. You translate voiceover narration so it sounds native while keeping its structure and pacing. Always respond with a single JSON object."
+        },
+        {
+          role: "user",
+          content: this.buildTranslationPrompt(source, sourceLanguage, language)
+        }
+      ],
+      maxTokens: 12000,
+      temperature: 0.3,
+      responseFormat: 'json',
+      schema: TRANSLATION_SCHEMA
+    }, { signal });
+
+    const translation = this.parseTranslation(completion.content);
+    const wordCount = translation.content.split(/\s+/).filter(Boolean).length;
+
+    const scriptFormat = source.dialogue && source.dialogue.lines.length > 0 ? 'dialogue'
+      : source.quiz && source.quiz.questions.length > 0 ? 'quiz'
+        : 'narration';
+    const structured = await this.structureScript(scriptFormat, {
+      llm,
+      script: translation.content,
+      language,
+      signal
+    });
+
+    if (structured && structured.field === 'dialogue' && structured.data) {
+      const voices = new Map(source.dialogue.speakers.map(speaker => [speaker.speakerId, speaker]));
+      structured.data.speakers.forEach(speaker => {
+        const original = voices.get(speaker.speakerId);
+        if (original && original.voiceId) {
+          speaker.voiceId = original.voiceId;
+          speaker.voiceSettings = original.voiceSettings;
+        }
+      });
+    }
+
+    const usage = sumUsage(completion.usage, structured && structured.usage);
+
+    // Variants hang off the original story, never off another variant
+    const originalId = source.translationOf || source._id;
+
+    const story = await Story.create({
+      name: source.name,
+      userId: source.userId,
+      style: source.style,
+      duration: source.duration,
+      formattedDuration: source.formattedDuration,
+      topic: source.topic,
+      genre: source.genre,
+      format: source.format,
+      narrative: source.narrative,
+      ageGroup: source.ageGroup,
+      content: translation.content,
+      headline: translation.headline || source.headline,
+      description: translation.description || source.description,
+      summary: source.summary,
+      detailedSummary: source.detailedSummary,
+      keyScenes: source.keyScenes,
+      tags: translation.tags || source.tags,
+      searchPhrases: translation.searchPhrases || source.searchPhrases,
+      status: 'completed',
+      wordCount,
+      estimatedReadingTime: Math.ceil(wordCount / 150),
+      aspectRatio: source.aspectRatio,
+      generationTimeMs: Date.now() - startTime,
+      openaiUsage: usage,
+      videoIdea: source.videoIdea,
+      videoStyle: source.videoStyle,
+      selectedEmotions: source.selectedEmotions,
+      additionalContext: source.additionalContext,
+      selectedLanguage: language,
+      translationOf: originalId,
+      translatedFromVersion: source.version,
+      ...(structured && structured.data && { [structured.field]: structured.data }),
+
+      // Collaborators of the original, and subusers its collection is shared with, can work on its variants too
+      isShared: source.isShared,
+      sharedWith: source.sharedWith,
+      collectionId: source.collectionId
+    });
+
+    if (llm.setStory) {
+      await llm.setStory(story._id);
+    }
+
+    return { story, usage };
+  }
+
+  /**
+   * Build the translation prompt for a story
+   */
+  buildTranslationPrompt(source, sourceLanguage, language) {
+    const payload = {
+      content: source.content,
+      headline: source.headline,
+      description: source.description,
+      tags: source.tags || [],
+      searchPhrases: source.searchPhrases || []
+    };
+
+    return `Translate this ${sourceLanguage} short-form video story into ${language}.
+
+Rules for "content" (the voiceover script):
+- Keep the same paragraphs, sentence order and pacing so the video timing still fits
+- The first line must stay a hook that works in ${language}, not a literal translation that loses its punch
+- Keep the ending looping back to the opening line or idea, exactly as the original does
+- Adapt idioms, names of everyday things and jokes so they sound native; do not add or remove story beats
+- Plain spoken narration only, no notes or markdown
+
+Also translate "headline", "description", each of the "tags" and each of the "searchPhrases" into ${language}.
+
+Original (JSON):
+${JSON.stringify(payload, null, 2)}
+
+Respond with only a JSON object of the same shape.`;
+  }
+
+  /**
+   * Parse a JSON translation reply; unusable optional fields are left out so the caller keeps the original
+   * @param {string} text - Raw model reply
+   * @returns {Object} { content, headline, description, tags, searchPhrases }
+   */
+  parseTranslation(text) {
+    let data;
+    try {
+      const cleaned = (text || '').replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+      data = JSON.parse(cleaned);
+    } catch (error) {
+      throw new Error(`Translation reply is not valid JSON (${error.message})`);
+    }
+
+    if (!data || typeof data.content !== 'string' || !data.content.trim()) {
+      throw new Error('Translation reply has no content');
+    }
+
+    const optionalText = (value, max) => (typeof value === 'string' && value.trim() ? value.trim().slice(0, max) : undefined);
+    const optionalList = (value) => {
+      const items = Array.isArray(value)
+        ? value.filter(item => typeof item === 'string' && item.trim()).map(item => item.trim())
+        : [];
+      return items.length > 0 ? items : undefined;
+    };
+
+    return {
+      content: data.content.trim(),
+      headline: optionalText(data.headline, METADATA_LIMITS.headline.maxLength),
+      description: optionalText(data.description, METADATA_LIMITS.description.maxLength),
+      tags: optionalList(data.tags),
+      searchPhrases: optionalList(data.searchPhrases)
+    };
+  }
+
+  /**
+   * Map a generation error to the HTTP status, code and message we report
+   * @param {Error} error - Error thrown during generation
+   * @returns {Object} { statusCode, code, message }
+   */
+  mapError(error) {
+    const known = OPENAI_ERRORS[error.code];
+    if (known) {
+      return { statusCode: known.statusCode, code: error.code, message: known.message };
+    }
+
+    return {
+      statusCode: 500,
+      code: error.code || null,
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    };
+  }
+}
+
+module.exports = StoryGenerationService;
@@ -0,0 +1,296 @@
+const path = require('path');
+const Story = require('../models/Story');
+
+// Story fields an import may set; everything else in an export (ids, timestamps, media) is ignored
+const IMPORT_FIELDS = [
+  'name', 'style', 'duration', 'content', 'headline', 'description', 'summary', 'detailedSummary',
+  'topic', 'genre', 'format', 'narrative', 'ageGroup', 'characterDetails', 'settingAtmosphere',
+  'tags', 'searchPhrases', 'keyScenes', 'aspectRatio'
+];
+const LIST_FIELDS = ['tags', 'searchPhrases', 'keyScenes'];
+
+const STYLES = ['landscape', 'square', 'vertical'];
+const ASPECT_RATIOS = { landscape: '16:9', square: '1:1', vertical: '9:16' };
+
+// Narration pace used to estimate a duration when the import does not give one
+const WORDS_PER_MINUTE = 150;
+
+/**
+ * Turn scripts written outside the app into stories
+ * Reads our own JSON exports (a story, an array of stories, or a collection export), Markdown with
+ * front matter, and plain text. Imported stories are marked generatedBy: 'manual'.
+ */
+class StoryImportService {
+  /**
+   * Format of an uploaded file, from its extension or (for unknown extensions) its content
+   * @param {string} fileName - Original file name
+   * @param {string} text - File content
+   * @returns {string} 'json', 'markdown' or 'text'
+   */
+  detectFormat(fileName, text) {
+    const extension = path.extname(fileName || '').toLowerCase();
+    if (extension === '.json') return 'json';
+    if (['.md', '.markdown'].includes(extension)) return 'markdown';
+    if (extension === '.txt') return 'text';
+
+    const start = text.trimStart();
+    if (start.startsWith('{') || start.startsWith('[')) return 'json';
+    if (/^---\r?\n/.test(start) || /^#\s/.test(start)) return 'markdown';
+    return 'text';
+  }
+
+  /**
+   * Parse a file into story records
+   * @param {Object} file - { name, content }
+   * @returns {Array} Records of importable fields
+   */
+  parseFile(file) {
+    const text = String(file.content || '').replace(/^\uFEFF/, '');
+
+    switch (this.detectFormat(file.name, text)) {
+      case 'json':
+        return this.parseJson(text);
+      case 'markdown':
+        return [this.parseMarkdown(text, file.name)];
+      default:
+        return [this.parseText(text, file.name)];
+    }
+  }
+
+  /**
+   * Records from exportStory JSON (one story or an array) or a collection export ({ stories: [...] })
+   * The aspect ratio nested under metadata in exports is lifted back to the top level.
+   */
+  parseJson(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Invalid JSON (${error.message})`);
+    }
+
+    const items = Array.isArray(data) ? data : Array.isArray(data && data.stories) ? data.stories : [data];
+
+    return items.map(item => {
+      if (!item || typeof item !== 'object' || Array.isArray(item)) {
+        return {};
+      }
+
+      const record = {};
+      IMPORT_FIELDS.forEach(field => {
+        if (item[field] !== undefined && item[field] !== null) {
+          record[field] = item[field];
+        }
+      });
+      if (!record.aspectRatio && item.metadata && item.metadata.aspectRatio) {
+        record.aspectRatio = item.metadata.aspectRatio;
+      }
+      return record;
+    });
+  }
+
+  /**
+   * Parse simple YAML front matter: "key: value", inline lists "[a, b]" and "- item" list lines
+   */
+  parseFrontMatter(block) {
+    const data = {};
+    let listKey = null;
+    const unquote = (value) => value.trim().replace(/^(['"])(.*)\1$/, '$2');
+
+    block.split(/\r?\n/).forEach(line => {
+      const item = /^\s*-\s+(.*)$/.exec(line);
+      if (item && listKey) {
+        data[listKey].push(unquote(item[1]));
+        return;
+      }
+
+      const pair = /^([A-Za-z][\w-]*)\s*:\s*(.*)$/.exec(line);
+      if (!pair) {
+        return;
+      }
+
+      const [, key, value] = pair;
+      listKey = null;
+      if (value.trim() === '') {
+        data[key] = [];
+        listKey = key;
+      } else if (/^\[.*\]$/.test(value.trim())) {
+        data[key] = value.trim().slice(1, -1).split(',').map(unquote).filter(Boolean);
+      } else {
+        data[key] = unquote(value);
+      }
+    });
+
+    return data;
+  }
+
+  /**
+   * Reduce Markdown to the narration text: headings, emphasis, links, images and code fences are unwrapped
+   */
+  stripMarkdown(text) {
+    return text
+      .replace(/```[^\n]*\n?/g, '')
+      .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+      .replace(/^\s{0,3}#{1,6}\s+/gm, '')
+      .replace(/^\s{0,3}>\s?/gm, '')
+      .replace(/^\s*([-*_])(\s*\1){2,}\s*$/gm, '')
+      .replace(/(\*\*|__)(.+?)\1/g, '$2')
+      .replace(/\*(\S.*?)\*/g, '$1')
+      .replace(/(^|\W)_(\S.*?)_(?=\W|$)/g, '$1$2')
+      .replace(/`([^`]+)`/g, '$1')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  /**
+   * Markdown with optional front matter; a leading "# Title" names the story when the front matter does not
+   */
+  parseMarkdown(text, fileName) {
+    let body = text;
+    let frontMatter = {};
+
+    const match = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/.exec(text);
+    if (match) {
+      frontMatter = this.parseFrontMatter(match[1]);
+      body = text.slice(match[0].length);
+    }
+
+    const record = {};
+    IMPORT_FIELDS.forEach(field => {
+      if (frontMatter[field] !== undefined) {
+        record[field] = frontMatter[field];
+      }
+    });
+    if (!record.name && frontMatter.title) {
+      record.name = frontMatter.title;
+    }
+
+    const heading = /^\s*#\s+(.+)\r?\n/.exec(body);
+    if (heading) {
+      record.name = record.name || heading[1].trim();
+      body = body.slice(heading[0].length);
+    }
+
+    record.name = record.name || this.nameFromFile(fileName);
+    record.content = this.stripMarkdown(body);
+    return record;
+  }
+
+  /**
+   * Plain text; a short first line followed by a blank line is the title (the layout of the txt export)
+   */
+  parseText(text, fileName) {
+    const normalized = text.replace(/\r\n/g, '\n').trim();
+    const title = /^([^\n]{1,50})\n\s*\n/.exec(normalized);
+
+    if (title) {
+      return { name: title[1].trim(), content: normalized.slice(title[0].length).trim() };
+    }
+    return { name: this.nameFromFile(fileName), content: normalized };
+  }
+
+  /**
+   * Story name from a file name ("my_first-script.txt" -> "my first script")
+   */
+  nameFromFile(fileName) {
+    const base = path.basename(fileName || '', path.extname(fileName || ''));
+    return base.replace(/[_-]+/g, ' ').trim() || 'Imported story';
+  }
+
+  /**
+   * Fill in and clean up an import record so it can be saved as a story
+   * Headline and description fall back to the name and the opening of the script; the metadata pass may replace them.
+   * @param {Object} record - Parsed record
+   * @param {Object} [defaults] - { style } applied when the record has none
+   * @returns {Object} Story fields, with missing lists the metadata pass can fill
+   * @throws {Error} When the record has no script text
+   */
+  normalize(record, defaults = {}) {
+    const content = typeof record.content === 'string' ? record.content.trim() : '';
+    if (!content) {
+      throw new Error('No script text found');
+    }
+
+    const fields = { ...record, content };
+    LIST_FIELDS.forEach(field => {
+      const value = fields[field];
+      const list = Array.isArray(value) ? value : typeof value === 'string' ? value.split(/[,;]/) : [];
+      fields[field] = list.map(item => String(item).trim()).filter(Boolean);
+    });
+
+    const style = STYLES.includes(fields.style) ? fields.style : (STYLES.includes(defaults.style) ? defaults.style : 'vertical');
+    const wordCount = content.split(/\s+/).length;
+    const duration = Number(fields.duration);
+    const estimated = Math.round(wordCount / WORDS_PER_MINUTE * 60);
+    const opening = content.replace(/\s+/g, ' ').slice(0, 200).trim();
+    const name = String(fields.name || 'Imported story').trim().slice(0, 50).trim();
+
+    return {
+      ...fields,
+      name,
+      style,
+      duration: Math.min(Math.max(Number.isFinite(duration) && duration > 0 ? duration : estimated, 30), 180),
+      topic: String(fields.topic || fields.summary || opening || name).slice(0, 500),
+      headline: String(fields.headline || name).trim(),
+      description: String(fields.description || opening).trim(),
+      aspectRatio: fields.aspectRatio || ASPECT_RATIOS[style],
+      wordCount,
+      estimatedReadingTime: Math.ceil(wordCount / 200)
+    };
+  }
+
+  /**
+   * Fields an import left empty that the metadata pass fills in
+   */
+  getMissingMetadata(record, fields) {
+    const missing = ['headline', 'description', 'summary', 'detailedSummary']
+      .filter(field => !record[field]);
+    return missing.concat(LIST_FIELDS.filter(field => fields[field].length === 0));
+  }
+
+  /**
+   * Apply generated metadata to the fields the import left empty
+   * @param {Object} fields - Normalized story fields
+   * @param {string[]} missing - Fields to fill
+   * @param {Object} metadata - generateMetadata result
+   * @returns {string[]} Fields that were filled
+   */
+  applyMetadata(fields, missing, metadata) {
+    const filled = missing.filter(field => metadata[field] !== undefined);
+    filled.forEach(field => {
+      fields[field] = metadata[field];
+    });
+    return filled;
+  }
+
+  /**
+   * Unsaved story document for an import
+   * @param {Object} fields - Normalized story fields
+   * @param {string} userId - Owner
+   * @returns {Object} Story document
+   */
+  buildStory(fields, userId) {
+    return new Story({
+      ...fields,
+      userId,
+      formattedDuration: this.formatDuration(fields.duration),
+      status: 'completed',
+      generatedBy: 'manual'
+    });
+  }
+
+  /**
+   * "1m 30s" style duration label
+   */
+  formatDuration(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    const secs = seconds % 60;
+    if (minutes > 0) {
+      return `${minutes}m${secs > 0 ? ` ${secs}s` : ''}`;
+    }
+    return `${secs}s`;
+  }
+}
+
+module.exports = StoryImportService;
@@ -0,0 +1,183 @@
+const StoryJob = require('../models/StoryJob');
+const { getProviderForUser } = require('./llmProviders');
+
+/**
+ * Thrown when a job is cancelled between generation stages
+ */
+class JobCancelledError extends Error {
+  constructor() {
+    super('Story generation job was cancelled');
+    this.name = 'JobCancelledError';
+  }
+}
+
+// Jobs only run in the process that queued them; anything still running from before this start was interrupted
+const PROCESS_STARTED_AT = new Date();
+
+// Error recorded on jobs a restart or crash cut off
+const INTERRUPTED_ERROR = {
+  statusCode: 503,
+  code: 'interrupted',
+  message: 'Story generation was interrupted by a server restart. Please try again.'
+};
+
+class StoryJobService {
+  /**
+   * @param {StoryGenerationService} generationService - Service that runs the actual generation
+   */
+  constructor(generationService) {
+    this.generationService = generationService;
+    this.activeJobs = new Map(); // jobId -> AbortController
+  }
+
+  /**
+   * Persist a new generation job and start it in the background
+   * @param {string} userId - Owner of the job
+   * @param {Object} params - Resolved generation parameters
+   * @param {string} userType - 'user' or 'subuser'
+   * @returns {Promise<Object>} The queued job document
+   */
+  async enqueue(userId, params, userType = 'user') {
+    const job = await StoryJob.create({ userId, userType, params });
+
+    this.schedule(job._id);
+    return job;
+  }
+
+  /**
+   * Run a job after the response has been sent
+   * @param {string} jobId - Job to run
+   */
+  schedule(jobId) {
+    setImmediate(() => {
+      this.run(jobId).catch(error => {
+        console.error(`❌ Story job ${jobId} crashed:`, error);
+      });
+    });
+  }
+
+  /**
+   * Pick up jobs a restart left behind: queued jobs start again, running jobs fail as interrupted
+   * Called once the database is connected at startup.
+   * @returns {Promise<Object>} { requeued, interrupted }
+   */
+  async recoverInterrupted() {
+    const interrupted = await StoryJob.updateMany(
+      { status: 'running', startedAt: { $lt: PROCESS_STARTED_AT } },
+      { status: 'failed', error: INTERRUPTED_ERROR, completedAt: new Date() }
+    );
+
+    const queued = await StoryJob.find({ status: 'queued' }).distinct('_id');
+    queued.forEach(jobId => this.schedule(jobId));
+
+    if (interrupted.modifiedCount > 0 || queued.length > 0) {
+      console.log(`♻️ Story jobs recovered: ${queued.length} requeued, ${interrupted.modifiedCount} marked interrupted`);
+    }
+
+    return { requeued: queued.length, interrupted: interrupted.modifiedCount };
+  }
+
+  /**
+   * Run a queued job through the generation stages
+   * @param {string} jobId - Job to run
+   */
+  async run(jobId) {
+    const job = await StoryJob.findOneAndUpdate(
+      { _id: jobId, status: 'queued' },
+      { status: 'running', startedAt: new Date() },
+      { new: true }
+    );
+
+    // Cancelled (or picked up elsewhere) before it started
+    if (!job) return;
+
+    const controller = new AbortController();
+    this.activeJobs.set(String(job._id), controller);
+
+    try {
+      const llm = await getProviderForUser(job.userId, job.userType, { operation: 'story-generation' });
+
+      const { story, usage, defaultedFields } = await this.generationService.generateStory({
+        userId: job.userId,
+        userType: job.userType,
+        params: job.params,
+        llm,
+        signal: controller.signal,
+        onStage: async (stage) => {
+          // Only move forward if nobody cancelled the job in the meantime
+          const updated = await StoryJob.findOneAndUpdate(
+            { _id: job._id, status: 'running' },
+            { stage },
+            { new: true }
+          );
+          if (!updated) {
+            throw new JobCancelledError();
+          }
+          console.log(`📝 Story job ${job._id} entered stage: ${stage}`);
+        }
+      });
+
+      const result = await StoryJob.updateOne(
+        { _id: job._id, status: 'running' },
+        {
+          status: 'completed',
+          stage: 'done',
+          storyId: story._id,
+          usage,
+          defaultedFields,
+          completedAt: new Date()
+        }
+      );
+
+      // Cancelled while the story was being saved - don't leave it behind
+      if (result.matchedCount === 0) {
+        await story.deleteOne();
+        throw new JobCancelledError();
+      }
+
+      console.log(`✅ Story job ${job._id} completed with story ${story._id}`);
+    } catch (error) {
+      if (error instanceof JobCancelledError || controller.signal.aborted) {
+        console.log(`🛑 Story job ${job._id} cancelled`);
+        return;
+      }
+
+      console.error(`❌ Story job ${job._id} failed:`, error);
+      const mapped = this.generationService.mapError(error);
+
+      await StoryJob.updateOne(
+        { _id: job._id, status: 'running' },
+        {
+          status: 'failed',
+          error: mapped,
+          completedAt: new Date()
+        }
+      );
+    } finally {
+      this.activeJobs.delete(String(job._id));
+    }
+  }
+
+  /**
+   * Cancel a queued or running job
+   * @param {Object} job - Job document owned by the requester
+   * @returns {Promise<Object|null>} Updated job, or null if it had already finished
+   */
+  async cancel(job) {
+    const cancelled = await StoryJob.findOneAndUpdate(
+      { _id: job._id, status: { $in: ['queued', 'running'] } },
+      { status: 'cancelled', cancelledAt: new Date(), completedAt: new Date() },
+      { new: true }
+    );
+
+    // Abort in-flight LLM requests if the job runs in this process
+    const controller = this.activeJobs.get(String(job._id));
+    if (cancelled && controller) {
+      controller.abort();
+    }
+
+    return cancelled;
+  }
+}
+
+module.exports = StoryJobService;
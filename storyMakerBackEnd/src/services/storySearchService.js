@@ -0,0 +1,272 @@
+const mongoose = require('mongoose');
+const Story = require('../models/Story');
+const Collection = require('../models/Collection');
+
+// Facets counted for search results: the story field each one reads and whether it holds a list
+const FACETS = {
+  videoStyle: { field: 'videoStyle' },
+  language: { field: 'selectedLanguage' },
+  status: { field: 'status' },
+  emotions: { field: 'selectedEmotions', list: true },
+  tags: { field: 'tags', list: true },
+  duration: { field: 'duration' }
+};
+
+// Duration facet buckets in seconds (min inclusive, max exclusive)
+const DURATION_BUCKETS = [
+  { value: 'short', label: 'Under 1 min', min: 0, max: 60 },
+  { value: 'medium', label: '1-2 min', min: 60, max: 120 },
+  { value: 'long', label: '2 min+', min: 120, max: null }
+];
+
+// Most values listed per facet
+const FACET_LIMIT = 20;
+
+// Fields snippets are cut from, in the order they are shown
+const SNIPPET_FIELDS = ['headline', 'summary', 'content'];
+
+// Query parameters a search (and a saved search) understands
+const SEARCH_PARAMS = [
+  'q', 'genre', 'style', 'ageGroup', 'format', 'minDuration', 'maxDuration',
+  'videoStyle', 'language', 'status', 'emotions', 'tags', 'duration',
+  'collection', 'includeSubcollections', 'sortBy', 'sortOrder'
+];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Values of a multi-select parameter: repeated (?tags=a&tags=b) or comma-separated (?tags=a,b)
+ */
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+};
+
+/**
+ * Story search: text matching with highlighted snippets, facet counts and the filters behind them
+ */
+class StorySearchService {
+  /**
+   * Known search parameters from a query string or saved search, dropping empty values
+   * @param {Object} source - Query or body
+   * @returns {Object} Search parameters
+   */
+  pickParams(source = {}) {
+    const params = {};
+    SEARCH_PARAMS.forEach(key => {
+      const value = source[key];
+      if (value === undefined || value === null || value === '') return;
+      params[key] = ['emotions', 'tags', 'duration', 'videoStyle', 'language', 'status'].includes(key)
+        ? toList(value)
+        : String(value);
+    });
+    return params;
+  }
+
+  /**
+   * Story filter for a collection, replacing the owner filter
+   * 'none' lists the requester's unfiled stories; an id lists everything filed in that collection
+   * (and optionally its subcollections), including collections shared with a subuser.
+   * @param {string} userId - Requester id
+   * @param {string} userType - 'user' or 'subuser'
+   * @param {string} collection - Collection id or 'none'
+   * @param {boolean} includeSubcollections
+   * @returns {Promise<Object|null>} Filter, or null when the collection is not accessible
+   */
+  async buildCollectionFilter(userId, userType, collection, includeSubcollections) {
+    if (collection === 'none') {
+      return { userId, collectionId: null };
+    }
+
+    const found = mongoose.Types.ObjectId.isValid(collection)
+      ? await Collection.findAccessible(collection, userId, userType)
+      : null;
+
+    if (!found) {
+      return null;
+    }
+
+    return { collectionId: { $in: await found.collection.getTreeIds(includeSubcollections) } };
+  }
+
+  /**
+   * Filters for a search, split so each facet can be counted without its own selection
+   * @param {Object} params - Search parameters (see pickParams)
+   * @returns {Object} { base, facetFilters } where base holds the text and non-facet filters
+   */
+  buildFilters(params) {
+    const base = {};
+
+    if (params.q) {
+      const pattern = new RegExp(escapeRegex(params.q), 'i');
+      base.$or = [
+        { name: pattern },
+        { content: pattern },
+        { headline: pattern },
+        { description: pattern },
+        { summary: pattern },
+        { tags: pattern },
+        { searchPhrases: pattern }
+      ];
+    }
+
+    if (params.genre) base.genre = params.genre;
+    if (params.style) base.style = params.style;
+    if (params.ageGroup) base.ageGroup = params.ageGroup;
+    if (params.format) base.format = params.format;
+
+    if (params.minDuration || params.maxDuration) {
+      base.duration = {};
+      if (params.minDuration) base.duration.$gte = parseInt(params.minDuration);
+      if (params.maxDuration) base.duration.$lte = parseInt(params.maxDuration);
+    }
+
+    // Facet selections: any of the chosen values, except emotions and tags, which must all match
+    const facetFilters = {};
+    ['videoStyle', 'language', 'status'].forEach(name => {
+      const values = toList(params[name]);
+      if (values.length > 0) facetFilters[name] = { [FACETS[name].field]: { $in: values } };
+    });
+    ['emotions', 'tags'].forEach(name => {
+      const values = toList(params[name]);
+      if (values.length > 0) facetFilters[name] = { [FACETS[name].field]: { $all: values } };
+    });
+
+    const buckets = DURATION_BUCKETS.filter(bucket => toList(params.duration).includes(bucket.value));
+    if (buckets.length > 0) {
+      facetFilters.duration = {
+        $or: buckets.map(bucket => ({
+          duration: bucket.max === null ? { $gte: bucket.min } : { $gte: bucket.min, $lt: bucket.max }
+        }))
+      };
+    }
+
+    return { base, facetFilters };
+  }
+
+  /**
+   * Combine the access filter, base filter and facet selections (optionally leaving one facet out)
+   */
+  combine(access, base, facetFilters, except = null) {
+    const conditions = [access, base, ...Object.entries(facetFilters)
+      .filter(([name]) => name !== except)
+      .map(([, filter]) => filter)]
+      .filter(condition => Object.keys(condition).length > 0);
+
+    if (conditions.length === 0) return {};
+    return conditions.length === 1 ? conditions[0] : { $and: conditions };
+  }
+
+  /**
+   * Facet counts for a search. Each facet is counted with every other selection applied but not its own,
+   * so the UI can show how many stories each additional choice would match.
+   * @param {Object} access - Owner or collection filter
+   * @param {Object} base - Text and non-facet filters
+   * @param {Object} facetFilters - Facet selections from buildFilters
+   * @returns {Promise<Object>} { videoStyle: [{ value, count }], ..., duration: [{ value, label, min, max, count }] }
+   */
+  async getFacets(access, base, facetFilters) {
+    const castFilter = (filter) => Story.find().cast(Story, filter);
+    const others = (name) => castFilter(this.combine({}, {}, facetFilters, name));
+
+    const pipelines = {};
+    Object.entries(FACETS).forEach(([name, facet]) => {
+      if (name === 'duration') {
+        pipelines[name] = [
+          { $match: others(name) },
+          {
+            $bucket: {
+              groupBy: '$duration',
+              boundaries: [...DURATION_BUCKETS.map(bucket => bucket.min), Number.MAX_SAFE_INTEGER],
+              default: 'unknown',
+              output: { count: { $sum: 1 } }
+            }
+          }
+        ];
+        return;
+      }
+
+      pipelines[name] = [
+        { $match: others(name) },
+        ...(facet.list ? [{ $unwind: `$${facet.field}` }] : []),
+        { $match: { [facet.field]: { $nin: [null, ''] } } },
+        { $group: { _id: `$${facet.field}`, count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: FACET_LIMIT }
+      ];
+    });
+
+    const [result] = await Story.aggregate([
+      { $match: castFilter(this.combine(access, base, {})) },
+      { $facet: pipelines }
+    ]);
+
+    const facets = {};
+    Object.keys(FACETS).forEach(name => {
+      const entries = (result && result[name]) || [];
+      facets[name] = name === 'duration'
+        ? DURATION_BUCKETS.map(bucket => ({
+          ...bucket,
+          count: (entries.find(entry => entry._id === bucket.min) || { count: 0 }).count
+        }))
+        : entries.map(entry => ({ value: entry._id, count: entry.count }));
+    });
+
+    return facets;
+  }
+
+  /**
+   * Highlighted snippets showing why a story matched
+   * Each snippet is a window of the field around its first match; highlights are [start, end) offsets
+   * of every match within the snippet text.
+   * @param {Object} story - Story with headline, summary and content
+   * @param {string} q - Search text
+   * @param {Object} [options] - { radius } characters of context on each side
+   * @returns {Array} [{ field, text, highlights: [[start, end]] }]
+   */
+  buildSnippets(story, q, { radius = 80 } = {}) {
+    if (!q) {
+      return [];
+    }
+
+    // The whole phrase first, then its words, so the phrase wins where both match
+    const terms = [q.trim(), ...q.trim().split(/\s+/).filter(term => term.length > 2)];
+    const pattern = new RegExp([...new Set(terms)].map(escapeRegex).join('|'), 'gi');
+
+    return SNIPPET_FIELDS
+      .map(field => {
+        const value = story[field];
+        if (typeof value !== 'string' || !value) return null;
+
+        const text = value.replace(/\s+/g, ' ');
+        const first = text.search(pattern);
+        if (first === -1) return null;
+
+        let start = Math.max(0, first - radius);
+        let end = Math.min(text.length, first + radius * 2);
+        // Snap to word boundaries
+        if (start > 0) start = text.indexOf(' ', start) + 1 || start;
+        if (end < text.length) end = text.lastIndexOf(' ', end) > first ? text.lastIndexOf(' ', end) : end;
+
+        const prefix = start > 0 ? '…' : '';
+        const window = text.slice(start, end);
+        const highlights = [];
+        for (const match of window.matchAll(pattern)) {
+          highlights.push([prefix.length + match.index, prefix.length + match.index + match[0].length]);
+        }
+
+        return {
+          field,
+          text: `${prefix}${window}${end < text.length ? '…' : ''}`,
+          highlights
+        };
+      })
+      .filter(Boolean);
+  }
+}
+
+StorySearchService.DURATION_BUCKETS = DURATION_BUCKETS;
+
+module.exports = StorySearchService;
@@ -0,0 +1,264 @@
+const fs = require('fs').promises;
+const path = require('path');
+const Story = require('../models/Story');
+const Media = require('../models/Media');
+const Series = require('../models/Series');
+const Collection = require('../models/Collection');
+const Idea = require('../models/Idea');
+const StoryShareLink = require('../models/StoryShareLink');
+
+// How often the scheduled purge looks for expired trash
+const PURGE_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+class StoryTrashService {
+  constructor() {
+    this.uploadsRoot = path.join(process.cwd(), 'uploads');
+    this.purgeTimer = null;
+  }
+
+  /**
+   * Absolute path of a /uploads/... URL, or null for remote URLs and paths outside uploads
+   */
+  resolveUpload(url) {
+    if (!url || !url.startsWith('/uploads/')) {
+      return null;
+    }
+
+    const filePath = path.join(process.cwd(), url);
+    return filePath.startsWith(this.uploadsRoot + path.sep) ? filePath : null;
+  }
+
+  /**
+   * Size of a file, or null when it is already gone
+   */
+  async fileSize(filePath) {
+    try {
+      const stats = await fs.stat(filePath);
+      return stats.isFile() ? stats.size : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Directory the story's script images are saved in
+   */
+  scriptImagesDir(story) {
+    return path.join(this.uploadsRoot, 'script-images', story._id.toString());
+  }
+
+  /**
+   * Every file and record a story owns
+   * Files: the current audio, earlier voice renders and uploads (story_<id>_*, user_audio_<id>_* in uploads/audio),
+   * saved script images (uploads/script-images/<id>), downloaded timeline clips and photos,
+   * and the story's Media uploads with their thumbnails.
+   * @param {Object} story - Story document
+   * @returns {Promise<Object>} { files: [{ kind, path, url }], mediaIds, shareLinkIds }
+   */
+  async collectAssets(story) {
+    const files = new Map();
+    const addFile = (kind, url) => {
+      const filePath = this.resolveUpload(url);
+      if (filePath && !files.has(filePath)) {
+        files.set(filePath, { kind, path: filePath, url });
+      }
+    };
+
+    addFile('audio', story.audioUrl);
+
+    const audioDir = path.join(this.uploadsRoot, 'audio');
+    const prefixes = [`story_${story._id}_`, `user_audio_${story._id}_`];
+    const audioFiles = await fs.readdir(audioDir).catch(() => []);
+    audioFiles
+      .filter(name => prefixes.some(prefix => name.startsWith(prefix)))
+      .forEach(name => addFile('audio', `/uploads/audio/${name}`));
+
+    const imageFiles = await fs.readdir(this.scriptImagesDir(story)).catch(() => []);
+    imageFiles.forEach(name => addFile('script-image', `/uploads/script-images/${story._id}/${name}`));
+
+    const timeline = story.videoTimeline || {};
+    [...(timeline.clips || []), ...(timeline.photos || [])]
+      .forEach(clip => addFile('clip', clip.url));
+
+    const [media, shareLinks] = await Promise.all([
+      Media.find({ storyId: story._id }).select('filename url thumbnail'),
+      StoryShareLink.find({ storyId: story._id }).distinct('_id')
+    ]);
+
+    media.forEach(entry => {
+      addFile('media', entry.url || (entry.filename && `/uploads/media/${entry.filename}`));
+      addFile('thumbnail', entry.thumbnail);
+    });
+
+    return {
+      files: [...files.values()],
+      mediaIds: media.map(entry => entry._id),
+      shareLinkIds: shareLinks
+    };
+  }
+
+  /**
+   * Files still used by a story outside the purge (e.g. a clip shared with another story), which are kept
+   */
+  async findSharedFiles(files, purgedIds) {
+    const urls = files.map(file => file.url);
+    if (urls.length === 0) {
+      return new Set();
+    }
+
+    const others = await Story.find({
+      _id: { $nin: purgedIds },
+      $or: [
+        { audioUrl: { $in: urls } },
+        { 'videoTimeline.clips.url': { $in: urls } },
+        { 'videoTimeline.photos.url': { $in: urls } }
+      ]
+    })
+      .setOptions({ withTrashed: true })
+      .select('audioUrl videoTimeline.clips.url videoTimeline.photos.url');
+
+    const used = new Set();
+    others.forEach(story => {
+      used.add(story.audioUrl);
+      const timeline = story.videoTimeline || {};
+      [...(timeline.clips || []), ...(timeline.photos || [])].forEach(clip => used.add(clip.url));
+    });
+    return new Set(urls.filter(url => used.has(url)));
+  }
+
+  /**
+   * Permanently delete trashed stories and everything they own, or report what that would free
+   * Cascades to files on disk, Media and share link records; series episodes, ideas and translations
+   * that point at a purged story are unlinked. AI usage records are kept for cost history.
+   * @param {Object[]} stories - Trashed story documents
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun] - Only report
+   * @returns {Promise<Object>} Report: { dryRun, storyCount, fileCount, bytes, media, shareLinks, stories: [...] }
+   */
+  async purge(stories, { dryRun = false } = {}) {
+    const purgedIds = stories.map(story => story._id);
+    const report = {
+      dryRun,
+      storyCount: stories.length,
+      fileCount: 0,
+      bytes: 0,
+      media: 0,
+      shareLinks: 0,
+      stories: []
+    };
+
+    for (const story of stories) {
+      const assets = await this.collectAssets(story);
+      const shared = await this.findSharedFiles(assets.files, purgedIds);
+
+      const files = [];
+      for (const file of assets.files) {
+        const size = await this.fileSize(file.path);
+        if (size === null) continue; // Already gone
+
+        const keep = shared.has(file.url);
+        files.push({ kind: file.kind, url: file.url, bytes: size, ...(keep && { kept: 'used by another story' }) });
+
+        if (!keep) {
+          report.fileCount += 1;
+          report.bytes += size;
+          if (!dryRun) {
+            await fs.unlink(file.path).catch(error => console.warn(`⚠️ Could not delete ${file.url}: ${error.message}`));
+          }
+        }
+      }
+
+      report.media += assets.mediaIds.length;
+      report.shareLinks += assets.shareLinkIds.length;
+      report.stories.push({
+        id: story._id,
+        name: story.name,
+        deletedAt: story.deletedAt,
+        purgeAt: story.purgeAt,
+        files,
+        bytes: files.filter(file => !file.kept).reduce((sum, file) => sum + file.bytes, 0),
+        media: assets.mediaIds.length,
+        shareLinks: assets.shareLinkIds.length
+      });
+
+      if (!dryRun) {
+        await Promise.all([
+          Media.deleteMany({ _id: { $in: assets.mediaIds } }),
+          StoryShareLink.deleteMany({ _id: { $in: assets.shareLinkIds } }),
+          fs.rm(this.scriptImagesDir(story), { recursive: true, force: true })
+        ]);
+      }
+    }
+
+    if (!dryRun && purgedIds.length > 0) {
+      await Promise.all([
+        Series.updateMany({ 'episodes.storyId': { $in: purgedIds } }, { $pull: { episodes: { storyId: { $in: purgedIds } } } }),
+        Idea.updateMany({ storyId: { $in: purgedIds } }, { storyId: null }),
+        Story.updateMany({ translationOf: { $in: purgedIds } }, { translationOf: null }).setOptions({ withTrashed: true })
+      ]);
+      await Story.deleteMany({ _id: { $in: purgedIds }, deletedAt: { $ne: null } });
+
+      console.log(`🧹 Purged ${purgedIds.length} stor${purgedIds.length === 1 ? 'y' : 'ies'}: ${report.fileCount} files (${report.bytes} bytes), ${report.media} media records`);
+    }
+
+    return report;
+  }
+
+  /**
+   * Purge (or report) the trashed stories past the retention period, optionally for one owner
+   * @param {Object} [options]
+   * @param {string} [options.userId] - Only this owner's trash
+   * @param {boolean} [options.dryRun] - Only report
+   * @returns {Promise<Object>} Purge report
+   */
+  async purgeExpired({ userId, dryRun = false } = {}) {
+    const cutoff = new Date(Date.now() - Story.TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    const stories = await Story.find({
+      ...(userId && { userId }),
+      deletedAt: { $ne: null, $lte: cutoff }
+    }).select('-previousVersions');
+
+    return this.purge(stories, { dryRun });
+  }
+
+  /**
+   * Take a story out of the trash, dropping links to a series or collection deleted meanwhile
+   * @param {Object} story - Trashed story document
+   * @returns {Promise<Object>} Restored story
+   */
+  async restore(story) {
+    const [series, collection] = await Promise.all([
+      story.seriesId ? Series.exists({ _id: story.seriesId, 'episodes.storyId': story._id }) : true,
+      story.collectionId ? Collection.exists({ _id: story.collectionId }) : true
+    ]);
+
+    if (!series) {
+      story.seriesId = null;
+      story.episodeNumber = undefined;
+    }
+    if (!collection) {
+      story.collectionId = null;
+    }
+
+    return story.restoreFromTrash();
+  }
+
+  /**
+   * Run purgeExpired every few hours (first run shortly after start)
+   */
+  startPurgeSchedule() {
+    if (this.purgeTimer) {
+      return;
+    }
+
+    const run = () => this.purgeExpired().catch(error => console.error('❌ Scheduled trash purge failed:', error.message));
+
+    this.purgeTimer = setInterval(run, PURGE_INTERVAL_MS);
+    this.purgeTimer.unref();
+    setTimeout(run, 60 * 1000).unref();
+
+    console.log(`🗑️ Trash purge scheduled: stories are purged ${Story.TRASH_RETENTION_DAYS} days after deletion`);
+  }
+}
+
+module.exports = StoryTrashService;
@@ -0,0 +1,235 @@
+const { getModel } = require('./llmProviders');
+const { scoreVariant } = require('../utils/variantScoring');
+
+// Headlines longer than this are cut, matching the metadata limit for headline
+const HEADLINE_MAX_LENGTH = 100;
+const DESCRIPTION_MAX_LENGTH = 300;
+
+// Structured-output contract for a variants request
+const VARIANTS_SCHEMA = {
+  name: 'story_variants',
+  schema: {
+    type: 'object',
+    properties: {
+      hooks: { type: 'array', items: { type: 'string' } },
+      headlines: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            headline: { type: 'string' },
+            description: { type: 'string' }
+          },
+          required: ['headline', 'description'],
+          additionalProperties: false
+        }
+      }
+    },
+    required: ['hooks', 'headlines'],
+    additionalProperties: false
+  }
+};
+
+// First sentence of a script, including closing quotes or brackets after the punctuation
+const FIRST_SENTENCE = /^\s*([\s\S]*?[.!?…]+["'”’)\]]*)(?=\s|$)/;
+
+class StoryVariantService {
+  /**
+   * Opening sentence of a script (the first line if it has no sentence punctuation)
+   * @param {string} content - Story content
+   * @returns {string} Hook sentence
+   */
+  extractHook(content) {
+    const text = (content || '').trim();
+    const match = text.match(FIRST_SENTENCE);
+    const firstLine = text.split('\n')[0];
+
+    // Prefer the first line when the first sentence would run past it
+    return match && match[1].length <= firstLine.length ? match[1].trim() : firstLine.trim();
+  }
+
+  /**
+   * Swap the opening of a script for a new hook, leaving the rest untouched
+   * @param {string} content - Story content
+   * @param {string} hook - New opening sentence
+   * @param {string} [currentHook] - Hook that is live now; replaced whole when the content still starts with it
+   * @returns {string} Updated content
+   */
+  replaceHook(content, hook, currentHook) {
+    const text = (content || '').trim();
+    const current = currentHook && text.startsWith(currentHook) ? currentHook : this.extractHook(text);
+    return `${hook.trim()}${text.slice(current.length)}`;
+  }
+
+  /**
+   * Build a scored variant entry
+   */
+  buildVariant(type, text, extra = {}) {
+    const { score, breakdown } = scoreVariant(text, type);
+    return { type, text, ...extra, score, scoreBreakdown: breakdown };
+  }
+
+  /**
+   * Generate scored hook and headline alternatives and store them on the story
+   * Earlier generated variants that were never selected are replaced; the original and the selected ones stay.
+   * @param {Object} options
+   * @param {Object} options.llm - LLM provider
+   * @param {Object} options.story - Story document (saved by this method)
+   * @param {Object} [options.style] - Style definition from resolveStyle, used to describe the tone
+   * @param {number} options.count - Alternatives per type
+   * @param {Array<string>} options.types - 'hook' and/or 'headline'
+   * @param {AbortSignal} [options.signal] - Aborts the LLM call
+   * @returns {Promise<Object>} { variants: newly added variants, usage }
+   */
+  async generateVariants({ llm, story, style, count, types, signal }) {
+    const completion = await llm.chat({
+      model: getModel('variants'),
+      messages: [
+        {
+          role: 'system',
+          content: 'You write scroll-stopping openings and titles for short-form videos. Always respond with a single JSON object.'
+        },
+        {
+          role: 'user',
+          content: this.buildVariantsPrompt(story, style, count, types)
+        }
+      ],
+      maxTokens: 2000,
+      temperature: 0.9,
+      responseFormat: 'json',
+      schema: VARIANTS_SCHEMA
+    }, { signal });
+
+    const parsed = this.parseVariants(completion.content);
+
+    // Keep what is live today so it can be compared with (and switched back to)
+    const originals = [];
+    if (!story.variants.some(variant => variant.type === 'hook' && variant.isOriginal)) {
+      originals.push(this.buildVariant('hook', this.extractHook(story.content), { isOriginal: true, selected: true }));
+    }
+    if (!story.variants.some(variant => variant.type === 'headline' && variant.isOriginal)) {
+      originals.push(this.buildVariant('headline', story.headline, { description: story.description, isOriginal: true, selected: true }));
+    }
+
+    const generated = [
+      ...(types.includes('hook') ? parsed.hooks.slice(0, count).map(text => this.buildVariant('hook', text)) : []),
+      ...(types.includes('headline')
+        ? parsed.headlines.slice(0, count).map(({ headline, description }) => this.buildVariant('headline', headline, { description }))
+        : [])
+    ];
+
+    story.variants = [
+      ...story.variants.filter(variant => variant.isOriginal || variant.selected || !types.includes(variant.type)),
+      ...originals,
+      ...generated
+    ];
+    await story.save();
+
+    const generatedTexts = new Set(generated.map(variant => `${variant.type}:${variant.text}`));
+
+    return {
+      variants: story.variants.filter(variant => generatedTexts.has(`${variant.type}:${variant.text}`)),
+      usage: completion.usage
+    };
+  }
+
+  /**
+   * Make a variant live: hooks rewrite the opening of the content as a new version, headlines replace headline/description
+   * @param {Object} story - Story document (saved by this method)
+   * @param {Object} variant - Variant subdocument of the story
+   * @param {string} userId - Requester, recorded on the version
+   * @returns {Promise<Object>} The saved story
+   */
+  async selectVariant(story, variant, userId) {
+    if (variant.type === 'hook') {
+      const live = story.variants.find(entry => entry.type === 'hook' && entry.selected);
+      const content = this.replaceHook(story.content, variant.text, live && live.text);
+      if (content !== story.content) {
+        story.updateContent(content, userId, { changeType: 'hook-variant' });
+      }
+    } else {
+      story.headline = variant.text;
+      if (variant.description) {
+        story.description = variant.description;
+      }
+    }
+
+    story.variants.forEach(entry => {
+      if (entry.type === variant.type) {
+        entry.selected = entry._id.equals(variant._id);
+      }
+    });
+
+    return story.save();
+  }
+
+  /**
+   * Build the variants prompt for a story
+   */
+  buildVariantsPrompt(story, style, count, types) {
+    const language = story.selectedLanguage || 'English';
+    const styleLine = style
+      ? `${style.name}${style.description ? ` - ${style.description}` : ''}`
+      : story.videoStyle || 'short-form story';
+
+    const asks = [];
+    if (types.includes('hook')) {
+      asks.push(`- "hooks": ${count} alternative opening sentences. Each replaces the current first sentence, must flow into the second sentence, and should make the viewer need to keep watching within 2 seconds. Vary the technique: question, bold claim, number, in-the-middle-of-action.`);
+    }
+    if (types.includes('headline')) {
+      asks.push(`- "headlines": ${count} alternative titles (at most ${HEADLINE_MAX_LENGTH} characters, ideally 30-60), each with a matching "description" of at most ${DESCRIPTION_MAX_LENGTH} characters.`);
+    }
+
+    return `Video style: ${styleLine}
+Language: write everything in ${language}
+
+Current title: ${story.headline}
+Current opening sentence: ${this.extractHook(story.content)}
+
+Script:
+${story.content}
+
+Write:
+${asks.join('\n')}
+Return an empty array for anything not asked for. Respond with only a JSON object: { "hooks": [...], "headlines": [{ "headline": "...", "description": "..." }] }`;
+  }
+
+  /**
+   * Parse a JSON variants reply, dropping blank or duplicate entries
+   * @param {string} text - Raw model reply
+   * @returns {Object} { hooks: Array<string>, headlines: Array<{ headline, description }> }
+   */
+  parseVariants(text) {
+    let data;
+    try {
+      const cleaned = (text || '').replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+      data = JSON.parse(cleaned);
+    } catch (error) {
+      throw new Error(`Variants reply is not valid JSON (${error.message})`);
+    }
+
+    const unique = (items) => [...new Map(items.map(item => [item.key.toLowerCase(), item.value])).values()];
+
+    const hooks = unique((Array.isArray(data?.hooks) ? data.hooks : [])
+      .filter(hook => typeof hook === 'string' && hook.trim())
+      .map(hook => ({ key: hook.trim(), value: hook.trim() })));
+
+    const headlines = unique((Array.isArray(data?.headlines) ? data.headlines : [])
+      .filter(entry => entry && typeof entry.headline === 'string' && entry.headline.trim())
+      .map(entry => ({
+        key: entry.headline.trim(),
+        value: {
+          headline: entry.headline.trim().slice(0, HEADLINE_MAX_LENGTH),
+          description: typeof entry.description === 'string' ? entry.description.trim().slice(0, DESCRIPTION_MAX_LENGTH) : ''
+        }
+      })));
+
+    if (hooks.length === 0 && headlines.length === 0) {
+      throw new Error('Variants reply has no hooks or headlines');
+    }
+
+    return { hooks, headlines };
+  }
+}
+
+module.exports = StoryVariantService;
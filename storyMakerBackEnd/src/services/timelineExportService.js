@@ -0,0 +1,418 @@
+const path = require('path');
+
+// Sequences are exported at a fixed frame rate; every time is rounded to a frame
+const FRAME_RATE = 30;
+
+// Default aspect ratio per timeline orientation
+const ORIENTATION_RATIOS = {
+  landscape: [16, 9],
+  portrait: [9, 16],
+  square: [1, 1]
+};
+
+const FORMATS = {
+  fcpxml: { contentType: 'application/xml', extension: 'fcpxml' },
+  edl: { contentType: 'text/plain', extension: 'edl' },
+  otio: { contentType: 'application/json', extension: 'otio' }
+};
+
+const escapeXml = (value) => String(value == null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const toFrames = (seconds) => Math.round((seconds || 0) * FRAME_RATE);
+
+/**
+ * Convert story video timelines to editor interchange formats
+ * Local files are referenced by their path in the story's ZIP bundle (assets/clips/..., assets/photos/..., audio/...),
+ * so editors can unzip the bundle next to the timeline and relink; remote clips keep their URL.
+ */
+class TimelineExportService {
+  /**
+   * Supported export formats
+   */
+  getFormats() {
+    return Object.keys(FORMATS);
+  }
+
+  /**
+   * Sequence size for a timeline: the orientation picks the shape and the story's aspect ratio
+   * (e.g. "9:16") refines it when it has the same shape. The short side is always 1080.
+   * @param {string} orientation - 'landscape', 'portrait' or 'square'
+   * @param {string} [aspectRatio] - Story aspect ratio "W:H"
+   * @returns {Object} { width, height, aspectRatio }
+   */
+  getSequenceFormat(orientation = 'landscape', aspectRatio) {
+    const fallback = ORIENTATION_RATIOS[orientation] || ORIENTATION_RATIOS.landscape;
+    const match = /^(\d+(?:\.\d+)?):(\d+(?:\.\d+)?)$/.exec(aspectRatio || '');
+    let [ratioWidth, ratioHeight] = fallback;
+
+    if (match) {
+      const [width, height] = [Number(match[1]), Number(match[2])];
+      const sameShape = Math.sign(width - height) === Math.sign(fallback[0] - fallback[1]);
+      if (width > 0 && height > 0 && sameShape) {
+        [ratioWidth, ratioHeight] = [width, height];
+      }
+    }
+
+    // Even dimensions, as most codecs require
+    const even = (value) => Math.round(value / 2) * 2;
+    const [width, height] = ratioWidth >= ratioHeight
+      ? [even(1080 * ratioWidth / ratioHeight), 1080]
+      : [1080, even(1080 * ratioHeight / ratioWidth)];
+
+    return { width, height, aspectRatio: `${ratioWidth}:${ratioHeight}` };
+  }
+
+  /**
+   * Where an editor finds a media file: its bundle path for local uploads, otherwise its URL
+   */
+  getMediaPath(url, folder) {
+    if (!url) {
+      return null;
+    }
+    return url.startsWith('/uploads/') ? `${folder}/${path.basename(url)}` : url;
+  }
+
+  /**
+   * Parse an SRT or WebVTT document into cues
+   * @param {string} text - Caption document
+   * @returns {Array} [{ start, end, text }]
+   */
+  parseCaptionText(text) {
+    const toSeconds = (timestamp) => {
+      const parts = timestamp.trim().replace(',', '.').split(':').map(Number);
+      return parts.reduce((total, part) => total * 60 + part, 0);
+    };
+
+    return text.replace(/\r/g, '').split(/\n{2,}/)
+      .map(block => {
+        const lines = block.split('\n');
+        const timing = lines.findIndex(line => line.includes('-->'));
+        if (timing === -1) {
+          return null;
+        }
+
+        const [start, end] = lines[timing].split('-->').map(part => part.trim().split(/\s+/)[0]);
+        return {
+          start: toSeconds(start),
+          end: toSeconds(end),
+          text: lines.slice(timing + 1).join('\n').trim()
+        };
+      })
+      .filter(cue => cue && cue.text && cue.end > cue.start);
+  }
+
+  /**
+   * Caption cues stored with the story, whether timed objects or an SRT/VTT document
+   * @param {Object} captions - story.captions
+   * @returns {Array} [{ start, end, text }]
+   */
+  getCaptionCues(captions) {
+    const data = captions && captions.captions;
+    if (!data) {
+      return [];
+    }
+
+    if (Array.isArray(data)) {
+      return data
+        .map(caption => ({ start: caption.startTime, end: caption.endTime, text: caption.text }))
+        .filter(cue => cue.text && cue.end > cue.start);
+    }
+
+    return typeof data === 'string' ? this.parseCaptionText(data) : [];
+  }
+
+  /**
+   * Format-neutral view of a story's timeline: sequence settings, clip and photo tracks, narration and captions
+   * @param {Object} story - Story document with a videoTimeline
+   * @returns {Object} { name, storyId, frameRate, format, duration, clips, photos, audio, captions }
+   */
+  buildTimeline(story) {
+    const timeline = story.videoTimeline;
+
+    const toItems = (items = [], folder) => items
+      .map((clip, index) => {
+        const start = clip.startTime || 0;
+        const end = clip.endTime != null ? clip.endTime : start + (clip.duration || 0);
+        const info = clip.metadata || {};
+        return {
+          name: info.title || clip.id || `${folder} ${index + 1}`,
+          type: clip.type === 'photo' ? 'photo' : 'video',
+          start,
+          end,
+          media: this.getMediaPath(clip.url || clip.originalUrl, `assets/${folder}`),
+          source: clip.source || info.source,
+          originalUrl: clip.originalUrl,
+          photographer: info.photographer
+        };
+      })
+      .filter(item => item.media && item.end > item.start)
+      .sort((a, b) => a.start - b.start);
+
+    const clips = toItems(timeline.clips, 'clips');
+    const photos = toItems(timeline.photos, 'photos');
+    const captions = this.getCaptionCues(story.captions);
+
+    const duration = Math.max(
+      timeline.actualDuration || 0,
+      timeline.totalDuration || 0,
+      ...clips.map(item => item.end),
+      ...photos.map(item => item.end),
+      ...captions.map(cue => cue.end)
+    );
+
+    return {
+      name: story.name,
+      storyId: story._id.toString(),
+      frameRate: FRAME_RATE,
+      format: this.getSequenceFormat(timeline.orientation, story.aspectRatio),
+      orientation: timeline.orientation,
+      duration,
+      clips,
+      photos,
+      audio: story.audioUrl
+        ? { name: path.basename(story.audioUrl.split('?')[0]) || 'Narration', media: this.getMediaPath(story.audioUrl, 'audio') }
+        : null,
+      captions
+    };
+  }
+
+  /**
+   * Final Cut Pro XML (1.10): clips, photos, narration and caption titles connected to a gap spanning the sequence
+   */
+  toFCPXML(timeline) {
+    const time = (seconds) => {
+      const frames = toFrames(seconds);
+      return frames === 0 ? '0s' : `${frames}/${FRAME_RATE}s`;
+    };
+    const { width, height } = timeline.format;
+
+    // One asset per media file, shared by every clip that uses it
+    const assets = new Map();
+    const assetFor = (item, attributes) => {
+      if (!assets.has(item.media)) {
+        const id = `r${assets.size + 3}`;
+        assets.set(item.media, {
+          id,
+          xml: `    <asset id="${id}" name="${escapeXml(item.name)}" start="0s" duration="${time(timeline.duration)}" ${attributes}>\n` +
+            `      <media-rep kind="original-media" src="${escapeXml(item.media)}"/>\n    </asset>`
+        });
+      }
+      return assets.get(item.media).id;
+    };
+
+    const connected = [];
+    timeline.clips.forEach(item => {
+      const ref = assetFor(item, `hasVideo="1" format="r1"`);
+      const element = item.type === 'photo' ? 'video' : 'asset-clip';
+      connected.push(`              <${element} ref="${ref}" lane="1" name="${escapeXml(item.name)}" offset="${time(item.start)}" start="0s" duration="${time(item.end - item.start)}"/>`);
+    });
+    timeline.photos.forEach(item => {
+      const ref = assetFor(item, `hasVideo="1" format="r1"`);
+      connected.push(`              <video ref="${ref}" lane="2" name="${escapeXml(item.name)}" offset="${time(item.start)}" start="0s" duration="${time(item.end - item.start)}"/>`);
+    });
+    if (timeline.audio) {
+      const ref = assetFor(timeline.audio, 'hasAudio="1" audioSources="1" audioChannels="2" audioRate="48000"');
+      connected.push(`              <asset-clip ref="${ref}" lane="-1" name="${escapeXml(timeline.audio.name)}" offset="0s" start="0s" duration="${time(timeline.duration)}" audioRole="dialogue"/>`);
+    }
+    timeline.captions.forEach((cue, index) => {
+      const styleId = `ts${index + 1}`;
+      connected.push([
+        `              <title ref="r2" lane="3" name="${escapeXml(cue.text.slice(0, 40))}" offset="${time(cue.start)}" start="0s" duration="${time(cue.end - cue.start)}">`,
+        `                <text><text-style ref="${styleId}">${escapeXml(cue.text)}</text-style></text>`,
+        `                <text-style-def id="${styleId}"><text-style font="Helvetica" fontSize="${Math.round(height / 18)}" fontColor="1 1 1 1" alignment="center"/></text-style-def>`,
+        '              </title>'
+      ].join('\n'));
+    });
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<!DOCTYPE fcpxml>',
+      '<fcpxml version="1.10">',
+      '  <resources>',
+      `    <format id="r1" name="StoryMaker ${width}x${height}p${FRAME_RATE}" frameDuration="1/${FRAME_RATE}s" width="${width}" height="${height}"/>`,
+      '    <effect id="r2" name="Basic Title" uid=".../Titles.localized/Bumper:Opener.localized/Basic Title.localized/Basic Title.moti"/>',
+      ...[...assets.values()].map(asset => asset.xml),
+      '  </resources>',
+      '  <library>',
+      '    <event name="StoryMaker">',
+      `      <project name="${escapeXml(timeline.name)}">`,
+      `        <sequence format="r1" duration="${time(timeline.duration)}" tcStart="0s" tcFormat="NDF" audioLayout="stereo" audioRate="48k">`,
+      '          <spine>',
+      `            <gap name="Story" offset="0s" start="0s" duration="${time(timeline.duration)}">`,
+      ...connected,
+      '            </gap>',
+      '          </spine>',
+      '        </sequence>',
+      '      </project>',
+      '    </event>',
+      '  </library>',
+      '</fcpxml>',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * CMX 3600 EDL: one video track (clips and photos in start order), the narration on A, and captions as
+   * locators. Record timecode starts at 01:00:00:00, as editors expect.
+   */
+  toEDL(timeline) {
+    const timecode = (seconds, hourOffset = 0) => {
+      const frames = toFrames(seconds) + hourOffset * 3600 * FRAME_RATE;
+      const pad = (value) => String(value).padStart(2, '0');
+      return [
+        Math.floor(frames / (3600 * FRAME_RATE)),
+        Math.floor(frames / (60 * FRAME_RATE)) % 60,
+        Math.floor(frames / FRAME_RATE) % 60,
+        frames % FRAME_RATE
+      ].map(pad).join(':');
+    };
+    // Comments and titles are one line of plain text
+    const line = (value) => String(value).replace(/\s+/g, ' ').trim();
+
+    const events = [...timeline.clips, ...timeline.photos]
+      .sort((a, b) => a.start - b.start)
+      .map(item => ({ ...item, track: 'V' }));
+    if (timeline.audio) {
+      events.push({ ...timeline.audio, track: 'A', start: 0, end: timeline.duration });
+    }
+
+    const lines = [`TITLE: ${line(timeline.name)}`, 'FCM: NON-DROP FRAME', ''];
+    events.forEach((event, index) => {
+      const number = String(index + 1).padStart(3, '0');
+      const track = event.track.padEnd(6);
+      lines.push(`${number}  AX       ${track}C        ${timecode(0)} ${timecode(event.end - event.start)} ${timecode(event.start, 1)} ${timecode(event.end, 1)}`);
+      lines.push(`* FROM CLIP NAME: ${line(event.name)}`);
+      lines.push(`* SOURCE FILE: ${event.media}`);
+      if (event.source) {
+        lines.push(`* COMMENT: ${line(`${event.source}${event.photographer ? ` / ${event.photographer}` : ''}${event.originalUrl ? ` ${event.originalUrl}` : ''}`)}`);
+      }
+      lines.push('');
+    });
+
+    timeline.captions.forEach(cue => {
+      lines.push(`* LOC: ${timecode(cue.start, 1)} YELLOW  ${line(cue.text)}`);
+    });
+
+    return `${lines.join('\n').trimEnd()}\n`;
+  }
+
+  /**
+   * OpenTimelineIO JSON: V1 clips, V2 photos and A1 narration, with gaps between clips and captions as markers
+   */
+  toOTIO(timeline) {
+    const rationalTime = (seconds) => ({ OTIO_SCHEMA: 'RationalTime.1', rate: FRAME_RATE, value: toFrames(seconds) });
+    const timeRange = (start, duration) => ({ OTIO_SCHEMA: 'TimeRange.1', start_time: rationalTime(start), duration: rationalTime(duration) });
+    const gap = (duration) => ({
+      OTIO_SCHEMA: 'Gap.1',
+      name: '',
+      source_range: timeRange(0, duration),
+      effects: [],
+      markers: [],
+      metadata: {}
+    });
+    const clip = (item, sourceStart, duration) => ({
+      OTIO_SCHEMA: 'Clip.1',
+      name: item.name,
+      source_range: timeRange(sourceStart, duration),
+      media_reference: {
+        OTIO_SCHEMA: 'ExternalReference.1',
+        target_url: item.media,
+        available_range: null,
+        metadata: {}
+      },
+      effects: [],
+      markers: [],
+      metadata: {
+        storymaker: {
+          type: item.type,
+          source: item.source,
+          originalUrl: item.originalUrl,
+          photographer: item.photographer
+        }
+      }
+    });
+
+    // Tracks play back to back, so overlapping items are trimmed to start where the previous one ends
+    const track = (name, kind, items) => {
+      const children = [];
+      let cursor = 0;
+      items.forEach(item => {
+        const start = Math.max(item.start, cursor);
+        if (item.end - start < 1 / FRAME_RATE) {
+          return;
+        }
+        if (start - cursor >= 1 / FRAME_RATE) {
+          children.push(gap(start - cursor));
+        }
+        children.push(clip(item, start - item.start, item.end - start));
+        cursor = item.end;
+      });
+      return { OTIO_SCHEMA: 'Track.1', name, kind, source_range: null, children, effects: [], markers: [], metadata: {} };
+    };
+
+    const tracks = [track('V1', 'Video', timeline.clips)];
+    if (timeline.photos.length > 0) {
+      tracks.push(track('V2', 'Video', timeline.photos));
+    }
+    if (timeline.audio) {
+      tracks.push(track('A1', 'Audio', [{ ...timeline.audio, type: 'audio', start: 0, end: timeline.duration }]));
+    }
+
+    const document = {
+      OTIO_SCHEMA: 'Timeline.1',
+      name: timeline.name,
+      global_start_time: rationalTime(0),
+      metadata: {
+        storymaker: {
+          storyId: timeline.storyId,
+          orientation: timeline.orientation,
+          aspectRatio: timeline.format.aspectRatio,
+          width: timeline.format.width,
+          height: timeline.format.height,
+          frameRate: FRAME_RATE
+        }
+      },
+      tracks: {
+        OTIO_SCHEMA: 'Stack.1',
+        name: 'tracks',
+        source_range: null,
+        children: tracks,
+        effects: [],
+        markers: timeline.captions.map(cue => ({
+          OTIO_SCHEMA: 'Marker.2',
+          name: cue.text,
+          color: 'YELLOW',
+          marked_range: timeRange(cue.start, cue.end - cue.start),
+          metadata: { storymaker: { caption: cue.text } }
+        })),
+        metadata: {}
+      }
+    };
+
+    return JSON.stringify(document, null, 2);
+  }
+
+  /**
+   * Export a story's timeline
+   * @param {Object} story - Story document with a videoTimeline
+   * @param {string} format - 'fcpxml', 'edl' or 'otio'
+   * @returns {Object} { content, contentType, extension }
+   */
+  exportTimeline(story, format) {
+    const timeline = this.buildTimeline(story);
+    const writers = {
+      fcpxml: () => this.toFCPXML(timeline),
+      edl: () => this.toEDL(timeline),
+      otio: () => this.toOTIO(timeline)
+    };
+
+    return { content: writers[format](), ...FORMATS[format] };
+  }
+}
+
+module.exports = TimelineExportService;
@@ -4,6 +4,40 @@
  * These templates are filled dynamically with user input data
  */
 
+// Line that separates the voiceover script from the publishing suggestions
+const SUGGESTIONS_MARKER = '---SUGGESTIONS---';
+
+// Appended to every filled template so the suggestions can be split off the narration
+const SUGGESTIONS_FORMAT = `
+
+Output Format (Do Not Break):
+Write the voiceover script first, with nothing before it.
+Then write a line containing only ${SUGGESTIONS_MARKER}
+After that line, write each suggestion on its own line using exactly these labels:
+TITLE: [suggested YouTube title]
+DESCRIPTION: [short YouTube caption/description]
+TAGS: [tag1, tag2, tag3, ...]
+STOCK_FOOTAGE: [search term 1, search term 2, ...]`;
+
+// Placeholders fillTemplate knows how to replace (custom styles may only use these)
+const TEMPLATE_PLACEHOLDERS = [
+  'videoIdea',
+  'storyName',
+  'maxWordCount',
+  'formattedDuration',
+  'language',
+  'emotions',
+  'additionalContext',
+  // Legacy fields
+  'storyTopic',
+  'characterDetails',
+  'settingAtmosphere',
+  'selectedGenre',
+  'selectedFormat',
+  'selectedNarrative',
+  'selectedAgeGroup'
+];
+
 const VIDEO_STYLE_TEMPLATES = {
   // 1. Reddit-Style Storytime
   redditStorytime: {
@@ -113,6 +147,7 @@ Length: ~{maxWordCount} words (suitable for {formattedDuration} of voiceover)`
   quizGame: {
     name: "Quiz & Guessing Games",
     description: "Interactive quiz content that makes viewers guess and engage",
+    scriptFormat: 'quiz',
     template: `You are a viral Shorts quizmaster creating fast-paced, visual trivia that makes viewers guess, tap, and comment.
 I want a {formattedDuration} long interactive quiz-style Short script. The tone should be energetic, fun, and slightly challenging.
 The script must:
@@ -180,6 +215,7 @@ Length: ~{maxWordCount} words (suitable for {formattedDuration} of voiceover)`
   dialogueSkit: {
     name: "2-Person Dialogue Skit",
     description: "Short, funny dialogue between characters in everyday situations",
+    scriptFormat: 'dialogue',
     template: `You are a scriptwriter known for creating short, funny, realistic back-and-forth dialogue between characters in everyday situations.
 I want a {formattedDuration} long, two-person dialogue script perfect for a YouTube shorts video.
 The dialogue must:
@@ -295,10 +331,13 @@ const getTemplate = (style) => {
 
 /**
  * Fill a template with user data
+ * @param {string|Object} style - Built-in style key, or a style object with its own template text
+ * @param {Object} data - Placeholder values
+ * @param {string} [appendix] - Extra instructions placed after the template (e.g. series continuity)
  */
-const fillTemplate = (style, data) => {
-  const template = getTemplate(style);
-  if (!template) {
+const fillTemplate = (style, data, appendix) => {
+  const template = typeof style === 'string' ? getTemplate(style) : style;
+  if (!template || !template.template) {
     throw new Error(`Unknown video style: ${style}`);
   }
 
@@ -311,7 +350,11 @@ const fillTemplate = (style, data) => {
     filledTemplate = filledTemplate.replace(new RegExp(placeholder, 'g'), value);
   });
 
-  return filledTemplate;
+  if (appendix) {
+    filledTemplate += `\n\n${appendix}`;
+  }
+
+  return filledTemplate + SUGGESTIONS_FORMAT;
 };
 
 /**
@@ -321,10 +364,22 @@ const isValidStyle = (style) => {
   return Object.keys(VIDEO_STYLE_TEMPLATES).includes(style);
 };
 
+/**
+ * List the {placeholders} in a template that fillTemplate would leave unreplaced
+ */
+const findUnknownPlaceholders = (templateText) => {
+  const found = (templateText || '').match(/\{([a-zA-Z_][a-zA-Z0-9_]*)\}/g) || [];
+  const names = found.map(placeholder => placeholder.slice(1, -1));
+  return [...new Set(names)].filter(name => !TEMPLATE_PLACEHOLDERS.includes(name));
+};
+
 module.exports = {
   VIDEO_STYLE_TEMPLATES,
+  SUGGESTIONS_MARKER,
+  TEMPLATE_PLACEHOLDERS,
   getAvailableStyles,
   getTemplate,
   fillTemplate,
-  isValidStyle
+  isValidStyle,
+  findUnknownPlaceholders
 };
@@ -0,0 +1,88 @@
+const pricing = require('../config/pricing');
+
+/**
+ * Pricing entry for a provider's model: exact name, then the longest matching prefix, then "default"
+ * @param {string} provider - Provider name (openai, murf, ...)
+ * @param {string} [model] - Model name
+ * @returns {Object|null} Pricing entry
+ */
+const getPricing = (provider, model) => {
+  const models = pricing[provider];
+  if (!models) return null;
+  if (model && models[model]) return models[model];
+
+  const prefix = model && Object.keys(models)
+    .filter(name => name !== 'default' && model.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return prefix ? models[prefix] : models.default || null;
+};
+
+/**
+ * Cost of one AI call in USD
+ * @param {string} provider - Provider name
+ * @param {string} [model] - Model name
+ * @param {Object} units - { inputTokens, outputTokens, audioSeconds, images, characters } (any subset)
+ * @param {Object} [options]
+ * @param {string} [options.variant] - Image "quality:size"
+ * @returns {Object} { cost, priced } where priced is false when nothing used could be priced or a billed unit is unknown
+ */
+const calculateCost = (provider, model, units = {}, { variant } = {}) => {
+  const price = getPricing(provider, model);
+  if (!price) {
+    return { cost: 0, priced: false };
+  }
+
+  const rates = [
+    ['inputTokens', price.inputPer1M, 1e6],
+    ['outputTokens', price.outputPer1M, 1e6],
+    ['audioSeconds', price.perAudioMinute, 60],
+    ['characters', price.per1KCharacters, 1000],
+    ['images', typeof price.perImage === 'object' ? price.perImage[variant || 'standard:1024x1024'] : price.perImage, 1]
+  ];
+
+  let cost = 0;
+  let billed = 0;
+  let unbilled = 0;
+  let measured = true;
+
+  rates.forEach(([unit, rate, per]) => {
+    const amount = units[unit];
+    if (typeof rate !== 'number') {
+      // Informational units (e.g. the length of a speech clip billed by characters) are fine unpriced
+      if (amount) unbilled += 1;
+      return;
+    }
+    if (amount === null) {
+      measured = false; // A billed unit we could not measure, e.g. a transcription without duration
+      return;
+    }
+    if (amount) {
+      cost += (amount / per) * rate;
+      billed += 1;
+    }
+  });
+
+  return {
+    cost: Math.round(cost * 1e6) / 1e6,
+    priced: measured && (billed > 0 || unbilled === 0)
+  };
+};
+
+/**
+ * Add up chat usage objects, including their cost
+ * @param {...Object} usages - { promptTokens, completionTokens, totalTokens, cost? }
+ * @returns {Object} { promptTokens, completionTokens, totalTokens, cost }
+ */
+const sumUsage = (...usages) => usages.filter(Boolean).reduce((total, usage) => ({
+  promptTokens: total.promptTokens + (usage.promptTokens || 0),
+  completionTokens: total.completionTokens + (usage.completionTokens || 0),
+  totalTokens: total.totalTokens + (usage.totalTokens || 0),
+  cost: Math.round((total.cost + (usage.cost || 0)) * 1e6) / 1e6
+}), { promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0 });
+
+module.exports = {
+  getPricing,
+  calculateCost,
+  sumUsage
+};
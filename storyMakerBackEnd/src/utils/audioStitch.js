@@ -0,0 +1,166 @@
+// kbps by bitrate index for Layer III: MPEG-1, then MPEG-2/2.5
+const MP3_BITRATES = {
+  1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+
+/**
+ * Read the fmt and data chunks of a PCM WAV file
+ * @param {Buffer} buffer - Audio file
+ * @returns {Object|null} { fmt, data, byteRate, blockAlign } or null if it isn't a WAV file
+ */
+const parseWav = (buffer) => {
+  if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    return null;
+  }
+
+  let fmt = null;
+  let data = null;
+  let offset = 12;
+
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString('ascii', offset, offset + 4);
+    // Streamed WAVs can leave the data size at 0 or 0xFFFFFFFF; treat it as "to the end"
+    const declared = buffer.readUInt32LE(offset + 4);
+    const size = id === 'data' && (declared === 0 || declared === 0xFFFFFFFF)
+      ? buffer.length - offset - 8
+      : Math.min(declared, buffer.length - offset - 8);
+
+    if (id === 'fmt ') fmt = buffer.subarray(offset + 8, offset + 8 + size);
+    if (id === 'data') data = buffer.subarray(offset + 8, offset + 8 + size);
+
+    offset += 8 + size + (size % 2); // Chunks are word-aligned
+  }
+
+  if (!fmt || !data) return null;
+
+  return {
+    fmt,
+    data,
+    byteRate: fmt.readUInt32LE(8),
+    blockAlign: fmt.readUInt16LE(12)
+  };
+};
+
+/**
+ * Skip an ID3v2 tag at the start of an MP3 file
+ */
+const stripId3 = (buffer) => {
+  if (buffer.length < 10 || buffer.toString('ascii', 0, 3) !== 'ID3') return buffer;
+
+  // Tag size is a 28-bit "syncsafe" integer
+  const size = (buffer[6] << 21) | (buffer[7] << 14) | (buffer[8] << 7) | buffer[9];
+  return buffer.subarray(10 + size);
+};
+
+/**
+ * Estimate an MP3's duration from its first frame header (assumes constant bitrate)
+ * @param {Buffer} buffer - MP3 audio without ID3 tag
+ * @returns {number|null} Seconds, or null if no Layer III frame header was found
+ */
+const estimateMp3Duration = (buffer) => {
+  for (let i = 0; i + 4 <= buffer.length; i++) {
+    if (buffer[i] !== 0xFF || (buffer[i + 1] & 0xE0) !== 0xE0) continue;
+
+    const versionBits = (buffer[i + 1] >> 3) & 0x03; // 3 = MPEG-1, 2 = MPEG-2, 0 = MPEG-2.5
+    const layerBits = (buffer[i + 1] >> 1) & 0x03; // 1 = Layer III
+    const bitrateIndex = buffer[i + 2] >> 4;
+    if (versionBits === 1 || layerBits !== 1 || bitrateIndex === 0 || bitrateIndex === 15) continue;
+
+    const kbps = MP3_BITRATES[versionBits === 3 ? 1 : 2][bitrateIndex];
+    return ((buffer.length - i) * 8) / (kbps * 1000);
+  }
+  return null;
+};
+
+/**
+ * Join audio clips into one track and report where each clip starts and ends
+ * WAV clips must share one PCM format and get `gapSeconds` of silence between them;
+ * MP3 clips are joined frame to frame (no gap) and timed from `duration` or their frame headers.
+ * @param {Array<Object>} clips - [{ buffer, duration? }] in play order
+ * @param {Object} [options]
+ * @param {number} [options.gapSeconds] - Silence between WAV clips
+ * @returns {Object} { buffer, format: 'wav'|'mp3', duration, segments: [{ startTime, endTime }] }
+ */
+const stitchAudio = (clips, { gapSeconds = 0.25 } = {}) => {
+  if (clips.length === 0) {
+    throw new Error('No audio clips to stitch');
+  }
+
+  const wavs = clips.map(clip => parseWav(clip.buffer));
+  const round = (seconds) => Math.round(seconds * 1000) / 1000;
+
+  if (wavs.every(Boolean)) {
+    const [first] = wavs;
+    // Format code, channels, sample rate and bits per sample must all match
+    const signature = (wav) => wav.fmt.subarray(0, 16).toString('hex');
+    if (wavs.some(wav => signature(wav) !== signature(first))) {
+      throw new Error('Audio clips use different WAV formats and cannot be joined');
+    }
+
+    const gapBytes = Math.round((gapSeconds * first.byteRate) / first.blockAlign) * first.blockAlign;
+    const gap = Buffer.alloc(gapBytes);
+    const parts = [];
+    const segments = [];
+    let position = 0;
+
+    wavs.forEach((wav, index) => {
+      if (index > 0) {
+        parts.push(gap);
+        position += gapBytes;
+      }
+      segments.push({
+        startTime: round(position / first.byteRate),
+        endTime: round((position + wav.data.length) / first.byteRate)
+      });
+      parts.push(wav.data);
+      position += wav.data.length;
+    });
+
+    const header = Buffer.alloc(12 + 8 + first.fmt.length + 8);
+    header.write('RIFF', 0, 'ascii');
+    header.writeUInt32LE(header.length - 8 + position, 4);
+    header.write('WAVE', 8, 'ascii');
+    header.write('fmt ', 12, 'ascii');
+    header.writeUInt32LE(first.fmt.length, 16);
+    first.fmt.copy(header, 20);
+    header.write('data', 20 + first.fmt.length, 'ascii');
+    header.writeUInt32LE(position, 24 + first.fmt.length);
+
+    return {
+      buffer: Buffer.concat([header, ...parts]),
+      format: 'wav',
+      duration: round(position / first.byteRate),
+      segments
+    };
+  }
+
+  if (wavs.some(Boolean)) {
+    throw new Error('Audio clips mix WAV and compressed formats and cannot be joined');
+  }
+
+  const parts = [];
+  const segments = [];
+  let position = 0;
+
+  clips.forEach((clip, index) => {
+    // Keep the first clip's tag; later tags in the middle of the stream confuse players
+    const audio = index === 0 ? clip.buffer : stripId3(clip.buffer);
+    const duration = clip.duration || estimateMp3Duration(stripId3(clip.buffer)) || 0;
+
+    segments.push({ startTime: round(position), endTime: round(position + duration) });
+    parts.push(audio);
+    position += duration;
+  });
+
+  return {
+    buffer: Buffer.concat(parts),
+    format: 'mp3',
+    duration: round(position),
+    segments
+  };
+};
+
+module.exports = {
+  stitchAudio
+};
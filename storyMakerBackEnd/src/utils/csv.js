@@ -0,0 +1,75 @@
+/**
+ * Split CSV text into rows of fields (RFC 4180: quoted fields, "" escapes, CRLF or LF line endings)
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows, blank lines skipped
+ */
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  const endField = () => {
+    row.push(field);
+    field = '';
+  };
+  const endRow = () => {
+    endField();
+    if (row.some(value => value.trim() !== '')) {
+      rows.push(row);
+    }
+    row = [];
+  };
+
+  const input = (text || '').replace(/^﻿/, ''); // Spreadsheet exports often start with a BOM
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('CSV has an unterminated quoted field');
+  }
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+};
+
+/**
+ * Parse CSV text with a header row into objects keyed by header
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} One object per data row
+ */
+const parseCsv = (text) => {
+  const [header, ...rows] = parseCsvRows(text);
+  if (!header) return [];
+
+  const keys = header.map(key => key.trim());
+  return rows.map(values => Object.fromEntries(keys.map((key, index) => [key, (values[index] || '').trim()])));
+};
+
+module.exports = {
+  parseCsv
+};
@@ -0,0 +1,65 @@
+// Share of distinct words two ideas must have in common to count as the same idea
+const DUPLICATE_THRESHOLD = 0.75;
+
+// Filler words that make differently-phrased ideas look different
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'you', 'your', 'that', 'this', 'with', 'how', 'why', 'what', 'when', 'who',
+  'are', 'was', 'were', 'from', 'about', 'into', 'can', 'will', 'just', 'than', 'then', 'they',
+  'their', 'its', 'our', 'out', 'has', 'have', 'had', 'not', 'but', 'all', 'any', 'most', 'more'
+]);
+
+/**
+ * Distinct meaningful words of an idea (lowercased, punctuation and filler words dropped)
+ * @param {string} text - Idea text
+ * @returns {Set<string>} Word set
+ */
+const ideaWords = (text) => new Set(
+  String(text || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(word => word.length > 2 && !STOP_WORDS.has(word))
+);
+
+/**
+ * Jaccard similarity of two word sets
+ */
+const similarity = (a, b) => {
+  if (a.size === 0 || b.size === 0) return 0;
+
+  let shared = 0;
+  a.forEach(word => {
+    if (b.has(word)) shared++;
+  });
+  return shared / (a.size + b.size - shared);
+};
+
+/**
+ * Drop candidate ideas that repeat each other or any known idea
+ * @param {Array<string>} candidates - Newly generated ideas
+ * @param {Array<string>} known - Ideas and story topics the user already has
+ * @returns {Object} { unique: Array<string>, duplicates: Array<{ idea, matches }> }
+ */
+const dedupeIdeas = (candidates, known = []) => {
+  const seen = known.map(text => ({ text, words: ideaWords(text) }));
+  const unique = [];
+  const duplicates = [];
+
+  candidates.forEach(idea => {
+    const words = ideaWords(idea);
+    const match = seen.find(entry => similarity(words, entry.words) >= DUPLICATE_THRESHOLD);
+
+    if (match) {
+      duplicates.push({ idea, matches: match.text });
+    } else {
+      unique.push(idea);
+      seen.push({ text: idea, words });
+    }
+  });
+
+  return { unique, duplicates };
+};
+
+module.exports = {
+  dedupeIdeas
+};
@@ -0,0 +1,132 @@
+// Typical voiceover pace per language. Languages written without spaces are measured in characters.
+const SPEAKING_RATES = {
+  english: { unit: 'words', perMinute: 150 },
+  spanish: { unit: 'words', perMinute: 160 },
+  portuguese: { unit: 'words', perMinute: 155 },
+  french: { unit: 'words', perMinute: 150 },
+  italian: { unit: 'words', perMinute: 150 },
+  german: { unit: 'words', perMinute: 125 },
+  dutch: { unit: 'words', perMinute: 140 },
+  russian: { unit: 'words', perMinute: 120 },
+  polish: { unit: 'words', perMinute: 125 },
+  turkish: { unit: 'words', perMinute: 115 },
+  arabic: { unit: 'words', perMinute: 120 },
+  hindi: { unit: 'words', perMinute: 140 },
+  korean: { unit: 'words', perMinute: 110 },
+  chinese: { unit: 'characters', perMinute: 240 },
+  japanese: { unit: 'characters', perMinute: 300 },
+  thai: { unit: 'characters', perMinute: 280 }
+};
+
+const DEFAULT_RATE = SPEAKING_RATES.english;
+
+/**
+ * Speaking rate for a language name ("English", "Brazilian Portuguese", "zh" is not matched)
+ * @param {string} [language] - Language name as stored on stories
+ * @returns {Object} { unit: 'words'|'characters', perMinute }
+ */
+const getSpeakingRate = (language) => {
+  const name = (language || '').toLowerCase();
+  const key = Object.keys(SPEAKING_RATES).find(entry => name.includes(entry));
+  return key ? SPEAKING_RATES[key] : DEFAULT_RATE;
+};
+
+// Speaker label at the start of a line ("Narrator:", "**Person A:**"); the label itself is group 1
+const SPEAKER_LABEL = /^\s*\**\s*([\p{Lu}][\p{L}\p{M}\p{N}.'-]*(?:\s[\p{L}\p{M}\p{N}.'-]+)?)\**\s*:\s*\**/u;
+
+// Labels that are always speakers, even when they appear only once
+const KNOWN_SPEAKERS = /^(?:narrator|host|voice\s?over|vo|speaker(?:\s\w+)?|person\s\w)$/i;
+
+// A label is only treated as a speaker when it starts at least this many lines
+const MIN_SPEAKER_LINES = 2;
+
+/**
+ * Speaker labels used in a script: known narrator labels, and labels repeated at the start of several lines
+ * (so ordinary narration like "Then suddenly: the door opened" is left alone)
+ */
+const findSpeakerLabels = (lines) => {
+  const counts = new Map();
+  lines.forEach(line => {
+    const match = line.match(SPEAKER_LABEL);
+    if (match) {
+      const label = match[1].trim().toLowerCase();
+      counts.set(label, (counts.get(label) || 0) + 1);
+    }
+  });
+
+  return new Set([...counts.entries()]
+    .filter(([label, count]) => count >= MIN_SPEAKER_LINES || KNOWN_SPEAKERS.test(label))
+    .map(([label]) => label));
+};
+
+/**
+ * The part of a script that is actually read aloud
+ * Drops [directions], (cues), headings, speaker labels at the start of lines and markdown markers.
+ * @param {string} script - Script text
+ * @returns {string} Narration text
+ */
+const narrationText = (script) => {
+  const lines = (script || '')
+    .replace(/\[[^\]]*\]/g, ' ')
+    .replace(/\((?:pause|beat|music|sfx|sound|laughs?|sighs?|whispers?|cut|transition)[^)]*\)/gi, ' ')
+    .split('\n')
+    .map(line => line
+      .replace(/^\s*#{1,6}\s+.*$/, '')
+      .replace(/^\s*[-*>]\s+/, ''));
+  const speakers = findSpeakerLabels(lines);
+
+  return lines
+    .map(line => {
+      const match = line.match(SPEAKER_LABEL);
+      return match && speakers.has(match[1].trim().toLowerCase()) ? line.slice(match[0].length) : line;
+    })
+    .map(line => line.replace(/[*_`~]/g, ''))
+    .join('\n')
+    .trim();
+};
+
+/**
+ * Count the spoken units of a script in the unit its language is measured in
+ * Words keep their combining marks (Devanagari, Thai and other vowel signs) so they are not split mid-word.
+ */
+const countUnits = (text, unit) => (unit === 'characters'
+  ? (text.match(/[\p{L}\p{N}]/gu) || []).length
+  : (text.match(/[\p{L}\p{M}\p{N}]+(?:['’-][\p{L}\p{M}\p{N}]+)*/gu) || []).length);
+
+/**
+ * Measure how long a script takes to narrate
+ * @param {string} script - Script text
+ * @param {string} [language] - Language name
+ * @returns {Object} { count, unit, perMinute, seconds, words }
+ */
+const measureNarration = (script, language) => {
+  const { unit, perMinute } = getSpeakingRate(language);
+  const text = narrationText(script);
+  const count = countUnits(text, unit);
+
+  return {
+    count,
+    unit,
+    perMinute,
+    seconds: Math.round((count / perMinute) * 60),
+    words: unit === 'words' ? count : countUnits(text, 'words')
+  };
+};
+
+/**
+ * Number of spoken units that fill a duration
+ * @param {number} seconds - Target duration
+ * @param {string} [language] - Language name
+ * @returns {Object} { count, unit, perMinute }
+ */
+const targetNarration = (seconds, language) => {
+  const { unit, perMinute } = getSpeakingRate(language);
+  return { count: Math.round((seconds / 60) * perMinute), unit, perMinute };
+};
+
+module.exports = {
+  getSpeakingRate,
+  narrationText,
+  measureNarration,
+  targetNarration
+};
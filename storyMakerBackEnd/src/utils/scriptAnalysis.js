@@ -0,0 +1,312 @@
+const { narrationText, measureNarration, getSpeakingRate } = require('./narration');
+const { scoreVariant } = require('./variantScoring');
+
+// Readability formulas by language; asl = words per sentence, asw = syllables per word
+const READABILITY_FORMULAS = {
+  english: { name: 'Flesch Reading Ease', score: ({ asl, asw }) => 206.835 - 1.015 * asl - 84.6 * asw },
+  spanish: { name: 'Fernández Huerta', score: ({ asl, asw }) => 206.84 - 60 * asw - 102 / asl },
+  french: { name: 'Kandel-Moles', score: ({ asl, asw }) => 207 - 1.015 * asl - 73.6 * asw },
+  german: { name: 'Amstad', score: ({ asl, asw }) => 180 - asl - 58.5 * asw },
+  italian: { name: 'Flesch-Vacca', score: ({ asl, asw }) => 206 - 65 * asw - asl },
+  dutch: { name: 'Flesch-Douma', score: ({ asl, asw }) => 206.84 - 77 * asw - 0.93 * asl },
+  portuguese: { name: 'Flesch (Martins)', score: ({ asl, asw }) => 248.835 - 1.015 * asl - 84.6 * asw }
+};
+
+const READABILITY_LEVELS = [
+  { min: 90, label: 'very easy' },
+  { min: 80, label: 'easy' },
+  { min: 70, label: 'fairly easy' },
+  { min: 60, label: 'standard' },
+  { min: 50, label: 'fairly difficult' },
+  { min: 30, label: 'difficult' },
+  { min: -Infinity, label: 'very difficult' }
+];
+
+// Filler words and phrases that pad a voiceover
+const FILLERS = {
+  english: ['just', 'really', 'very', 'basically', 'actually', 'literally', 'totally', 'honestly', 'seriously', 'simply', 'kind of', 'sort of', 'you know', 'i mean', 'pretty much', 'anyway'],
+  spanish: ['o sea', 'pues', 'bueno', 'la verdad', 'básicamente', 'literalmente', 'realmente', 'en plan'],
+  french: ['en fait', 'du coup', 'genre', 'voilà', 'bref', 'franchement', 'vraiment', 'carrément'],
+  german: ['eigentlich', 'halt', 'quasi', 'sozusagen', 'irgendwie', 'echt', 'wirklich'],
+  portuguese: ['tipo', 'então', 'basicamente', 'literalmente', 'realmente', 'na verdade'],
+  italian: ['cioè', 'praticamente', 'tipo', 'insomma', 'davvero', 'letteralmente']
+};
+
+// Words ignored when looking for repetition and for the opening/ending overlap (English only)
+const STOPWORDS = new Set([
+  'the', 'a', 'an', 'and', 'or', 'but', 'if', 'then', 'so', 'of', 'to', 'in', 'on', 'at', 'by', 'for', 'with',
+  'from', 'as', 'is', 'was', 'are', 'were', 'be', 'been', 'am', 'it', 'its', "it's", 'this', 'that', 'these',
+  'those', 'i', 'me', 'my', 'we', 'our', 'you', 'your', 'he', 'him', 'his', 'she', 'her', 'they', 'them',
+  'their', 'what', 'who', 'when', 'where', 'why', 'how', 'not', 'no', 'do', 'did', 'does', 'had', 'has',
+  'have', 'will', 'would', 'could', 'should', 'can', 'all', 'just', 'there', 'here', 'up', 'out', 'about',
+  'into', 'over', 'than', 'too', 'very', 'one', "i'm", "don't", "didn't", 'said', 'like', 'got', 'get'
+]);
+
+// Sentence length buckets (words) for the distribution
+const SENTENCE_BUCKETS = [
+  { label: '1-5', max: 5 },
+  { label: '6-10', max: 10 },
+  { label: '11-15', max: 15 },
+  { label: '16-20', max: 20 },
+  { label: '21-30', max: 30 },
+  { label: '31+', max: Infinity }
+];
+
+// Sentences longer than this are hard to follow when heard once
+const LONG_SENTENCE_WORDS = 25;
+
+// Hooks should land within a few seconds of narration
+const HOOK_TARGET_SECONDS = 3;
+const HOOK_LIMIT_SECONDS = 5;
+
+// Estimated narration within this share of the target duration counts as a fit
+const DURATION_TOLERANCE = 0.1;
+
+// Share of the shorter sentence's key words the ending must repeat to count as looping back
+const LOOP_OVERLAP = 0.4;
+
+const WORD_PATTERN = /[\p{L}\p{M}\p{N}]+(?:['’-][\p{L}\p{M}\p{N}]+)*/gu;
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Language key for a story language name ("Brazilian Portuguese" -> 'portuguese')
+ */
+const languageKey = (language) => {
+  const name = (language || 'english').toLowerCase();
+  return ['english', 'spanish', 'french', 'german', 'italian', 'dutch', 'portuguese']
+    .find(key => name.includes(key)) || name;
+};
+
+const getWords = (text) => (text.match(WORD_PATTERN) || []).map(word => word.toLowerCase().replace(/’/g, "'"));
+
+/**
+ * Split narration into sentences (also on line breaks, which scripts use as beats)
+ */
+const splitSentences = (text) => text
+  .split(/(?<=[.!?…।॥]["'”’)\]]*)\s+|(?<=[。！？]["'”’」』)]*)|\n+/)
+  .map(sentence => sentence.trim())
+  .filter(sentence => getWords(sentence).length > 0);
+
+/**
+ * Approximate syllables in a word by counting vowel groups
+ */
+const countSyllables = (word, key) => {
+  let letters = word.toLowerCase().replace(/[^\p{L}]/gu, '');
+  if (!letters) return 0;
+
+  if (key === 'english') {
+    if (letters.length <= 3) return 1;
+    letters = letters.replace(/(?:[^laeiouy]es|[^laeiouy]ed|[^laeiouy]e)$/, '').replace(/^y/, '');
+  }
+
+  const groups = letters.match(/[aeiouyàáâãäåæèéêëìíîïòóôõöøùúûüýÿœ]+/g);
+  return Math.max(1, groups ? groups.length : 1);
+};
+
+/**
+ * Readability score for the script's language, or null where no formula is known (or words are not spaced)
+ */
+const measureReadability = (sentences, words, key) => {
+  const formula = READABILITY_FORMULAS[key];
+  if (!formula || words.length === 0 || sentences.length === 0) {
+    return null;
+  }
+
+  const asl = words.length / sentences.length;
+  const asw = words.reduce((sum, word) => sum + countSyllables(word, key), 0) / words.length;
+  const score = Math.max(0, Math.min(100, round(formula.score({ asl, asw }))));
+
+  return {
+    formula: formula.name,
+    score,
+    level: READABILITY_LEVELS.find(level => score >= level.min).label,
+    wordsPerSentence: round(asl),
+    syllablesPerWord: round(asw, 2)
+  };
+};
+
+/**
+ * Sentence count, average, median and the distribution of sentence lengths in words (characters for unspaced scripts)
+ */
+const measureSentences = (sentences, unit) => {
+  const lengths = sentences.map(sentence => (unit === 'characters'
+    ? (sentence.match(/[\p{L}\p{N}]/gu) || []).length
+    : getWords(sentence).length));
+  const sorted = [...lengths].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+
+  const stats = {
+    count: lengths.length,
+    unit,
+    average: lengths.length ? round(lengths.reduce((sum, length) => sum + length, 0) / lengths.length) : 0,
+    median: sorted.length ? (sorted.length % 2 ? sorted[middle] : round((sorted[middle - 1] + sorted[middle]) / 2)) : 0,
+    shortest: sorted[0] || 0,
+    longest: sorted[sorted.length - 1] || 0
+  };
+
+  if (unit === 'words') {
+    stats.distribution = SENTENCE_BUCKETS.map((bucket, index) => ({
+      label: bucket.label,
+      count: lengths.filter(length => length <= bucket.max && (index === 0 || length > SENTENCE_BUCKETS[index - 1].max)).length
+    }));
+    stats.longSentences = sentences
+      .filter((sentence, index) => lengths[index] > LONG_SENTENCE_WORDS)
+      .map(sentence => sentence.length > 160 ? `${sentence.slice(0, 157)}...` : sentence);
+  }
+
+  return stats;
+};
+
+/**
+ * Repeated key words, repeated three-word phrases, sentences that start the same way, and filler words
+ */
+const measureRepetition = (sentences, words, key) => {
+  const isKeyWord = (word) => (key === 'english' ? !STOPWORDS.has(word) && word.length > 2 : word.length > 3);
+  const top = (counts, minimum) => [...counts.entries()]
+    .filter(([, count]) => count >= minimum)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, 10)
+    .map(([text, count]) => ({ text, count }));
+
+  const wordCounts = new Map();
+  words.filter(isKeyWord).forEach(word => wordCounts.set(word, (wordCounts.get(word) || 0) + 1));
+
+  const phraseCounts = new Map();
+  sentences.forEach(sentence => {
+    const sentenceWords = getWords(sentence);
+    for (let i = 0; i + 3 <= sentenceWords.length; i++) {
+      const phrase = sentenceWords.slice(i, i + 3);
+      if (phrase.some(isKeyWord)) {
+        const text = phrase.join(' ');
+        phraseCounts.set(text, (phraseCounts.get(text) || 0) + 1);
+      }
+    }
+  });
+
+  const openerCounts = new Map();
+  sentences.forEach(sentence => {
+    const [first] = getWords(sentence);
+    if (first) openerCounts.set(first, (openerCounts.get(first) || 0) + 1);
+  });
+
+  const lowered = ` ${words.join(' ')} `;
+  const fillerWords = (FILLERS[key] || [])
+    .map(filler => ({ text: filler, count: lowered.split(` ${filler} `).length - 1 }))
+    .filter(filler => filler.count > 0)
+    .sort((a, b) => b.count - a.count);
+  const fillerTotal = fillerWords.reduce((sum, filler) => sum + filler.count, 0);
+
+  return {
+    repeatedWords: top(wordCounts, 3),
+    repeatedPhrases: top(phraseCounts, 2),
+    repeatedOpeners: top(openerCounts, 3),
+    fillers: FILLERS[key]
+      ? { total: fillerTotal, perHundredWords: words.length ? round(fillerTotal / words.length * 100) : 0, words: fillerWords }
+      : null
+  };
+};
+
+/**
+ * Whether the last sentence echoes the first, as loop-style templates ask for
+ */
+const measureLoop = (sentences, key) => {
+  const opening = sentences[0] || '';
+  const ending = sentences[sentences.length - 1] || '';
+  const keyWords = (text) => new Set(getWords(text).filter(word => (key === 'english' ? !STOPWORDS.has(word) : word.length > 3)));
+
+  const openingWords = keyWords(opening);
+  const endingWords = keyWords(ending);
+  const shared = [...openingWords].filter(word => endingWords.has(word));
+  const smaller = Math.min(openingWords.size, endingWords.size);
+  const overlap = smaller ? shared.length / smaller : 0;
+
+  return {
+    loopsBack: sentences.length > 1 && (overlap >= LOOP_OVERLAP || shared.length >= 3),
+    overlap: round(overlap, 2),
+    sharedWords: shared,
+    opening,
+    ending
+  };
+};
+
+/**
+ * Analyze a script for readability, pacing and structure
+ * @param {string} content - Script text
+ * @param {Object} [options]
+ * @param {string} [options.language] - Story language name (defaults to English)
+ * @param {number} [options.duration] - Target duration in seconds
+ * @param {boolean} [options.loopRequired] - Whether the style asks for the ending to loop back to the opening
+ * @returns {Object} { language, readability, sentences, duration, hook, repetition, loop, issues }
+ */
+const analyzeScript = (content, { language, duration, loopRequired = false } = {}) => {
+  const key = languageKey(language);
+  const { unit } = getSpeakingRate(language);
+  const text = narrationText(content);
+  const sentences = splitSentences(text);
+  const words = getWords(text);
+
+  const narration = measureNarration(content, language);
+  const durationReport = {
+    estimatedSeconds: narration.seconds,
+    targetSeconds: duration || null,
+    differenceSeconds: duration ? narration.seconds - duration : null,
+    ratio: duration ? round(narration.seconds / duration, 2) : null,
+    status: !duration ? 'unknown'
+      : Math.abs(narration.seconds - duration) <= duration * DURATION_TOLERANCE ? 'fits'
+        : narration.seconds > duration ? 'too long' : 'too short',
+    wordsPerMinute: unit === 'words' ? narration.perMinute : null
+  };
+
+  const hookText = sentences[0] || '';
+  const hookUnits = unit === 'characters' ? (hookText.match(/[\p{L}\p{N}]/gu) || []).length : getWords(hookText).length;
+  const hookSeconds = round(hookUnits / narration.perMinute * 60);
+  const hook = {
+    text: hookText,
+    seconds: hookSeconds,
+    status: hookSeconds <= HOOK_TARGET_SECONDS ? 'good' : hookSeconds <= HOOK_LIMIT_SECONDS ? 'long' : 'too long',
+    score: scoreVariant(hookText, 'hook').score
+  };
+
+  const report = {
+    language: language || 'English',
+    wordCount: narration.words,
+    readability: unit === 'words' ? measureReadability(sentences, words, key) : null,
+    sentences: measureSentences(sentences, unit),
+    duration: durationReport,
+    hook,
+    repetition: measureRepetition(sentences, words, key),
+    loop: { required: loopRequired, ...measureLoop(sentences, key) }
+  };
+
+  const issues = [];
+  if (durationReport.status === 'too long' || durationReport.status === 'too short') {
+    issues.push(`Narration runs about ${narration.seconds}s against a ${duration}s target (${durationReport.status})`);
+  }
+  if (hook.status !== 'good') {
+    issues.push(`The hook takes about ${hookSeconds}s to say; aim for ${HOOK_TARGET_SECONDS}s or less`);
+  }
+  if (report.readability && report.readability.score < 60) {
+    issues.push(`Readability is ${report.readability.level} (${report.readability.formula} ${report.readability.score})`);
+  }
+  if (report.sentences.longSentences && report.sentences.longSentences.length > 0) {
+    issues.push(`${report.sentences.longSentences.length} sentence(s) run over ${LONG_SENTENCE_WORDS} words`);
+  }
+  if (report.repetition.fillers && report.repetition.fillers.perHundredWords >= 2) {
+    issues.push(`${report.repetition.fillers.total} filler words (${report.repetition.fillers.perHundredWords} per 100 words)`);
+  }
+  if (report.repetition.repeatedPhrases.length > 0) {
+    issues.push(`Repeated phrases: ${report.repetition.repeatedPhrases.slice(0, 3).map(phrase => `"${phrase.text}"`).join(', ')}`);
+  }
+  if (loopRequired && !report.loop.loopsBack) {
+    issues.push('The style asks for the ending to loop back to the opening, but the last line does not echo the first');
+  }
+  report.issues = issues;
+
+  return report;
+};
+
+module.exports = {
+  analyzeScript,
+  countSyllables
+};
@@ -0,0 +1,36 @@
+/**
+ * Story fields included in JSON exports
+ * @param {Object} story - Story document
+ * @returns {Object} Export record
+ */
+const buildStoryExport = (story) => ({
+  id: story._id,
+  name: story.name,
+  style: story.style,
+  duration: story.duration,
+  content: story.content,
+  headline: story.headline,
+  description: story.description,
+  summary: story.summary,
+  genre: story.genre,
+  tags: story.tags,
+  createdAt: story.createdAt,
+  metadata: {
+    wordCount: story.wordCount,
+    estimatedReadingTime: story.estimatedReadingTime,
+    aspectRatio: story.aspectRatio
+  }
+});
+
+/**
+ * Download file name for an exported story or collection
+ * @param {string} name - Story or collection name
+ * @param {string} extension - File extension without the dot
+ * @returns {string}
+ */
+const exportFileName = (name, extension) => `${(name || 'export').replace(/[^a-zA-Z0-9]/g, '_')}.${extension}`;
+
+module.exports = {
+  buildStoryExport,
+  exportFileName
+};
@@ -0,0 +1,60 @@
+// Words that open a curiosity gap in hooks and titles
+const CURIOSITY_WORDS = new Set([
+  'secret', 'secrets', 'hidden', 'nobody', 'never', 'truth', 'actually', 'really', 'why', 'how',
+  'what', 'until', 'mistake', 'mistakes', 'shocking', 'strange', 'weird', 'mystery', 'unknown',
+  'revealed', 'finally', 'wrong', 'before', 'stop', 'imagine', 'this', 'only', 'instead'
+]);
+
+// Ideal length ranges: hooks are spoken (words), headlines are read in a feed (characters)
+const LENGTH_TARGETS = {
+  hook: { unit: 'words', min: 6, max: 16, limit: 30 },
+  headline: { unit: 'characters', min: 30, max: 60, limit: 100 }
+};
+
+// Points per criterion; they add up to 100
+const WEIGHTS = {
+  length: 40,
+  curiosity: 30,
+  question: 15,
+  number: 15
+};
+
+/**
+ * Full points inside the target range, tapering to zero at the hard limit (or at zero length)
+ */
+const lengthScore = (size, { min, max, limit }) => {
+  if (size >= min && size <= max) return 1;
+  if (size < min) return Math.max(0, size / min);
+  return Math.max(0, (limit - size) / (limit - max));
+};
+
+/**
+ * Score a hook or headline on length, curiosity words, and question/number use
+ * @param {string} text - Hook sentence or headline
+ * @param {string} type - 'hook' or 'headline'
+ * @returns {Object} { score: 0-100, breakdown: { length, curiosity, question, number } }
+ */
+const scoreVariant = (text, type) => {
+  const target = LENGTH_TARGETS[type];
+  const words = String(text || '').toLowerCase().match(/[\p{L}\p{N}']+/gu) || [];
+  const size = target.unit === 'words' ? words.length : String(text || '').trim().length;
+
+  const curiosityHits = new Set(words.filter(word => CURIOSITY_WORDS.has(word))).size;
+
+  const breakdown = {
+    length: Math.round(lengthScore(size, target) * WEIGHTS.length),
+    // Two curiosity words is plenty; more reads as clickbait
+    curiosity: Math.round(Math.min(curiosityHits, 2) / 2 * WEIGHTS.curiosity),
+    question: /\?/.test(text) ? WEIGHTS.question : 0,
+    number: /\d/.test(text) ? WEIGHTS.number : 0
+  };
+
+  return {
+    score: Object.values(breakdown).reduce((sum, points) => sum + points, 0),
+    breakdown
+  };
+};
+
+module.exports = {
+  scoreVariant
+};
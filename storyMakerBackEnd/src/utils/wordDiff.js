@@ -0,0 +1,121 @@
+// Largest LCS table we build; bigger inputs are diffed line by line first
+const MAX_TABLE_CELLS = 25 * 1000 * 1000;
+
+/**
+ * Longest-common-subsequence diff of two token arrays
+ * @returns {Array} Operations [{ type: 'equal'|'removed'|'added', tokens }]
+ */
+const diffTokens = (from, to) => {
+  // Common prefix and suffix don't need the table
+  let start = 0;
+  while (start < from.length && start < to.length && from[start] === to[start]) start++;
+
+  let endFrom = from.length;
+  let endTo = to.length;
+  while (endFrom > start && endTo > start && from[endFrom - 1] === to[endTo - 1]) {
+    endFrom--;
+    endTo--;
+  }
+
+  const a = from.slice(start, endFrom);
+  const b = to.slice(start, endTo);
+  const ops = [];
+  const push = (type, token) => {
+    const last = ops[ops.length - 1];
+    if (last && last.type === type) {
+      last.tokens.push(token);
+    } else {
+      ops.push({ type, tokens: [token] });
+    }
+  };
+
+  from.slice(0, start).forEach(token => push('equal', token));
+
+  if (a.length * b.length <= MAX_TABLE_CELLS) {
+    // lengths[i][j] = LCS length of a[i..] and b[j..], stored row-major
+    const width = b.length + 1;
+    const lengths = new Uint16Array((a.length + 1) * width);
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lengths[i * width + j] = a[i] === b[j]
+          ? lengths[(i + 1) * width + j + 1] + 1
+          : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        push('equal', a[i]);
+        i++;
+        j++;
+      } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+        push('removed', a[i++]);
+      } else {
+        push('added', b[j++]);
+      }
+    }
+    while (i < a.length) push('removed', a[i++]);
+    while (j < b.length) push('added', b[j++]);
+  } else {
+    a.forEach(token => push('removed', token));
+    b.forEach(token => push('added', token));
+  }
+
+  from.slice(endFrom).forEach(token => push('equal', token));
+
+  return ops;
+};
+
+const toWords = (text) => (text || '').split(/\s+/).filter(Boolean);
+
+/**
+ * Word-level diff between two texts
+ * @param {string} fromText - Older text
+ * @param {string} toText - Newer text
+ * @returns {Object} { changes: [{ type, text }], stats: { added, removed, unchanged } }
+ */
+const diffWords = (fromText, toText) => {
+  const fromWords = toWords(fromText);
+  const toWordsList = toWords(toText);
+  let ops;
+
+  if (fromWords.length * toWordsList.length <= MAX_TABLE_CELLS) {
+    ops = diffTokens(fromWords, toWordsList);
+  } else {
+    // Very long texts: match whole lines, then diff words inside each changed block
+    const lineOps = diffTokens((fromText || '').split('\n'), (toText || '').split('\n'));
+    ops = [];
+    for (let index = 0; index < lineOps.length; index++) {
+      const op = lineOps[index];
+      const next = lineOps[index + 1];
+      if (op.type === 'removed' && next && next.type === 'added') {
+        ops.push(...diffTokens(toWords(op.tokens.join('\n')), toWords(next.tokens.join('\n'))));
+        index++;
+      } else {
+        ops.push({ type: op.type, tokens: toWords(op.tokens.join('\n')) });
+      }
+    }
+  }
+
+  const stats = { added: 0, removed: 0, unchanged: 0 };
+  const changes = [];
+
+  ops.filter(op => op.tokens.length > 0).forEach(op => {
+    stats[op.type === 'equal' ? 'unchanged' : op.type] += op.tokens.length;
+
+    const last = changes[changes.length - 1];
+    if (last && last.type === op.type) {
+      last.text += ` ${op.tokens.join(' ')}`;
+    } else {
+      changes.push({ type: op.type, text: op.tokens.join(' ') });
+    }
+  });
+
+  return { changes, stats };
+};
+
+module.exports = {
+  diffWords
+};
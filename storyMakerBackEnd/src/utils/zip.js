@@ -0,0 +1,274 @@
+const zlib = require('zlib');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+
+// CRC-32 lookup table (IEEE polynomial, as used by ZIP)
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+// Pass the previous result to continue a CRC over the next chunk
+const crc32 = (buffer, previous = 0) => {
+  let crc = (previous ^ 0xFFFFFFFF) >>> 0;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+// Without ZIP64, sizes and offsets are 32-bit
+const MAX_ARCHIVE_BYTES = 0xFFFFFFFF;
+
+// General purpose flags: UTF-8 names, plus sizes and CRC in a data descriptor after streamed entries
+const FLAG_UTF8 = 0x0800;
+const FLAG_DATA_DESCRIPTOR = 0x0008;
+
+// Already-compressed formats are stored as-is; deflating them only costs CPU
+const STORED_EXTENSIONS = /\.(mp3|mp4|m4a|wav|webm|mov|png|jpe?g|gif|webp|zip)$/i;
+
+/**
+ * MS-DOS date and time fields for a ZIP header
+ */
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+/**
+ * Write a ZIP archive to a stream one entry at a time
+ * addFile holds one entry in memory; addStream pipes a file through without buffering it.
+ * Archives are limited to 4 GB and 65,535 entries (no ZIP64).
+ *
+ * const zip = new ZipWriter(res);
+ * await zip.addFile('script.txt', 'Once upon a time');
+ * await zip.addStream('audio/voice.mp3', fs.createReadStream(audioPath));
+ * await zip.finish();
+ */
+class ZipWriter {
+  /**
+   * @param {Object} output - Writable stream (e.g. an Express response)
+   */
+  constructor(output) {
+    this.output = output;
+    this.entries = [];
+    this.offset = 0;
+    this.names = new Set();
+  }
+
+  /**
+   * Write a buffer, waiting for the stream to drain when it is full
+   * Rejects once the output is closed or fails (e.g. the client aborted the download) so callers stop writing.
+   */
+  write(buffer) {
+    if (this.output.destroyed || this.output.writableEnded) {
+      return Promise.reject(new Error('Output closed before the archive was finished'));
+    }
+    if (this.offset + buffer.length > MAX_ARCHIVE_BYTES) {
+      return Promise.reject(new Error('Archive would exceed the 4 GB ZIP limit'));
+    }
+
+    this.offset += buffer.length;
+    if (this.output.write(buffer)) {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      const settle = (error) => {
+        this.output.off('drain', onDrain);
+        this.output.off('close', onClose);
+        this.output.off('error', onError);
+        if (error) reject(error); else resolve();
+      };
+      const onDrain = () => settle();
+      const onClose = () => settle(new Error('Output closed before the archive was finished'));
+      const onError = (error) => settle(error);
+
+      this.output.on('drain', onDrain);
+      this.output.on('close', onClose);
+      this.output.on('error', onError);
+    });
+  }
+
+  /**
+   * Entry name that is unique in the archive ("clip.mp4" -> "clip (2).mp4")
+   */
+  uniqueName(name) {
+    let candidate = name;
+    let counter = 2;
+    while (this.names.has(candidate)) {
+      candidate = name.replace(/(\.[^./]+)?$/, ext => ` (${counter})${ext}`);
+      counter += 1;
+    }
+    this.names.add(candidate);
+    return candidate;
+  }
+
+  /**
+   * Add a file to the archive
+   * @param {string} name - Path inside the archive, with forward slashes
+   * @param {Buffer|string} content - File content (strings are written as UTF-8)
+   * @param {Object} [options]
+   * @param {Date} [options.date] - Modification time (default now)
+   * @returns {Promise<string>} Name the entry was stored under
+   */
+  async addFile(name, content, { date = new Date() } = {}) {
+    const data = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+    const entryName = this.uniqueName(name);
+    const nameBuffer = Buffer.from(entryName, 'utf8');
+
+    const store = STORED_EXTENSIONS.test(entryName) || data.length === 0;
+    const compressed = store ? data : zlib.deflateRawSync(data);
+    const method = store ? 0 : 8;
+    const crc = crc32(data);
+    const { time, date: dosDate } = dosDateTime(date);
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034B50, 0); // Local file header signature
+    header.writeUInt16LE(20, 4); // Version needed to extract
+    header.writeUInt16LE(FLAG_UTF8, 6);
+    header.writeUInt16LE(method, 8);
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(dosDate, 12);
+    header.writeUInt32LE(crc, 14);
+    header.writeUInt32LE(compressed.length, 18);
+    header.writeUInt32LE(data.length, 22);
+    header.writeUInt16LE(nameBuffer.length, 26);
+    header.writeUInt16LE(0, 28); // Extra field length
+
+    this.entries.push({
+      nameBuffer,
+      flags: FLAG_UTF8,
+      method,
+      time,
+      date: dosDate,
+      crc,
+      compressedSize: compressed.length,
+      size: data.length,
+      offset: this.offset
+    });
+
+    await this.write(header);
+    await this.write(nameBuffer);
+    await this.write(compressed);
+
+    return entryName;
+  }
+
+  /**
+   * Add a file by streaming it into the archive; the CRC and sizes follow the data in a data descriptor
+   * A failure part-way through leaves the archive unusable, so callers should abort the output.
+   * @param {string} name - Path inside the archive, with forward slashes
+   * @param {Object} input - Readable stream with the file content
+   * @param {Object} [options]
+   * @param {Date} [options.date] - Modification time (default now)
+   * @returns {Promise<string>} Name the entry was stored under
+   */
+  async addStream(name, input, { date = new Date() } = {}) {
+    const entryName = this.uniqueName(name);
+    const nameBuffer = Buffer.from(entryName, 'utf8');
+    const method = STORED_EXTENSIONS.test(entryName) ? 0 : 8;
+    const { time, date: dosDate } = dosDateTime(date);
+    const entry = {
+      nameBuffer,
+      flags: FLAG_UTF8 | FLAG_DATA_DESCRIPTOR,
+      method,
+      time,
+      date: dosDate,
+      crc: 0,
+      compressedSize: 0,
+      size: 0,
+      offset: this.offset
+    };
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034B50, 0); // Local file header signature
+    header.writeUInt16LE(20, 4); // Version needed to extract
+    header.writeUInt16LE(entry.flags, 6);
+    header.writeUInt16LE(method, 8);
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(dosDate, 12);
+    // CRC and sizes stay zero here and are written in the data descriptor
+    header.writeUInt16LE(nameBuffer.length, 26);
+
+    await this.write(header);
+    await this.write(nameBuffer);
+
+    const measure = new Transform({
+      transform(chunk, encoding, callback) {
+        entry.crc = crc32(chunk, entry.crc);
+        entry.size += chunk.length;
+        callback(null, chunk);
+      }
+    });
+
+    await pipeline(
+      input,
+      measure,
+      ...(method === 8 ? [zlib.createDeflateRaw()] : []),
+      async (source) => {
+        for await (const chunk of source) {
+          entry.compressedSize += chunk.length;
+          await this.write(chunk);
+        }
+      }
+    );
+
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(0x08074B50, 0); // Data descriptor signature
+    descriptor.writeUInt32LE(entry.crc, 4);
+    descriptor.writeUInt32LE(entry.compressedSize, 8);
+    descriptor.writeUInt32LE(entry.size, 12);
+    await this.write(descriptor);
+
+    this.entries.push(entry);
+    return entryName;
+  }
+
+  /**
+   * Write the central directory and end the output stream
+   * @returns {Promise<number>} Archive size in bytes
+   */
+  async finish() {
+    const directoryOffset = this.offset;
+
+    for (const entry of this.entries) {
+      const record = Buffer.alloc(46);
+      record.writeUInt32LE(0x02014B50, 0); // Central directory signature
+      record.writeUInt16LE(20, 4); // Version made by
+      record.writeUInt16LE(20, 6); // Version needed to extract
+      record.writeUInt16LE(entry.flags, 8);
+      record.writeUInt16LE(entry.method, 10);
+      record.writeUInt16LE(entry.time, 12);
+      record.writeUInt16LE(entry.date, 14);
+      record.writeUInt32LE(entry.crc, 16);
+      record.writeUInt32LE(entry.compressedSize, 20);
+      record.writeUInt32LE(entry.size, 24);
+      record.writeUInt16LE(entry.nameBuffer.length, 28);
+      // Extra, comment, disk number, internal and external attributes stay zero
+      record.writeUInt32LE(entry.offset, 42);
+
+      await this.write(record);
+      await this.write(entry.nameBuffer);
+    }
+
+    const directorySize = this.offset - directoryOffset;
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054B50, 0); // End of central directory signature
+    end.writeUInt16LE(this.entries.length, 8);
+    end.writeUInt16LE(this.entries.length, 10);
+    end.writeUInt32LE(directorySize, 12);
+    end.writeUInt32LE(directoryOffset, 16);
+
+    await this.write(end);
+
+    return new Promise(resolve => this.output.end(() => resolve(this.offset)));
+  }
+}
+
+ZipWriter.MAX_ARCHIVE_BYTES = MAX_ARCHIVE_BYTES;
+
+module.exports = ZipWriter;